@@ -8,14 +8,14 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const path = require('path');
 const bcrypt = require('bcrypt');
 
 // Importação de Rotas e Modelos
 const routes = require('./src/routes');
 const db = require('./src/models');
 const { User, Tenant, Plan, TenantMember } = require('./src/models');
-const { startReminderJob } = require('./src/services/cron.service');
+const geoipService = require('./src/services/geoip.service');
+const { startReminderJob, startExpirationJob, startSealCertificateExpiryJob, startBulkSendRecoveryJob } = require('./src/services/cron.service');
 
 // 3. Inicialização do Express
 const app = express();
@@ -39,8 +39,8 @@ app.use(
 app.use(cors({ origin: '*' }));
 app.use(express.json());
 
-// 5. Servir Arquivos Estáticos
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// 5. Arquivos: a pasta uploads/ não é servida diretamente.
+// Downloads usam URLs assinadas e temporárias (GET /api/downloads/:documentId).
 
 // 6. Rotas da API
 app.use('/api', routes);
@@ -52,6 +52,7 @@ app.use((err, req, res, next) => {
   console.error('--------------------------');
 
   const statusCode = err.statusCode || 500;
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
   res.status(statusCode).json({
     message: err.message || 'Ocorreu um erro interno no servidor.',
   });
@@ -65,6 +66,8 @@ const startServer = async () => {
     console.log('✅ Conexão estabelecida.');
 
     console.log('🔄 Sincronizando modelos...');
+    // O sync só cria tabelas que não existem: colunas novas em tabelas existentes vêm das migrations
+    // (`npm start` roda `sequelize-cli db:migrate` antes)
     await db.sequelize.sync({ force: false });
     console.log('✅ Modelos sincronizados.');
 
@@ -198,9 +201,14 @@ const startServer = async () => {
     console.log('🌱 Seed finalizado.');
     // --- FIM DO SEED ---
 
+    await geoipService.loadDatabase();
+
     app.listen(PORT, () => {
       console.log(`🚀 Servidor rodando na porta ${PORT}`);
       startReminderJob();
+      startExpirationJob();
+      startSealCertificateExpiryJob();
+      startBulkSendRecoveryJob();
     });
 
   } catch (error) {
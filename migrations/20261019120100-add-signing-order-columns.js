@@ -0,0 +1,27 @@
+'use strict';
+
+// Fluxo de assinatura em ordem (PARALLEL/SEQUENTIAL) e mensagem do convite, guardada para os grupos convidados depois.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Documents: {
+    routingMode: { type: Sequelize.ENUM('PARALLEL', 'SEQUENTIAL'), allowNull: false, defaultValue: 'PARALLEL' },
+    inviteMessage: { type: Sequelize.TEXT, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
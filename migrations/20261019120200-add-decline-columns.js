@@ -0,0 +1,37 @@
+'use strict';
+
+// Recusa de assinatura: o que acontece com o documento, motivo e data da recusa, e links revogados.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Documents: {
+    declineAction: { type: Sequelize.ENUM('CANCEL', 'AWAIT_OWNER'), allowNull: false, defaultValue: 'CANCEL' }
+  },
+  Signers: {
+    declinedAt: { type: Sequelize.DATE, allowNull: true },
+    declineReason: { type: Sequelize.TEXT, allowNull: true }
+  },
+  ShareTokens: {
+    revokedAt: { type: Sequelize.DATE, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_Documents_status', ['DECLINED']);
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['DECLINED']);
+  },
+
+  // Os valores acrescentados aos ENUMs continuam nos tipos: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
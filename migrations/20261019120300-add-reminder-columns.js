@@ -0,0 +1,37 @@
+'use strict';
+
+// Cadência dos lembretes (documento e padrão do tenant) e data do convite de cada signatário.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Documents: {
+    reminderIntervalDays: { type: Sequelize.INTEGER, allowNull: true },
+    reminderFinalHours: { type: Sequelize.INTEGER, allowNull: true }
+  },
+  Signers: {
+    invitedAt: { type: Sequelize.DATE, allowNull: true }
+  },
+  TenantSettings: {
+    reminderIntervalDays: { type: Sequelize.INTEGER, defaultValue: 3 },
+    reminderFinalHours: { type: Sequelize.INTEGER, defaultValue: 24 }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['REMINDER_SENT']);
+  },
+
+  // Os valores acrescentados ao ENUM continuam no tipo: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// Modelo de origem do documento.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { describe, addMissingColumns, removeColumns } = require('./helpers/schema');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A tabela Templates é nova: a chave estrangeira só entra se ela já existir
+    const templates = await describe(queryInterface, 'Templates');
+    await addMissingColumns(queryInterface, 'Documents', {
+      templateId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        ...(templates ? { references: { model: 'Templates', key: 'id' } } : {})
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await removeColumns(queryInterface, 'Documents', ['templateId']);
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Certificado de conclusão anexado ao PDF assinado.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  TenantSettings: {
+    appendCertificateToPdf: { type: Sequelize.BOOLEAN, defaultValue: false }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
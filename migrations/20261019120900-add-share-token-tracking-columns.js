@@ -0,0 +1,30 @@
+'use strict';
+
+// Rastreamento dos links de assinatura (emissão e último uso).
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  ShareTokens: {
+    lastUsedAt: { type: Sequelize.DATE, allowNull: true },
+    createdAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.fn('NOW') }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['LINK_ROTATED', 'LINK_REVOKED']);
+  },
+
+  // Os valores acrescentados ao ENUM continuam no tipo: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// Delegação da assinatura e histórico de quem já ocupou o lugar do signatário.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Signers: {
+    allowDelegation: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+    delegationChain: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['SIGNER_UPDATED', 'DELEGATED']);
+  },
+
+  // Os valores acrescentados ao ENUM continuam no tipo: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
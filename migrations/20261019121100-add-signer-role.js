@@ -0,0 +1,30 @@
+'use strict';
+
+// Papel do signatário (assina, aprova, testemunha, dá ciência ou só recebe cópia).
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Signers: {
+    role: {
+      type: Sequelize.ENUM('SIGNER', 'APPROVER', 'WITNESS', 'ACKNOWLEDGER', 'OBSERVER'),
+      allowNull: false,
+      defaultValue: 'SIGNER'
+    }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
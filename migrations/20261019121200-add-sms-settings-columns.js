@@ -0,0 +1,31 @@
+'use strict';
+
+// SMS como canal de convite e autenticação: provedor do tenant e ordem de fallback entre WhatsApp e SMS.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  TenantSettings: {
+    smsProvider: { type: Sequelize.STRING },
+    smsAccountSid: { type: Sequelize.STRING },
+    smsAuthToken: { type: Sequelize.STRING },
+    smsFrom: { type: Sequelize.STRING },
+    smsActive: { type: Sequelize.BOOLEAN, defaultValue: false },
+    phoneFallbackOrder: { type: Sequelize.ARRAY(Sequelize.STRING), defaultValue: ['WHATSAPP', 'SMS'] }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+// Proteção contra força bruta nos códigos OTP: falhas e bloqueio do link e da recuperação de senha, código queimado.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  ShareTokens: {
+    failedOtpAttempts: { type: Sequelize.INTEGER, defaultValue: 0 },
+    lockedAt: { type: Sequelize.DATE, allowNull: true }
+  },
+  OtpCodes: {
+    consumedAt: { type: Sequelize.DATE, allowNull: true }
+  },
+  Users: {
+    passwordResetFailedAttempts: { type: Sequelize.INTEGER, defaultValue: 0 },
+    passwordResetLockedUntil: { type: Sequelize.DATE, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['OTP_THROTTLED']);
+  },
+
+  // Os valores acrescentados ao ENUM continuam no tipo: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
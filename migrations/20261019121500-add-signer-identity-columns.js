@@ -0,0 +1,30 @@
+'use strict';
+
+// Conferência de identidade do signatário (CPF confirmado e data de nascimento).
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Signers: {
+    cpfVerifiedAt: { type: Sequelize.DATE, allowNull: true },
+    birthDate: { type: Sequelize.DATEONLY, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['IDENTIFIED', 'IDENTITY_MISMATCH']);
+  },
+
+  // Os valores acrescentados ao ENUM continuam no tipo: o Postgres não permite removê-los
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
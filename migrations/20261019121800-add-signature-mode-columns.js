@@ -0,0 +1,32 @@
+'use strict';
+
+// Modos de assinatura (desenhada, digitada, enviada) e rubricas.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Documents: {
+    requireInitials: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }
+  },
+  Signers: {
+    signatureMode: { type: Sequelize.ENUM('DRAWN', 'TYPED', 'UPLOADED'), allowNull: true },
+    signatureFont: { type: Sequelize.STRING, allowNull: true },
+    initialsArtefactPath: { type: Sequelize.STRING, allowNull: true },
+    initialsRenderedAt: { type: Sequelize.DATE, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
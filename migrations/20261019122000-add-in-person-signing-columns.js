@@ -0,0 +1,41 @@
+'use strict';
+
+// Coleta presencial: sessões abertas pelo remetente e signatários sem e-mail.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { describe, addMissingColumns, removeColumns, addEnumValues } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Signers: {
+    collectInPerson: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+    inPersonHost: { type: Sequelize.JSONB, allowNull: true }
+  },
+  ShareTokens: {
+    hostedByUserId: { type: Sequelize.UUID, allowNull: true, references: { model: 'Users', key: 'id' } },
+    hostedOtpChannel: { type: Sequelize.ENUM('SMS', 'WHATSAPP'), allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+
+    // O signatário presencial pode não ter e-mail
+    const signers = await describe(queryInterface, 'Signers');
+    if (signers && !signers.email.allowNull) {
+      await queryInterface.changeColumn('Signers', 'email', { type: Sequelize.STRING, allowNull: true });
+    }
+
+    await addEnumValues(queryInterface, 'enum_AuditLogs_action', ['IN_PERSON_SESSION_OPENED']);
+  },
+
+  // O e-mail continua opcional (pode haver signatários presenciais sem e-mail) e o valor acrescentado ao ENUM
+  // continua no tipo (o Postgres não permite removê-lo)
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
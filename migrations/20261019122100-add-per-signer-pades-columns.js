@@ -0,0 +1,30 @@
+'use strict';
+
+// PAdES por signatário: modo do documento e a revisão assinada de cada signatário.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Documents: {
+    padesMode: { type: Sequelize.ENUM('FINAL_SEAL', 'PER_SIGNER'), allowNull: false, defaultValue: 'FINAL_SEAL' }
+  },
+  Signers: {
+    padesSignedAt: { type: Sequelize.DATE, allowNull: true },
+    padesFieldName: { type: Sequelize.STRING, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
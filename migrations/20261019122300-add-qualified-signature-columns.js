@@ -0,0 +1,27 @@
+'use strict';
+
+// Assinatura com certificado ICP-Brasil do próprio signatário.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Signers: {
+    requireQualifiedSignature: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+    qualifiedCertificate: { type: Sequelize.JSONB, allowNull: true }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
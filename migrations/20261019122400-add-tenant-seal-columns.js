@@ -0,0 +1,32 @@
+'use strict';
+
+// Certificado de selagem do tenant (cifrado) e dados exibidos na assinatura.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  TenantSettings: {
+    sealCertificateP12: { type: Sequelize.TEXT },
+    sealCertificatePassword: { type: Sequelize.TEXT },
+    sealCertificateInfo: { type: Sequelize.JSONB },
+    sealCertificateAlertedDays: { type: Sequelize.INTEGER },
+    sealReason: { type: Sequelize.STRING },
+    sealLocation: { type: Sequelize.STRING },
+    sealContactInfo: { type: Sequelize.STRING }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+// Opções de assinatura do modelo, copiadas para os documentos criados a partir dele.
+// Tabelas ainda inexistentes são puladas: o sync as cria completas (ver migrations/helpers/schema.js).
+
+const { addMissingColumns, removeColumns } = require('./helpers/schema');
+
+const columns = (Sequelize) => ({
+  Templates: {
+    authLevel: { type: Sequelize.ENUM('LINK', 'OTP', 'CPF_OTP'), allowNull: false, defaultValue: 'OTP' },
+    requireInitials: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+    padesMode: { type: Sequelize.ENUM('FINAL_SEAL', 'PER_SIGNER'), allowNull: false, defaultValue: 'FINAL_SEAL' },
+    declineAction: { type: Sequelize.ENUM('CANCEL', 'AWAIT_OWNER'), allowNull: false, defaultValue: 'CANCEL' }
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await addMissingColumns(queryInterface, table, definitions);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const [table, definitions] of Object.entries(columns(Sequelize))) {
+      await removeColumns(queryInterface, table, Object.keys(definitions));
+    }
+  }
+};
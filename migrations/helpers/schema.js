@@ -0,0 +1,68 @@
+'use strict';
+
+// Funções comuns às migrations que alteram tabelas existentes antes do fluxo de assinatura.
+// O `sync({ force: false })` do app.js cria as tabelas novas, mas não altera as existentes.
+// Em um banco novo as tabelas ainda não existem quando as migrations rodam: elas são puladas aqui
+// e criadas já completas pelo sync.
+// (Fica numa subpasta: o sequelize-cli só executa os arquivos .js da própria pasta migrations.)
+
+// Colunas da tabela, ou null se ela ainda não existe (será criada pelo sync)
+const describe = async (queryInterface, table) => {
+  try {
+    return await queryInterface.describeTable(table);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Adiciona as colunas que ainda não existem na tabela (tabela inexistente é pulada).
+ * @param {object} definitions - { coluna: definição do addColumn }
+ */
+const addMissingColumns = async (queryInterface, table, definitions) => {
+  const existing = await describe(queryInterface, table);
+  if (!existing) return;
+
+  for (const [column, definition] of Object.entries(definitions)) {
+    if (existing[column]) continue;
+    await queryInterface.addColumn(table, column, definition);
+  }
+};
+
+/**
+ * Remove as colunas e os tipos ENUM que o addColumn criou para elas.
+ */
+const removeColumns = async (queryInterface, table, columns) => {
+  const existing = await describe(queryInterface, table);
+  if (!existing) return;
+
+  for (const column of columns) {
+    if (!existing[column]) continue;
+    await queryInterface.removeColumn(table, column);
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS ${queryInterface.quoteIdentifier(`enum_${table}_${column}`)}`);
+  }
+};
+
+/**
+ * Acrescenta valores a um ENUM que já existia (tipo inexistente é pulado: o sync cria o tipo completo).
+ * ALTER TYPE não aceita parâmetros: o nome do tipo é citado como identificador e cada valor escapado como literal.
+ * Não há volta no down: o Postgres não remove valores de um ENUM.
+ * @param {string} type - Nome do tipo (ex: enum_AuditLogs_action).
+ * @param {Array<string>} values
+ */
+const addEnumValues = async (queryInterface, type, values) => {
+  const { sequelize } = queryInterface;
+  const [rows] = await sequelize.query('SELECT 1 FROM pg_type WHERE typname = :type', { replacements: { type } });
+  if (rows.length === 0) return;
+
+  for (const value of values) {
+    await sequelize.query(`ALTER TYPE ${queryInterface.quoteIdentifier(type)} ADD VALUE IF NOT EXISTS ${sequelize.escape(value)}`);
+  }
+};
+
+module.exports = {
+  describe,
+  addMissingColumns,
+  removeColumns,
+  addEnumValues
+};
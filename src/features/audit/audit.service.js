@@ -3,7 +3,24 @@
 
 const crypto = require('crypto');
 const { AuditLog, User, Signer, sequelize } = require('../../models');
-const { formatAuditLogDescription, getLogCategory } = require('../../utils/auditFormatter');
+const { formatAuditLogDescription, getLogCategory, formatDeviceSummary } = require('../../utils/auditFormatter');
+
+/**
+ * Serializa a evidência do dispositivo para o hash do evento.
+ * As chaves são ordenadas porque o JSONB do Postgres não preserva a ordem de inserção;
+ * sem evidência devolve '' (mantém o hash dos eventos antigos).
+ */
+const serializeDeviceInfo = (deviceInfo) => {
+  if (!deviceInfo) return '';
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: sortKeys(value[key]) }), {});
+    }
+    return value;
+  };
+  return JSON.stringify(sortKeys(deviceInfo));
+};
 
 /**
  * Cria uma entrada de log de auditoria segura (Hash Chain).
@@ -19,12 +36,13 @@ const { formatAuditLogDescription, getLogCategory } = require('../../utils/audit
  * @param {string} logData.ip - Endereço IP.
  * @param {string} logData.userAgent - Navegador/Dispositivo.
  * @param {object} logData.payload - Dados extras (JSON).
+ * @param {object} [logData.deviceInfo] - Evidência do dispositivo (UA, tela, fuso, localização), gravada em deviceInfoJson.
  * @param {import('sequelize').Transaction} [transaction] - Transação opcional do Sequelize.
  */
 const createEntry = async (logData, transaction = null) => {
   const { 
     tenantId, actorKind, actorId, entityType, entityId, 
-    action, ip, userAgent, payload = {} 
+    action, ip, userAgent, payload = {}, deviceInfo = null
   } = logData;
   
   // 1. Lógica Blockchain (Hash Chain): Busca o último log desta entidade para criar o elo
@@ -51,8 +69,8 @@ const createEntry = async (logData, transaction = null) => {
   const timestamp = new Date();
   const timestampISO = timestamp.toISOString(); 
 
-  // Concatena payload + timestamp para o hash
-  const payloadString = JSON.stringify(payloadToHash) + timestampISO;
+  // Concatena payload + evidência do dispositivo (se houver) + timestamp para o hash
+  const payloadString = JSON.stringify(payloadToHash) + serializeDeviceInfo(deviceInfo) + timestampISO;
 
   // 3. Gera o hash do evento atual
   const eventHash = crypto.createHash('sha256')
@@ -69,6 +87,7 @@ const createEntry = async (logData, transaction = null) => {
     action,
     ip,
     userAgent,
+    deviceInfoJson: deviceInfo,
     payloadJson: payload,
     prevEventHash,
     eventHash,
@@ -113,6 +132,9 @@ const listLogs = async (tenantId, { limit = 20, page = 1, action, search }) => {
     
     // Adiciona categoria visual (security, document, etc)
     logJson.category = getLogCategory(logJson.action);
+
+    // Resumo do dispositivo/localização (eventos do signatário)
+    logJson.deviceSummary = formatDeviceSummary(logJson.deviceInfoJson);
     
     // Resolve o nome de quem fez a ação (Actor)
     let actorName = 'Sistema / Desconhecido';
@@ -155,5 +177,6 @@ const listLogs = async (tenantId, { limit = 20, page = 1, action, search }) => {
 
 module.exports = {
   createEntry,
+  serializeDeviceInfo,
   listLogs
 };
\ No newline at end of file
@@ -65,7 +65,7 @@ const switchTenant = async (req, res, next) => {
 const forgotPassword = async (req, res, next) => {
   try {
     const { email, channel } = req.body; // Pega o channel (EMAIL ou WHATSAPP)
-    await authService.requestPasswordReset(email, channel);
+    await authService.requestPasswordReset(email, channel, { ip: req.ip, userAgent: req.headers['user-agent'] });
     res.status(200).json({ message: 'Código enviado com sucesso (se os dados conferirem).' });
   } catch (error) {
     next(error);
@@ -75,7 +75,7 @@ const forgotPassword = async (req, res, next) => {
 const resetPassword = async (req, res, next) => {
   try {
     const { email, otp, newPassword } = req.body;
-    await authService.resetPassword(email, otp, newPassword);
+    await authService.resetPassword(email, otp, newPassword, { ip: req.ip, userAgent: req.headers['user-agent'] });
     res.status(200).json({ message: 'Senha redefinida com sucesso.' });
   } catch (error) {
     next(error);
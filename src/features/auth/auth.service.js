@@ -4,9 +4,11 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto'); // Importação trazida para o topo
+const { Op } = require('sequelize');
 const { User, Tenant, Session, TenantMember, Plan, OtpCode, sequelize } = require('../../models');
 const auditService = require('../audit/audit.service');
 const notificationService = require('../../services/notification.service');
+const otpGuard = require('../../services/otpGuard.service');
 
 // --- FUNÇÕES AUXILIARES INTERNAS ---
 
@@ -290,19 +292,51 @@ const handleLogout = async (refreshToken, user) => {
     }
 };
 
-const requestPasswordReset = async (email, channel = 'EMAIL') => {
+/**
+ * Garante que a recuperação de senha do usuário não está bloqueada (423).
+ */
+const assertPasswordResetUnlocked = (user) => {
+  if (user.passwordResetLockedUntil && new Date(user.passwordResetLockedUntil) > new Date()) {
+    const error = new Error('Recuperação de senha bloqueada temporariamente por excesso de tentativas. Tente novamente mais tarde.');
+    error.statusCode = 423;
+    error.retryAfter = Math.ceil((new Date(user.passwordResetLockedUntil).getTime() - Date.now()) / 1000);
+    throw error;
+  }
+};
+
+const requestPasswordReset = async (email, channel = 'EMAIL', { ip, userAgent } = {}) => {
   const user = await User.findOne({ where: { email } });
   
   if (!user) {
     return; // Silently fail to avoid enumeration
   }
 
-  if (channel === 'WHATSAPP') {
+  const isPhoneChannel = channel === 'WHATSAPP' || channel === 'SMS';
+  if (isPhoneChannel) {
     if (!user.phoneWhatsE164) {
-      throw new Error('Este usuário não possui um número de WhatsApp cadastrado. Tente por e-mail.');
+      throw new Error('Este usuário não possui um número de celular cadastrado. Tente por e-mail.');
     }
   }
 
+  assertPasswordResetUnlocked(user);
+
+  const recipient = isPhoneChannel ? user.phoneWhatsE164 : email;
+  const possibleRecipients = [email, user.phoneWhatsE164].filter(Boolean);
+  const throttle = await otpGuard.getSendThrottle(possibleRecipients, 'PASSWORD_RESET');
+  if (throttle) {
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'SYSTEM',
+      entityType: 'USER',
+      entityId: user.id,
+      action: 'OTP_THROTTLED',
+      ip: ip || '0.0.0.0',
+      userAgent: userAgent || 'System',
+      payload: { context: 'PASSWORD_RESET', reason: throttle.reason, retryAfter: throttle.retryAfter }
+    });
+    throw otpGuard.buildThrottleError(throttle);
+  }
+
   // --- CORREÇÃO APLICADA AQUI: Substituição do randomInt por randomBytes ---
   const otp = generateSixDigitOtp();
   // --------------------------------------------------------------------------
@@ -311,7 +345,7 @@ const requestPasswordReset = async (email, channel = 'EMAIL') => {
   const expiresAt = new Date(Date.now() + 15 * 60 * 1000); 
 
   await OtpCode.create({
-    recipient: channel === 'WHATSAPP' ? user.phoneWhatsE164 : email, 
+    recipient, 
     channel: channel,
     codeHash,
     expiresAt,
@@ -321,38 +355,114 @@ const requestPasswordReset = async (email, channel = 'EMAIL') => {
   await notificationService.sendForgotPasswordNotification(user, otp, channel);
 };
 
-const resetPassword = async (email, otp, newPassword) => {
+/**
+ * Reserva uma tentativa de recuperação antes da comparação (recuperação não bloqueada e abaixo do limite),
+ * num único UPDATE condicional: requisições simultâneas não passam de OTP_LOCKOUT_THRESHOLD.
+ * @returns {Promise<number|null>} Falhas contadas com esta tentativa, ou null se não há tentativa disponível.
+ */
+const reservePasswordResetAttempt = (user) => otpGuard.reserveAttempt(
+  User, 'passwordResetFailedAttempts', otpGuard.OTP_LOCKOUT_THRESHOLD, {
+    id: user.id,
+    [Op.or]: [{ passwordResetLockedUntil: null }, { passwordResetLockedUntil: { [Op.lte]: new Date() } }]
+  }
+);
+
+/**
+ * Bloqueia temporariamente a recuperação quando a tentativa reservada falhou e atingiu o limite.
+ * @returns {Promise<boolean>} true se a recuperação acabou de ser bloqueada.
+ */
+const lockExhaustedPasswordReset = async (user, failedAttempts, { ip, userAgent }) => {
+  if (failedAttempts < otpGuard.OTP_LOCKOUT_THRESHOLD) return false;
+
+  const lockedUntil = new Date(Date.now() + otpGuard.PASSWORD_RESET_LOCK_MINUTES * 60 * 1000);
+  const [locked] = await User.update({ passwordResetFailedAttempts: 0, passwordResetLockedUntil: lockedUntil }, {
+    where: { id: user.id, passwordResetFailedAttempts: { [Op.gte]: otpGuard.OTP_LOCKOUT_THRESHOLD } }
+  });
+  user.passwordResetLockedUntil = lockedUntil;
+  if (locked === 0) return true;
+
+  await auditService.createEntry({
+    tenantId: user.tenantId,
+    actorKind: 'SYSTEM',
+    entityType: 'USER',
+    entityId: user.id,
+    action: 'ACCOUNT_LOCKED',
+    ip: ip || '0.0.0.0',
+    userAgent: userAgent || 'System',
+    payload: { scope: 'PASSWORD_RESET', failedAttempts, lockedMinutes: otpGuard.PASSWORD_RESET_LOCK_MINUTES }
+  });
+  return true;
+};
+
+const resetPassword = async (email, otp, newPassword, { ip, userAgent } = {}) => {
   const user = await User.findOne({ where: { email } });
   if (!user) throw new Error('Usuário não encontrado.');
 
-  const transaction = await sequelize.transaction();
-  try {
-    const possibleRecipients = [email];
-    if (user.phoneWhatsE164) possibleRecipients.push(user.phoneWhatsE164);
+  assertPasswordResetUnlocked(user);
 
-    const otpRecord = await OtpCode.findOne({
-      where: { 
-        recipient: { [require('sequelize').Op.in]: possibleRecipients }, 
-        context: 'PASSWORD_RESET' 
-      },
-      order: [['createdAt', 'DESC']],
-      transaction
-    });
+  const possibleRecipients = [email];
+  if (user.phoneWhatsE164) possibleRecipients.push(user.phoneWhatsE164);
 
-    if (!otpRecord || new Date() > new Date(otpRecord.expiresAt)) {
-      throw new Error('Código inválido ou expirado.');
-    }
+  // A validação fica fora da transação: as tentativas erradas não podem ser desfeitas pelo rollback
+  const otpRecord = await otpGuard.findLatestCode(possibleRecipients, 'PASSWORD_RESET');
+  const rejection = otpGuard.getCodeRejection(otpRecord);
+  if (rejection === 'TOO_MANY_ATTEMPTS') {
+    const error = new Error('Limite de tentativas para este código atingido. Solicite um novo código.');
+    error.statusCode = 429;
+    throw error;
+  }
+  if (rejection) {
+    throw new Error('Código inválido ou expirado.');
+  }
+
+  // Reserva a tentativa (no código e na conta) antes de comparar: requisições simultâneas não passam dos limites
+  const attempt = await otpGuard.reserveCodeAttempt(otpRecord);
+  if (!attempt) {
+    const error = new Error('Limite de tentativas para este código atingido. Solicite um novo código.');
+    error.statusCode = 429;
+    throw error;
+  }
+  const failedAttempts = await reservePasswordResetAttempt(user);
+  if (failedAttempts === null) {
+    await user.reload();
+    assertPasswordResetUnlocked(user);
+    const error = new Error('Muitas tentativas de recuperação em andamento. Tente novamente em instantes.');
+    error.statusCode = 429;
+    throw error;
+  }
+
+  const isMatch = await bcrypt.compare(String(otp), otpRecord.codeHash);
+  if (!isMatch) {
+    const { remaining } = attempt;
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'SYSTEM',
+      entityType: 'USER',
+      entityId: user.id,
+      action: 'OTP_FAILED',
+      ip: ip || '0.0.0.0',
+      userAgent: userAgent || 'System',
+      payload: { context: 'PASSWORD_RESET', reason: 'Incorrect Code', attempts: attempt.attempts, remaining }
+    });
 
-    const isMatch = await bcrypt.compare(otp, otpRecord.codeHash);
-    if (!isMatch) {
-      throw new Error('Código incorreto.');
+    if (await lockExhaustedPasswordReset(user, failedAttempts, { ip, userAgent })) {
+      assertPasswordResetUnlocked(user);
     }
+    throw new Error(remaining > 0 ? `Código incorreto. Restam ${remaining} tentativa(s).` : 'Código incorreto. Solicite um novo código.');
+  }
 
+  const transaction = await sequelize.transaction();
+  try {
     const newPasswordHash = await bcrypt.hash(newPassword, 10);
     
-    await user.update({ passwordHash: newPasswordHash }, { transaction });
+    await user.update({
+      passwordHash: newPasswordHash,
+      passwordResetFailedAttempts: 0,
+      passwordResetLockedUntil: null
+    }, { transaction });
     
-    await otpRecord.destroy({ transaction });
+    // Queima o código (o registro fica para o limite diário de envios)
+    await otpRecord.update({ consumedAt: new Date() }, { transaction });
 
     await transaction.commit();
     return { message: 'Senha alterada com sucesso.' };
@@ -0,0 +1,115 @@
+// src/features/document/certificate.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { Signer, AuditLog, Certificate } = require('../../models');
+const pdfService = require('../../services/pdf.service');
+const auditService = require('../audit/audit.service');
+const signerEvidenceService = require('../signer/signerEvidence.service');
+const { formatAuditLogDescription, formatDeviceSummary } = require('../../utils/auditFormatter');
+
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+
+/**
+ * Hash do arquivo original, registrado no evento STORAGE_UPLOADED do upload.
+ */
+const findOriginalSha256 = async (documentId, transaction = null) => {
+  const uploadLog = await AuditLog.findOne({
+    where: { entityType: 'DOCUMENT', entityId: documentId, action: 'STORAGE_UPLOADED' },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+  return uploadLog?.payloadJson?.sha256 || null;
+};
+
+/**
+ * Gera (ou regera) o PDF do Certificado de Conclusão, salva em uploads/{tenantId}/certificates/{docId}.pdf
+ * e grava o hash real do arquivo no registro Certificate.
+ *
+ * @param {Document} document - Documento já com o hash final em `sha256`.
+ * @param {object} options
+ * @param {Array<AuditLog>} options.auditTrail - Trilha completa (documentService.findAuditTrail).
+ * @param {Buffer} [options.appendTo] - PDF assinado; se informado, as páginas do certificado são anexadas a ele.
+ * @param {Transaction} [options.transaction]
+ * @returns {Promise<{ certificate: Certificate, buffer: Buffer, documentBuffer: Buffer|null }>}
+ *   `documentBuffer` é o PDF assinado com o certificado anexado (apenas com `appendTo`).
+ */
+const issueCertificate = async (document, { auditTrail, appendTo = null, transaction = null }) => {
+  const [originalSha256, signers, existing] = await Promise.all([
+    findOriginalSha256(document.id, transaction),
+    Signer.findAll({
+      where: { documentId: document.id },
+      order: [['order', 'ASC'], ['createdAt', 'ASC']],
+      transaction
+    }),
+    Certificate.findOne({ where: { documentId: document.id }, transaction })
+  ]);
+
+  const certificateId = existing ? existing.id : uuidv4();
+  const issuedAt = new Date();
+
+  // Selfie/documento aceitos na sessão em que cada signatário concluiu
+  const evidences = await signerEvidenceService.findCommittedEvidences(signers.map(s => s.id), transaction);
+
+  const buffer = await pdfService.generateCertificatePdf({
+    certificateId,
+    document,
+    originalSha256,
+    signedSha256: document.sha256,
+    signers: signers.map(signer => ({ ...signer.get({ plain: true }), evidences: evidences.get(signer.id) || [] })),
+    auditTrail: auditTrail.map(log => ({
+      createdAt: log.createdAt,
+      description: formatAuditLogDescription(log),
+      actorKind: log.actorKind,
+      ip: log.ip,
+      device: formatDeviceSummary(log.deviceInfoJson),
+      eventHash: log.eventHash
+    })),
+    issuedAt
+  });
+
+  const dir = path.join(ROOT_DIR, 'uploads', document.tenantId, 'certificates');
+  await fs.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `${document.id}.pdf`);
+  await fs.writeFile(filePath, buffer);
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const storageKey = path.relative(ROOT_DIR, filePath);
+
+  let documentBuffer = null;
+  let documentSha256 = null;
+  if (appendTo) {
+    documentBuffer = await pdfService.appendCertificatePages(appendTo, buffer);
+    documentSha256 = crypto.createHash('sha256').update(documentBuffer).digest('hex');
+  }
+
+  let certificate;
+  if (existing) {
+    certificate = await existing.update({ storageKey, sha256, issuedAt }, { transaction });
+  } else {
+    certificate = await Certificate.create({ id: certificateId, documentId: document.id, storageKey, sha256, issuedAt }, { transaction });
+  }
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind: 'SYSTEM',
+    entityType: 'DOCUMENT',
+    entityId: document.id,
+    action: 'CERTIFICATE_ISSUED',
+    payload: {
+      certificateId,
+      sha256,
+      signedSha256: document.sha256,
+      appendedToDocument: Boolean(appendTo),
+      documentSha256, // Hash do PDF assinado + certificado (quando anexado)
+      reissued: Boolean(existing)
+    }
+  }, transaction);
+
+  return { certificate, buffer, documentBuffer };
+};
+
+module.exports = { issueCertificate };
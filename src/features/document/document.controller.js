@@ -1,6 +1,10 @@
 // src/features/document/document.controller.js
 
 const documentService = require('./document.service');
+const reminderService = require('./reminder.service');
+const expirationService = require('./expiration.service');
+const signerLinkService = require('./signerLink.service');
+const signerReplacementService = require('./signerReplacement.service');
 
 const createDocument = async (req, res, next) => {
   try {
@@ -8,13 +12,16 @@ const createDocument = async (req, res, next) => {
       return res.status(400).json({ message: 'Nenhum arquivo enviado.' });
     }
     // folderId vem como string no FormData
-    const { title, deadlineAt, folderId } = req.body; 
+    const { title, deadlineAt, folderId, authLevel, requireInitials, padesMode } = req.body; 
     
     const document = await documentService.createDocumentAndHandleUpload({
       file: req.file,
       title,
       deadlineAt,
       folderId: folderId === 'root' ? null : folderId, // Trata 'root' como null
+      authLevel,
+      requireInitials,
+      padesMode,
       user: req.user
     });
     return res.status(201).json(document);
@@ -48,26 +55,40 @@ const downloadDocumentFile = async (req, res, next) => {
     try {
         const { id } = req.params;
         
-        // --- MUDANÇA AQUI ---
-        // Agora chamamos a função que retorna o objeto { url: '...' }
-        const downloadData = await documentService.getDocumentDownloadUrl(id, req.user);
+        // URL assinada e temporária { url, expiresAt }; ?kind=CERTIFICATE para o certificado de conclusão
+        const kind = req.query.kind === 'CERTIFICATE' ? 'CERTIFICATE' : 'DOCUMENT';
+        const downloadData = await documentService.getDocumentDownloadUrl(id, req.user, kind);
         
         // Retornamos o JSON para o frontend. O frontend que fará o fetch da URL.
         return res.status(200).json(downloadData);
-        // -------------------
 
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * Download do PDF do Certificado de Conclusão.
+ * O hash do arquivo vai no cabeçalho X-Certificate-SHA256 para conferência.
+ */
+const downloadCertificate = async (req, res, next) => {
+    try {
+        const { filePath, fileName, sha256 } = await documentService.getCertificateFilePath(req.params.id, req.user);
+        await documentService.logDownload(req.params.id, req.user, { kind: 'CERTIFICATE', sha256, via: 'API' }, req);
+        res.setHeader('X-Certificate-SHA256', sha256);
+        return res.download(filePath, fileName);
+    } catch (error) {
+        next(error);
+    }
+};
+
 const inviteSigners = async (req, res, next) => {
   try {
     const { id } = req.params;
     
     // --- MUDANÇA AQUI ---
     // Extrai tanto a lista de 'signers' quanto a 'message' opcional do corpo da requisição
-    const { signers, message } = req.body;
+    const { signers, message, routingMode } = req.body;
     // -------------------
 
     // Validação de entrada
@@ -77,7 +98,8 @@ const inviteSigners = async (req, res, next) => {
 
     // --- MUDANÇA AQUI ---
     // Passa a 'message' como um novo argumento para a função do serviço
-    await documentService.addSignersToDocument(id, signers, message, req.user);
+    // routingMode: 'PARALLEL' (padrão) ou 'SEQUENTIAL' (respeita o campo `order` de cada signatário)
+    await documentService.addSignersToDocument(id, signers, message, req.user, { routingMode });
     // -------------------
     
     return res.status(200).json({ message: 'Convites enviados com sucesso.' });
@@ -109,13 +131,113 @@ const cancelDocument = async (req, res, next) => {
 const expireDocument = async (req, res, next) => {
   try {
     const { id } = req.params;
-    await documentService.changeDocumentStatus(id, 'EXPIRED', req.user);
+    await expirationService.expireDocumentById(id, req.user);
     return res.status(200).json({ message: 'Documento expirado com sucesso.' });
   } catch (error) {
     next(error);
   }
 };
 
+const remindSigners = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { signerIds } = req.body; // Opcional: restringe o lembrete a estes signatários
+    const reminders = await reminderService.remindNow(id, signerIds, req.user);
+    return res.status(200).json({ message: 'Lembrete enviado com sucesso.', reminders });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reenvia o convite de um signatário. Body opcional: { channels: ['WHATSAPP'] }.
+ */
+const resendSignerInvite = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const result = await signerLinkService.resendInvite(id, signerId, { channels: req.body?.channels }, req.user);
+    return res.status(200).json({ message: 'Convite reenviado com sucesso.', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenera o link do signatário (o anterior deixa de funcionar) e envia o novo.
+ */
+const rotateSignerLink = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const result = await signerLinkService.rotateLink(id, signerId, { channels: req.body?.channels }, req.user);
+    return res.status(200).json({ message: 'Link regenerado e enviado com sucesso.', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const revokeSignerLink = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const result = await signerLinkService.revokeLinks(id, signerId, req.user);
+    return res.status(200).json({ message: 'Link de assinatura revogado.', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Abre uma sessão de assinatura presencial (coleta no tablet do remetente).
+ * Body opcional: { otpChannel: 'SMS' | 'WHATSAPP' } para exigir o código no celular do signatário.
+ */
+const openInPersonSession = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const result = await signerLinkService.openInPersonSession(id, signerId, {
+      otpChannel: req.body?.otpChannel,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    }, req.user);
+    return res.status(201).json({ message: 'Sessão presencial aberta.', ...result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Corrige ou substitui um signatário que ainda não assinou. Um signatário que recusou pode ser substituído
+ * ou reaberto (body vazio), retomando o documento pausado pela recusa.
+ * Body: { name, email, phone, cpf, birthDate, authChannels, requireIdentityEvidence, requireQualifiedSignature, qualification, allowDelegation }
+ */
+const updateSigner = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const signer = await signerReplacementService.updateSigner(id, signerId, req.body || {}, req.user);
+    return res.status(200).json(signer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSignerLinks = async (req, res, next) => {
+  try {
+    const { id, signerId } = req.params;
+    const links = await signerLinkService.listLinks(id, signerId, req.user);
+    return res.status(200).json(links);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getReminders = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reminders = await reminderService.listReminders(id, req.user);
+    return res.status(200).json(reminders);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const applyPades = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -149,7 +271,8 @@ const getStats = async (req, res, next) => {
   }
 };
 /**
- * Recebe um arquivo PDF (buffer), calcula o hash e verifica se existe no banco.
+ * Recebe um arquivo PDF (buffer), valida as assinaturas embutidas (ByteRange, CMS, cadeia até as ACs
+ * confiáveis, alterações posteriores) e verifica pelo hash se é um documento nosso.
  */
 const validateFile = async (req, res, next) => {
   try {
@@ -199,10 +322,19 @@ module.exports = {
   getDocumentById,
   updateDocument,
   downloadDocumentFile,
+  downloadCertificate,
   inviteSigners,
   getDocumentAuditTrail,
   cancelDocument,
   expireDocument,
+  remindSigners,
+  getReminders,
+  resendSignerInvite,
+  rotateSignerLink,
+  revokeSignerLink,
+  openInPersonSession,
+  getSignerLinks,
+  updateSigner,
   applyPades,
   getAllDocuments,
   getStats,
@@ -56,9 +56,30 @@ router.get('/:id/audit', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentCont
 // Download do arquivo
 router.get('/:id/download', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.downloadDocumentFile);
 
+// Certificado de Conclusão (PDF)
+router.get('/:id/certificate', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.downloadCertificate);
+
 // Convidar signatários
 router.post('/:id/invite', roleGuard(['ADMIN', 'MANAGER']), documentController.inviteSigners);
 
+// Histórico de lembretes enviados
+router.get('/:id/reminders', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getReminders);
+
+// Enviar lembrete agora (todos os pendentes ou `signerIds`)
+router.post('/:id/remind', roleGuard(['ADMIN', 'MANAGER']), documentController.remindSigners);
+
+// Corrigir/substituir signatário que ainda não assinou (revoga o link e reenvia o convite)
+router.patch('/:id/signers/:signerId', roleGuard(['ADMIN', 'MANAGER']), documentController.updateSigner);
+
+// Links de assinatura por signatário: histórico de uso, reenvio, regeneração e revogação
+router.get('/:id/signers/:signerId/links', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), documentController.getSignerLinks);
+router.post('/:id/signers/:signerId/resend', roleGuard(['ADMIN', 'MANAGER']), documentController.resendSignerInvite);
+router.post('/:id/signers/:signerId/rotate-link', roleGuard(['ADMIN', 'MANAGER']), documentController.rotateSignerLink);
+router.post('/:id/signers/:signerId/revoke-link', roleGuard(['ADMIN', 'MANAGER']), documentController.revokeSignerLink);
+
+// Sessão presencial: o remetente coleta a assinatura no próprio tablet (CPF + OTP opcional no celular do signatário)
+router.post('/:id/signers/:signerId/in-person', roleGuard(['ADMIN', 'MANAGER']), documentController.openInPersonSession);
+
 // Cancelar documento
 router.post('/:id/cancel', roleGuard(['ADMIN', 'MANAGER']), documentController.cancelDocument);
 
@@ -6,13 +6,45 @@ const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { Op } = require('sequelize');  
-const { Document, Signer, ShareToken, AuditLog, Certificate, Tenant, Plan, User, Folder, TenantSettings, sequelize } = require('../../models'); 
+const { Document, Signer, ShareToken, SignatureField, AuditLog, Certificate, Tenant, Plan, User, Folder, TenantSettings, sequelize } = require('../../models'); 
 
 // Serviços externos
 const notificationService = require('../../services/notification.service');
 const auditService = require('../audit/audit.service');
+const downloadService = require('../download/download.service');
 const pdfService = require('../../services/pdf.service');
 const padesService = require('../../services/pades.service');
+const pdfSignatureValidationService = require('../../services/pdfSignatureValidation.service');
+const signatureFieldService = require('./signatureField.service');
+const certificateService = require('./certificate.service');
+const sealCertificateService = require('../settings/sealCertificate.service');
+const { SIGNER_ROLES, blocksCompletion } = require('../../utils/signerRoles');
+const { AUTH_LEVELS } = require('../signer/signingSession.service');
+const { normalizeCpf, isValidCpf, normalizeBirthDate } = require('../../utils/identity');
+
+/**
+ * Valida o nível de autenticação exigido dos signatários (lança 400).
+ */
+const assertValidAuthLevel = (authLevel) => {
+  if (authLevel !== undefined && !AUTH_LEVELS.includes(authLevel)) {
+    const error = new Error(`Nível de autenticação inválido. Use ${AUTH_LEVELS.join(', ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const PADES_MODES = ['FINAL_SEAL', 'PER_SIGNER'];
+
+/**
+ * Valida o modo da assinatura digital PAdES (lança 400).
+ */
+const assertValidPadesMode = (padesMode) => {
+  if (padesMode !== undefined && !PADES_MODES.includes(padesMode)) {
+    const error = new Error(`Modo PAdES inválido. Use ${PADES_MODES.join(', ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
 
 /**
  * Salva a imagem da assinatura (em Base64) como um arquivo PNG no disco.
@@ -35,14 +67,13 @@ const saveSignatureImage = async (base64Image, tenantId, signerId) => {
 };
 
 /**
- * Cria um registro de documento, lida com o upload do arquivo, calcula seu hash
- * e cria o primeiro evento de auditoria.
- * Inclui validações de Limite de Plano e Status de Pagamento.
+ * Valida se o tenant pode criar novos documentos (Status de Pagamento e Limite de Plano).
+ * @param {string} tenantId - ID do tenant.
+ * @param {number} [requested=1] - Quantidade de documentos que serão criados.
  */
-const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId, user }) => {
-  
+const assertCanCreateDocuments = async (tenantId, requested = 1) => {
   // 1. Busca dados do Tenant e do Plano atual
-  const tenant = await Tenant.findByPk(user.tenantId, {
+  const tenant = await Tenant.findByPk(tenantId, {
       include: [{ model: Plan, as: 'plan' }]
   });
 
@@ -59,15 +90,29 @@ const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId
 
   // 3. Verifica quantidade atual vs Limite do Plano
   if (tenant.plan) {
-      const currentCount = await Document.count({ where: { tenantId: user.tenantId } });
+      const currentCount = await Document.count({ where: { tenantId } });
       
-      if (currentCount >= tenant.plan.documentLimit) {
-          const error = new Error(`Limite de documentos atingido (${currentCount}/${tenant.plan.documentLimit}). Faça upgrade do plano.`);
+      if (currentCount + requested > tenant.plan.documentLimit) {
+          const message = requested > 1
+              ? `Limite de documentos excedido: ${requested} novos documentos ultrapassam o plano (${currentCount}/${tenant.plan.documentLimit}). Faça upgrade do plano.`
+              : `Limite de documentos atingido (${currentCount}/${tenant.plan.documentLimit}). Faça upgrade do plano.`;
+          const error = new Error(message);
           error.statusCode = 403; // Forbidden
           throw error;
       }
   }
   // --- FIM DA TRAVA DE LIMITE ---
+};
+
+/**
+ * Cria um registro de documento, lida com o upload do arquivo, calcula seu hash
+ * e cria o primeiro evento de auditoria.
+ * Inclui validações de Limite de Plano e Status de Pagamento.
+ */
+const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId, authLevel, requireInitials, padesMode, user }) => {
+  assertValidAuthLevel(authLevel);
+  assertValidPadesMode(padesMode);
+  await assertCanCreateDocuments(user.tenantId);
 
   const transaction = await sequelize.transaction();
   try {
@@ -78,6 +123,9 @@ const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId
       folderId: folderId || null, // Vincula à pasta ou Raiz
       title: title || file.originalname,
       deadlineAt,
+      authLevel: authLevel || 'OTP',
+      requireInitials: requireInitials === true || requireInitials === 'true', // Vem como string no FormData
+      padesMode: padesMode || 'FINAL_SEAL',
       mimeType: file.mimetype,
       size: file.size,
       status: 'DRAFT',
@@ -136,7 +184,15 @@ const createDocumentAndHandleUpload = async ({ file, title, deadlineAt, folderId
 };
 
 /**
- * Valida um Buffer de PDF contra os registros do banco de dados (Prova de Autenticidade).
+ * Valida um PDF enviado (Prova de Autenticidade): confere criptograficamente cada assinatura do arquivo
+ * (pdfSignatureValidation.service) e procura o documento no banco pelo hash do arquivo inteiro ou de uma
+ * das revisões assinadas (ex: arquivo nosso que recebeu outra assinatura depois).
+ *
+ * - `valid`: documento nosso, SIGNED, idêntico ao arquivo registrado e, se tem assinaturas digitais (PAdES), com todas válidas;
+ *   ou documento de fora com todas as assinaturas válidas.
+ * - `reason` (quando inválido): NOT_FOUND (nem nosso nem assinado), NOT_SIGNED, INVALID_SIGNATURE, INDETERMINATE ou
+ *   MODIFIED_AFTER_SIGNING (arquivo nosso com revisões acrescentadas depois da versão registrada).
+ * - `signatureValidation`: relatório por assinatura (status, signatário, cadeia, carimbo do tempo, alterações posteriores).
  */
 const validatePdfIntegrity = async (fileBuffer) => {
   // 1. Calcula o SHA-256 do arquivo recebido
@@ -144,9 +200,13 @@ const validatePdfIntegrity = async (fileBuffer) => {
 
   console.log(`[Validator] Verificando Hash: ${hash}`);
 
-  // 2. Busca no banco pelo Hash
-  const doc = await Document.findOne({
-    where: { sha256: hash },
+  // 2. Validação criptográfica das assinaturas embutidas no PDF
+  const signatureValidation = await pdfSignatureValidationService.validatePdfSignatures(fileBuffer);
+  const revisionHashes = signatureValidation.revisions.map(revision => revision.sha256);
+
+  // 3. Busca no banco pelo Hash (arquivo inteiro ou revisão assinada)
+  const candidates = await Document.findAll({
+    where: { sha256: { [Op.in]: [hash, ...revisionHashes] } },
     include: [
       { 
         model: User, 
@@ -160,27 +220,50 @@ const validatePdfIntegrity = async (fileBuffer) => {
       }
     ]
   });
-
-  // 3. Regra Estrita: Só é válido se existir E estiver ASSINADO (SIGNED)
-  if (!doc || doc.status !== 'SIGNED') {
-    return { 
-        valid: false, 
-        hashCalculated: hash, 
-        reason: !doc ? 'NOT_FOUND' : 'NOT_SIGNED'
-    };
-  }
-
-  // 4. Sucesso: Documento Assinado e Íntegro
-  return {
-    valid: true,
+  const doc = candidates.find(item => item.sha256 === hash)
+    || revisionHashes.slice().reverse().map(sha256 => candidates.find(item => item.sha256 === sha256)).find(Boolean)
+    || null;
+
+  const matchedRevision = doc && doc.sha256 !== hash
+    ? signatureValidation.revisions.find(revision => revision.sha256 === doc.sha256)
+    : null;
+  const report = {
     hashCalculated: hash,
-    document: {
-      title: doc.title,
-      signedAt: doc.updatedAt,
-      ownerName: doc.owner.name,
-      signers: doc.Signers
+    match: doc ? (matchedRevision ? 'REVISION' : 'EXACT') : null,
+    signatureValidation: {
+      status: signatureValidation.status,
+      signatures: signatureValidation.signatures,
+      error: signatureValidation.error
     }
   };
+  const document = doc ? {
+    title: doc.title,
+    signedAt: doc.updatedAt,
+    ownerName: doc.owner.name,
+    signers: doc.Signers,
+    // Arquivo nosso com conteúdo acrescentado depois (bytes após a revisão registrada)
+    modifiedAfterRevision: matchedRevision ? matchedRevision.revisionEnd : undefined
+  } : undefined;
+
+  // 4. Regra Estrita: documento nosso só é válido se estiver ASSINADO (SIGNED) e sem assinatura inválida
+  if (signatureValidation.status === 'INVALID') {
+    return { valid: false, ...report, reason: 'INVALID_SIGNATURE', document };
+  }
+  if (doc) {
+    if (doc.status !== 'SIGNED') return { valid: false, ...report, reason: 'NOT_SIGNED' };
+    // A versão registrada é sempre a última que geramos: revisões depois dela foram acrescentadas por outra pessoa
+    if (matchedRevision) return { valid: false, ...report, reason: 'MODIFIED_AFTER_SIGNING', document };
+    // PAdES: o hash confere, mas as assinaturas também precisam ser verificáveis
+    if (signatureValidation.status !== 'UNSIGNED' && signatureValidation.status !== 'VALID') {
+      return { valid: false, ...report, reason: 'INDETERMINATE', document };
+    }
+    return { valid: true, ...report, document };
+  }
+
+  // 5. Documento de fora: vale o resultado da validação criptográfica
+  if (signatureValidation.status === 'UNSIGNED') return { valid: false, ...report, reason: 'NOT_FOUND' };
+  if (signatureValidation.status !== 'VALID') return { valid: false, ...report, reason: 'INDETERMINATE' };
+  return { valid: true, ...report };
 };
 
 /**
@@ -221,7 +304,7 @@ const verifyAuditLogChain = async (docId) => {
     // Recalcula o Hash do Evento Atual
     const { 
       actorKind, actorId, entityType, entityId, 
-      action, ip, userAgent, payloadJson, prevEventHash, createdAt 
+      action, ip, userAgent, payloadJson, deviceInfoJson, prevEventHash, createdAt 
     } = currentLog;
 
     const payloadToHash = {
@@ -229,7 +312,7 @@ const verifyAuditLogChain = async (docId) => {
     };
     
     const timestamp = new Date(createdAt).toISOString();
-    const payloadString = JSON.stringify(payloadToHash) + timestamp;
+    const payloadString = JSON.stringify(payloadToHash) + auditService.serializeDeviceInfo(deviceInfoJson) + timestamp;
 
     const calculatedHash = crypto.createHash('sha256')
       .update(prevEventHash + payloadString)
@@ -261,7 +344,16 @@ const findDocumentById = async (docId, user) => {
  */
 const updateDocumentDetails = async (docId, updates, user) => {
     const document = await findDocumentById(docId, user);
-    const allowedUpdates = ['title', 'deadlineAt', 'autoReminders'];
+    assertValidAuthLevel(updates.authLevel);
+    assertValidPadesMode(updates.padesMode);
+    // Com assinaturas já aplicadas ao arquivo, o modo PAdES não pode mais mudar
+    if (updates.padesMode !== undefined && updates.padesMode !== document.padesMode
+        && document.Signers.some(s => s.status === 'SIGNED')) {
+        const error = new Error('O modo PAdES não pode ser alterado depois que alguém assinou.');
+        error.statusCode = 409;
+        throw error;
+    }
+    const allowedUpdates = ['title', 'deadlineAt', 'autoReminders', 'reminderIntervalDays', 'reminderFinalHours', 'declineAction', 'authLevel', 'requireInitials', 'padesMode'];
     const validUpdates = {};
     for (const key of allowedUpdates) {
         if (updates[key] !== undefined) {
@@ -290,9 +382,54 @@ const getDocumentFilePath = async (docId, user) => {
 };
 
 /**
- * Retorna a URL pública para download do documento.
+ * Retorna o caminho do PDF do Certificado de Conclusão (emitido quando todos assinam).
+ */
+const getCertificateFilePath = async (docId, user) => {
+    const document = await findDocumentById(docId, user);
+    const certificate = await Certificate.findOne({ where: { documentId: document.id } });
+
+    if (!certificate) {
+        const error = new Error('O certificado é emitido quando todos os signatários concluírem a assinatura.');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const absolutePath = path.join(__dirname, '..', '..', '..', certificate.storageKey);
+    if (!fsSync.existsSync(absolutePath)) {
+        throw new Error('Arquivo do certificado não encontrado no servidor.');
+    }
+
+    return {
+        filePath: absolutePath,
+        fileName: `certificado-${document.id}.pdf`,
+        sha256: certificate.sha256
+    };
+};
+
+/**
+ * Registra o download de um arquivo do documento por um usuário do tenant.
+ */
+const logDownload = async (docId, user, payload, req) => {
+    const document = await findDocumentById(docId, user);
+    await auditService.createEntry({
+        tenantId: document.tenantId,
+        actorKind: 'USER',
+        actorId: user.id,
+        entityType: 'DOCUMENT',
+        entityId: document.id,
+        action: 'DOWNLOADED',
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        payload
+    });
+};
+
+/**
+ * Retorna a URL assinada (temporária) para download do documento pelo usuário.
+ * @param {string} [kind='DOCUMENT'] - DOCUMENT | CERTIFICATE
+ * @returns {Promise<{ url: string, expiresAt: string }>}
  */
-const getDocumentDownloadUrl = async (docId, user) => {
+const getDocumentDownloadUrl = async (docId, user, kind = 'DOCUMENT') => {
     const document = await Document.findOne({
         where: { id: docId, tenantId: user.tenantId }
     });
@@ -300,64 +437,275 @@ const getDocumentDownloadUrl = async (docId, user) => {
         throw new Error('Documento não encontrado ou acesso negado.');
     }
     
-    // Supondo que a pasta 'uploads' é servida estaticamente em /uploads
-    const fileUrl = `${process.env.API_BASE_URL}/${document.storageKey}`;
-    return { url: fileUrl };
+    return downloadService.createDownloadUrl({ documentId: document.id, kind, audience: { user } });
+};
+
+/**
+ * Retorna o grupo de signatários da vez: os pendentes com o menor `order`.
+ * Ordens iguais formam um único grupo, que assina em paralelo.
+ * Observadores não participam da fila.
+ * @param {Array<Signer>} signers - Signatários do documento.
+ * @returns {Array<Signer>}
+ */
+const getCurrentSigningGroup = (signers) => {
+  const pending = signers.filter(s => blocksCompletion(s) && (s.status === 'PENDING' || s.status === 'VIEWED'));
+  if (pending.length === 0) return [];
+
+  const currentOrder = Math.min(...pending.map(s => s.order || 0));
+  return pending.filter(s => (s.order || 0) === currentOrder);
+};
+
+/**
+ * Gera um novo link de assinatura (ShareToken) para o signatário.
+ * O token em texto puro só existe neste retorno; no banco fica apenas o hash.
+ * @param {object} [options] - Sessão presencial: { hostedByUserId, hostedOtpChannel, expiresAt }.
+ * @returns {Promise<string>} O token para montar o link.
+ */
+const issueShareToken = async (document, signer, transaction = null, { hostedByUserId = null, hostedOtpChannel = null, expiresAt } = {}) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+  await ShareToken.create({
+    documentId: document.id,
+    signerId: signer.id,
+    tokenHash,
+    expiresAt: expiresAt || document.deadlineAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    hostedByUserId,
+    hostedOtpChannel,
+  }, { transaction });
+
+  return token;
+};
+
+/**
+ * Envia uma notificação depois do commit da transação (sem transação, envia na hora).
+ * Assim uma falha no envio não desfaz o que foi gravado, e um rollback não deixa convites com links inexistentes;
+ * a falha fica no log e o remetente pode reenviar o convite.
+ * @param {import('sequelize').Transaction|null} transaction
+ * @param {string} label - Identificação do envio no log.
+ * @param {Function} send - async () => envio.
+ */
+const sendAfterCommit = async (transaction, label, send) => {
+  if (!transaction) return send();
+  transaction.afterCommit(() => send().catch(error =>
+    console.error(`[Notification] Falha ao enviar ${label}:`, error.message)));
+};
+
+/**
+ * Gera o link (ShareToken) de um signatário, audita e envia o convite.
+ * @param {Document} document - Documento a ser assinado.
+ * @param {Signer} signer - Signatário convidado.
+ * @param {object} options
+ * @param {string} [options.message] - Mensagem personalizada do convite.
+ * @param {string} options.actorKind - 'USER' ou 'SYSTEM'.
+ * @param {string} [options.actorId] - ID do usuário que disparou o convite.
+ * @param {import('sequelize').Transaction} [transaction]
+ */
+const inviteSigner = async (document, signer, { message, actorKind, actorId }, transaction = null) => {
+  signer.invitedAt = new Date();
+  await signer.save({ transaction });
+
+  // Coleta presencial: não há link a enviar; o remetente abre a sessão no tablet quando chegar a vez
+  if (signer.collectInPerson) {
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind,
+      actorId,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'INVITED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, recipient: signer.email, order: signer.order, inPerson: true }
+    }, transaction);
+    return;
+  }
+
+  const token = await issueShareToken(document, signer, transaction);
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind,
+    actorId,
+    entityType: 'SIGNER',
+    entityId: signer.id,
+    action: 'INVITED',
+    ip: 'SYSTEM', 
+    userAgent: 'SYSTEM',
+    payload: { documentId: document.id, recipient: signer.email, order: signer.order }
+  }, transaction);
+  
+  // Envio de notificação (Email/Whatsapp), só depois que o link existir de fato no banco
+  await sendAfterCommit(transaction, `convite para ${signer.email}`,
+    () => notificationService.sendSignInvite(signer, token, message, document.tenantId));
+};
+
+/**
+ * Avisa um observador (cópia) de que o documento foi enviado. Observadores não recebem link de assinatura.
+ */
+const notifyObserver = async (document, signer, { message, actorKind, actorId }, transaction = null) => {
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind,
+    actorId,
+    entityType: 'SIGNER',
+    entityId: signer.id,
+    action: 'EMAILED',
+    ip: 'SYSTEM',
+    userAgent: 'SYSTEM',
+    payload: { documentId: document.id, recipient: signer.email, kind: 'OBSERVER_NOTICE' }
+  }, transaction);
+
+  await sendAfterCommit(transaction, `aviso ao observador ${signer.email}`,
+    () => notificationService.sendObserverNotice(signer, document, message));
+};
+
+/**
+ * Convida o grupo da vez em documentos SEQUENTIAL.
+ * Signatários do grupo que já possuem link não são convidados novamente.
+ * @returns {Promise<Array<Signer>>} Os signatários convidados nesta chamada.
+ */
+const inviteCurrentSigningGroup = async (document, { actorKind, actorId }, transaction = null) => {
+  const signers = await Signer.findAll({
+    where: { documentId: document.id },
+    include: [{ model: ShareToken, attributes: ['id'] }],
+    transaction
+  });
+
+  const toInvite = getCurrentSigningGroup(signers)
+    .filter(s => s.ShareTokens.length === 0 && !(s.collectInPerson && s.invitedAt));
+
+  for (const signer of toInvite) {
+    await inviteSigner(document, signer, { message: document.inviteMessage, actorKind, actorId }, transaction);
+  }
+
+  return toInvite;
+};
+
+/**
+ * Invalida os links de assinatura ativos de um documento.
+ * @param {string} documentId - ID do documento.
+ * @param {object} [options]
+ * @param {string} [options.signerId] - Revoga apenas os links deste signatário.
+ * @param {string} [options.exceptSignerId] - Signatário cujo link deve ser preservado.
+ * @param {import('sequelize').Transaction} [transaction]
+ * @returns {Promise<number>} Quantidade de links revogados.
+ */
+const revokeShareTokens = async (documentId, { signerId, exceptSignerId } = {}, transaction = null) => {
+  const where = { documentId, revokedAt: null };
+  if (signerId) where.signerId = signerId;
+  else if (exceptSignerId) where.signerId = { [Op.ne]: exceptSignerId };
+
+  const [affectedCount] = await ShareToken.update({ revokedAt: new Date() }, { where, transaction });
+  return affectedCount;
+};
+
+/**
+ * Valida e normaliza CPF e data de nascimento informados pelo remetente (lança 400).
+ * @param {object} data - { cpf, birthDate }
+ * @param {string} label - Identificação do signatário na mensagem de erro.
+ * @returns {{ cpf: string|null, birthDate: string|null }}
+ */
+const normalizeSignerIdentity = ({ cpf, birthDate }, label) => {
+  if (cpf && !isValidCpf(cpf)) {
+    const error = new Error(`CPF inválido para ${label}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const normalizedBirthDate = normalizeBirthDate(birthDate);
+  if (birthDate && !normalizedBirthDate) {
+    const error = new Error(`Data de nascimento inválida para ${label}. Use AAAA-MM-DD ou DD/MM/AAAA.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return { cpf: cpf ? normalizeCpf(cpf) : null, birthDate: normalizedBirthDate };
 };
 
 /**
  * Adiciona signatários e dispara convites.
+ * No modo SEQUENTIAL apenas o grupo da vez é convidado; os demais recebem
+ * o convite em `commitSignature`, quando o grupo anterior termina.
+ * Se `options.transaction` for informada, a operação participa dela (sem commit/rollback próprios).
  */
-const addSignersToDocument = async (docId, signers, message, user) => {
-  const transaction = await sequelize.transaction();
+const addSignersToDocument = async (docId, signers, message, user, { routingMode, transaction: outerTransaction } = {}) => {
+  const transaction = outerTransaction || await sequelize.transaction();
   try {
     const document = await Document.findOne({ where: { id: docId, tenantId: user.tenantId }, transaction });
     if (!document) {
       throw new Error('Documento não encontrado ou acesso negado.');
     }
 
+    if (routingMode) {
+      if (!['PARALLEL', 'SEQUENTIAL'].includes(routingMode)) {
+        const error = new Error('Modo de envio inválido. Use PARALLEL ou SEQUENTIAL.');
+        error.statusCode = 400;
+        throw error;
+      }
+      document.routingMode = routingMode;
+    }
+    document.inviteMessage = message || null;
+    await document.save({ transaction });
+
+    const createdSigners = [];
     for (const signerData of signers) {
+      if (signerData.role && !SIGNER_ROLES.includes(signerData.role)) {
+        const error = new Error(`Papel inválido para ${signerData.email || signerData.name}. Use ${SIGNER_ROLES.join(', ')}.`);
+        error.statusCode = 400;
+        throw error;
+      }
+      if (!signerData.email && !signerData.collectInPerson) {
+        const error = new Error(`Informe o e-mail de ${signerData.name || 'todos os signatários'} (dispensado apenas na coleta presencial).`);
+        error.statusCode = 400;
+        throw error;
+      }
+      const identity = normalizeSignerIdentity(signerData, signerData.email || signerData.name);
+      // Na coleta presencial o CPF informado pelo remetente é o que confere a identidade de quem está no tablet
+      if (signerData.collectInPerson && !identity.cpf) {
+        const error = new Error(`Informe o CPF de ${signerData.name || signerData.email} (obrigatório na coleta presencial).`);
+        error.statusCode = 400;
+        throw error;
+      }
+
       const signer = await Signer.create({
         documentId: docId,
         name: signerData.name,
-        email: signerData.email,
+        email: signerData.email || null,
         phoneWhatsE164: signerData.phone,
-        cpf: signerData.cpf,
+        cpf: identity.cpf,
+        birthDate: identity.birthDate,
         qualification: signerData.qualification,
+        role: signerData.role || 'SIGNER',
         authChannels: signerData.authChannels,
-        order: signerData.order || 0
+        requireIdentityEvidence: Boolean(signerData.requireIdentityEvidence),
+        requireQualifiedSignature: Boolean(signerData.requireQualifiedSignature),
+        order: signerData.order || 0,
+        allowDelegation: Boolean(signerData.allowDelegation),
+        collectInPerson: Boolean(signerData.collectInPerson)
       }, { transaction });
 
-      const token = crypto.randomBytes(32).toString('base64url');
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      const expiresAt = document.deadlineAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      // Campos posicionados pelo remetente (opcional)
+      if (signerData.fields) {
+        await signatureFieldService.createFieldsForSigner(docId, signer.id, signerData.fields, transaction);
+      }
+      createdSigners.push(signer);
+    }
 
-      await ShareToken.create({
-        documentId: docId,
-        signerId: signer.id,
-        tokenHash,
-        expiresAt,
-      }, { transaction });
+    // Observadores recebem apenas o aviso (e a cópia final), nos dois modos de envio
+    for (const signer of createdSigners.filter(s => !blocksCompletion(s))) {
+      await notifyObserver(document, signer, { message, actorKind: 'USER', actorId: user.id }, transaction);
+    }
 
-      await auditService.createEntry({
-        tenantId: user.tenantId,
-        actorKind: 'USER',
-        actorId: user.id,
-        entityType: 'SIGNER',
-        entityId: signer.id,
-        action: 'INVITED',
-        ip: 'SYSTEM', 
-        userAgent: 'SYSTEM',
-        payload: { documentId: docId, recipient: signer.email }
-      }, transaction);
-      
-      // Envio de notificação (Email/Whatsapp)
-      await notificationService.sendSignInvite(signer, token, message, document.tenantId);
+    if (document.routingMode === 'SEQUENTIAL') {
+      await inviteCurrentSigningGroup(document, { actorKind: 'USER', actorId: user.id }, transaction);
+    } else {
+      for (const signer of createdSigners.filter(blocksCompletion)) {
+        await inviteSigner(document, signer, { message, actorKind: 'USER', actorId: user.id }, transaction);
+      }
     }
     
-    await transaction.commit();
+    if (!outerTransaction) await transaction.commit();
   } catch (error) {
-    await transaction.rollback();
+    if (!outerTransaction) await transaction.rollback();
     throw error;
   }
 };
@@ -365,11 +713,12 @@ const addSignersToDocument = async (docId, signers, message, user) => {
 /**
  * Retorna a trilha de auditoria completa de um documento e seus signatários.
  */
-const findAuditTrail = async (docId, user) => {
+const findAuditTrail = async (docId, user, { transaction = null } = {}) => {
     await findDocumentById(docId, user); // Valida acesso
-    const signers = await Signer.findAll({ where: { documentId: docId }, attributes: ['id'] });
+    const signers = await Signer.findAll({ where: { documentId: docId }, attributes: ['id'], transaction });
     const signerIds = signers.map(s => s.id);
 
+    // `transaction` permite incluir eventos ainda não commitados (ex: certificado gerado no commit da assinatura)
     return AuditLog.findAll({
         where: {
             [Op.or]: [
@@ -377,7 +726,8 @@ const findAuditTrail = async (docId, user) => {
                 { entityType: 'SIGNER', entityId: { [Op.in]: signerIds } }
             ]
         },
-        order: [['createdAt', 'ASC']]
+        order: [['createdAt', 'ASC']],
+        transaction
     });
 };
 
@@ -422,7 +772,7 @@ const findAllDocuments = async (user, status) => {
     };
 
     const statusMap = {
-        pendentes: ['READY', 'PARTIALLY_SIGNED'],
+        pendentes: ['READY', 'PARTIALLY_SIGNED', 'DECLINED'],
         concluidos: ['SIGNED'],
         lixeira: ['CANCELLED', 'EXPIRED'],
     };
@@ -457,7 +807,7 @@ const getDocumentStats = async (user) => {
 
   // 1. Contagens de Status em Paralelo
   const [pendingCount, signedCount, expiredCount, draftCount, totalCount] = await Promise.all([
-    Document.count({ where: { tenantId, status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED'] } } }),
+    Document.count({ where: { tenantId, status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED', 'DECLINED'] } } }),
     Document.count({ where: { tenantId, status: 'SIGNED' } }),
     Document.count({ where: { tenantId, status: 'EXPIRED' } }),
     Document.count({ where: { tenantId, status: 'DRAFT' } }),
@@ -513,7 +863,11 @@ const finalizeWithPades = async (docId, user) => {
         // 1. Busca Documento
         const document = await Document.findOne({ 
             where: { id: docId, tenantId: user.tenantId },
-            include: [{ model: Signer, as: 'Signers' }],
+            include: [{
+                model: Signer,
+                as: 'Signers',
+                include: [{ model: SignatureField, as: 'fields', required: false, where: { renderedAt: null } }]
+            }],
             transaction 
         });
         
@@ -526,20 +880,57 @@ const finalizeWithPades = async (docId, user) => {
             throw new Error(`Arquivo físico não encontrado: ${filePath}`);
         }
         
-        const fileBuffer = await fs.readFile(filePath);
+        let fileBuffer = await fs.readFile(filePath);
+
+        const tenantSettings = await TenantSettings.findOne({ 
+            where: { tenantId: document.tenantId },
+            transaction 
+        });
+
+        // 2.1 Certificado anexado: a selagem PAdES precisa ser a última alteração do arquivo,
+        // então as páginas entram antes dela. Se o certificado já existe, ele foi anexado na conclusão.
+        // Com PAdES por signatário, páginas novas invalidariam as assinaturas: o certificado fica só à parte.
+        const hasPadesRevisions = document.Signers.some(s => s.padesSignedAt);
+        const existingCert = await Certificate.findOne({ where: { documentId: document.id }, transaction });
+        if (!existingCert && !hasPadesRevisions && tenantSettings?.appendCertificateToPdf) {
+            const trailBeforeSeal = await findAuditTrail(document.id, user, { transaction });
+            const { documentBuffer } = await certificateService.issueCertificate(document, {
+                auditTrail: trailBeforeSeal,
+                appendTo: fileBuffer,
+                transaction
+            });
+            fileBuffer = documentBuffer;
+        }
 
         // 3. Prepara dados para carimbos visuais (posicionamento capturado no front)
+        // Campos ainda não desenhados (só de quem já assinou). No PAdES por signatário,
+        // o carimbo já está na aparência do campo de assinatura de cada um.
         const signersData = document.Signers.map(s => ({
             name: s.name,
+            cpf: s.cpf,
+            role: s.role,
             signedAt: s.signedAt,
             artefactPath: s.signatureArtefactPath,
-            positionX: s.signaturePositionX,
-            positionY: s.signaturePositionY,
-            positionPage: s.signaturePositionPage
+            initialsArtefactPath: s.initialsArtefactPath,
+            stampInitials: document.requireInitials && s.status === 'SIGNED' && Boolean(s.initialsArtefactPath) && !s.initialsRenderedAt,
+            positionX: s.padesSignedAt ? null : s.signaturePositionX,
+            positionY: s.padesSignedAt ? null : s.signaturePositionY,
+            positionPage: s.padesSignedAt ? null : s.signaturePositionPage,
+            fields: s.status === 'SIGNED' ? s.fields : []
         }));
+        // Rubricas ainda não carimbadas ocupam as posições da margem seguintes às já carimbadas
+        const renderedInitials = document.Signers.filter(s => s.initialsRenderedAt).length;
+        signersData.filter(s => s.stampInitials).forEach((s, index) => { s.initialsSlot = renderedInitials + index; });
 
         // 4. Aplica PAdES + Carimbos Visuais (Service PAdES)
-        const signedPdfBuffer = await padesService.applyPadesSignatureWithStamps(fileBuffer, signersData);
+        // Certificado e dados de selagem do tenant (sem certificado próprio, o da plataforma)
+        const seal = await sealCertificateService.resolveTenantSeal(document.tenantId, { transaction });
+        const { buffer: signedPdfBuffer, level: padesLevel } = await padesService.applyPadesSignatureWithStamps(fileBuffer, signersData, seal);
+        await signatureFieldService.markFieldsRendered(signersData.flatMap(s => s.fields), transaction);
+        const stampedInitials = document.Signers.filter((s, index) => signersData[index].stampInitials).map(s => s.id);
+        if (stampedInitials.length > 0) {
+            await Signer.update({ initialsRenderedAt: new Date() }, { where: { id: stampedInitials }, transaction });
+        }
         
         // 5. Salva novo arquivo (versão assinada)
         // Substitui a extensão por -pades.pdf para diferenciar
@@ -567,41 +958,15 @@ const finalizeWithPades = async (docId, user) => {
             action: 'PADES_SIGNED',
             ip: 'SYSTEM',
             userAgent: 'SYSTEM',
-            payload: { newSha256 }
+            payload: { newSha256, level: padesLevel, sealCertificate: seal.credentials ? seal.name || 'TENANT' : null }
         }, transaction);
 
-        // 8. Emite Certificado de Conclusão (Registro no Banco)
-        const timestampISO = new Date().toISOString();
-        const certificateSha256 = crypto.createHash('sha256').update(`CERT-${document.id}-${timestampISO}`).digest('hex');
-        
-        // Verifica se já existe para não duplicar
-        const existingCert = await Certificate.findOne({ where: { documentId: document.id }, transaction });
-        
-        if (!existingCert) {
-            await Certificate.create({
-                documentId: document.id,
-                storageKey: `certificates/${document.id}.pdf`, // Placeholder lógica futura de geração de PDF do certificado
-                sha256: certificateSha256,
-                issuedAt: new Date()
-            }, { transaction });
-
-            await auditService.createEntry({ 
-                tenantId: document.tenantId, 
-                actorKind: 'SYSTEM', 
-                entityType: 'DOCUMENT', 
-                entityId: document.id, 
-                action: 'CERTIFICATE_ISSUED'
-            }, transaction);
-        }
+        // 8. (Re)emite o Certificado de Conclusão com o hash do arquivo selado
+        const auditTrail = await findAuditTrail(document.id, user, { transaction });
+        await certificateService.issueCertificate(document, { auditTrail, transaction });
 
         // 9. Envia E-mails de Conclusão (Com Template Customizável)
-        const tenantSettings = await TenantSettings.findOne({ 
-            where: { tenantId: document.tenantId },
-            transaction 
-        });
-
         const owner = await User.findByPk(document.ownerId, { transaction });
-        const { url: downloadUrl } = await getDocumentDownloadUrl(document.id, owner); 
 
         // Template Padrão (Fallback)
         let emailBodyTemplate = tenantSettings?.finalEmailTemplate;
@@ -622,29 +987,33 @@ const finalizeWithPades = async (docId, user) => {
             `;
         }
 
+        // O link de download é assinado para cada destinatário (ver download.service); nomes e título vão escapados
         let compiledBase = emailBodyTemplate
-            .replace(/{{doc_title}}/g, document.title)
-            .replace(/{{doc_link}}/g, downloadUrl)
+            .replace(/{{doc_title}}/g, () => notificationService.escapeHtml(document.title))
             .replace(/{{doc_id}}/g, document.id);
 
-        // Envio Assíncrono (não bloqueia a transação)
+        // Envio Assíncrono, depois do commit (não bloqueia nem desfaz a transação)
         if (owner) {
-            const ownerHtml = compiledBase.replace(/{{signer_name}}/g, owner.name);
-            notificationService.sendEmail(document.tenantId, {
+            const ownerHtml = compiledBase
+                .replace(/{{signer_name}}/g, () => notificationService.escapeHtml(owner.name))
+                .replace(/{{doc_link}}/g, downloadService.createEmailDownloadUrl(document.id, { user: owner }));
+            transaction.afterCommit(() => notificationService.sendEmail(document.tenantId, {
                 to: owner.email,
                 subject: `Documento Finalizado: ${document.title}`,
                 html: ownerHtml
-            }).catch(err => console.error("Erro ao notificar dono:", err.message));
+            }).catch(err => console.error("Erro ao notificar dono:", err.message)));
         }
         
         document.Signers.forEach(s => {
              if (s.email) {
-                const signerHtml = compiledBase.replace(/{{signer_name}}/g, s.name);
-                notificationService.sendEmail(document.tenantId, {
+                const signerHtml = compiledBase
+                    .replace(/{{signer_name}}/g, () => notificationService.escapeHtml(s.name))
+                    .replace(/{{doc_link}}/g, downloadService.createEmailDownloadUrl(document.id, { signer: s }));
+                transaction.afterCommit(() => notificationService.sendEmail(document.tenantId, {
                     to: s.email,
                     subject: `Cópia do Documento Assinado: ${document.title}`,
                     html: signerHtml
-                }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message));
+                }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message)));
              }
         });
 
@@ -659,14 +1028,25 @@ const finalizeWithPades = async (docId, user) => {
 };
 
 module.exports = {
+  PADES_MODES,
   saveSignatureImage,
+  assertCanCreateDocuments,
   createDocumentAndHandleUpload,
   validatePdfIntegrity,
   verifyAuditLogChain,
   findDocumentById,
   updateDocumentDetails,
   getDocumentFilePath,
+  getCertificateFilePath,
   getDocumentDownloadUrl,
+  logDownload,
+  getCurrentSigningGroup,
+  issueShareToken,
+  inviteSigner,
+  inviteCurrentSigningGroup,
+  revokeShareTokens,
+  sendAfterCommit,
+  normalizeSignerIdentity,
   addSignersToDocument,
   findAuditTrail,
   changeDocumentStatus,
@@ -0,0 +1,166 @@
+// src/features/document/expiration.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { Document, Signer, TenantSettings, User, sequelize } = require('../../models');
+const notificationService = require('../../services/notification.service');
+const auditService = require('../audit/audit.service');
+const documentService = require('./document.service');
+
+// Status que ainda aguardam alguma ação e, portanto, podem expirar
+const EXPIRABLE_STATUSES = ['READY', 'PARTIALLY_SIGNED', 'DECLINED'];
+
+/**
+ * Expira um documento: status EXPIRED no documento e nos signatários pendentes,
+ * revoga os links e registra os eventos EXPIRED na trilha de auditoria.
+ * Notifica o dono e, se configurado no tenant, os signatários pendentes.
+ * O documento é relido com a linha travada: se nesse meio tempo ele foi concluído, cancelado
+ * (ou teve o prazo prorrogado, no caso do cron), nada é alterado.
+ *
+ * @param {Document} document - Documento a expirar.
+ * @param {object} [options]
+ * @param {string} [options.actorKind] - Quem disparou: 'USER' ou 'SYSTEM' (padrão).
+ * @param {string} [options.actorId]
+ * @param {Array<string>} [options.statuses] - Status que ainda permitem expirar.
+ * @param {Date} [options.overdueAt] - Cron: só expira se o prazo continua vencido nesta data.
+ * @returns {Promise<Document|null>} null se o documento não estava mais em condição de expirar.
+ */
+const applyExpiration = async (document, { actorKind = 'SYSTEM', actorId = null, statuses = EXPIRABLE_STATUSES, overdueAt = null } = {}) => {
+  const transaction = await sequelize.transaction();
+  let expiredSigners = [];
+
+  try {
+    const locked = await Document.findByPk(document.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const stillOverdue = !overdueAt || (locked?.deadlineAt && new Date(locked.deadlineAt) < overdueAt);
+    if (!locked || !statuses.includes(locked.status) || !stillOverdue) {
+      await transaction.rollback();
+      return null;
+    }
+    document = locked;
+
+    expiredSigners = await Signer.findAll({
+      where: {
+        documentId: document.id,
+        status: { [Op.in]: ['PENDING', 'VIEWED'] },
+        role: { [Op.ne]: 'OBSERVER' } // Observadores não tinham nada a assinar
+      },
+      transaction
+    });
+
+    for (const signer of expiredSigners) {
+      signer.status = 'EXPIRED';
+      await signer.save({ transaction });
+
+      await auditService.createEntry({
+        tenantId: document.tenantId,
+        actorKind,
+        actorId,
+        entityType: 'SIGNER',
+        entityId: signer.id,
+        action: 'EXPIRED',
+        ip: 'SYSTEM',
+        userAgent: 'SYSTEM',
+        payload: { documentId: document.id }
+      }, transaction);
+    }
+
+    const previousStatus = document.status;
+    document.status = 'EXPIRED';
+    await document.save({ transaction });
+
+    const revokedTokens = await documentService.revokeShareTokens(document.id, {}, transaction);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind,
+      actorId,
+      entityType: 'DOCUMENT',
+      entityId: document.id,
+      action: 'EXPIRED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        previousStatus,
+        deadlineAt: document.deadlineAt,
+        expiredSigners: expiredSigners.map(s => s.id),
+        revokedTokens
+      }
+    }, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  // Notificações após o commit (não bloqueiam a expiração)
+  const owner = await User.findByPk(document.ownerId);
+  if (owner) {
+    notificationService.sendDocumentExpiredNotification(owner, document, expiredSigners)
+      .catch(err => console.error("Erro ao notificar dono sobre expiração:", err.message));
+  }
+
+  const settings = await TenantSettings.findOne({ where: { tenantId: document.tenantId } });
+  if (settings?.notifySignersOnExpiry) {
+    expiredSigners.forEach(signer => {
+      notificationService.sendDocumentExpiredNotification(signer, document)
+        .catch(err => console.error(`Erro ao notificar signatário ${signer.email} sobre expiração:`, err.message));
+    });
+  }
+
+  return document;
+};
+
+/**
+ * Varre os documentos com prazo vencido e os expira. Chamado pelo cron.
+ * @returns {Promise<number>} Quantidade de documentos expirados.
+ */
+const expireOverdueDocuments = async (now = new Date()) => {
+  const overdue = await Document.findAll({
+    where: {
+      status: { [Op.in]: EXPIRABLE_STATUSES },
+      deadlineAt: { [Op.lt]: now }
+    }
+  });
+
+  let expiredCount = 0;
+  for (const doc of overdue) {
+    try {
+      if (await applyExpiration(doc, { overdueAt: now })) expiredCount++;
+    } catch (error) {
+      console.error(`[Expiration] Falha ao expirar documento ${doc.id}:`, error.message);
+    }
+  }
+  return expiredCount;
+};
+
+/**
+ * Expiração manual disparada pelo dono (POST /documents/:id/expire).
+ */
+const expireDocumentById = async (docId, user) => {
+  const document = await Document.findOne({ where: { id: docId, tenantId: user.tenantId } });
+  if (!document) throw new Error('Documento não encontrado.');
+
+  if (![...EXPIRABLE_STATUSES, 'DRAFT'].includes(document.status)) {
+    const error = new Error(`Documento com status ${document.status} não pode ser expirado.`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const expired = await applyExpiration(document, {
+    actorKind: 'USER',
+    actorId: user.id,
+    statuses: [...EXPIRABLE_STATUSES, 'DRAFT']
+  });
+  if (!expired) {
+    const error = new Error('O status do documento mudou e ele não pode mais ser expirado.');
+    error.statusCode = 409;
+    throw error;
+  }
+  return expired;
+};
+
+module.exports = {
+  expireOverdueDocuments,
+  expireDocumentById
+};
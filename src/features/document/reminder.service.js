@@ -0,0 +1,217 @@
+// src/features/document/reminder.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { Document, Signer, Reminder, ShareToken, TenantSettings, User, sequelize } = require('../../models');
+const notificationService = require('../../services/notification.service');
+const auditService = require('../audit/audit.service');
+const documentService = require('./document.service');
+
+const DEFAULT_INTERVAL_DAYS = 3;
+const DEFAULT_FINAL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve a cadência efetiva: configuração do documento > do tenant > padrão.
+ */
+const resolveCadence = (document, settings) => ({
+  intervalDays: document.reminderIntervalDays || settings?.reminderIntervalDays || DEFAULT_INTERVAL_DAYS,
+  finalHours: document.reminderFinalHours || settings?.reminderFinalHours || DEFAULT_FINAL_HOURS
+});
+
+/**
+ * Decide qual lembrete (se algum) é devido para o signatário agora.
+ * @param {Signer} signer - Signatário já convidado, com `Reminders` carregados.
+ * @param {Document} document - Documento pendente.
+ * @param {{ intervalDays: number, finalHours: number }} cadence
+ * @param {Date} now
+ * @returns {'FINAL'|'SCHEDULED'|null}
+ */
+const getDueReminderKind = (signer, document, cadence, now) => {
+  const reminders = signer.Reminders || [];
+
+  if (document.deadlineAt) {
+    const deadline = new Date(document.deadlineAt);
+    if (now >= deadline) return null;
+
+    const finalWindowStart = new Date(deadline.getTime() - cadence.finalHours * HOUR_MS);
+    const finalAlreadySent = reminders.some(r => r.kind === 'FINAL');
+    if (now >= finalWindowStart) {
+      return finalAlreadySent ? null : 'FINAL';
+    }
+  }
+
+  const lastContact = reminders.reduce(
+    (latest, r) => (new Date(r.createdAt) > latest ? new Date(r.createdAt) : latest),
+    new Date(signer.invitedAt)
+  );
+
+  const nextDue = new Date(lastContact.getTime() + cadence.intervalDays * 24 * HOUR_MS);
+  return now >= nextDue ? 'SCHEDULED' : null;
+};
+
+/**
+ * Envia um lembrete para um signatário com um link novo, registra o histórico e audita.
+ * Os links enviados antes continuam válidos: o signatário pode estar no meio da assinatura por um deles.
+ * Signatário sem link ativo (links revogados pelo remetente ou bloqueados por tentativas de OTP) não é lembrado:
+ * cabe ao remetente regenerar o link.
+ * O envio só acontece depois do commit; os canais que entregaram o lembrete são gravados no histórico em seguida.
+ * @returns {Promise<Reminder|null>} null quando o signatário foi pulado.
+ */
+const sendReminder = async (document, signer, kind, triggeredBy = null) => {
+  const transaction = await sequelize.transaction();
+  try {
+    // Links enviados ao signatário (sessões presenciais não contam); travados para não competir com um "regenerar link"
+    const links = await ShareToken.findAll({
+      where: { signerId: signer.id, revokedAt: null, hostedByUserId: null },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!links.some(link => !link.lockedAt)) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const token = await documentService.issueShareToken(document, signer, transaction);
+
+    const reminder = await Reminder.create({
+      documentId: document.id,
+      signerId: signer.id,
+      kind,
+      triggeredById: triggeredBy ? triggeredBy.id : null
+    }, { transaction });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: triggeredBy ? 'USER' : 'SYSTEM',
+      actorId: triggeredBy ? triggeredBy.id : null,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'REMINDER_SENT',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, kind }
+    }, transaction);
+
+    await documentService.sendAfterCommit(transaction, `lembrete para o signatário ${signer.id}`, async () => {
+      const channels = await notificationService.sendSignReminder(signer, token, document, kind === 'FINAL');
+      await reminder.update({ channels });
+    });
+
+    await transaction.commit();
+    return reminder;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Varre os documentos com `autoReminders` ativo e envia os lembretes devidos.
+ * Chamado pelo cron (cron.service).
+ * @returns {Promise<number>} Quantidade de lembretes enviados.
+ */
+const processDueReminders = async (now = new Date()) => {
+  const documents = await Document.findAll({
+    where: {
+      autoReminders: true,
+      status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED'] }
+    },
+    include: [{
+      model: Signer,
+      as: 'Signers',
+      where: {
+        status: { [Op.in]: ['PENDING', 'VIEWED'] },
+        invitedAt: { [Op.ne]: null }, // No modo sequencial, só quem já foi convidado
+        collectInPerson: false // Coleta presencial não recebe link
+      },
+      include: [{ model: Reminder, attributes: ['kind', 'createdAt'] }]
+    }]
+  });
+
+  const settingsCache = new Map();
+  let sentCount = 0;
+
+  for (const doc of documents) {
+    if (!settingsCache.has(doc.tenantId)) {
+      settingsCache.set(doc.tenantId, await TenantSettings.findOne({ where: { tenantId: doc.tenantId } }));
+    }
+    const cadence = resolveCadence(doc, settingsCache.get(doc.tenantId));
+
+    for (const signer of doc.Signers) {
+      const kind = getDueReminderKind(signer, doc, cadence, now);
+      if (!kind) continue;
+
+      try {
+        if (await sendReminder(doc, signer, kind)) sentCount++;
+      } catch (error) {
+        console.error(`[Reminder] Falha ao lembrar ${signer.email} (documento ${doc.id}):`, error.message);
+      }
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * Dispara um lembrete imediato ("lembrar agora") a pedido do dono do documento.
+ * @param {string} docId - ID do documento.
+ * @param {Array<string>} [signerIds] - Restringe a estes signatários; padrão: todos os pendentes já convidados.
+ * @param {User} user - Usuário autenticado.
+ */
+const remindNow = async (docId, signerIds, user) => {
+  const document = await documentService.findDocumentById(docId, user);
+
+  if (!['READY', 'PARTIALLY_SIGNED'].includes(document.status)) {
+    const error = new Error('Só é possível enviar lembretes para documentos aguardando assinatura.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  let targets = document.Signers.filter(s => ['PENDING', 'VIEWED'].includes(s.status) && s.invitedAt && !s.collectInPerson);
+  if (Array.isArray(signerIds) && signerIds.length > 0) {
+    targets = targets.filter(s => signerIds.includes(s.id));
+  }
+
+  if (targets.length === 0) {
+    const error = new Error('Nenhum signatário pendente para lembrar.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const reminders = [];
+  for (const signer of targets) {
+    const reminder = await sendReminder(document, signer, 'MANUAL', user);
+    if (reminder) reminders.push(reminder);
+  }
+
+  if (reminders.length === 0) {
+    const error = new Error('Os links dos signatários foram revogados ou bloqueados. Regenere o link para enviar um novo.');
+    error.statusCode = 409;
+    throw error;
+  }
+  return reminders;
+};
+
+/**
+ * Histórico de lembretes de um documento (visível ao dono).
+ */
+const listReminders = async (docId, user) => {
+  await documentService.findDocumentById(docId, user); // Valida acesso
+
+  return Reminder.findAll({
+    where: { documentId: docId },
+    order: [['createdAt', 'DESC']],
+    include: [
+      { model: Signer, attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'triggeredBy', attributes: ['id', 'name'] }
+    ]
+  });
+};
+
+module.exports = {
+  getDueReminderKind,
+  processDueReminders,
+  remindNow,
+  listReminders
+};
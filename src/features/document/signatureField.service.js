@@ -0,0 +1,173 @@
+// src/features/document/signatureField.service.js
+'use strict';
+
+const { SignatureField } = require('../../models');
+
+const FIELD_TYPES = ['SIGNATURE', 'INITIALS', 'DATE_SIGNED', 'NAME', 'CPF', 'TEXT', 'CHECKBOX'];
+
+// Tipos preenchidos pelo signatário via POST /sign/:token/fields
+const INPUT_FIELD_TYPES = ['TEXT', 'CHECKBOX'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Valida as definições de campos enviadas pelo remetente.
+ * Lança erro 400 na primeira definição inválida.
+ * @param {Array<object>} fields - [{ type, page, x, y, width, height, required, label }]
+ */
+const validateFieldDefinitions = (fields) => {
+  if (!Array.isArray(fields)) throw badRequest('Os campos do signatário devem ser uma lista.');
+
+  fields.forEach((field, index) => {
+    const position = `Campo #${index + 1}`;
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw badRequest(`${position}: tipo inválido. Use ${FIELD_TYPES.join(', ')}.`);
+    }
+    if (!Number.isInteger(Number(field.page)) || Number(field.page) < 1) {
+      throw badRequest(`${position}: página inválida (a numeração começa em 1).`);
+    }
+    for (const key of ['x', 'y', 'width', 'height']) {
+      if (field[key] == null || Number.isNaN(Number(field[key])) || Number(field[key]) < 0) {
+        throw badRequest(`${position}: "${key}" é obrigatório e não pode ser negativo.`);
+      }
+    }
+    if (Number(field.width) === 0 || Number(field.height) === 0) {
+      throw badRequest(`${position}: largura e altura devem ser maiores que zero.`);
+    }
+  });
+};
+
+/**
+ * Cria os campos de um signatário (chamado no convite).
+ * Campos TEXT podem vir com `value` pré-preenchido pelo remetente (ex: envio em massa).
+ */
+const createFieldsForSigner = async (documentId, signerId, fields, transaction = null) => {
+  validateFieldDefinitions(fields);
+
+  return SignatureField.bulkCreate(fields.map(field => {
+    const prefilled = field.type === 'TEXT' && field.value != null && String(field.value).trim() !== ''
+      ? String(field.value).trim()
+      : null;
+
+    return {
+      documentId,
+      signerId,
+      type: field.type,
+      label: field.label,
+      page: Number(field.page),
+      x: Number(field.x),
+      y: Number(field.y),
+      width: Number(field.width),
+      height: Number(field.height),
+      required: field.required !== false,
+      value: prefilled,
+      filledAt: prefilled ? new Date() : null
+    };
+  }), { transaction });
+};
+
+/**
+ * Formato público de um campo para a tela de assinatura.
+ */
+const serializeField = (field) => ({
+  id: field.id,
+  type: field.type,
+  label: field.label,
+  page: field.page,
+  x: field.x,
+  y: field.y,
+  width: field.width,
+  height: field.height,
+  required: field.required,
+  value: field.value,
+  requiresInput: INPUT_FIELD_TYPES.includes(field.type)
+});
+
+/**
+ * Salva os valores informados pelo signatário nos campos TEXT/CHECKBOX.
+ * @param {Signer} signer - Signatário dono dos campos.
+ * @param {Array<{id: string, value: any}>} values
+ */
+const fillSignerFields = async (signer, values) => {
+  const fields = await SignatureField.findAll({ where: { signerId: signer.id } });
+  const byId = new Map(fields.map(f => [f.id, f]));
+
+  for (const { id, value } of values) {
+    const field = byId.get(id);
+    if (!field) throw badRequest(`Campo ${id} não pertence a este signatário.`);
+    if (!INPUT_FIELD_TYPES.includes(field.type)) {
+      throw badRequest(`O campo ${field.label || field.type} é preenchido automaticamente.`);
+    }
+
+    field.value = field.type === 'CHECKBOX'
+      ? String(value === true || value === 'true')
+      : (value == null ? null : String(value).trim());
+    field.filledAt = new Date();
+    await field.save();
+  }
+
+  return fields;
+};
+
+/**
+ * Retorna os campos obrigatórios que ainda impedem o commit da assinatura.
+ * SIGNATURE/INITIALS/NAME/DATE_SIGNED são preenchidos no próprio commit;
+ * CPF depende do signatário ter sido identificado.
+ */
+const getMissingRequiredFields = (signer, fields) => fields.filter(field => {
+  if (!field.required) return false;
+  switch (field.type) {
+    case 'TEXT':
+      return !field.value;
+    case 'CHECKBOX':
+      return field.value !== 'true';
+    case 'CPF':
+      return !signer.cpf;
+    default:
+      return false;
+  }
+});
+
+/**
+ * Preenche os campos automáticos no momento do commit.
+ */
+const fillAutomaticFields = async (signer, fields, transaction = null) => {
+  const now = new Date();
+  for (const field of fields) {
+    let value = null;
+    if (field.type === 'NAME') value = signer.name;
+    else if (field.type === 'CPF') value = signer.cpf;
+    else if (field.type === 'DATE_SIGNED') value = new Date(signer.signedAt).toISOString();
+    else if (field.type === 'SIGNATURE') value = signer.signatureArtefactPath;
+    else if (field.type === 'INITIALS') value = signer.initialsArtefactPath || signer.signatureArtefactPath;
+    else continue;
+
+    field.value = value;
+    field.filledAt = now;
+    await field.save({ transaction });
+  }
+};
+
+/**
+ * Marca campos como já desenhados no PDF.
+ */
+const markFieldsRendered = async (fields, transaction = null) => {
+  const ids = fields.map(f => f.id);
+  if (ids.length === 0) return;
+  await SignatureField.update({ renderedAt: new Date() }, { where: { id: ids }, transaction });
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldDefinitions,
+  createFieldsForSigner,
+  serializeField,
+  fillSignerFields,
+  getMissingRequiredFields,
+  fillAutomaticFields,
+  markFieldsRendered
+};
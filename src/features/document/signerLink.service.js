@@ -0,0 +1,250 @@
+// src/features/document/signerLink.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { ShareToken, sequelize } = require('../../models');
+const notificationService = require('../../services/notification.service');
+const auditService = require('../audit/audit.service');
+const documentService = require('./document.service');
+
+const LINK_CHANNELS = ['EMAIL', 'WHATSAPP', 'SMS'];
+const IN_PERSON_OTP_CHANNELS = ['SMS', 'WHATSAPP'];
+
+// Sessão presencial: o link aberto no tablet vale só durante a visita
+const IN_PERSON_SESSION_TTL_MINUTES = parseInt(process.env.IN_PERSON_SESSION_TTL_MINUTES, 10) || 60;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Carrega documento e signatário, garantindo que o link ainda faz sentido
+ * (documento aguardando assinatura e signatário pendente).
+ */
+const loadPendingSigner = async (docId, signerId, user) => {
+  const document = await documentService.findDocumentById(docId, user);
+
+  if (!['READY', 'PARTIALLY_SIGNED'].includes(document.status)) {
+    throw httpError(`Documento com status ${document.status} não aceita novos links de assinatura.`, 409);
+  }
+
+  const signer = document.Signers.find(s => s.id === signerId);
+  if (!signer) throw httpError('Signatário não encontrado neste documento.', 404);
+  if (signer.role === 'OBSERVER') throw httpError('Observadores não recebem link de assinatura.', 400);
+
+  if (!['PENDING', 'VIEWED'].includes(signer.status)) {
+    throw httpError(`O signatário já finalizou o fluxo (status: ${signer.status}).`, 409);
+  }
+
+  return { document, signer };
+};
+
+/**
+ * Valida os canais pedidos para o envio e se o signatário tem contato em cada um.
+ * @returns {Array<string>|null} Canais validados ou null (usa os do signatário).
+ */
+const resolveChannels = (signer, channels) => {
+  if (!channels) return null;
+  if (!Array.isArray(channels) || channels.length === 0 || channels.some(c => !LINK_CHANNELS.includes(c))) {
+    throw httpError(`Canais inválidos. Use ${LINK_CHANNELS.join(', ')}.`, 400);
+  }
+  if ((channels.includes('WHATSAPP') || channels.includes('SMS')) && !signer.phoneWhatsE164) {
+    throw httpError('O signatário não possui celular cadastrado para envio por WhatsApp/SMS.', 400);
+  }
+  return channels;
+};
+
+/**
+ * Emite um novo link, audita e envia o convite depois do commit. Com `rotate`, os links anteriores são revogados antes.
+ */
+const issueAndSend = async (docId, signerId, { channels, rotate }, user) => {
+  const { document, signer } = await loadPendingSigner(docId, signerId, user);
+  if (signer.collectInPerson) {
+    throw httpError('Este signatário assina presencialmente. Abra uma sessão presencial em vez de enviar o link.', 409);
+  }
+  const sendChannels = resolveChannels(signer, channels);
+
+  // No fluxo sequencial, quem ainda não chegou a vez recebe o convite automaticamente depois
+  if (!signer.invitedAt) {
+    throw httpError('Este signatário ainda não foi convidado (aguardando a vez no fluxo sequencial).', 409);
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const revokedCount = rotate
+      ? await documentService.revokeShareTokens(document.id, { signerId: signer.id }, transaction)
+      : 0;
+
+    const token = await documentService.issueShareToken(document, signer, transaction);
+    // Canais pedidos neste envio (ou os do signatário); a entrega acontece só depois do commit
+    const requestedChannels = sendChannels || (Array.isArray(signer.authChannels) ? signer.authChannels : ['EMAIL']);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: rotate ? 'LINK_ROTATED' : 'INVITED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, recipient: signer.email, channels: requestedChannels, resent: true, revokedCount }
+    }, transaction);
+
+    await documentService.sendAfterCommit(transaction, `convite para o signatário ${signer.id}`,
+      () => notificationService.sendSignInvite(signer, token, document.inviteMessage, document.tenantId, { channels: sendChannels }));
+
+    await transaction.commit();
+    return { signerId: signer.id, channels: requestedChannels, revokedCount };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Reenvia o convite (link novo; os anteriores continuam válidos).
+ * @param {Array<string>} [channels] - Canal alternativo para este envio (ex: ['WHATSAPP']).
+ */
+const resendInvite = (docId, signerId, { channels } = {}, user) =>
+  issueAndSend(docId, signerId, { channels, rotate: false }, user);
+
+/**
+ * Regenera o link: revoga todos os links do signatário e envia um novo.
+ */
+const rotateLink = (docId, signerId, { channels } = {}, user) =>
+  issueAndSend(docId, signerId, { channels, rotate: true }, user);
+
+/**
+ * Revoga todos os links ativos do signatário, sem enviar um novo.
+ */
+const revokeLinks = async (docId, signerId, user) => {
+  const document = await documentService.findDocumentById(docId, user);
+  const signer = document.Signers.find(s => s.id === signerId);
+  if (!signer) throw httpError('Signatário não encontrado neste documento.', 404);
+
+  const transaction = await sequelize.transaction();
+  try {
+    const revokedCount = await documentService.revokeShareTokens(document.id, { signerId: signer.id }, transaction);
+    if (revokedCount === 0) throw httpError('O signatário não possui links ativos.', 409);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'LINK_REVOKED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { documentId: document.id, revokedCount }
+    }, transaction);
+
+    await transaction.commit();
+    return { signerId: signer.id, revokedCount };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Abre uma sessão de assinatura presencial: o remetente conduz a coleta no próprio dispositivo (tablet).
+ * O link gerado é devolvido na resposta (não é enviado ao signatário) e vale por IN_PERSON_SESSION_TTL_MINUTES.
+ * Na sessão, o signatário confirma o CPF e, se `otpChannel` for informado, o código enviado ao celular dele;
+ * o commit segue o fluxo normal de /sign/:token.
+ * Sessões presenciais anteriores do signatário são revogadas (os links enviados a ele continuam válidos).
+ * @param {object} options - { otpChannel: 'SMS'|'WHATSAPP' (opcional), ip, userAgent }
+ */
+const openInPersonSession = async (docId, signerId, { otpChannel, ip, userAgent } = {}, user) => {
+  const { document, signer } = await loadPendingSigner(docId, signerId, user);
+
+  if (!signer.invitedAt) {
+    throw httpError('Ainda não é a vez deste signatário no fluxo sequencial.', 409);
+  }
+  // A identidade de quem está no tablet é conferida com o CPF informado pelo remetente
+  if (!signer.cpf) {
+    throw httpError('Informe o CPF do signatário antes de abrir a sessão presencial.', 409);
+  }
+  if (otpChannel && !IN_PERSON_OTP_CHANNELS.includes(otpChannel)) {
+    throw httpError(`Canal de OTP inválido. Use ${IN_PERSON_OTP_CHANNELS.join(', ')}.`, 400);
+  }
+  if (otpChannel && !signer.phoneWhatsE164) {
+    throw httpError('O signatário não possui celular cadastrado para receber o código.', 400);
+  }
+
+  const maxExpiresAt = new Date(Date.now() + IN_PERSON_SESSION_TTL_MINUTES * 60 * 1000);
+  const expiresAt = document.deadlineAt && new Date(document.deadlineAt) < maxExpiresAt
+    ? new Date(document.deadlineAt)
+    : maxExpiresAt;
+
+  const transaction = await sequelize.transaction();
+  try {
+    const [revokedCount] = await ShareToken.update({ revokedAt: new Date() }, {
+      where: { signerId: signer.id, revokedAt: null, hostedByUserId: { [Op.ne]: null } },
+      transaction
+    });
+
+    const token = await documentService.issueShareToken(document, signer, transaction, {
+      hostedByUserId: user.id,
+      hostedOtpChannel: otpChannel || null,
+      expiresAt
+    });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'IN_PERSON_SESSION_OPENED',
+      ip: ip || 'SYSTEM',
+      userAgent: userAgent || 'SYSTEM',
+      payload: {
+        documentId: document.id,
+        hostedBy: { userId: user.id, name: user.name, email: user.email },
+        otpChannel: otpChannel || null,
+        expiresAt: expiresAt.toISOString(),
+        revokedCount
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return {
+      signerId: signer.id,
+      token,
+      signUrl: `${process.env.FRONT_URL}/sign/${token}`,
+      expiresAt,
+      otpChannel: otpChannel || null
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Links emitidos para o signatário, com o rastreamento de uso (sem o token, que não é armazenado).
+ */
+const listLinks = async (docId, signerId, user) => {
+  const document = await documentService.findDocumentById(docId, user);
+  if (!document.Signers.some(s => s.id === signerId)) {
+    throw httpError('Signatário não encontrado neste documento.', 404);
+  }
+
+  return ShareToken.findAll({
+    where: { documentId: document.id, signerId },
+    attributes: ['id', 'createdAt', 'expiresAt', 'timesUsed', 'lastUsedAt', 'failedOtpAttempts', 'lockedAt', 'revokedAt', 'hostedByUserId', 'hostedOtpChannel'],
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+module.exports = {
+  resendInvite,
+  rotateLink,
+  revokeLinks,
+  openInPersonSession,
+  listLinks
+};
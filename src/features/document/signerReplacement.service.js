@@ -0,0 +1,250 @@
+// src/features/document/signerReplacement.service.js
+'use strict';
+
+const { sequelize } = require('../../models');
+const auditService = require('../audit/audit.service');
+const documentService = require('./document.service');
+
+// Dados que identificam/contatam o signatário: mudar qualquer um invalida o link atual
+const IDENTITY_FIELDS = ['name', 'email', 'phoneWhatsE164', 'cpf', 'birthDate', 'authChannels'];
+const AUTH_CHANNELS = ['EMAIL', 'SMS', 'WHATSAPP'];
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const snapshot = (signer) => ({
+  name: signer.name,
+  email: signer.email,
+  phone: signer.phoneWhatsE164,
+  cpf: signer.cpf,
+  birthDate: signer.birthDate,
+  authChannels: signer.authChannels,
+  qualification: signer.qualification
+});
+
+/**
+ * Converte o corpo da requisição ({ name, email, phone, cpf, birthDate, authChannels, ... }) nos campos do Signer.
+ */
+const pickSignerUpdates = (data, allowed) => {
+  const updates = {};
+  if (allowed.includes('name') && data.name !== undefined) updates.name = String(data.name).trim();
+  if (allowed.includes('email') && data.email !== undefined) updates.email = String(data.email).trim().toLowerCase();
+  if (allowed.includes('phone') && data.phone !== undefined) updates.phoneWhatsE164 = data.phone || null;
+  if (allowed.includes('cpf') && data.cpf !== undefined) {
+    updates.cpf = documentService.normalizeSignerIdentity({ cpf: data.cpf }, data.email || 'o signatário').cpf;
+  }
+  if (allowed.includes('birthDate') && data.birthDate !== undefined) {
+    updates.birthDate = documentService.normalizeSignerIdentity({ birthDate: data.birthDate }, data.email || 'o signatário').birthDate;
+  }
+  if (allowed.includes('qualification') && data.qualification !== undefined) updates.qualification = data.qualification;
+  if (allowed.includes('allowDelegation') && data.allowDelegation !== undefined) updates.allowDelegation = Boolean(data.allowDelegation);
+  if (allowed.includes('requireIdentityEvidence') && data.requireIdentityEvidence !== undefined) {
+    updates.requireIdentityEvidence = Boolean(data.requireIdentityEvidence);
+  }
+  if (allowed.includes('requireQualifiedSignature') && data.requireQualifiedSignature !== undefined) {
+    updates.requireQualifiedSignature = Boolean(data.requireQualifiedSignature);
+  }
+  if (allowed.includes('authChannels') && data.authChannels !== undefined) {
+    if (!Array.isArray(data.authChannels) || data.authChannels.length === 0 || data.authChannels.some(c => !AUTH_CHANNELS.includes(c))) {
+      throw httpError(`Canais de autenticação inválidos. Use ${AUTH_CHANNELS.join(', ')}.`, 400);
+    }
+    updates.authChannels = data.authChannels;
+  }
+  if (updates.name === '' || updates.email === '') {
+    throw httpError('Nome e e-mail não podem ficar em branco.', 400);
+  }
+  return updates;
+};
+
+/**
+ * Aplica a nova identidade ao signatário. Se algum dado de identidade/contato mudou, ou se ele havia recusado
+ * (o remetente reabre a assinatura): volta o status para PENDING, revoga os links e, se ele já havia sido
+ * convidado, envia um novo convite.
+ *
+ * @returns {Promise<{ before: object, after: object, identityChanged: boolean, reopened: boolean, revokedCount: number }>}
+ */
+const reassignSigner = async (document, signer, updates, { actorKind, actorId }, transaction) => {
+  const before = snapshot(signer);
+  const identityChanged = IDENTITY_FIELDS.some(key =>
+    updates[key] !== undefined && JSON.stringify(updates[key]) !== JSON.stringify(signer[key])
+  );
+  const reopened = signer.status === 'DECLINED';
+
+  signer.set(updates);
+
+  let revokedCount = 0;
+  if (identityChanged || reopened) {
+    signer.status = 'PENDING';
+    if (identityChanged) signer.cpfVerifiedAt = null; // A nova identidade precisa ser confirmada de novo
+    // A recusa anterior fica registrada na trilha de auditoria (DECLINED)
+    signer.declinedAt = null;
+    signer.declineReason = null;
+    revokedCount = await documentService.revokeShareTokens(document.id, { signerId: signer.id }, transaction);
+  }
+  await signer.save({ transaction });
+
+  // No fluxo sequencial, quem ainda não foi convidado recebe o convite quando chegar a vez
+  if ((identityChanged || reopened) && signer.invitedAt) {
+    await documentService.inviteSigner(document, signer, { message: document.inviteMessage, actorKind, actorId }, transaction);
+  }
+
+  return { before, after: snapshot(signer), identityChanged, reopened, revokedCount };
+};
+
+/**
+ * Documento pausado por recusa (DECLINED, ver `declineAction` AWAIT_OWNER): sem outra recusa pendente,
+ * o fluxo de assinatura é retomado.
+ * @returns {Promise<string|null>} Novo status, ou null se o documento continua como estava.
+ */
+const resumeDeclinedDocument = async (document, user, transaction) => {
+  if (document.status !== 'DECLINED' || document.Signers.some(s => s.status === 'DECLINED')) return null;
+
+  const newStatus = document.Signers.some(s => s.status === 'SIGNED') ? 'PARTIALLY_SIGNED' : 'READY';
+  document.status = newStatus;
+  await document.save({ transaction });
+
+  await auditService.createEntry({
+    tenantId: document.tenantId,
+    actorKind: 'USER',
+    actorId: user.id,
+    entityType: 'DOCUMENT',
+    entityId: document.id,
+    action: 'STATUS_CHANGED',
+    ip: 'SYSTEM',
+    userAgent: 'SYSTEM',
+    payload: { newStatus, reason: 'DECLINE_RESOLVED' }
+  }, transaction);
+  return newStatus;
+};
+
+/**
+ * Corrige ou substitui um signatário que ainda não assinou (ação do remetente).
+ * Um signatário que recusou pode ser substituído (outros dados) ou reaberto (mesmos dados, corpo vazio):
+ * ele recebe um novo convite e, sem outra recusa pendente, o documento pausado (DECLINED) volta ao fluxo.
+ * @param {object} data - { name, email, phone, cpf, birthDate, authChannels, requireIdentityEvidence, requireQualifiedSignature, qualification, allowDelegation }
+ */
+const updateSigner = async (docId, signerId, data, user) => {
+  const document = await documentService.findDocumentById(docId, user);
+
+  if (!['DRAFT', 'READY', 'PARTIALLY_SIGNED', 'DECLINED'].includes(document.status)) {
+    throw httpError(`Documento com status ${document.status} não permite alterar signatários.`, 409);
+  }
+
+  const signer = document.Signers.find(s => s.id === signerId);
+  if (!signer) throw httpError('Signatário não encontrado neste documento.', 404);
+  if (!['PENDING', 'VIEWED', 'DECLINED'].includes(signer.status)) {
+    throw httpError(`Não é possível alterar um signatário com status ${signer.status}.`, 409);
+  }
+
+  const updates = pickSignerUpdates(data, ['name', 'email', 'phone', 'cpf', 'birthDate', 'authChannels', 'requireIdentityEvidence', 'requireQualifiedSignature', 'qualification', 'allowDelegation']);
+  if (Object.keys(updates).length === 0 && signer.status !== 'DECLINED') throw httpError('Nenhuma alteração informada.', 400);
+  if (signer.collectInPerson && updates.cpf === null) {
+    throw httpError('O CPF é obrigatório na coleta presencial.', 400);
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const result = await reassignSigner(document, signer, updates, { actorKind: 'USER', actorId: user.id }, transaction);
+    const documentStatus = await resumeDeclinedDocument(document, user, transaction);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'SIGNER_UPDATED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: {
+        documentId: document.id,
+        old: result.before,
+        new: result.after,
+        reinvited: (result.identityChanged || result.reopened) && Boolean(signer.invitedAt),
+        reopened: result.reopened,
+        revokedCount: result.revokedCount,
+        documentStatus: documentStatus || undefined
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return signer;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * O signatário repassa a assinatura para outra pessoa (se o remetente permitiu).
+ * O lugar na fila e os campos são mantidos; a identidade anterior vai para `delegationChain`.
+ *
+ * @param {object} data - { name, email, phone, cpf, reason }
+ */
+const delegateSignature = async (document, signer, data, req) => {
+  if (!signer.allowDelegation) {
+    throw httpError('O remetente não permitiu a delegação desta assinatura.', 403);
+  }
+
+  const updates = pickSignerUpdates(data, ['name', 'email', 'phone', 'cpf']);
+  if (!updates.name || !updates.email) {
+    throw httpError('Informe o nome e o e-mail de quem vai assinar.', 400);
+  }
+  if (updates.email === (signer.email || '').toLowerCase()) {
+    throw httpError('Informe o e-mail de outra pessoa para delegar a assinatura.', 400);
+  }
+  // Dados verificados (CPF) e contato da pessoa anterior não são herdados
+  updates.cpf = updates.cpf || null;
+  updates.birthDate = null;
+  updates.phoneWhatsE164 = updates.phoneWhatsE164 || null;
+
+  const reason = data.reason ? String(data.reason).trim() : null;
+  const link = { ...snapshot(signer), delegatedAt: new Date().toISOString(), reason };
+  delete link.authChannels;
+  delete link.qualification;
+  updates.delegationChain = [...(signer.delegationChain || []), link];
+
+  // Sem telefone, o novo signatário recebe apenas por e-mail
+  if (!updates.phoneWhatsE164) {
+    updates.authChannels = (signer.authChannels || ['EMAIL']).filter(c => c === 'EMAIL');
+    if (updates.authChannels.length === 0) updates.authChannels = ['EMAIL'];
+  }
+
+  const transaction = await sequelize.transaction();
+  try {
+    const result = await reassignSigner(document, signer, updates, { actorKind: 'SIGNER', actorId: signer.id }, transaction);
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'SIGNER',
+      actorId: signer.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'DELEGATED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceInfo: req.deviceInfo,
+      payload: {
+        documentId: document.id,
+        from: result.before,
+        to: result.after,
+        reason,
+        chain: updates.delegationChain
+      }
+    }, transaction);
+
+    await transaction.commit();
+    return signer;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  updateSigner,
+  delegateSignature
+};
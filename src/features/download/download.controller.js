@@ -0,0 +1,44 @@
+// src/features/download/download.controller.js
+'use strict';
+
+const fs = require('fs');
+const downloadService = require('./download.service');
+const auditService = require('../audit/audit.service');
+
+/**
+ * GET /downloads/:documentId?kind&aud&sub&exp&sig -> envia o arquivo de uma URL assinada.
+ * Com `?download=1` o navegador baixa; sem ele, o PDF abre no visualizador.
+ */
+const streamDownload = async (req, res, next) => {
+  try {
+    const download = await downloadService.resolveDownload(req.params.documentId, req.query);
+    const { document, kind, filePath, fileName, sha256, actorKind, actorId } = download;
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind,
+      actorId,
+      entityType: 'DOCUMENT',
+      entityId: document.id,
+      action: 'DOWNLOADED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceInfo: actorKind === 'SIGNER' ? req.deviceInfo : null,
+      payload: { kind, sha256, via: 'SIGNED_URL' }
+    });
+
+    const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', kind === 'CERTIFICATE' ? 'application/pdf' : document.mimeType || 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (sha256) res.setHeader('X-Content-SHA256', sha256);
+
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { streamDownload };
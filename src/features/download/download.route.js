@@ -0,0 +1,13 @@
+// src/features/download/download.route.js
+
+const { Router } = require('express');
+const downloadController = require('./download.controller');
+const captureDeviceInfo = require('../../middlewares/captureDeviceInfo');
+
+const router = Router();
+
+// Rota pública: a autorização vem da assinatura HMAC da URL (ver download.service)
+// GET /downloads/:documentId -> arquivo atual do documento ou certificado (kind=CERTIFICATE)
+router.get('/:documentId', captureDeviceInfo, downloadController.streamDownload);
+
+module.exports = router;
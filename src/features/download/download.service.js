@@ -0,0 +1,165 @@
+// src/features/download/download.service.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Document, Certificate, Signer, ShareToken, User, TenantMember } = require('../../models');
+
+/**
+ * URLs de download assinadas (HMAC) e de curta duração.
+ * A pasta uploads/ não é mais pública: todo arquivo sai por GET /api/downloads/:documentId,
+ * que confere a assinatura, a validade e quem pediu o link (membro do tenant ou signatário com link válido).
+ */
+
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+
+// Links gerados para a tela (painel e página de assinatura)
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 15 * 60;
+// Links enviados nos e-mails de conclusão (o destinatário pode abrir dias depois)
+const DOWNLOAD_EMAIL_URL_TTL_HOURS = parseInt(process.env.DOWNLOAD_EMAIL_URL_TTL_HOURS, 10) || 7 * 24;
+
+// DOCUMENT: versão atual do arquivo (assinada, se concluído) | CERTIFICATE: certificado de conclusão
+const DOWNLOAD_KINDS = ['DOCUMENT', 'CERTIFICATE'];
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSecret = () => {
+  const secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('DOWNLOAD_URL_SECRET não configurado.');
+  return secret;
+};
+
+/**
+ * Assinatura do link: cobre documento, tipo de arquivo, destinatário e validade.
+ */
+const sign = ({ documentId, kind, audience, subjectId, shareTokenId, expiresAt }) => crypto
+  .createHmac('sha256', getSecret())
+  .update([documentId, kind, audience, subjectId, shareTokenId || '', expiresAt].join('.'))
+  .digest('base64url');
+
+/**
+ * Gera a URL assinada de download.
+ * @param {object} options
+ * @param {string} options.documentId
+ * @param {string} [options.kind='DOCUMENT'] - DOCUMENT | CERTIFICATE
+ * @param {object} options.audience - { user } (membro do tenant) ou { signer, shareToken } (signatário).
+ *   Sem `shareToken`, o link do signatário vale enquanto ele pertencer ao documento (e-mails de conclusão).
+ * @param {number} [options.expiresInSeconds]
+ * @returns {{ url: string, expiresAt: string }}
+ */
+const createDownloadUrl = ({ documentId, kind = 'DOCUMENT', audience, expiresInSeconds = DOWNLOAD_URL_TTL_SECONDS }) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const params = audience.user
+    ? { documentId, kind, audience: 'USER', subjectId: audience.user.id, expiresAt }
+    : { documentId, kind, audience: 'SIGNER', subjectId: audience.signer.id, shareTokenId: audience.shareToken?.id, expiresAt };
+
+  const query = new URLSearchParams({
+    kind,
+    aud: params.audience,
+    sub: params.subjectId,
+    ...(params.shareTokenId ? { st: params.shareTokenId } : {}),
+    exp: String(expiresAt),
+    sig: sign(params)
+  });
+
+  return {
+    url: `${process.env.API_BASE_URL}/api/downloads/${documentId}?${query.toString()}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  };
+};
+
+/**
+ * Link para os e-mails de conclusão (validade maior).
+ */
+const createEmailDownloadUrl = (documentId, audience) => createDownloadUrl({
+  documentId,
+  audience,
+  expiresInSeconds: DOWNLOAD_EMAIL_URL_TTL_HOURS * 60 * 60
+}).url;
+
+/**
+ * Confere se quem recebeu o link ainda pode acessar o documento.
+ * @returns {Promise<{ actorKind: string, actorId: string }>}
+ */
+const assertAudience = async (document, { aud, sub, st }) => {
+  if (aud === 'USER') {
+    const user = await User.findOne({ where: { id: sub, status: 'ACTIVE' }, attributes: ['id', 'tenantId'] });
+    const isMember = user && (user.tenantId === document.tenantId || await TenantMember.count({
+      where: { tenantId: document.tenantId, userId: user.id, status: 'ACTIVE' }
+    }) > 0);
+    if (!isMember) throw httpError('Acesso negado a este documento.', 403);
+    return { actorKind: 'USER', actorId: user.id };
+  }
+
+  if (aud === 'SIGNER') {
+    const signer = await Signer.findOne({ where: { id: sub, documentId: document.id }, attributes: ['id'] });
+    if (!signer) throw httpError('Acesso negado a este documento.', 403);
+
+    // Link gerado pela página de assinatura: o link de assinatura precisa continuar válido
+    if (st) {
+      const shareToken = await ShareToken.findOne({
+        where: { id: st, signerId: signer.id, revokedAt: null, lockedAt: null, expiresAt: { [Op.gt]: new Date() } }
+      });
+      if (!shareToken) throw httpError('O link de assinatura foi revogado ou expirou.', 403);
+    }
+    return { actorKind: 'SIGNER', actorId: signer.id };
+  }
+
+  throw httpError('Link de download inválido.', 400);
+};
+
+/**
+ * Valida a URL assinada e localiza o arquivo.
+ * @param {string} documentId
+ * @param {object} query - { kind, aud, sub, st, exp, sig }
+ * @returns {Promise<{ document: Document, kind: string, filePath: string, fileName: string, sha256: string|null, actorKind: string, actorId: string }>}
+ */
+const resolveDownload = async (documentId, query) => {
+  const { kind, aud, sub, st, exp, sig } = query;
+  if (!DOWNLOAD_KINDS.includes(kind) || !aud || !sub || !exp || typeof sig !== 'string') {
+    throw httpError('Link de download inválido.', 400);
+  }
+
+  const expected = Buffer.from(sign({ documentId, kind, audience: aud, subjectId: sub, shareTokenId: st, expiresAt: exp }));
+  const received = Buffer.from(sig);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw httpError('Link de download inválido.', 403);
+  }
+  if (Number(exp) * 1000 < Date.now()) {
+    throw httpError('Link de download expirado. Gere um novo link.', 410);
+  }
+
+  const document = await Document.findByPk(documentId);
+  if (!document) throw httpError('Documento não encontrado.', 404);
+
+  const actor = await assertAudience(document, { aud, sub, st });
+
+  let storageKey = document.storageKey;
+  let fileName = document.title.includes('.') ? document.title : `${document.title}${path.extname(document.storageKey || '')}`;
+  let sha256 = document.sha256;
+  if (kind === 'CERTIFICATE') {
+    const certificate = await Certificate.findOne({ where: { documentId: document.id } });
+    if (!certificate) throw httpError('O certificado é emitido quando todos os signatários concluírem a assinatura.', 404);
+    storageKey = certificate.storageKey;
+    fileName = `certificado-${document.id}.pdf`;
+    sha256 = certificate.sha256;
+  }
+
+  const filePath = storageKey ? path.join(ROOT_DIR, storageKey) : null;
+  if (!filePath || !fs.existsSync(filePath)) throw httpError('Arquivo não encontrado no servidor.', 404);
+
+  return { document, kind, filePath, fileName, sha256, ...actor };
+};
+
+module.exports = {
+  DOWNLOAD_KINDS,
+  createDownloadUrl,
+  createEmailDownloadUrl,
+  resolveDownload
+};
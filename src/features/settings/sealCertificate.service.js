@@ -0,0 +1,197 @@
+// src/features/settings/sealCertificate.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { TenantSettings, User, TenantMember } = require('../../models');
+const notificationService = require('../../services/notification.service');
+const { loadP12, readOtherNames, describeCertificate } = require('../../utils/pki');
+const { readIcpBrasilIdentity } = require('../../utils/identity');
+const secretBox = require('../../utils/secretBox');
+
+/**
+ * Certificado A1 (e-CNPJ) de selagem PAdES do tenant.
+ * O .p12 e a senha ficam cifrados em TenantSettings (utils/secretBox) e só são lidos na hora de assinar.
+ * Sem certificado próprio (ou com o dele vencido), a selagem usa o certificado da plataforma.
+ */
+
+// Antecedências (dias) dos avisos de vencimento aos administradores; 0 = venceu
+const EXPIRY_ALERT_DAYS = [30, 15, 7, 1, 0];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const daysUntil = (date, now = new Date()) => Math.ceil((new Date(date).getTime() - now.getTime()) / DAY_MS);
+
+const findSettings = async (tenantId, options = {}) => {
+  const [settings] = await TenantSettings.findOrCreate({ where: { tenantId }, defaults: { tenantId }, ...options });
+  return settings;
+};
+
+/**
+ * Certificado em uso na selagem do tenant e os dados do dicionário de assinatura.
+ * @returns {Promise<{ source: 'TENANT'|'PLATFORM', certificate: object|null, expired: boolean, reason: string|null, location: string|null, contactInfo: string|null }>}
+ */
+const getSealCertificate = async (tenantId) => {
+  const settings = await findSettings(tenantId);
+  const certificate = settings.sealCertificateInfo || null;
+  const expired = Boolean(certificate) && new Date(certificate.notAfter) < new Date();
+  return {
+    source: certificate && !expired ? 'TENANT' : 'PLATFORM',
+    certificate,
+    expired,
+    reason: settings.sealReason || null,
+    location: settings.sealLocation || null,
+    contactInfo: settings.sealContactInfo || null
+  };
+};
+
+/**
+ * Recebe o certificado de selagem do tenant: confere a senha (abrindo o arquivo) e a validade antes de gravar.
+ * @param {Buffer} p12 - Arquivo .p12/.pfx (multer memoryStorage).
+ * @param {string} password
+ * @param {object} user - Administrador que enviou.
+ * @returns {Promise<object>} Dados do certificado (`sealCertificateInfo`).
+ */
+const uploadSealCertificate = async (tenantId, p12, password, user) => {
+  if (!p12 || p12.length === 0) throw httpError('Envie o arquivo do certificado (.p12/.pfx) no campo "certificate".', 400);
+
+  let credentials;
+  try {
+    credentials = loadP12(p12, password);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+
+  const certificate = describeCertificate(credentials.certificate);
+  const now = new Date();
+  if (certificate.notBefore > now) {
+    throw httpError(`O certificado só passa a valer em ${certificate.notBefore.toISOString().slice(0, 10)}.`, 400);
+  }
+  if (certificate.notAfter < now) {
+    throw httpError(`O certificado venceu em ${certificate.notAfter.toISOString().slice(0, 10)}.`, 400);
+  }
+
+  const info = {
+    ...certificate,
+    cnpj: readIcpBrasilIdentity(readOtherNames(credentials.certificate)).cnpj,
+    uploadedAt: now,
+    uploadedBy: user ? { id: user.id, name: user.name, email: user.email } : null
+  };
+
+  const settings = await findSettings(tenantId);
+  await settings.update({
+    sealCertificateP12: secretBox.encrypt(p12),
+    sealCertificatePassword: secretBox.encrypt(password || ''),
+    sealCertificateInfo: info,
+    sealCertificateAlertedDays: null
+  });
+  return info;
+};
+
+/**
+ * Remove o certificado do tenant; a selagem volta a usar o da plataforma.
+ * @returns {Promise<object|null>} Dados do certificado removido.
+ */
+const removeSealCertificate = async (tenantId) => {
+  const settings = await findSettings(tenantId);
+  const removed = settings.sealCertificateInfo || null;
+  await settings.update({
+    sealCertificateP12: null,
+    sealCertificatePassword: null,
+    sealCertificateInfo: null,
+    sealCertificateAlertedDays: null
+  });
+  return removed;
+};
+
+/**
+ * Opções de selagem para o pades.service (`seal`): certificado do tenant, se houver um válido, e os dados
+ * do dicionário de assinatura configurados. Campos vazios ficam com os padrões da plataforma.
+ * @returns {Promise<{ credentials?: object, name?: string, reason?: string, location?: string, contactInfo?: string }>}
+ */
+const resolveTenantSeal = async (tenantId, { transaction } = {}) => {
+  const settings = await TenantSettings.scope('withSealCertificate').findOne({ where: { tenantId }, transaction });
+  if (!settings) return {};
+
+  const seal = {
+    reason: settings.sealReason || undefined,
+    location: settings.sealLocation || undefined,
+    contactInfo: settings.sealContactInfo || undefined
+  };
+
+  const info = settings.sealCertificateInfo;
+  if (!info || !settings.sealCertificateP12) return seal;
+  if (new Date(info.notAfter) < new Date()) {
+    console.warn(`[SEAL] Certificado do tenant ${tenantId} venceu em ${info.notAfter}; selando com o certificado da plataforma.`);
+    return seal;
+  }
+
+  const p12 = secretBox.decrypt(settings.sealCertificateP12);
+  try {
+    return {
+      ...seal,
+      name: info.commonName || undefined,
+      credentials: loadP12(p12, secretBox.decrypt(settings.sealCertificatePassword).toString('utf8'))
+    };
+  } finally {
+    p12.fill(0);
+  }
+};
+
+/**
+ * E-mails dos administradores ativos do tenant (dono da conta e membros convidados como ADMIN).
+ */
+const findAdminEmails = async (tenantId) => {
+  const [users, members] = await Promise.all([
+    User.findAll({ where: { tenantId, role: 'ADMIN', status: 'ACTIVE' }, attributes: ['name', 'email'] }),
+    TenantMember.findAll({ where: { tenantId, role: 'ADMIN', status: 'ACTIVE' }, attributes: ['email'] })
+  ]);
+  const recipients = new Map();
+  for (const { name, email } of [...users, ...members]) {
+    if (email && !recipients.has(email.toLowerCase())) recipients.set(email.toLowerCase(), { name: name || email, email });
+  }
+  return [...recipients.values()];
+};
+
+/**
+ * Avisa os administradores dos tenants cujo certificado de selagem vence em breve (ou venceu).
+ * Cada antecedência de EXPIRY_ALERT_DAYS é avisada uma vez; um novo upload recomeça a contagem. Chamado pelo cron.
+ * @returns {Promise<number>} Quantidade de tenants avisados.
+ */
+const notifyExpiringSealCertificates = async (now = new Date()) => {
+  const candidates = await TenantSettings.findAll({ where: { sealCertificateInfo: { [Op.ne]: null } } });
+
+  let alerted = 0;
+  for (const settings of candidates) {
+    const info = settings.sealCertificateInfo;
+    const daysLeft = daysUntil(info.notAfter, now);
+    const threshold = [...EXPIRY_ALERT_DAYS].reverse().find(days => daysLeft <= days);
+    if (threshold === undefined) continue;
+    if (settings.sealCertificateAlertedDays !== null && settings.sealCertificateAlertedDays <= threshold) continue;
+
+    try {
+      const recipients = await findAdminEmails(settings.tenantId);
+      for (const recipient of recipients) {
+        await notificationService.sendSealCertificateExpiryNotification(recipient, settings.tenantId, info, daysLeft);
+      }
+      await settings.update({ sealCertificateAlertedDays: threshold });
+      alerted++;
+    } catch (error) {
+      console.error(`[SEAL] Falha ao avisar o vencimento do certificado do tenant ${settings.tenantId}:`, error.message);
+    }
+  }
+  return alerted;
+};
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  getSealCertificate,
+  uploadSealCertificate,
+  removeSealCertificate,
+  resolveTenantSeal,
+  notifyExpiringSealCertificates
+};
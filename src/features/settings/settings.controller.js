@@ -6,6 +6,7 @@ const { TenantSettings } = require('../../models');
 // -------------------------------------------------
 
 const settingsService = require('./settings.service');
+const sealCertificateService = require('./sealCertificate.service');
 const auditService = require('../audit/audit.service');
 
 const get = async (req, res, next) => {
@@ -77,4 +78,62 @@ const updateEmailTemplate = async (req, res, next) => {
     }
 };
 
-module.exports = { get, update, updateEmailTemplate };
\ No newline at end of file
+const getSealCertificate = async (req, res, next) => {
+  try {
+    res.json(await sealCertificateService.getSealCertificate(req.user.tenantId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const uploadSealCertificate = async (req, res, next) => {
+  try {
+    const certificate = await sealCertificateService.uploadSealCertificate(
+      req.user.tenantId, req.file?.buffer, req.body.password, req.user
+    );
+
+    await auditService.createEntry({
+      tenantId: req.user.tenantId,
+      actorKind: 'USER',
+      actorId: req.user.id,
+      entityType: 'SYSTEM',
+      entityId: req.user.tenantId,
+      action: 'SETTINGS_CHANGED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      payload: {
+        message: 'Certificado de selagem (A1) enviado',
+        certificate: { subject: certificate.subject, issuer: certificate.issuer, serialNumber: certificate.serialNumber, notAfter: certificate.notAfter, sha256: certificate.sha256 }
+      }
+    });
+
+    res.status(201).json(await sealCertificateService.getSealCertificate(req.user.tenantId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const removeSealCertificate = async (req, res, next) => {
+  try {
+    const removed = await sealCertificateService.removeSealCertificate(req.user.tenantId);
+    if (!removed) return res.status(404).json({ message: 'Nenhum certificado de selagem cadastrado.' });
+
+    await auditService.createEntry({
+      tenantId: req.user.tenantId,
+      actorKind: 'USER',
+      actorId: req.user.id,
+      entityType: 'SYSTEM',
+      entityId: req.user.tenantId,
+      action: 'SETTINGS_CHANGED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      payload: { message: 'Certificado de selagem (A1) removido', certificate: { subject: removed.subject, serialNumber: removed.serialNumber } }
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { get, update, updateEmailTemplate, getSealCertificate, uploadSealCertificate, removeSealCertificate };
\ No newline at end of file
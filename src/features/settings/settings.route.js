@@ -1,6 +1,7 @@
 
 // src/features/settings/settings.route.js
 const { Router } = require('express');
+const multer = require('multer');
 const controller = require('./settings.controller');
 const authGuard = require('../../middlewares/authGuard');
 const roleGuard = require('../../middlewares/roleGuard');
@@ -8,10 +9,22 @@ const roleGuard = require('../../middlewares/roleGuard');
 const router = Router();
 router.use(authGuard);
 
+// Certificado A1 de selagem (.p12/.pfx), lido da memória e gravado cifrado
+const uploadCertificate = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024, files: 1 } // Limite de 256KB
+});
+
 router.get('/', controller.get);
 router.patch('/', roleGuard(['ADMIN', 'SUPER_ADMIN']), controller.update);
 
 // --- NOVA ROTA DE TEMPLATE ---
 router.put('/email-template', roleGuard(['ADMIN', 'SUPER_ADMIN']), controller.updateEmailTemplate);
 
+// Certificado de selagem PAdES do tenant (sem ele, vale o da plataforma)
+// GET: titular, emissor e validade | PUT: multipart `certificate` + `password` | DELETE: volta ao da plataforma
+router.get('/seal-certificate', controller.getSealCertificate);
+router.put('/seal-certificate', roleGuard(['ADMIN', 'SUPER_ADMIN']), uploadCertificate.single('certificate'), controller.uploadSealCertificate);
+router.delete('/seal-certificate', roleGuard(['ADMIN', 'SUPER_ADMIN']), controller.removeSealCertificate);
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 'use strict';
 const { TenantSettings } = require('../../models');
+const { SMS_PROVIDERS } = require('../../services/sms.service');
 
 const getSettings = async (tenantId) => {
   const [settings] = await TenantSettings.findOrCreate({
@@ -11,6 +12,18 @@ const getSettings = async (tenantId) => {
 
 const updateSettings = async (tenantId, data) => {
   const settings = await getSettings(tenantId);
+
+  if (data.smsProvider && !SMS_PROVIDERS.includes(data.smsProvider)) {
+    const error = new Error(`Provedor de SMS inválido. Use ${SMS_PROVIDERS.join(', ')}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (data.phoneFallbackOrder !== undefined
+    && (!Array.isArray(data.phoneFallbackOrder) || data.phoneFallbackOrder.some(c => !['WHATSAPP', 'SMS'].includes(c)))) {
+    const error = new Error('Ordem de fallback inválida. Use uma lista com WHATSAPP e/ou SMS.');
+    error.statusCode = 400;
+    throw error;
+  }
   
   // Atualiza apenas campos permitidos
   await settings.update({
@@ -21,8 +34,21 @@ const updateSettings = async (tenantId, data) => {
     zapiToken: data.zapiToken,
     zapiClientToken: data.zapiClientToken,
     zapiActive: data.zapiActive,
+    smsProvider: data.smsProvider,
+    smsAccountSid: data.smsAccountSid,
+    smsAuthToken: data.smsAuthToken,
+    smsFrom: data.smsFrom,
+    smsActive: data.smsActive,
+    phoneFallbackOrder: data.phoneFallbackOrder,
     resendApiKey: data.resendApiKey,
-    resendActive: data.resendActive
+    resendActive: data.resendActive,
+    reminderIntervalDays: data.reminderIntervalDays,
+    reminderFinalHours: data.reminderFinalHours,
+    notifySignersOnExpiry: data.notifySignersOnExpiry,
+    appendCertificateToPdf: data.appendCertificateToPdf,
+    sealReason: data.sealReason,
+    sealLocation: data.sealLocation,
+    sealContactInfo: data.sealContactInfo
   });
 
   return settings;
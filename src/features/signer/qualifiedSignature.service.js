@@ -0,0 +1,71 @@
+// src/features/signer/qualifiedSignature.service.js
+'use strict';
+
+const { loadP12, readOtherNames, describeCertificate } = require('../../utils/pki');
+const { normalizeCpf, readIcpBrasilIdentity } = require('../../utils/identity');
+const revocationService = require('../../services/revocation.service');
+
+/**
+ * Assinatura qualificada: o signatário assina com o próprio certificado ICP-Brasil A1 (.p12/.pfx).
+ * O arquivo e a senha chegam junto com o commit e só existem na memória da requisição: nada é gravado
+ * em disco, no banco ou nos logs. A trilha de auditoria recebe apenas os dados públicos do certificado.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Abre e confere o certificado enviado no commit, antes de abrir a transação:
+ * senha, validade, CPF do titular (campo ICP-Brasil, igual ao do signatário quando o remetente informou um)
+ * e revogação (OCSP/LCR do emissor; sem resposta dos serviços, a assinatura segue).
+ *
+ * @param {Signer} signer
+ * @param {{ p12?: Buffer, password?: string }} upload - Arquivo (multer memoryStorage) e senha.
+ * @returns {Promise<{ credentials: object, certificate: object }|null>} null quando o signatário não enviou
+ *   certificado e o remetente não exigiu. `certificate` é o resumo gravado em `signer.qualifiedCertificate`.
+ */
+const openSignerCertificate = async (signer, upload = {}) => {
+  if (!upload.p12 || upload.p12.length === 0) {
+    if (signer.requireQualifiedSignature) {
+      throw httpError('Esta assinatura exige o seu certificado digital ICP-Brasil (A1). Envie o arquivo .p12/.pfx e a senha.', 400);
+    }
+    return null;
+  }
+
+  let credentials;
+  try {
+    credentials = loadP12(upload.p12, upload.password);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  } finally {
+    upload.p12.fill(0); // A chave segue só como KeyObject; o arquivo (com a chave cifrada) é apagado da memória
+  }
+
+  const certificate = describeCertificate(credentials.certificate);
+  const now = new Date();
+  if (certificate.notBefore > now || certificate.notAfter < now) {
+    throw httpError(`O certificado de ${certificate.commonName || 'assinatura'} está fora da validade (${certificate.notBefore.toISOString().slice(0, 10)} a ${certificate.notAfter.toISOString().slice(0, 10)}).`, 400);
+  }
+
+  const { cpf } = readIcpBrasilIdentity(readOtherNames(credentials.certificate));
+  if (!cpf) {
+    throw httpError('O certificado enviado não é um e-CPF/e-CNPJ ICP-Brasil: o CPF do titular não foi encontrado.', 400);
+  }
+  if (signer.cpf && normalizeCpf(signer.cpf) !== cpf) {
+    throw httpError('O CPF do certificado digital não corresponde ao CPF informado para este signatário.', 403);
+  }
+
+  const { revoked } = await revocationService.collectValidationData(credentials.chain);
+  if (revoked.length > 0) {
+    throw httpError(`O certificado digital está revogado (${revoked[0].subject}).`, 403);
+  }
+
+  return { credentials, certificate: { ...certificate, cpf } };
+};
+
+module.exports = {
+  openSignerCertificate
+};
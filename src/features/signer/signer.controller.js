@@ -2,6 +2,8 @@
 
 const signerService = require('./signer.service');
 const documentService = require('../document/document.service'); // <-- IMPORTAR O document.service
+const signerReplacementService = require('../document/signerReplacement.service');
+const signerEvidenceService = require('./signerEvidence.service');
 const { User } = require('../../models'); // <-- IMPORTAR O User
 
 const getSummary = async (req, res, next) => {
@@ -16,10 +18,10 @@ const getSummary = async (req, res, next) => {
 
 const identifySigner = async (req, res, next) => {
   try {
-    const { cpf } = req.body;
+    const { cpf, birthDate } = req.body || {};
     if (!cpf) return res.status(400).json({ message: 'CPF é obrigatório.' });
     
-    await signerService.identifySigner(req.signer, cpf, req);
+    await signerService.identifySigner(req.signer, { cpf, birthDate }, req);
     res.status(200).json({ message: 'Identificação confirmada com sucesso.' });
   } catch (error) {
     next(error);
@@ -49,20 +51,33 @@ const verifyOtp = async (req, res, next) => {
 
 const confirmSignatureArt = async (req, res, next) => {
     try {
-      const { signatureArt } = req.body; // ex: base64 da imagem
-      // Em uma implementação real, você validaria e talvez armazenaria isso temporariamente.
-      if (!signatureArt) {
+      // DRAWN: signatureArt (PNG Base64) | TYPED: text + font | UPLOADED: arquivo `image` (multipart) ou signatureArt em Base64
+      const { mode, signatureArt, text, font } = req.body || {};
+      if (!req.file && !signatureArt && (mode || 'DRAWN') !== 'TYPED') {
         return res.status(400).json({ message: 'Arte da assinatura é obrigatória.' });
       }
-      res.status(200).json({ message: 'Arte da assinatura recebida, pronta para finalizar.' });
+      // Guardada na sessão de assinatura; o commit usa esta arte
+      const artwork = await signerService.confirmSignatureArt(req, { mode, signatureArt, text, font, file: req.file?.buffer });
+      res.status(200).json({ message: 'Arte da assinatura recebida, pronta para finalizar.', ...artwork });
     } catch (error) {
       next(error);
     }
   };
 
+const confirmInitials = async (req, res, next) => {
+  try {
+    // Mesmos modos da assinatura; TYPED sem `text` usa as iniciais do nome
+    const { mode, initials, text, font } = req.body || {};
+    const artwork = await signerService.confirmInitials(req, { mode, initials, text, font, file: req.file?.buffer });
+    res.status(200).json({ message: 'Rubrica recebida.', ...artwork });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const commitSignature = async (req, res, next) => {
   try {
-    const { clientFingerprint, signatureImage } = req.body;
+    const { clientFingerprint, signatureImage, certificatePassword } = req.body;
     
     // Pega o IP real (considerando proxies/load balancers)
     const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
@@ -73,7 +88,8 @@ const commitSignature = async (req, res, next) => {
         clientFingerprint, 
         signatureImage, 
         req,
-        ip // <--- Passando IP explicitamente
+        ip, // <--- Passando IP explicitamente
+        { p12: req.file?.buffer, password: certificatePassword }
     );
     
     res.status(200).json({ 
@@ -85,6 +101,53 @@ const commitSignature = async (req, res, next) => {
   }
 };
 
+const fillFields = async (req, res, next) => {
+  try {
+    const { fields } = req.body; // [{ id, value }]
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return res.status(400).json({ message: 'Informe os campos a preencher ({ id, value }).' });
+    }
+    const updated = await signerService.fillFields(req, fields);
+    res.status(200).json({ fields: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const declineSignature = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ message: 'O motivo da recusa é obrigatório.' });
+    }
+
+    await signerService.declineSignature(req.document, req.signer, reason.trim(), req);
+    res.status(200).json({ message: 'Recusa registrada. O remetente foi notificado.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const delegateSignature = async (req, res, next) => {
+  try {
+    const { name, email, phone, cpf, reason } = req.body || {};
+    await signerReplacementService.delegateSignature(req.document, req.signer, { name, email, phone, cpf, reason }, req);
+    res.status(200).json({ message: `Assinatura delegada. ${name} receberá o convite para assinar.` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const uploadEvidence = async (req, res, next) => {
+  try {
+    const { kind, idDocumentType } = req.body || {};
+    const evidence = await signerEvidenceService.uploadEvidence(req, req.file, { kind, idDocumentType });
+    res.status(201).json(evidence);
+  } catch (error) {
+    next(error);
+  }
+};
+
 const savePosition = async (req, res, next) => {
   try {
     const { position } = req.body;
@@ -109,6 +172,11 @@ module.exports = {
   startOtp,
   verifyOtp,
   confirmSignatureArt,
+  confirmInitials,
   commitSignature,
+  declineSignature,
+  fillFields,
+  delegateSignature,
+  uploadEvidence,
   savePosition,
 };
\ No newline at end of file
@@ -1,18 +1,42 @@
 // src/features/signer/signer.route.js
 
 const { Router } = require('express');
+const multer = require('multer');
 const signerController = require('./signer.controller');
 const resolveSignerToken = require('../../middlewares/resolveSignerToken');
+const captureDeviceInfo = require('../../middlewares/captureDeviceInfo');
 
 const router = Router();
 
+// Selfie e foto do documento de identidade (lidas da memória; o serviço grava no diretório do tenant)
+const uploadEvidence = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 } // Limite de 8MB
+});
+
+// Imagem da assinatura/rubrica no modo UPLOADED (JPEG, PNG ou SVG; convertida para PNG)
+const uploadArtwork = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // Limite de 2MB
+});
+
+// Certificado ICP-Brasil A1 do signatário (.p12/.pfx), usado só durante o commit e nunca gravado
+const uploadCertificate = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024, files: 1 } // Limite de 256KB
+});
+
 // Aplica o middleware de resolução de token a todas as rotas com /:token
 router.use('/:token', resolveSignerToken);
 
+// Evidência do dispositivo (UA, tela, fuso, geolocalização consentida, localização do IP) para a trilha de auditoria
+// O navegador envia os dados no header X-Device-Info (JSON) ou em `deviceInfo` no corpo
+router.use('/:token', captureDeviceInfo);
+
 // GET /sign/:token -> resumo (título, data, prazo, status, baixar não assinado)
 router.get('/:token', signerController.getSummary);
 
-// POST /sign/:token/identify -> valida/atualiza CPF (e congela e-mail/WhatsApp)
+// POST /sign/:token/identify -> confirma o CPF (e a data de nascimento, se o remetente exigiu)
 router.post('/:token/identify', signerController.identifySigner);
 
 // POST /sign/:token/otp/start -> envia OTP (e-mail + WhatsApp)
@@ -21,16 +45,34 @@ router.post('/:token/otp/start', signerController.startOtp);
 // POST /sign/:token/otp/verify -> confirma identidade
 router.post('/:token/otp/verify', signerController.verifyOtp);
 
-// POST /sign/:token/draw -> salva arte da assinatura (canvas/texto) - *Simplificado*
-// Em um app real, este endpoint receberia a imagem/vetor da assinatura.
-// Aqui, vamos tratá-lo como um passo de confirmação antes do commit final.
-router.post('/:token/draw', signerController.confirmSignatureArt);
+// POST /sign/:token/evidence -> selfie ou foto do RG/CNH (multipart: image + kind, idDocumentType)
+// Obrigatório antes do commit quando o remetente marcou `requireIdentityEvidence` no signatário
+router.post('/:token/evidence', uploadEvidence.single('image'), signerController.uploadEvidence);
+
+// POST /sign/:token/draw -> guarda a arte da assinatura na sessão de assinatura
+// mode: DRAWN (signatureArt em PNG Base64) | TYPED (text + font) | UPLOADED (multipart `image`)
+router.post('/:token/draw', uploadArtwork.single('image'), signerController.confirmSignatureArt);
+
+// POST /sign/:token/initials -> guarda a rubrica (mesmos modos); obrigatória quando o documento exige `requireInitials`
+router.post('/:token/initials', uploadArtwork.single('image'), signerController.confirmInitials);
 
 
 // POST /sign/:token/commit -> realiza a assinatura (gera signatureHash, atualiza Signer)
-router.post('/:token/commit', signerController.commitSignature);
+// Só é aceito com as etapas exigidas pelo `authLevel` do documento concluídas na sessão do link
+// Assinatura qualificada (obrigatória se o remetente marcou `requireQualifiedSignature`):
+// multipart com `certificate` (.p12/.pfx) e `certificatePassword`
+router.post('/:token/commit', uploadCertificate.single('certificate'), signerController.commitSignature);
 
 router.post('/:token/position', signerController.savePosition);
 
+// POST /sign/:token/fields -> preenche campos TEXT/CHECKBOX definidos pelo remetente
+router.post('/:token/fields', signerController.fillFields);
+
+// POST /sign/:token/decline -> recusa a assinatura (motivo obrigatório)
+router.post('/:token/decline', signerController.declineSignature);
+
+// POST /sign/:token/delegate -> repassa a assinatura para outra pessoa (se o remetente permitiu)
+router.post('/:token/delegate', signerController.delegateSignature);
+
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,7 @@ const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid'); // Necessário para o ID da assinatura visual
 
 // Importação dos Modelos
@@ -14,9 +15,10 @@ const {
   Signer, 
   OtpCode, 
   AuditLog, 
-  Certificate, 
   User, 
   TenantSettings, 
+  SignatureField,
+  ShareToken,
   sequelize 
 } = require('../../models');
 
@@ -24,13 +26,25 @@ const {
 const notificationService = require('../../services/notification.service');
 const documentService = require('../document/document.service');
 const pdfService = require('../../services/pdf.service');
+const padesService = require('../../services/pades.service');
 const auditService = require('../audit/audit.service');
+const signatureFieldService = require('../document/signatureField.service');
+const certificateService = require('../document/certificate.service');
+const otpGuard = require('../../services/otpGuard.service');
+const signingSessionService = require('./signingSession.service');
+const qualifiedSignatureService = require('./qualifiedSignature.service');
+const sealCertificateService = require('../settings/sealCertificate.service');
+const signatureArtService = require('../../services/signatureArt.service');
+const downloadService = require('../download/download.service');
+const { requiresDrawnSignature, blocksCompletion, roleOf } = require('../../utils/signerRoles');
+const { normalizeCpf, isValidCpf, maskCpf, normalizeBirthDate } = require('../../utils/identity');
 
 /**
  * Salva a imagem da assinatura (em Base64) como um arquivo PNG no disco.
  * Retorna o caminho relativo para armazenamento no banco de dados.
+ * @param {string} [suffix] - Complemento do nome do arquivo (ex: '-initials' para a rubrica).
  */
-const saveSignatureImage = async (base64Image, tenantId, signerId) => {
+const saveSignatureImage = async (base64Image, tenantId, signerId, suffix = '') => {
   if (!base64Image) {
     throw new Error("Imagem da assinatura (Base64) não fornecida.");
   }
@@ -45,7 +59,7 @@ const saveSignatureImage = async (base64Image, tenantId, signerId) => {
   const base64Data = base64Image.replace(/^data:image\/png;base64,/, "");
   const imageBuffer = Buffer.from(base64Data, 'base64');
   
-  const fileName = `${signerId}.png`;
+  const fileName = `${signerId}${suffix}.png`;
   const filePath = path.join(uploadDir, fileName);
   
   await fs.writeFile(filePath, imageBuffer);
@@ -73,14 +87,24 @@ const getSignerSummary = async (document, signer, req) => {
       action: 'VIEWED',
       ip: req.ip,
       userAgent: req.headers['user-agent'],
+      deviceInfo: req.deviceInfo,
     });
   }
 
-  const owner = await User.findByPk(document.ownerId);
-  if (!owner) throw new Error("Proprietário do documento não encontrado.");
-  
-  // Gera URL segura para visualização do PDF
-  const { url: documentUrl } = await documentService.getDocumentDownloadUrl(document.id, owner);
+  // URL assinada e temporária para visualização do PDF (vale enquanto o link de assinatura for válido)
+  const { url: documentUrl, expiresAt: documentUrlExpiresAt } = downloadService.createDownloadUrl({
+    documentId: document.id,
+    audience: { signer, shareToken: req.shareToken }
+  });
+
+  // Sessão de assinatura do link: a visualização é a primeira etapa
+  const session = await signingSessionService.completeStep(req, 'VIEWED');
+
+  // Campos que o remetente posicionou para este signatário
+  const fields = await SignatureField.findAll({
+    where: { signerId: signer.id },
+    order: [['page', 'ASC'], ['y', 'DESC']]
+  });
   
   return {
     document: {
@@ -89,39 +113,155 @@ const getSignerSummary = async (document, signer, req) => {
       createdAt: document.createdAt,
       deadlineAt: document.deadlineAt,
       url: documentUrl,
+      urlExpiresAt: documentUrlExpiresAt,
+      requireInitials: document.requireInitials, // Rubrica em todas as páginas
     },
     signer: {
       name: signer.name,
       email: signer.email,
       phoneWhatsE164: signer.phoneWhatsE164,
       status: signer.status,
-    }
+      role: signer.role, // APPROVER/ACKNOWLEDGER concluem sem assinatura desenhada
+      allowDelegation: signer.allowDelegation,
+      requiresBirthDate: Boolean(signer.birthDate), // O CPF/data em si não são expostos pelo link
+      requireIdentityEvidence: signer.requireIdentityEvidence,
+      requireQualifiedSignature: signer.requireQualifiedSignature, // Envia o .p12 e a senha no commit
+      cpfVerified: Boolean(signer.cpfVerifiedAt),
+    },
+    session: signingSessionService.describeSession(session, document, signer, req.shareToken),
+    // Sessão presencial: quem conduz a coleta e o canal do código enviado ao celular do signatário
+    inPerson: req.shareToken.hostedByUserId
+      ? { hostedBy: req.shareToken.hostedBy?.name || null, otpChannel: req.shareToken.hostedOtpChannel }
+      : null,
+    signatureOptions: {
+      modes: signatureArtService.SIGNATURE_MODES,
+      fonts: signatureArtService.listFonts(),
+      suggestedInitials: signatureArtService.toInitials(signer.name)
+    },
+    fields: fields.map(signatureFieldService.serializeField)
   };
 };
 
 /**
- * Atualiza dados cadastrais do signatário (CPF/Fone) antes da assinatura.
+ * Confirma a identidade do signatário (CPF e, se o remetente exigiu, data de nascimento).
+ * Se o remetente informou o CPF, o valor digitado precisa conferir; divergências são auditadas
+ * e contam como tentativa falha no link (o mesmo limite do OTP).
+ * Na coleta presencial (sessão aberta pelo remetente) o CPF do remetente é obrigatório (409 sem ele).
  */
-const identifySigner = async (signer, { cpf, phone }) => {
-  if (cpf) signer.cpf = cpf;
-  if (phone) signer.phoneWhatsE164 = phone;
+const identifySigner = async (signer, { cpf, birthDate }, req) => {
+  await signingSessionService.assertStepsDone(req, ['VIEWED'], 'confirmar o CPF');
+
+  if (!isValidCpf(cpf)) {
+    const error = new Error('CPF inválido. Confira os números digitados.');
+    error.statusCode = 400;
+    throw error;
+  }
+  const informedCpf = normalizeCpf(cpf);
+
+  // Coleta presencial: sem um CPF do remetente para conferir, qualquer CPF digitado seria aceito
+  if ((signer.collectInPerson || req.shareToken.hostedByUserId) && !signer.cpf) {
+    const error = new Error('O remetente precisa informar o CPF do signatário para a coleta presencial.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const mismatches = [];
+  if (signer.cpf && normalizeCpf(signer.cpf) !== informedCpf) mismatches.push('cpf');
+  if (signer.birthDate && normalizeBirthDate(birthDate) !== signer.birthDate) mismatches.push('birthDate');
+
+  if (mismatches.length > 0) {
+    await auditService.createEntry({
+        tenantId: req.document.tenantId,
+        actorKind: 'SIGNER',
+        actorId: signer.id,
+        entityType: 'SIGNER',
+        entityId: signer.id,
+        action: 'IDENTITY_MISMATCH',
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        deviceInfo: req.deviceInfo,
+        payload: { documentId: req.document.id, fields: mismatches, informedCpf: maskCpf(informedCpf) }
+    });
+
+    const failedAttempts = await reserveLinkAttempt(req);
+    if (failedAttempts === null || await lockExhaustedLink(signer, req, failedAttempts)) {
+        throw linkLockedError();
+    }
+    const error = new Error(signer.birthDate && !birthDate
+      ? 'Informe também a data de nascimento para confirmar sua identidade.'
+      : 'Os dados informados não conferem com os cadastrados pelo remetente.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const providedBySender = Boolean(signer.cpf);
+  signer.cpf = informedCpf;
+  signer.cpfVerifiedAt = new Date();
   await signer.save();
+
+  await auditService.createEntry({
+      tenantId: req.document.tenantId,
+      actorKind: 'SIGNER',
+      actorId: signer.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'IDENTIFIED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceInfo: req.deviceInfo,
+      payload: { documentId: req.document.id, cpf: maskCpf(informedCpf), providedBySender, birthDateChecked: Boolean(signer.birthDate) }
+  });
+
+  await signingSessionService.completeStep(req, 'IDENTIFIED');
 };
 
 /**
  * Envia o código OTP (One-Time Password) para os canais configurados.
+ * Respeita o intervalo mínimo entre envios e o limite diário por destinatário (429 + Retry-After).
+ * Sem e-mail/celular para os canais do signatário, nada é enviado (409).
  */
 const startOtpVerification = async (signer, req) => {
+  await signingSessionService.assertCanRequestOtp(req);
+
+  // Sessão presencial: o código vai apenas ao celular do signatário, no canal escolhido pelo remetente
+  const hosted = Boolean(req.shareToken.hostedByUserId);
+  if (hosted && !req.shareToken.hostedOtpChannel) {
+    const error = new Error('Esta sessão presencial não exige código de verificação.');
+    error.statusCode = 409;
+    throw error;
+  }
+  const channels = hosted ? [req.shareToken.hostedOtpChannel] : signer.authChannels || ['EMAIL'];
+  const targets = channels
+    .map(channel => ({ channel, recipient: channel === 'EMAIL' ? signer.email : signer.phoneWhatsE164 }))
+    .filter(t => t.recipient);
+  if (targets.length === 0) {
+    const error = new Error('O signatário não possui contato cadastrado para receber o código. Peça ao remetente que corrija o cadastro.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const throttle = await otpGuard.getSendThrottle(targets.map(t => t.recipient), 'SIGNING');
+  if (throttle) {
+    await auditService.createEntry({
+        tenantId: req.document.tenantId,
+        actorKind: 'SIGNER',
+        actorId: signer.id,
+        entityType: 'OTP',
+        entityId: signer.id,
+        action: 'OTP_THROTTLED',
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        deviceInfo: req.deviceInfo,
+        payload: { reason: throttle.reason, retryAfter: throttle.retryAfter }
+    });
+    throw otpGuard.buildThrottleError(throttle);
+  }
+
   const otp = crypto.randomInt(100000, 999999).toString();
   const codeHash = await bcrypt.hash(otp, 10);
   const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutos
 
-  const channels = signer.authChannels || ['EMAIL'];
-
-  for (const channel of channels) {
-    const recipient = channel === 'EMAIL' ? signer.email : signer.phoneWhatsE164;
-    if (!recipient) continue;
-
+  for (const { channel, recipient } of targets) {
     // Salva hash no banco
     await OtpCode.create({ 
         recipient, 
@@ -143,53 +283,113 @@ const startOtpVerification = async (signer, req) => {
         action: 'OTP_SENT',
         ip: req.ip,
         userAgent: req.headers['user-agent'],
+        deviceInfo: req.deviceInfo,
         payload: { channel, recipient_masked: recipient.replace(/(.{2})(.*)(@|.{2})$/, "$1***$3") }
     });
   }
 };
 
+/**
+ * Reserva uma falha de verificação (OTP ou identidade) no link usado, antes da comparação:
+ * requisições simultâneas não passam de OTP_LOCKOUT_THRESHOLD (a contagem é zerada quando o OTP confere).
+ * @returns {Promise<number|null>} Falhas contadas com esta tentativa, ou null se o link já está bloqueado ou esgotado.
+ */
+const reserveLinkAttempt = (req) => otpGuard.reserveAttempt(
+  ShareToken, 'failedOtpAttempts', otpGuard.OTP_LOCKOUT_THRESHOLD, { id: req.shareToken.id, lockedAt: null }
+);
+
+/**
+ * Bloqueia o link quando a tentativa reservada falhou e atingiu o limite (só a requisição que bloqueia audita).
+ * @returns {Promise<boolean>} true se o link ficou bloqueado.
+ */
+const lockExhaustedLink = async (signer, req, failedAttempts) => {
+  if (failedAttempts < otpGuard.OTP_LOCKOUT_THRESHOLD) return false;
+
+  const [locked] = await ShareToken.update({ lockedAt: new Date() }, {
+    where: { id: req.shareToken.id, lockedAt: null }
+  });
+  if (locked === 0) return true;
+
+  await auditService.createEntry({
+      tenantId: req.document.tenantId,
+      actorKind: 'SYSTEM',
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'ACCOUNT_LOCKED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceInfo: req.deviceInfo,
+      payload: { scope: 'SIGNING_LINK', documentId: req.document.id, shareTokenId: req.shareToken.id, failedAttempts }
+  });
+  return true;
+};
+
+const linkLockedError = () => {
+  const error = new Error('Link bloqueado por excesso de tentativas de verificação. Solicite um novo link ao remetente.');
+  error.statusCode = 423;
+  return error;
+};
+
 /**
  * Valida o código OTP inserido pelo usuário.
+ * Cada código aceita até OTP_MAX_ATTEMPTS tentativas; após OTP_LOCKOUT_THRESHOLD códigos errados
+ * o link é bloqueado (423) até o remetente regenerá-lo.
  */
 const verifyOtp = async (signer, otp, req) => {
     const recipients = [signer.email, signer.phoneWhatsE164].filter(Boolean);
-    
-    const otpRecord = await OtpCode.findOne({
-      where: { recipient: recipients, context: 'SIGNING' },
-      order: [['createdAt', 'DESC']]
+    const otpRecord = await otpGuard.findLatestCode(recipients, 'SIGNING');
+
+    const auditFailure = (payload) => auditService.createEntry({
+        tenantId: req.document.tenantId, 
+        actorKind: 'SIGNER', 
+        actorId: signer.id, 
+        entityType: 'OTP', 
+        entityId: signer.id, 
+        action: 'OTP_FAILED',
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        deviceInfo: req.deviceInfo,
+        payload
     });
 
-    // Valida Existência e Expiração
-    if (!otpRecord || new Date() > new Date(otpRecord.expiresAt)) {
-        await auditService.createEntry({
-             tenantId: req.document.tenantId, 
-             actorKind: 'SIGNER', 
-             actorId: signer.id, 
-             entityType: 'OTP', 
-             entityId: signer.id, 
-             action: 'OTP_FAILED',
-             ip: req.ip,
-             userAgent: req.headers['user-agent'],
-             payload: { reason: 'Expired or Not Found' }
-        });
-        throw new Error('Código OTP inválido ou expirado.');
+    // Valida Existência, Uso, Expiração e Limite de tentativas
+    const rejection = otpGuard.getCodeRejection(otpRecord);
+    if (rejection === 'TOO_MANY_ATTEMPTS') {
+        await auditFailure({ reason: 'Too Many Attempts' });
+        const error = new Error('Limite de tentativas para este código atingido. Solicite um novo código.');
+        error.statusCode = 429;
+        throw error;
     }
+    if (rejection) {
+        await auditFailure({ reason: 'Expired or Not Found' });
+        const error = new Error('Código OTP inválido ou expirado.');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    // Reserva a tentativa (no código e no link) antes de comparar: requisições simultâneas não passam dos limites
+    const attempt = await otpGuard.reserveCodeAttempt(otpRecord);
+    if (!attempt) {
+        await auditFailure({ reason: 'Too Many Attempts' });
+        const error = new Error('Limite de tentativas para este código atingido. Solicite um novo código.');
+        error.statusCode = 429;
+        throw error;
+    }
+    const linkFailures = await reserveLinkAttempt(req);
+    if (linkFailures === null) throw linkLockedError();
 
     // Valida Hash
-    const isMatch = await bcrypt.compare(otp, otpRecord.codeHash);
+    const isMatch = await bcrypt.compare(String(otp), otpRecord.codeHash);
     if (!isMatch) {
-         await auditService.createEntry({
-             tenantId: req.document.tenantId, 
-             actorKind: 'SIGNER', 
-             actorId: signer.id, 
-             entityType: 'OTP', 
-             entityId: signer.id, 
-             action: 'OTP_FAILED',
-             ip: req.ip,
-             userAgent: req.headers['user-agent'],
-             payload: { reason: 'Incorrect Code' }
-        });
-        throw new Error('Código OTP inválido.');
+        const { remaining } = attempt;
+        await auditFailure({ reason: 'Incorrect Code', attempts: attempt.attempts, remaining });
+
+        if (await lockExhaustedLink(signer, req, linkFailures)) throw linkLockedError();
+        const error = new Error(remaining > 0
+            ? `Código OTP inválido. Restam ${remaining} tentativa(s).`
+            : 'Código OTP inválido. Limite de tentativas atingido; solicite um novo código.');
+        error.statusCode = 400;
+        throw error;
     }
 
     // Sucesso
@@ -201,11 +401,62 @@ const verifyOtp = async (signer, otp, req) => {
         entityId: signer.id, 
         action: 'OTP_VERIFIED',
         ip: req.ip,
-        userAgent: req.headers['user-agent']
+        userAgent: req.headers['user-agent'],
+        deviceInfo: req.deviceInfo
     });
     
-    // Queima o token para evitar reuso
-    await otpRecord.destroy();
+    // Queima o código para evitar reuso (o registro fica para o limite diário de envios)
+    await otpRecord.update({ consumedAt: new Date() });
+    await req.shareToken.update({ failedOtpAttempts: 0 });
+
+    await signingSessionService.completeStep(req, 'OTP_VERIFIED');
+};
+
+/**
+ * Prévia devolvida ao front-end: o PNG gerado (digitada/enviada) e o hash guardado na sessão.
+ */
+const describeArtwork = ({ mode, png, font }) => ({
+  mode,
+  font,
+  sha256: crypto.createHash('sha256').update(png).digest('hex'),
+  preview: `data:image/png;base64,${png.toString('base64')}`
+});
+
+/**
+ * Guarda na sessão a arte da assinatura que será usada no commit.
+ * @param {object} input - { mode: DRAWN|TYPED|UPLOADED, signatureArt (DRAWN/UPLOADED em Base64), text, font, file (UPLOADED multipart) }
+ */
+const confirmSignatureArt = async (req, { mode = 'DRAWN', signatureArt, text, font, file }) => {
+  await signingSessionService.assertAuthenticated(req, 'criar a assinatura');
+  const artwork = await signatureArtService.buildArtwork(mode, {
+    image: signatureArt,
+    file,
+    text: text === undefined ? req.signer.name : text,
+    font
+  });
+  await signingSessionService.saveArtwork(req, artwork);
+  return describeArtwork(artwork);
+};
+
+/**
+ * Guarda na sessão a rubrica (mesmos modos da assinatura). Na rubrica digitada,
+ * o texto padrão são as iniciais do nome do signatário.
+ */
+const confirmInitials = async (req, { mode = 'DRAWN', initials, text, font, file }) => {
+  if (!requiresDrawnSignature(req.signer)) {
+    const error = new Error('Este papel conclui sem assinatura e não usa rubrica.');
+    error.statusCode = 409;
+    throw error;
+  }
+  await signingSessionService.assertAuthenticated(req, 'criar a rubrica');
+  const artwork = await signatureArtService.buildArtwork(mode, {
+    image: initials,
+    file,
+    text: text === undefined ? signatureArtService.toInitials(req.signer.name) : text,
+    font
+  });
+  await signingSessionService.saveInitials(req, artwork);
+  return describeArtwork(artwork);
 };
 
 /**
@@ -218,45 +469,251 @@ const saveSignaturePosition = async (signer, position) => {
   await signer.save();
 };
 
+/**
+ * Salva os valores dos campos TEXT/CHECKBOX preenchidos pelo signatário.
+ */
+const fillFields = async (req, values) => {
+  await signingSessionService.assertAuthenticated(req, 'preencher os campos');
+
+  const fields = await signatureFieldService.fillSignerFields(req.signer, values);
+  if (signatureFieldService.getMissingRequiredFields(req.signer, fields).length === 0) {
+    await signingSessionService.completeStep(req, 'FIELDS_FILLED');
+  }
+  return fields.map(signatureFieldService.serializeField);
+};
+
+/**
+ * Registra a recusa do signatário.
+ * O documento é cancelado (revogando os demais links) ou pausado aguardando o dono,
+ * conforme `document.declineAction`. O dono é notificado em ambos os casos.
+ */
+const declineSignature = async (document, signer, reason, req) => {
+    const transaction = await sequelize.transaction();
+    try {
+        signer.status = 'DECLINED';
+        signer.declinedAt = new Date();
+        signer.declineReason = reason;
+        await signer.save({ transaction });
+
+        await auditService.createEntry({
+            tenantId: document.tenantId,
+            actorKind: 'SIGNER',
+            actorId: signer.id,
+            entityType: 'SIGNER',
+            entityId: signer.id,
+            action: 'DECLINED',
+            ip: req.ip,
+            userAgent: req.headers['user-agent'],
+            deviceInfo: req.deviceInfo,
+            payload: { documentId: document.id, reason }
+        }, transaction);
+
+        const newStatus = document.declineAction === 'AWAIT_OWNER' ? 'DECLINED' : 'CANCELLED';
+        document.status = newStatus;
+        await document.save({ transaction });
+
+        let revokedTokens = 0;
+        if (newStatus === 'CANCELLED') {
+            revokedTokens = await documentService.revokeShareTokens(document.id, { exceptSignerId: signer.id }, transaction);
+        }
+
+        await auditService.createEntry({
+            tenantId: document.tenantId,
+            actorKind: 'SYSTEM',
+            entityType: 'DOCUMENT',
+            entityId: document.id,
+            action: 'STATUS_CHANGED',
+            payload: { newStatus, reason: 'SIGNER_DECLINED', signerId: signer.id, revokedTokens }
+        }, transaction);
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    // Notificação fora da transação (não bloqueia a resposta)
+    const owner = await User.findByPk(document.ownerId);
+    if (owner) {
+        notificationService.sendSignerDeclinedNotification(owner, document, signer)
+            .catch(err => console.error("Erro ao notificar dono sobre recusa:", err.message));
+    }
+};
+
+/**
+ * PAdES por signatário (documento com padesMode PER_SIGNER ou assinatura com certificado ICP-Brasil próprio):
+ * monta a revisão assinada do arquivo com os campos, a rubrica e o carimbo deste signatário.
+ * Roda antes da transação do commit: as chamadas à TSA e aos serviços OCSP/LCR não seguram a linha do documento.
+ * @param {object|null} [credentials] - Certificado do signatário (assinatura qualificada); sem ele, usa o da plataforma.
+ * @returns {Promise<{ revision: object, buildRevision: Function, stampInitials: boolean }>} Para o storeSignerPades.
+ */
+const prepareSignerPades = async (document, signer, signerFields, credentials = null) => {
+    const stampInitials = document.requireInitials && Boolean(signer.initialsArtefactPath);
+    const seal = await sealCertificateService.resolveTenantSeal(document.tenantId);
+
+    const buildRevision = async (baseStorageKey, transaction = null) => {
+        const previousInitials = await Signer.count({
+            where: { documentId: document.id, initialsRenderedAt: { [Op.ne]: null } },
+            transaction
+        });
+        const currentBuffer = await fs.readFile(path.join(process.cwd(), baseStorageKey));
+        const revision = await padesService.appendSignerSignature(currentBuffer, {
+            id: signer.id,
+            name: signer.name,
+            cpf: signer.cpf,
+            role: signer.role,
+            signedAt: signer.signedAt,
+            signatureUuid: signer.signatureUuid,
+            artefactPath: signer.signatureArtefactPath,
+            initialsArtefactPath: stampInitials ? signer.initialsArtefactPath : null,
+            initialsSlot: previousInitials,
+            positionX: signer.signaturePositionX,
+            positionY: signer.signaturePositionY,
+            positionPage: signer.signaturePositionPage,
+            fields: signerFields
+        }, { credentials, seal });
+        return { ...revision, baseStorageKey };
+    };
+
+    const current = await Document.findByPk(document.id, { attributes: ['id', 'storageKey'] });
+    return { revision: await buildRevision(current.storageKey), buildRevision, stampInitials };
+};
+
+/**
+ * Grava a revisão do prepareSignerPades e passa a apontar o documento para ela (documento já travado pelo commit).
+ * Se outro signatário gravou uma revisão nesse meio tempo, esta é refeita sobre a versão nova, aí com a linha travada.
+ * O arquivo de cada revisão tem nome próprio: se a transação falhar, o documento continua na versão anterior.
+ * @returns {Promise<{ fieldName: string, level: string, sha256: string, storageKey: string }>}
+ */
+const storeSignerPades = async (document, signer, signerFields, prepared, transaction) => {
+    let { revision } = prepared;
+    if (document.storageKey !== revision.baseStorageKey) {
+        revision = await prepared.buildRevision(document.storageKey, transaction);
+    }
+    const { buffer, fieldName, level } = revision;
+
+    const previousRevisions = await Signer.count({
+        where: { documentId: document.id, padesSignedAt: { [Op.ne]: null } },
+        transaction
+    });
+    const storageKey = document.storageKey.replace(/(-pades\d+)?(\.[\w\d_-]+)$/i, `-pades${previousRevisions + 1}$2`);
+    await fs.writeFile(path.join(process.cwd(), storageKey), buffer);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    document.storageKey = storageKey;
+    document.sha256 = sha256;
+    await document.save({ transaction });
+
+    signer.padesSignedAt = new Date();
+    signer.padesFieldName = fieldName;
+    if (prepared.stampInitials) signer.initialsRenderedAt = new Date();
+    await signer.save({ transaction });
+    await signatureFieldService.markFieldsRendered(signerFields, transaction);
+
+    return { fieldName, level, sha256, storageKey };
+};
+
 /**
  * Efetiva a assinatura.
  * 1. Gera Hash, ShortCode, UUID Visual.
  * 2. Salva IP e Imagem.
- * 3. Atualiza Signer e Audita.
- * 4. Se TODOS assinaram: Gera PDF Final (com carimbos detalhados), e-mails customizados e certificado.
+ * 3. Trava o documento (em qualquer modo de fluxo), atualiza Signer e Audita.
+ * 4. Relê os signatários com a trava: se TODOS assinaram: Gera PDF Final (com carimbos detalhados), e-mails customizados e certificado.
  * 
  * @param {string} userIp - IP do cliente passado pelo controller.
+ * @param {{ p12?: Buffer, password?: string }} [certificateUpload] - Certificado ICP-Brasil A1 do signatário (assinatura qualificada).
  */
-const commitSignature = async (document, signer, clientFingerprint, signatureImageBase64, req, userIp) => {
+const commitSignature = async (document, signer, clientFingerprint, signatureImageBase64, req, userIp, certificateUpload) => {
+    // Etapas exigidas pelo nível de autenticação do documento (e a arte confirmada em /draw)
+    const { session, artworkData, initialsData } = await signingSessionService.assertReadyToCommit(req, signatureImageBase64);
+
+    // Certificado próprio (obrigatório se o remetente exigiu): conferido antes da transação, só em memória
+    const qualified = await qualifiedSignatureService.openSignerCertificate(signer, certificateUpload);
+
+    // 0. Campos obrigatórios definidos pelo remetente precisam estar preenchidos
+    const signerFields = await SignatureField.findAll({ where: { signerId: signer.id } });
+    const missingFields = signatureFieldService.getMissingRequiredFields(signer, signerFields);
+    if (missingFields.length > 0) {
+        const error = new Error(`Preencha todos os campos obrigatórios antes de assinar (${missingFields.length} pendente(s)).`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const timestampISO = new Date().toISOString();
+    
+    // 1. Gera o Hash SHA256 da Assinatura (Integridade)
+    const signatureHash = crypto.createHash('sha256')
+        .update(document.sha256 + signer.id + timestampISO + clientFingerprint)
+        .digest('hex');
+    
+    // 2. Gera Código Curto de Verificação
+    const shortCode = signatureHash.substring(0, 6).toUpperCase();
+
+    // 3. Salva Imagem da Assinatura (aprovadores e "cientes" concluem sem assinatura desenhada)
+    const artefactPath = requiresDrawnSignature(signer)
+        ? await saveSignatureImage(artworkData, document.tenantId, signer.id)
+        : null;
+    const initialsArtefactPath = initialsData
+        ? await saveSignatureImage(initialsData, document.tenantId, signer.id, '-initials')
+        : null;
+
+    // 4. Atualiza Signatário (Com IP e UUID para o carimbo visual); gravado na transação abaixo
+    signer.status = 'SIGNED';
+    signer.signedAt = new Date();
+    signer.signatureHash = signatureHash;
+    signer.signatureArtefactPath = artefactPath;
+    signer.signatureMode = artefactPath ? session.artworkMode || 'DRAWN' : null;
+    signer.signatureFont = artefactPath ? session.artworkFont : null;
+    signer.initialsArtefactPath = initialsArtefactPath;
+    if (qualified) {
+        signer.qualifiedCertificate = qualified.certificate;
+        // O CPF do e-CPF é conferido pela AC: vale como CPF confirmado se o remetente não informou um
+        if (!signer.cpf) signer.cpf = qualified.certificate.cpf;
+        if (!signer.cpfVerifiedAt) signer.cpfVerifiedAt = new Date();
+    }
+
+    // Sessão presencial: registra quem conduziu a coleta (exibido no certificado)
+    const host = req.shareToken.hostedByUserId
+        ? req.shareToken.hostedBy || { id: req.shareToken.hostedByUserId, name: null, email: null }
+        : null;
+    signer.inPersonHost = host
+        ? { userId: host.id, name: host.name, email: host.email, shareTokenId: req.shareToken.id }
+        : null;
+    
+    // --- NOVOS CAMPOS ---
+    signer.ip = userIp; // Salva o IP
+    signer.signatureUuid = uuidv4(); // Gera ID único para exibição no PDF
+    // --------------------
+
+    // 4.1 PAdES por signatário: revisão assinada do arquivo com os campos e o carimbo desta parte
+    // (com o certificado ICP-Brasil do signatário, se ele enviou um), montada antes de travar o documento
+    const preparedPades = document.padesMode === 'PER_SIGNER' || qualified
+        ? await prepareSignerPades(document, signer, signerFields, qualified?.credentials)
+        : null;
+
     const transaction = await sequelize.transaction();
     let resultData = {};
 
     try {
-        const timestampISO = new Date().toISOString();
-        
-        // 1. Gera o Hash SHA256 da Assinatura (Integridade)
-        const signatureHash = crypto.createHash('sha256')
-            .update(document.sha256 + signer.id + timestampISO + clientFingerprint)
-            .digest('hex');
-        
-        // 2. Gera Código Curto de Verificação
-        const shortCode = signatureHash.substring(0, 6).toUpperCase();
-
-        // 3. Salva Imagem da Assinatura
-        const artefactPath = await saveSignatureImage(signatureImageBase64, document.tenantId, signer.id);
-
-        // 4. Atualiza Signatário (Com IP e UUID para o carimbo visual)
-        signer.status = 'SIGNED';
-        signer.signedAt = new Date();
-        signer.signatureHash = signatureHash;
-        signer.signatureArtefactPath = artefactPath;
-        
-        // --- NOVOS CAMPOS ---
-        signer.ip = userIp; // Salva o IP
-        signer.signatureUuid = uuidv4(); // Gera ID único para exibição no PDF
-        // --------------------
+        // Trava o documento: commits simultâneos (fluxo paralelo ou grupo da fila) passam um de cada vez,
+        // e o último a gravar vê todos os outros como SIGNED ao decidir se o documento foi concluído
+        const locked = await Document.findByPk(document.id, { transaction, lock: transaction.LOCK.UPDATE });
+        const current = await Signer.findByPk(signer.id, { attributes: ['id', 'status'], transaction, lock: transaction.LOCK.UPDATE });
+        if (!locked || ['CANCELLED', 'EXPIRED', 'SIGNED', 'DECLINED'].includes(locked.status)
+            || !current || !['PENDING', 'VIEWED'].includes(current.status)) {
+            const error = new Error('O documento ou a assinatura mudou de situação e não pode mais ser concluído por este link.');
+            error.statusCode = 409;
+            throw error;
+        }
+        document.set({ status: locked.status, storageKey: locked.storageKey, sha256: locked.sha256 });
 
         await signer.save({ transaction });
+        await signatureFieldService.fillAutomaticFields(signer, signerFields, transaction);
+        await session.update({ committedAt: new Date() }, { transaction });
+
+        const pades = preparedPades
+            ? await storeSignerPades(document, signer, signerFields, preparedPades, transaction)
+            : null;
 
         // 5. Log de Auditoria: SIGNED
         await auditService.createEntry({
@@ -268,12 +725,50 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
             action: 'SIGNED',
             ip: userIp || req.ip,
             userAgent: req.headers['user-agent'],
-            payload: { signatureHash, artefactPath, shortCode, clientFingerprint, ip: userIp }
+            deviceInfo: req.deviceInfo,
+            payload: {
+                signatureHash, artefactPath, shortCode, clientFingerprint, ip: userIp, role: roleOf(signer),
+                signatureMode: signer.signatureMode,
+                signatureFont: signer.signatureFont,
+                initials: initialsArtefactPath
+                    ? { artefactPath: initialsArtefactPath, mode: session.initialsMode, sha256: session.initialsSha256 }
+                    : null,
+                authLevel: document.authLevel,
+                pades: pades ? { fieldName: pades.fieldName, level: pades.level, sha256: pades.sha256 } : null,
+                qualifiedCertificate: qualified
+                    ? { ...qualified.certificate, cpf: maskCpf(qualified.certificate.cpf) }
+                    : null,
+                inPerson: host
+                    ? { hostedByUserId: host.id, hostedByName: host.name, otpChannel: req.shareToken.hostedOtpChannel }
+                    : null,
+                signingSession: {
+                    id: session.id,
+                    viewedAt: session.viewedAt,
+                    identifiedAt: session.identifiedAt,
+                    otpVerifiedAt: session.otpVerifiedAt,
+                    evidenceProvidedAt: session.evidenceProvidedAt,
+                    initialsProvidedAt: session.initialsProvidedAt,
+                    artworkSha256: session.artworkSha256
+                }
+            }
         }, transaction);
 
         // 6. Verifica se TODOS os signatários já assinaram
-        const signersInDoc = await Signer.findAll({ where: { documentId: document.id }, transaction });
-        const allSigned = signersInDoc.every(s => s.status === 'SIGNED');
+        const signersInDoc = await Signer.findAll({
+            where: { documentId: document.id },
+            include: [{ model: SignatureField, as: 'fields' }],
+            transaction
+        });
+        // Observadores (cópia) não bloqueiam a conclusão
+        const allSigned = signersInDoc.filter(blocksCompletion).every(s => s.status === 'SIGNED');
+
+        // 6.1 Fluxo sequencial: se o grupo atual terminou, convida o próximo grupo da fila
+        if (!allSigned && document.routingMode === 'SEQUENTIAL') {
+            const invited = await documentService.inviteCurrentSigningGroup(document, { actorKind: 'SYSTEM' }, transaction);
+            if (invited.length > 0) {
+                console.log(`[ROUTING] Documento ${document.id}: próximo grupo convidado (${invited.map(s => s.id).join(', ')}).`);
+            }
+        }
 
         if (allSigned) {
             console.log(`[FINALIZE] Documento ${document.id} completo. Iniciando geração do PDF final...`);
@@ -286,21 +781,35 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
                 throw new Error("Arquivo original do documento não encontrado no servidor.");
             }
 
+            // Com PAdES por signatário o arquivo já tem assinaturas digitais: carimbar as páginas, incluir a página
+            // de registro ou anexar o certificado as invalidaria. Ele fica como está; campos e rubricas que ainda
+            // faltarem entram como widgets na selagem (finalizeWithPades), e o certificado é emitido à parte.
+            const hasPadesRevisions = signersInDoc.some(s => s.padesSignedAt);
+
             // 6a. Embute assinaturas visuais (Carimbo Detalhado: IP, CPF, Hash, UUID)
             // Agora passamos o objeto 'document' também para o PDF Service pegar o hash do doc e ID
-            const signedPdfBuffer = await pdfService.embedSignatures(originalFilePath, signersInDoc, document);
+            let signedPdfBuffer = null;
+            if (!hasPadesRevisions) {
+                signedPdfBuffer = await pdfService.embedSignatures(originalFilePath, signersInDoc, document);
+                await signatureFieldService.markFieldsRendered(signersInDoc.flatMap(s => s.fields), transaction);
+                if (document.requireInitials) {
+                    const initialed = signersInDoc.filter(s => s.status === 'SIGNED' && s.initialsArtefactPath).map(s => s.id);
+                    if (initialed.length > 0) {
+                        await Signer.update({ initialsRenderedAt: new Date() }, { where: { id: initialed }, transaction });
+                    }
+                }
+            }
             
-            // 6b. Salva novo PDF Assinado
+            // 6b. Calcula novo Hash e Atualiza Documento
             const signedFileStorageKey = document.storageKey.replace(/(\.[\w\d_-]+)$/i, '-signed$1');
             const signedFilePath = path.join(process.cwd(), signedFileStorageKey);
-            await fs.writeFile(signedFilePath, signedPdfBuffer);
-
-            // 6c. Calcula novo Hash e Atualiza Documento
-            const newSha256 = crypto.createHash('sha256').update(signedPdfBuffer).digest('hex');
+            const newSha256 = signedPdfBuffer ? crypto.createHash('sha256').update(signedPdfBuffer).digest('hex') : document.sha256;
             
             document.status = 'SIGNED';
-            document.storageKey = signedFileStorageKey; // Aponta para o novo arquivo
-            document.sha256 = newSha256;
+            if (signedPdfBuffer) {
+                document.storageKey = signedFileStorageKey; // Aponta para o novo arquivo
+                document.sha256 = newSha256;
+            }
             await document.save({ transaction });
 
             await auditService.createEntry({ 
@@ -312,34 +821,31 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
                 payload: { newStatus: 'SIGNED', newSha256 }
             }, transaction);
 
-            // 6d. Emite Certificado de Conclusão (Registro no Banco)
-            const certificateSha256 = crypto.createHash('sha256').update(`CERT-${document.id}-${timestampISO}`).digest('hex');
-            await Certificate.create({
-                documentId: document.id,
-                storageKey: `certificates/${document.id}.pdf`, // Caminho virtual/futuro do PDF do certificado
-                sha256: certificateSha256,
-                issuedAt: new Date()
-            }, { transaction });
-
-            await auditService.createEntry({ 
-                tenantId: document.tenantId, 
-                actorKind: 'SYSTEM', 
-                entityType: 'DOCUMENT', 
-                entityId: document.id, 
-                action: 'CERTIFICATE_ISSUED'
-            }, transaction);
-
-            // 6e. Envia E-mails de Conclusão (Com Template Customizável)
-            
-            // 1. Busca Configurações do Tenant para ver se tem template
+            // Configurações do Tenant (anexo do certificado e template de e-mail)
             const tenantSettings = await TenantSettings.findOne({ 
                 where: { tenantId: document.tenantId },
                 transaction 
             });
 
-            // 2. Prepara dados para link de download
+            // 6c. Emite Certificado de Conclusão (PDF com hashes, signatários e trilha de auditoria)
+            const auditTrail = await documentService.findAuditTrail(document.id, { tenantId: document.tenantId }, { transaction });
+            const { documentBuffer } = await certificateService.issueCertificate(document, {
+                auditTrail,
+                appendTo: tenantSettings?.appendCertificateToPdf ? signedPdfBuffer : null,
+                transaction
+            });
+
+            // 6d. Salva novo PDF Assinado (com o certificado anexado, se configurado)
+            if (documentBuffer) {
+                document.sha256 = crypto.createHash('sha256').update(documentBuffer).digest('hex');
+                await document.save({ transaction });
+            }
+            if (signedPdfBuffer) await fs.writeFile(signedFilePath, documentBuffer || signedPdfBuffer);
+
+            // 6e. Envia E-mails de Conclusão (Com Template Customizável), depois do commit
+
+            // 2. Dono do documento (recebe o link de download como membro do tenant)
             const owner = await User.findByPk(document.ownerId, { transaction });
-            const { url: downloadUrl } = await documentService.getDocumentDownloadUrl(document.id, owner); // Usando owner como proxy de auth
 
             // 3. Define o Template (Customizado ou Padrão)
             let emailBodyTemplate = tenantSettings?.finalEmailTemplate;
@@ -363,31 +869,35 @@ const commitSignature = async (document, signer, clientFingerprint, signatureIma
             }
 
             // 4. Compilação Parcial (variáveis comuns)
+            // O link de download é assinado para cada destinatário (ver download.service); nomes e título vão escapados
             let compiledBase = emailBodyTemplate
-                .replace(/{{doc_title}}/g, document.title)
-                .replace(/{{doc_link}}/g, downloadUrl)
+                .replace(/{{doc_title}}/g, () => notificationService.escapeHtml(document.title))
                 .replace(/{{doc_id}}/g, document.id);
 
             // 5. Envio para o Dono
             if (owner) {
-                const ownerHtml = compiledBase.replace(/{{signer_name}}/g, owner.name);
-                notificationService.sendEmail(document.tenantId, {
+                const ownerHtml = compiledBase
+                    .replace(/{{signer_name}}/g, () => notificationService.escapeHtml(owner.name))
+                    .replace(/{{doc_link}}/g, downloadService.createEmailDownloadUrl(document.id, { user: owner }));
+                transaction.afterCommit(() => notificationService.sendEmail(document.tenantId, {
                     to: owner.email,
                     subject: `Documento Finalizado: ${document.title}`,
                     html: ownerHtml
-                }).catch(err => console.error("Erro ao notificar dono:", err.message));
+                }).catch(err => console.error("Erro ao notificar dono:", err.message)));
             }
             
             // 6. Envio para Signatários
             signersInDoc.forEach(s => {
                  if (s.email) {
-                    const signerHtml = compiledBase.replace(/{{signer_name}}/g, s.name);
+                    const signerHtml = compiledBase
+                        .replace(/{{signer_name}}/g, () => notificationService.escapeHtml(s.name))
+                        .replace(/{{doc_link}}/g, downloadService.createEmailDownloadUrl(document.id, { signer: s }));
                     
-                    notificationService.sendEmail(document.tenantId, {
+                    transaction.afterCommit(() => notificationService.sendEmail(document.tenantId, {
                         to: s.email,
                         subject: `Cópia do Documento Assinado: ${document.title}`,
                         html: signerHtml
-                    }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message));
+                    }).catch(err => console.error(`Erro ao notificar signatário ${s.email}:`, err.message)));
                  }
             });
         }
@@ -415,6 +925,10 @@ module.exports = {
   identifySigner,
   startOtpVerification,
   verifyOtp,
+  confirmSignatureArt,
+  confirmInitials,
   commitSignature,
+  declineSignature,
+  fillFields,
   saveSignaturePosition,
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+// src/features/signer/signerEvidence.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { SignerEvidence, SigningSession } = require('../../models');
+const auditService = require('../audit/audit.service');
+const signingSessionService = require('./signingSession.service');
+
+const EVIDENCE_KINDS = ['SELFIE', 'ID_DOCUMENT'];
+const ID_DOCUMENT_TYPES = ['RG', 'CNH'];
+
+// Assinaturas (magic bytes) aceitas: a extensão gravada vem do conteúdo, não do nome enviado
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+];
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const serializeEvidence = (evidence) => ({
+  id: evidence.id,
+  kind: evidence.kind,
+  idDocumentType: evidence.idDocumentType,
+  mimeType: evidence.mimeType,
+  size: evidence.size,
+  sha256: evidence.sha256,
+  createdAt: evidence.createdAt
+});
+
+/**
+ * Recebe a selfie ou a foto do documento (RG/CNH) do signatário.
+ * A imagem fica junto da arte da assinatura (uploads/{tenantId}/signatures) e o hash entra na trilha de auditoria.
+ * Quando a sessão tem as duas imagens, a etapa EVIDENCE_PROVIDED é concluída.
+ *
+ * @param {object} file - Arquivo do multer (memoryStorage).
+ * @param {object} data - { kind: 'SELFIE'|'ID_DOCUMENT', idDocumentType: 'RG'|'CNH' }
+ */
+const uploadEvidence = async (req, file, { kind, idDocumentType }) => {
+  const { document, signer } = req;
+
+  if (!signer.requireIdentityEvidence) {
+    throw httpError('O remetente não solicitou selfie nem documento de identidade para esta assinatura.', 409);
+  }
+  const session = await signingSessionService.assertAuthenticated(req, 'enviar as fotos');
+
+  if (!EVIDENCE_KINDS.includes(kind)) {
+    throw httpError(`Tipo de evidência inválido. Use ${EVIDENCE_KINDS.join(', ')}.`, 400);
+  }
+  if (kind === 'ID_DOCUMENT' && !ID_DOCUMENT_TYPES.includes(idDocumentType)) {
+    throw httpError(`Informe o tipo do documento: ${ID_DOCUMENT_TYPES.join(' ou ')}.`, 400);
+  }
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw httpError('Nenhuma imagem enviada.', 400);
+  }
+
+  const format = IMAGE_SIGNATURES.find(sig => file.buffer.subarray(0, sig.magic.length).equals(sig.magic));
+  if (!format) throw httpError('Formato de imagem não suportado. Envie JPEG ou PNG.', 400);
+
+  const id = uuidv4();
+  const fileName = `${signer.id}-${kind.toLowerCase().replace('_', '-')}-${id}.${format.extension}`;
+  const uploadDir = path.join(process.cwd(), 'uploads', document.tenantId, 'signatures');
+  await fs.mkdir(uploadDir, { recursive: true });
+  await fs.writeFile(path.join(uploadDir, fileName), file.buffer);
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  try {
+    const evidence = await SignerEvidence.create({
+      id,
+      documentId: document.id,
+      signerId: signer.id,
+      signingSessionId: session.id,
+      kind,
+      idDocumentType: kind === 'ID_DOCUMENT' ? idDocumentType : null,
+      storageKey: path.join('uploads', document.tenantId, 'signatures', fileName),
+      mimeType: format.mimeType,
+      size: file.buffer.length,
+      sha256
+    });
+
+    await auditService.createEntry({
+      tenantId: document.tenantId,
+      actorKind: 'SIGNER',
+      actorId: signer.id,
+      entityType: 'SIGNER',
+      entityId: signer.id,
+      action: 'EVIDENCE_UPLOADED',
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      deviceInfo: req.deviceInfo,
+      payload: { documentId: document.id, evidenceId: evidence.id, kind, idDocumentType: evidence.idDocumentType, sha256, size: evidence.size }
+    });
+
+    const kinds = await SignerEvidence.findAll({
+      where: { signingSessionId: session.id },
+      attributes: ['kind']
+    });
+    if (EVIDENCE_KINDS.every(k => kinds.some(e => e.kind === k))) {
+      await signingSessionService.completeStep(req, 'EVIDENCE_PROVIDED');
+    }
+
+    return serializeEvidence(evidence);
+  } catch (error) {
+    await fs.unlink(path.join(uploadDir, fileName)).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Evidências aceitas para cada signatário: as mais recentes de cada tipo enviadas
+ * na sessão em que ele concluiu a assinatura.
+ * @param {Array<string>} signerIds
+ * @returns {Promise<Map<string, Array<SignerEvidence>>>} signerId -> evidências
+ */
+const findCommittedEvidences = async (signerIds, transaction = null) => {
+  const sessions = await SigningSession.findAll({
+    where: { signerId: signerIds },
+    attributes: ['id', 'signerId', 'committedAt'],
+    transaction
+  });
+  const committedSessionIds = sessions.filter(s => s.committedAt).map(s => s.id);
+
+  const result = new Map();
+  if (committedSessionIds.length === 0) return result;
+
+  const evidences = await SignerEvidence.findAll({
+    where: { signingSessionId: committedSessionIds },
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+  for (const evidence of evidences) {
+    const list = result.get(evidence.signerId) || [];
+    if (!list.some(e => e.kind === evidence.kind)) list.push(evidence);
+    result.set(evidence.signerId, list);
+  }
+  return result;
+};
+
+module.exports = {
+  EVIDENCE_KINDS,
+  ID_DOCUMENT_TYPES,
+  uploadEvidence,
+  findCommittedEvidences,
+  serializeEvidence
+};
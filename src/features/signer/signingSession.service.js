@@ -0,0 +1,219 @@
+// src/features/signer/signingSession.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { SigningSession } = require('../../models');
+const { requiresDrawnSignature } = require('../../utils/signerRoles');
+
+// LINK: basta o link | OTP: código enviado aos canais do signatário | CPF_OTP: CPF + código
+const AUTH_LEVELS = ['LINK', 'OTP', 'CPF_OTP'];
+
+// Identificação e OTP valem por este tempo; depois disso o commit exige refazê-los
+const SIGNING_SESSION_MAX_AGE_MINUTES = parseInt(process.env.SIGNING_SESSION_MAX_AGE_MINUTES, 10) || 30;
+
+const STEP_COLUMNS = {
+  VIEWED: 'viewedAt',
+  IDENTIFIED: 'identifiedAt',
+  OTP_VERIFIED: 'otpVerifiedAt',
+  ARTWORK_PROVIDED: 'artworkProvidedAt',
+  FIELDS_FILLED: 'fieldsFilledAt',
+  EVIDENCE_PROVIDED: 'evidenceProvidedAt',
+  INITIALS_PROVIDED: 'initialsProvidedAt'
+};
+
+const STEP_LABELS = {
+  VIEWED: 'abrir o documento',
+  IDENTIFIED: 'confirmar o CPF',
+  OTP_VERIFIED: 'validar o código de verificação',
+  ARTWORK_PROVIDED: 'criar a assinatura',
+  FIELDS_FILLED: 'preencher os campos obrigatórios',
+  EVIDENCE_PROVIDED: 'enviar a selfie e a foto do documento de identidade',
+  INITIALS_PROVIDED: 'criar a rubrica'
+};
+
+// Etapas que provam a identidade (sujeitas ao prazo de validade)
+const FRESH_STEPS = ['IDENTIFIED', 'OTP_VERIFIED'];
+
+const sessionError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sessão de assinatura do link usado na requisição (criada no primeiro acesso).
+ */
+const getSession = async (req, transaction = null) => {
+  const [session] = await SigningSession.findOrCreate({
+    where: { shareTokenId: req.shareToken.id },
+    defaults: { shareTokenId: req.shareToken.id, signerId: req.signer.id, documentId: req.document.id },
+    transaction
+  });
+  return session;
+};
+
+/**
+ * Etapas de identificação exigidas pelo nível de autenticação do documento.
+ * Na sessão presencial (link aberto pelo remetente) vale sempre o CPF, mais o OTP se o remetente pediu.
+ * @param {ShareToken} [shareToken] - Link usado na requisição.
+ */
+const getAuthSteps = (document, shareToken = null) => {
+  if (shareToken?.hostedByUserId) {
+    return shareToken.hostedOtpChannel ? ['VIEWED', 'IDENTIFIED', 'OTP_VERIFIED'] : ['VIEWED', 'IDENTIFIED'];
+  }
+  const level = document.authLevel || 'OTP';
+  if (level === 'CPF_OTP') return ['VIEWED', 'IDENTIFIED', 'OTP_VERIFIED'];
+  if (level === 'OTP') return ['VIEWED', 'OTP_VERIFIED'];
+  return ['VIEWED'];
+};
+
+/**
+ * Etapas exigidas antes do commit: identificação, evidências (se o remetente exigiu),
+ * arte (se o papel desenha a assinatura) e rubrica (se o documento exige).
+ * Os campos obrigatórios são conferidos no próprio commit (podem vir pré-preenchidos pelo remetente).
+ */
+const getRequiredSteps = (document, signer, shareToken = null) => {
+  const steps = [...getAuthSteps(document, shareToken)];
+  if (signer.requireIdentityEvidence) steps.push('EVIDENCE_PROVIDED');
+  if (requiresDrawnSignature(signer)) {
+    steps.push('ARTWORK_PROVIDED');
+    if (document.requireInitials) steps.push('INITIALS_PROVIDED');
+  }
+  return steps;
+};
+
+/**
+ * Etapas da lista que ainda não foram feitas (ou que expiraram).
+ */
+const getPendingSteps = (session, steps) => {
+  const maxAgeMs = SIGNING_SESSION_MAX_AGE_MINUTES * 60 * 1000;
+  return steps.filter(step => {
+    const doneAt = session[STEP_COLUMNS[step]];
+    if (!doneAt) return true;
+    return FRESH_STEPS.includes(step) && Date.now() - new Date(doneAt).getTime() > maxAgeMs;
+  });
+};
+
+/**
+ * Lança 409 se alguma das etapas não foi feita (ou expirou) nesta sessão.
+ * @param {string} action - Complemento da mensagem (ex: 'assinar').
+ */
+const assertSteps = (session, steps, action) => {
+  const pending = getPendingSteps(session, steps);
+  if (pending.length === 0) return;
+
+  const expired = pending.filter(step => session[STEP_COLUMNS[step]]);
+  const labels = pending.map(step => STEP_LABELS[step]).join(', ');
+  throw sessionError(expired.length > 0
+    ? `Sua verificação expirou. Antes de ${action}, é preciso novamente: ${labels}.`
+    : `Antes de ${action}, é preciso: ${labels}.`);
+};
+
+/**
+ * Marca uma etapa como concluída (quem chama valida as etapas que a antecedem).
+ * @param {string} step - VIEWED | IDENTIFIED | OTP_VERIFIED | ARTWORK_PROVIDED | INITIALS_PROVIDED | FIELDS_FILLED
+ * @param {object} [extra] - Colunas adicionais a gravar (ex: a arte confirmada).
+ */
+const completeStep = async (req, step, extra = {}) => {
+  const session = await getSession(req);
+  await session.update({ [STEP_COLUMNS[step]]: new Date(), ...extra });
+  return session;
+};
+
+/**
+ * Garante que as etapas informadas já foram feitas na sessão do link.
+ */
+const assertStepsDone = async (req, steps, action) => {
+  const session = await getSession(req);
+  assertSteps(session, steps, action);
+  return session;
+};
+
+/**
+ * Garante que o signatário já se identificou conforme o nível do documento.
+ * Usado antes de desenhar a assinatura e preencher campos.
+ */
+const assertAuthenticated = (req, action) => assertStepsDone(req, getAuthSteps(req.document, req.shareToken), action);
+
+/**
+ * Etapas que antecedem o envio do OTP (abrir o documento e, em CPF_OTP, confirmar o CPF).
+ */
+const assertCanRequestOtp = (req) => assertStepsDone(
+  req,
+  getAuthSteps(req.document, req.shareToken).filter(step => step !== 'OTP_VERIFIED'),
+  'receber o código'
+);
+
+const sha256Of = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Registra a arte confirmada pelo signatário (já convertida para PNG pelo signatureArt.service).
+ * Quem chama valida a identificação antes de gerar a imagem (assertAuthenticated).
+ * @param {object} artwork - { mode, png, font }
+ */
+const saveArtwork = (req, { mode, png, font }) => completeStep(req, 'ARTWORK_PROVIDED', {
+  artworkData: png.toString('base64'),
+  artworkSha256: sha256Of(png),
+  artworkMode: mode,
+  artworkFont: font
+});
+
+/**
+ * Registra a rubrica confirmada pelo signatário (mesmas regras de saveArtwork).
+ * @param {object} initials - { mode, png }
+ */
+const saveInitials = (req, { mode, png }) => completeStep(req, 'INITIALS_PROVIDED', {
+  initialsData: png.toString('base64'),
+  initialsSha256: sha256Of(png),
+  initialsMode: mode
+});
+
+/**
+ * Valida a sessão antes do commit e devolve a arte (e a rubrica) a ser usada.
+ * A imagem enviada no commit, se houver, precisa ser a mesma confirmada em /draw.
+ * @returns {Promise<{ session: SigningSession, artworkData: string|null, initialsData: string|null }>}
+ */
+const assertReadyToCommit = async (req, signatureImage) => {
+  const session = await getSession(req);
+  if (session.committedAt) throw sessionError('Esta sessão de assinatura já foi concluída.');
+
+  assertSteps(session, getRequiredSteps(req.document, req.signer, req.shareToken), 'assinar');
+
+  if (!requiresDrawnSignature(req.signer)) return { session, artworkData: null, initialsData: null };
+
+  if (signatureImage) {
+    const sha256 = sha256Of(Buffer.from(String(signatureImage).replace(/^data:image\/png;base64,/, ''), 'base64'));
+    if (sha256 !== session.artworkSha256) {
+      throw sessionError('A assinatura enviada difere da confirmada. Confirme a assinatura novamente antes de concluir.');
+    }
+  }
+  return { session, artworkData: session.artworkData, initialsData: session.initialsData };
+};
+
+/**
+ * Estado da sessão para o front-end (etapas feitas e pendentes).
+ */
+const describeSession = (session, document, signer, shareToken = null) => {
+  const required = getRequiredSteps(document, signer, shareToken);
+  const pending = getPendingSteps(session, required);
+  return {
+    authLevel: document.authLevel || 'OTP',
+    inPerson: Boolean(shareToken?.hostedByUserId),
+    completedSteps: required.filter(step => !pending.includes(step)),
+    pendingSteps: pending
+  };
+};
+
+module.exports = {
+  AUTH_LEVELS,
+  SIGNING_SESSION_MAX_AGE_MINUTES,
+  getSession,
+  completeStep,
+  assertStepsDone,
+  assertAuthenticated,
+  assertCanRequestOtp,
+  saveArtwork,
+  saveInitials,
+  assertReadyToCommit,
+  describeSession
+};
@@ -0,0 +1,284 @@
+// src/features/template/bulkSend.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { BulkSend, BulkSendItem, Document, User, sequelize } = require('../../models');
+const templateService = require('./template.service');
+const documentService = require('../document/document.service');
+const { parseCsv } = require('../../utils/csvParser');
+
+const MAX_ROWS = 1000;
+// Lote PROCESSING sem atividade por este tempo foi interrompido (cada linha processada atualiza o lote)
+const BULK_SEND_STALE_MINUTES = parseInt(process.env.BULK_SEND_STALE_MINUTES, 10) || 15;
+
+// Colunas aceitas para cada dado do signatário (inglês ou português)
+const PERSON_COLUMNS = {
+  name: ['name', 'nome'],
+  email: ['email', 'e-mail'],
+  cpf: ['cpf'],
+  phone: ['phone', 'telefone', 'celular', 'whatsapp']
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Lê as linhas do lote a partir de um arquivo (CSV ou JSON) ou de um array enviado no corpo.
+ * @param {object} [file] - Arquivo do multer (memoryStorage).
+ * @param {Array<object>|string} [rows] - Linhas no corpo da requisição.
+ * @returns {Array<object>}
+ */
+const readRows = (file, rows) => {
+  let parsed = rows;
+
+  if (file) {
+    const text = file.buffer.toString('utf8');
+    const isJson = file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+    try {
+      parsed = isJson ? JSON.parse(text) : parseCsv(text);
+    } catch (e) {
+      throw badRequest('Arquivo de destinatários inválido.');
+    }
+  } else if (typeof rows === 'string') {
+    try {
+      parsed = JSON.parse(rows);
+    } catch (e) {
+      throw badRequest('O campo "rows" deve ser um JSON válido.');
+    }
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw badRequest('Envie um CSV ou uma lista (rows) com pelo menos um destinatário.');
+  }
+  if (parsed.length > MAX_ROWS) {
+    throw badRequest(`O envio em massa aceita no máximo ${MAX_ROWS} linhas por lote.`);
+  }
+  if (parsed.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw badRequest('Cada linha deve ser um objeto com as colunas do destinatário.');
+  }
+  return parsed;
+};
+
+/**
+ * Converte uma linha no mapa papel -> pessoa esperado por createDocumentFromTemplate.
+ * Modelo com um único papel: colunas "name", "email", "cpf", "phone".
+ * Modelo com vários papéis: colunas prefixadas pelo papel, ex: "Contratante.email".
+ */
+const rowToRecipients = (template, row) => {
+  const singleRole = template.roles.length === 1;
+  const recipients = {};
+
+  for (const role of template.roles) {
+    const person = {};
+    for (const [key, aliases] of Object.entries(PERSON_COLUMNS)) {
+      for (const alias of aliases) {
+        const column = singleRole ? alias : `${role.name}.${alias}`;
+        const value = templateService.getMergeValue(row, column);
+        if (value != null && String(value).trim() !== '') {
+          person[key] = String(value).trim();
+          break;
+        }
+      }
+    }
+    recipients[role.name] = person;
+  }
+  return recipients;
+};
+
+/**
+ * Processa as linhas pendentes do lote, uma por vez. Cada linha vira um Documento independente;
+ * a falha de uma linha é registrada nela e não interrompe as demais.
+ */
+const processBulkSend = async (bulkSendId, user) => {
+  const bulk = await BulkSend.findByPk(bulkSendId);
+  const template = await templateService.findTemplateById(bulk.templateId, user);
+  const items = await BulkSendItem.findAll({
+    where: { bulkSendId, status: 'PENDING' },
+    order: [['rowNumber', 'ASC']]
+  });
+
+  for (const item of items) {
+    try {
+      const doc = await templateService.createDocumentFromTemplate(template.id, {
+        ...bulk.options,
+        recipients: rowToRecipients(template, item.data),
+        mergeData: item.data
+      }, user);
+
+      item.status = 'SENT';
+      item.documentId = doc.id;
+      await item.save();
+      await bulk.increment('successCount');
+    } catch (error) {
+      item.status = 'FAILED';
+      item.error = error.message;
+      await item.save();
+      await bulk.increment('failureCount');
+    }
+  }
+
+  await finishBulkSend(bulk);
+};
+
+/**
+ * Fecha o lote com o status de acordo com o resultado das linhas.
+ */
+const finishBulkSend = async (bulk) => {
+  await bulk.reload();
+  if (bulk.successCount === 0) bulk.status = 'FAILED';
+  else if (bulk.failureCount > 0) bulk.status = 'COMPLETED_WITH_ERRORS';
+  else bulk.status = 'COMPLETED';
+  bulk.finishedAt = new Date();
+  await bulk.save();
+};
+
+/**
+ * Marca como FAILED as linhas ainda pendentes do lote.
+ * @param {object} [where] - Restringe as linhas (ex: só a interrompida).
+ */
+const failPendingItems = async (bulk, error, where = {}) => {
+  const [failed] = await BulkSendItem.update({ status: 'FAILED', error }, {
+    where: { ...where, bulkSendId: bulk.id, status: 'PENDING' }
+  });
+  if (failed > 0) await bulk.increment('failureCount', { by: failed });
+};
+
+/**
+ * Processa o lote em segundo plano (a resposta da API não espera o envio).
+ */
+const processInBackground = (bulkSendId, user) => {
+  setImmediate(() => {
+    processBulkSend(bulkSendId, user).catch(async (error) => {
+      console.error(`[BulkSend] Falha ao processar lote ${bulkSendId}:`, error);
+      await BulkSend.update({ status: 'FAILED', finishedAt: new Date() }, { where: { id: bulkSendId } }).catch(() => {});
+    });
+  });
+};
+
+/**
+ * Cria um lote de envio em massa e inicia o processamento em segundo plano.
+ * O limite de documentos do plano é verificado para o lote inteiro antes de qualquer envio.
+ *
+ * @param {string} templateId
+ * @param {object} data - { file, rows, title, deadlineAt, folderId, message, autoReminders }
+ * @param {User} user
+ * @returns {Promise<BulkSend>} Lote com status PROCESSING.
+ */
+const startBulkSend = async (templateId, data, user) => {
+  const template = await templateService.findTemplateById(templateId, user);
+  if (template.status !== 'ACTIVE') throw badRequest('Este modelo está arquivado.');
+
+  const rows = readRows(data.file, data.rows);
+  await documentService.assertCanCreateDocuments(user.tenantId, rows.length);
+
+  const transaction = await sequelize.transaction();
+  let bulk;
+  try {
+    bulk = await BulkSend.create({
+      tenantId: user.tenantId,
+      templateId: template.id,
+      ownerId: user.id,
+      options: {
+        title: data.title || null,
+        deadlineAt: data.deadlineAt || null,
+        folderId: data.folderId || null,
+        message: data.message || null,
+        autoReminders: data.autoReminders === true || data.autoReminders === 'true'
+      },
+      totalRows: rows.length
+    }, { transaction });
+
+    await BulkSendItem.bulkCreate(rows.map((row, index) => ({
+      bulkSendId: bulk.id,
+      rowNumber: index + 1,
+      data: row
+    })), { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  processInBackground(bulk.id, user);
+  return bulk;
+};
+
+/**
+ * Retoma os lotes interrompidos por um reinício do servidor: lotes PROCESSING sem atividade há
+ * BULK_SEND_STALE_MINUTES. Cada lote é reivindicado por um UPDATE condicional, então só uma instância o retoma.
+ * A primeira linha pendente pode ter sido interrompida depois de criar o documento: ela é marcada FAILED
+ * em vez de reenviada, para não duplicar o documento. Sem o dono ativo, as linhas pendentes falham.
+ * Chamado pelo cron (cron.service).
+ * @returns {Promise<number>} Quantidade de lotes retomados ou encerrados.
+ */
+const resumeInterruptedBulkSends = async (now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - BULK_SEND_STALE_MINUTES * 60 * 1000);
+  const staleWhere = { status: 'PROCESSING', updatedAt: { [Op.lt]: staleBefore } };
+  const stale = await BulkSend.findAll({ where: staleWhere });
+
+  let recovered = 0;
+  for (const bulk of stale) {
+    // Renova o updatedAt: outra instância fazendo a mesma varredura já não o vê como parado
+    const [claimed] = await BulkSend.update({ status: 'PROCESSING' }, { where: { ...staleWhere, id: bulk.id } });
+    if (claimed === 0) continue;
+    recovered++;
+
+    const interrupted = await BulkSendItem.findOne({
+      where: { bulkSendId: bulk.id, status: 'PENDING' },
+      order: [['rowNumber', 'ASC']]
+    });
+    if (interrupted) {
+      await failPendingItems(bulk, 'Processamento interrompido por um reinício do servidor. Confira se o documento desta linha foi criado antes de reenviá-la.', { id: interrupted.id });
+    }
+
+    const owner = await User.findOne({ where: { id: bulk.ownerId, status: 'ACTIVE' } });
+    if (!owner) {
+      await failPendingItems(bulk, 'O dono do envio em massa não está mais ativo.');
+      await finishBulkSend(bulk);
+      continue;
+    }
+
+    console.log(`[BulkSend] Retomando lote ${bulk.id} interrompido.`);
+    processInBackground(bulk.id, { ...owner.toJSON(), tenantId: bulk.tenantId });
+  }
+  return recovered;
+};
+
+/**
+ * Status do lote com o resultado de cada linha.
+ */
+const getBulkSend = async (bulkSendId, user) => {
+  const bulk = await BulkSend.findOne({
+    where: { id: bulkSendId, tenantId: user.tenantId },
+    include: [{
+      model: BulkSendItem,
+      as: 'items',
+      include: [{ model: Document, as: 'document', attributes: ['id', 'title', 'status'] }]
+    }],
+    order: [[{ model: BulkSendItem, as: 'items' }, 'rowNumber', 'ASC']]
+  });
+  if (!bulk) throw new Error('Envio em massa não encontrado.');
+  return bulk;
+};
+
+/**
+ * Lotes já disparados a partir de um modelo (sem as linhas).
+ */
+const listBulkSends = async (templateId, user) => {
+  await templateService.findTemplateById(templateId, user); // Valida acesso
+  return BulkSend.findAll({
+    where: { templateId, tenantId: user.tenantId },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+module.exports = {
+  startBulkSend,
+  resumeInterruptedBulkSends,
+  getBulkSend,
+  listBulkSends
+};
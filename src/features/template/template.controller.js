@@ -0,0 +1,133 @@
+// src/features/template/template.controller.js
+'use strict';
+
+const templateService = require('./template.service');
+const bulkSendService = require('./bulkSend.service');
+
+/**
+ * Campos JSON podem chegar como string quando o modelo é criado via multipart/form-data.
+ */
+const parseJsonField = (value, fieldName) => {
+  if (value === undefined || typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    const error = new Error(`O campo "${fieldName}" deve ser um JSON válido.`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const create = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Nenhum arquivo enviado.' });
+    }
+    const { name, description, defaultMessage, routingMode, authLevel, requireInitials, padesMode, declineAction } = req.body;
+
+    const template = await templateService.createTemplate({
+      file: req.file,
+      name,
+      description,
+      roles: parseJsonField(req.body.roles, 'roles'),
+      defaultMessage,
+      defaultAuthChannels: parseJsonField(req.body.defaultAuthChannels, 'defaultAuthChannels'),
+      routingMode,
+      authLevel,
+      requireInitials,
+      padesMode,
+      declineAction,
+      user: req.user
+    });
+    return res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const list = async (req, res, next) => {
+  try {
+    const templates = await templateService.listTemplates(req.user);
+    return res.status(200).json(templates);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getById = async (req, res, next) => {
+  try {
+    const template = await templateService.findTemplateById(req.params.id, req.user);
+    return res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const update = async (req, res, next) => {
+  try {
+    const template = await templateService.updateTemplate(req.params.id, req.body, req.user);
+    return res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const archive = async (req, res, next) => {
+  try {
+    await templateService.archiveTemplate(req.params.id, req.user);
+    return res.status(200).json({ message: 'Modelo arquivado com sucesso.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cria um documento a partir do modelo e envia para os destinatários de cada papel.
+ * Body: { title, deadlineAt, folderId, message, autoReminders, recipients: { "<papel>": { name, email, cpf, phone } | { contactId } } }
+ */
+const send = async (req, res, next) => {
+  try {
+    const { recipients } = req.body;
+    if (!recipients || typeof recipients !== 'object') {
+      return res.status(400).json({ message: 'Os destinatários (recipients) são obrigatórios.' });
+    }
+
+    const document = await templateService.createDocumentFromTemplate(req.params.id, req.body, req.user);
+    return res.status(201).json({ message: 'Documento criado e convites enviados com sucesso.', document });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Envio em massa: um documento independente por linha do CSV/JSON.
+ * Responde 202 com o lote; o andamento é consultado em GET /templates/bulk-sends/:bulkId.
+ */
+const bulkSend = async (req, res, next) => {
+  try {
+    const bulk = await bulkSendService.startBulkSend(req.params.id, { ...req.body, file: req.file }, req.user);
+    return res.status(202).json({ message: 'Envio em massa iniciado.', bulkSend: bulk });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const listBulkSends = async (req, res, next) => {
+  try {
+    const bulks = await bulkSendService.listBulkSends(req.params.id, req.user);
+    return res.status(200).json(bulks);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getBulkSend = async (req, res, next) => {
+  try {
+    const bulk = await bulkSendService.getBulkSend(req.params.bulkId, req.user);
+    return res.status(200).json(bulk);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { create, list, getById, update, archive, send, bulkSend, listBulkSends, getBulkSend };
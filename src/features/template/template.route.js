@@ -0,0 +1,74 @@
+// src/features/template/template.route.js
+'use strict';
+
+const { Router } = require('express');
+const multer = require('multer');
+const path = require('path');
+const templateController = require('./template.controller');
+const authGuard = require('../../middlewares/authGuard');
+const roleGuard = require('../../middlewares/roleGuard');
+
+const router = Router();
+
+// Upload do PDF base (salva em disco temporariamente, como nos documentos)
+const uploadTemp = multer({
+  dest: path.join(__dirname, '..', '..', '..', 'temp_uploads/'),
+  limits: { fileSize: 20 * 1024 * 1024 } // Limite de 20MB
+});
+
+// Planilha de destinatários do envio em massa (CSV ou JSON), lida direto da memória
+const uploadRecipients = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // Limite de 2MB
+});
+
+// Todas as rotas exigem login (UI e integrações via API usam o mesmo token)
+router.use(authGuard);
+
+/**
+ * @route   GET /api/templates
+ * @desc    Lista os modelos ativos do tenant.
+ * @access  ADMIN, MANAGER, VIEWER
+ */
+router.get('/', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.list);
+
+/**
+ * @route   POST /api/templates
+ * @desc    Cria um modelo (multipart: templateFile + name, roles (JSON), defaultMessage, defaultAuthChannels (JSON), routingMode,
+ *          authLevel, requireInitials, padesMode, declineAction).
+ * @access  ADMIN, MANAGER
+ */
+router.post('/', roleGuard(['ADMIN', 'MANAGER']), uploadTemp.single('templateFile'), templateController.create);
+
+/**
+ * @route   POST /api/templates/:id/send
+ * @desc    Cria um documento a partir do modelo, mapeando papéis para pessoas/contatos, e envia os convites.
+ * @access  ADMIN, MANAGER
+ */
+router.post('/:id/send', roleGuard(['ADMIN', 'MANAGER']), templateController.send);
+
+/**
+ * @route   GET /api/templates/bulk-sends/:bulkId
+ * @desc    Status do envio em massa, com o resultado (documento ou erro) de cada linha.
+ * @access  ADMIN, MANAGER, VIEWER
+ */
+router.get('/bulk-sends/:bulkId', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.getBulkSend);
+
+/**
+ * @route   POST /api/templates/:id/bulk-send
+ * @desc    Envio em massa: multipart com recipientsFile (CSV/JSON) ou JSON com `rows`.
+ *          Cada linha gera um documento; colunas extras preenchem campos TEXT e {{placeholders}}.
+ * @access  ADMIN, MANAGER
+ */
+router.post('/:id/bulk-send', roleGuard(['ADMIN', 'MANAGER']), uploadRecipients.single('recipientsFile'), templateController.bulkSend);
+
+router.get('/:id/bulk-sends', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.listBulkSends);
+
+router.get('/:id', roleGuard(['ADMIN', 'MANAGER', 'VIEWER']), templateController.getById);
+
+router.patch('/:id', roleGuard(['ADMIN', 'MANAGER']), templateController.update);
+
+// Arquiva (soft delete): documentos já enviados continuam vinculados ao modelo
+router.delete('/:id', roleGuard(['ADMIN', 'MANAGER']), templateController.archive);
+
+module.exports = router;
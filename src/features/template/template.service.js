@@ -0,0 +1,350 @@
+// src/features/template/template.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { Template, Document, Contact, sequelize } = require('../../models');
+const documentService = require('../document/document.service');
+const signatureFieldService = require('../document/signatureField.service');
+const auditService = require('../audit/audit.service');
+const { SIGNER_ROLES } = require('../../utils/signerRoles');
+const { AUTH_LEVELS } = require('../signer/signingSession.service');
+
+const AUTH_CHANNELS = ['EMAIL', 'SMS', 'WHATSAPP'];
+const ROUTING_MODES = ['PARALLEL', 'SEQUENTIAL'];
+const DECLINE_ACTIONS = ['CANCEL', 'AWAIT_OWNER'];
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Valida a lista de papéis do modelo e normaliza `order`, `authChannels` e `fields`.
+ * @param {Array<object>} roles - [{ name, order, authChannels, fields }]
+ * @returns {Array<object>} Papéis normalizados.
+ */
+const normalizeRoles = (roles) => {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    throw badRequest('O modelo precisa de pelo menos um papel (ex: "Contratante").');
+  }
+
+  const names = new Set();
+  return roles.map((role, index) => {
+    const name = role.name && String(role.name).trim();
+    if (!name) throw badRequest(`Papel #${index + 1}: o nome é obrigatório.`);
+    if (names.has(name)) throw badRequest(`Papel "${name}" está duplicado.`);
+    names.add(name);
+
+    if (role.authChannels && (!Array.isArray(role.authChannels) || role.authChannels.some(c => !AUTH_CHANNELS.includes(c)))) {
+      throw badRequest(`Papel "${name}": canais de autenticação inválidos. Use ${AUTH_CHANNELS.join(', ')}.`);
+    }
+
+    if (role.signerRole && !SIGNER_ROLES.includes(role.signerRole)) {
+      throw badRequest(`Papel "${name}": tipo de participação inválido. Use ${SIGNER_ROLES.join(', ')}.`);
+    }
+
+    const fields = role.fields || [];
+    signatureFieldService.validateFieldDefinitions(fields);
+
+    return {
+      name,
+      order: Number.isInteger(Number(role.order)) ? Number(role.order) : 0,
+      authChannels: role.authChannels || null, // null = usa defaultAuthChannels do modelo
+      signerRole: role.signerRole || 'SIGNER', // Participação: SIGNER, APPROVER, WITNESS, ACKNOWLEDGER, OBSERVER
+      allowDelegation: Boolean(role.allowDelegation),
+      requireIdentityEvidence: Boolean(role.requireIdentityEvidence), // Selfie + RG/CNH antes do commit
+      requireQualifiedSignature: Boolean(role.requireQualifiedSignature), // Certificado ICP-Brasil A1 do signatário
+      fields
+    };
+  });
+};
+
+/**
+ * Valida os padrões do modelo usados nos documentos criados a partir dele. Comum ao create e ao update.
+ * Campos ausentes ficam de fora: no create valem os padrões do model, no update os valores atuais.
+ * @param {object} settings - { defaultAuthChannels, routingMode, authLevel, requireInitials, padesMode, declineAction }
+ * @returns {object} Somente os campos informados, normalizados.
+ */
+const normalizeTemplateSettings = (settings) => {
+  const { defaultAuthChannels, routingMode, authLevel, requireInitials, padesMode, declineAction } = settings;
+  const normalized = {};
+
+  if (defaultAuthChannels !== undefined) {
+    if (!Array.isArray(defaultAuthChannels) || defaultAuthChannels.length === 0
+        || defaultAuthChannels.some(c => !AUTH_CHANNELS.includes(c))) {
+      throw badRequest(`Canais padrão inválidos. Use ${AUTH_CHANNELS.join(', ')}.`);
+    }
+    normalized.defaultAuthChannels = defaultAuthChannels;
+  }
+
+  const options = [
+    ['routingMode', routingMode, ROUTING_MODES, 'Modo de roteamento inválido'],
+    ['authLevel', authLevel, AUTH_LEVELS, 'Nível de autenticação inválido'],
+    ['padesMode', padesMode, documentService.PADES_MODES, 'Modo PAdES inválido'],
+    ['declineAction', declineAction, DECLINE_ACTIONS, 'Ação de recusa inválida']
+  ];
+  for (const [key, value, allowed, message] of options) {
+    if (value === undefined) continue;
+    if (!allowed.includes(value)) throw badRequest(`${message}. Use ${allowed.join(', ')}.`);
+    normalized[key] = value;
+  }
+
+  if (requireInitials !== undefined) {
+    normalized.requireInitials = requireInitials === true || requireInitials === 'true'; // Vem como string no FormData
+  }
+  return normalized;
+};
+
+/**
+ * Cria um modelo a partir de um PDF enviado (multer) e da definição de papéis.
+ */
+const createTemplate = async ({ file, name, description, roles, defaultMessage, user, ...settings }) => {
+  try {
+    if (file.mimetype !== 'application/pdf') throw badRequest('O modelo deve ser um arquivo PDF.');
+
+    const normalizedRoles = normalizeRoles(roles);
+    const normalizedSettings = normalizeTemplateSettings(settings);
+
+    const id = uuidv4();
+    const dir = path.join(ROOT_DIR, 'uploads', user.tenantId, 'templates');
+    await fs.mkdir(dir, { recursive: true });
+
+    const permanentPath = path.join(dir, `${id}.pdf`);
+    await fs.rename(file.path, permanentPath);
+
+    const fileBuffer = await fs.readFile(permanentPath);
+    const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+    return await Template.create({
+      id,
+      tenantId: user.tenantId,
+      ownerId: user.id,
+      name: name || file.originalname,
+      description,
+      storageKey: path.relative(ROOT_DIR, permanentPath),
+      sha256,
+      roles: normalizedRoles,
+      defaultMessage,
+      ...normalizedSettings
+    });
+  } catch (error) {
+    // Limpeza do arquivo temporário do multer
+    if (file && file.path) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lista os modelos ativos do tenant.
+ */
+const listTemplates = async (user) => {
+  return Template.findAll({
+    where: { tenantId: user.tenantId, status: 'ACTIVE' },
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Encontra um modelo pelo ID, garantindo que ele pertença ao tenant do usuário.
+ */
+const findTemplateById = async (templateId, user) => {
+  const template = await Template.findOne({ where: { id: templateId, tenantId: user.tenantId } });
+  if (!template) throw new Error('Modelo não encontrado ou acesso negado.');
+  return template;
+};
+
+/**
+ * Atualiza metadados, papéis e padrões do modelo (o PDF base não muda).
+ */
+const updateTemplate = async (templateId, updates, user) => {
+  const template = await findTemplateById(templateId, user);
+
+  const allowedUpdates = ['name', 'description', 'defaultMessage'];
+  const validUpdates = normalizeTemplateSettings(updates);
+  for (const key of allowedUpdates) {
+    if (updates[key] !== undefined) {
+      validUpdates[key] = updates[key];
+    }
+  }
+  if (updates.roles !== undefined) {
+    validUpdates.roles = normalizeRoles(updates.roles);
+  }
+
+  await template.update(validUpdates);
+  return template;
+};
+
+/**
+ * Arquiva o modelo. Documentos já criados continuam referenciando-o.
+ */
+const archiveTemplate = async (templateId, user) => {
+  const template = await findTemplateById(templateId, user);
+  template.status = 'ARCHIVED';
+  await template.save();
+};
+
+/**
+ * Busca um valor em `mergeData` ignorando maiúsculas/minúsculas e espaços nas chaves.
+ */
+const getMergeValue = (mergeData, key) => {
+  if (!mergeData || !key) return undefined;
+  const wanted = String(key).trim().toLowerCase();
+  const match = Object.keys(mergeData).find(k => k.trim().toLowerCase() === wanted);
+  return match === undefined ? undefined : mergeData[match];
+};
+
+/**
+ * Substitui {{coluna}} no texto pelos valores de `mergeData` (placeholders sem valor ficam vazios).
+ */
+const applyMergeTags = (text, mergeData) => {
+  if (!text || !mergeData) return text;
+  return String(text).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, key) => {
+    const value = getMergeValue(mergeData, key);
+    return value == null ? '' : String(value);
+  });
+};
+
+/**
+ * Monta a lista de signatários do convite a partir dos papéis do modelo.
+ * @param {Template} template
+ * @param {object} recipients - Mapa papel -> pessoa: { "Contratante": { name, email, cpf, birthDate, phone } | { contactId } }
+ * @param {User} user - Usuário autenticado (dono dos contatos).
+ * @param {object} [mergeData] - Valores para pré-preencher campos TEXT (casados por `mergeField` ou `label`).
+ */
+const buildSignersFromTemplate = async (template, recipients, user, mergeData = null) => {
+  if (!recipients || typeof recipients !== 'object') {
+    throw badRequest('Informe os destinatários de cada papel do modelo.');
+  }
+
+  const signers = [];
+  for (const role of template.roles) {
+    let person = recipients[role.name];
+    if (!person) throw badRequest(`Nenhum destinatário informado para o papel "${role.name}".`);
+
+    if (person.contactId) {
+      const contact = await Contact.findOne({ where: { id: person.contactId, ownerId: user.id } });
+      if (!contact) throw badRequest(`Contato do papel "${role.name}" não encontrado.`);
+      person = { name: contact.name, email: contact.email, cpf: contact.cpf, phone: contact.phone, ...person };
+    }
+
+    if (!person.name || !person.email) {
+      throw badRequest(`Nome e e-mail são obrigatórios para o papel "${role.name}".`);
+    }
+
+    signers.push({
+      name: person.name,
+      email: person.email,
+      cpf: person.cpf,
+      birthDate: person.birthDate,
+      phone: person.phone,
+      qualification: role.name,
+      role: role.signerRole,
+      authChannels: person.authChannels || role.authChannels || template.defaultAuthChannels,
+      requireIdentityEvidence: role.requireIdentityEvidence,
+      requireQualifiedSignature: role.requireQualifiedSignature,
+      order: role.order,
+      allowDelegation: role.allowDelegation,
+      fields: (role.fields || []).map(field => {
+        if (field.type !== 'TEXT') return field;
+        const value = getMergeValue(mergeData, field.mergeField || field.label);
+        return value == null ? field : { ...field, value };
+      })
+    });
+  }
+  return signers;
+};
+
+/**
+ * Cria um Documento a partir do modelo e envia os convites em uma única chamada.
+ * @param {string} templateId
+ * @param {object} data - { title, deadlineAt, folderId, message, recipients, autoReminders, mergeData }
+ *   `mergeData` (opcional) preenche campos TEXT e os placeholders {{coluna}} do título e da mensagem.
+ * @param {User} user
+ */
+const createDocumentFromTemplate = async (templateId, data, user) => {
+  const template = await findTemplateById(templateId, user);
+  if (template.status !== 'ACTIVE') throw badRequest('Este modelo está arquivado.');
+
+  const signers = await buildSignersFromTemplate(template, data.recipients, user, data.mergeData);
+  await documentService.assertCanCreateDocuments(user.tenantId);
+
+  const transaction = await sequelize.transaction();
+  let copiedPath = null;
+  try {
+    const doc = await Document.create({
+      tenantId: user.tenantId,
+      ownerId: user.id,
+      folderId: data.folderId || null,
+      templateId: template.id,
+      title: applyMergeTags(data.title, data.mergeData) || template.name,
+      deadlineAt: data.deadlineAt,
+      autoReminders: Boolean(data.autoReminders),
+      authLevel: template.authLevel,
+      requireInitials: template.requireInitials,
+      padesMode: template.padesMode,
+      declineAction: template.declineAction,
+      mimeType: 'application/pdf',
+      status: 'DRAFT',
+    }, { transaction });
+
+    // Cópia do PDF base: uploads/{tenantId}/{docId}.pdf
+    const permanentDir = path.join(ROOT_DIR, 'uploads', user.tenantId);
+    await fs.mkdir(permanentDir, { recursive: true });
+    copiedPath = path.join(permanentDir, `${doc.id}.pdf`);
+    await fs.copyFile(path.join(ROOT_DIR, template.storageKey), copiedPath);
+
+    const fileBuffer = await fs.readFile(copiedPath);
+    const sha256 = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+    doc.storageKey = path.relative(ROOT_DIR, copiedPath);
+    doc.size = fileBuffer.length;
+    doc.sha256 = sha256;
+    doc.status = 'READY';
+    await doc.save({ transaction });
+
+    await auditService.createEntry({
+      tenantId: user.tenantId,
+      actorKind: 'USER',
+      actorId: user.id,
+      entityType: 'DOCUMENT',
+      entityId: doc.id,
+      action: 'STORAGE_UPLOADED',
+      ip: 'SYSTEM',
+      userAgent: 'SYSTEM',
+      payload: { fileName: `${template.name}.pdf`, sha256, templateId: template.id }
+    }, transaction);
+
+    await documentService.addSignersToDocument(
+      doc.id,
+      signers,
+      applyMergeTags(data.message || template.defaultMessage, data.mergeData),
+      user,
+      { routingMode: template.routingMode, transaction }
+    );
+
+    await transaction.commit();
+    return doc;
+  } catch (error) {
+    await transaction.rollback();
+    if (copiedPath) await fs.unlink(copiedPath).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = {
+  createTemplate,
+  listTemplates,
+  findTemplateById,
+  updateTemplate,
+  archiveTemplate,
+  getMergeValue,
+  buildSignersFromTemplate,
+  createDocumentFromTemplate
+};
@@ -0,0 +1,76 @@
+// src/middlewares/captureDeviceInfo.js
+
+const { parseUserAgent } = require('../utils/userAgent');
+const geoipService = require('../services/geoip.service');
+
+const MAX_TEXT_LENGTH = 100;
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT_LENGTH) : null);
+
+const number = (value, min, max) => {
+  const parsed = Number(value);
+  return value !== null && value !== '' && Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+/**
+ * Lê os dados enviados pelo navegador: header `X-Device-Info` (JSON) ou `deviceInfo` no corpo.
+ * O header é a única opção nas rotas multipart, cujo corpo ainda não foi lido aqui.
+ */
+const readClientData = (req) => {
+  const header = req.headers['x-device-info'];
+  if (header) {
+    try {
+      return JSON.parse(header);
+    } catch (error) {
+      return {};
+    }
+  }
+  const fromBody = req.body?.deviceInfo;
+  return fromBody && typeof fromBody === 'object' ? fromBody : {};
+};
+
+/**
+ * Coordenadas do navegador (Geolocation API). Só são guardadas com `consent: true`,
+ * ou seja, quando o signatário autorizou explicitamente o compartilhamento da localização.
+ */
+const buildGeolocation = (geo) => {
+  if (!geo || geo.consent !== true) return null;
+  const latitude = number(geo.latitude, -90, 90);
+  const longitude = number(geo.longitude, -180, 180);
+  if (latitude === null || longitude === null) return null;
+
+  return {
+    latitude,
+    longitude,
+    accuracyMeters: number(geo.accuracy, 0, 1e7),
+    capturedAt: text(geo.capturedAt)
+  };
+};
+
+/**
+ * Monta a evidência do dispositivo de cada requisição do signatário (req.deviceInfo).
+ * Os serviços repassam o objeto ao `auditService.createEntry`, que o grava em AuditLog.deviceInfoJson.
+ */
+const captureDeviceInfo = (req, res, next) => {
+  const client = readClientData(req);
+  const screen = client.screen || {};
+
+  req.deviceInfo = {
+    ...parseUserAgent(req.headers['user-agent']),
+    screen: {
+      width: number(screen.width, 0, 20000),
+      height: number(screen.height, 0, 20000),
+      pixelRatio: number(screen.pixelRatio, 0, 20)
+    },
+    timezone: text(client.timezone),
+    timezoneOffsetMinutes: number(client.timezoneOffset, -900, 900),
+    language: text(client.language),
+    fingerprint: text(client.fingerprint || req.body?.clientFingerprint),
+    geolocation: buildGeolocation(client.geolocation),
+    ipLocation: geoipService.lookup(req.ip)
+  };
+
+  next();
+};
+
+module.exports = captureDeviceInfo;
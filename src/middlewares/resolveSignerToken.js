@@ -1,7 +1,8 @@
 // src/middlewares/resolveSignerToken.js
 
 const crypto = require('crypto');
-const { ShareToken, Document, Signer } = require('../models');
+const { Op } = require('sequelize');
+const { ShareToken, Document, Signer, User, sequelize } = require('../models');
 
 const resolveSignerToken = async (req, res, next) => {
   try {
@@ -16,14 +17,29 @@ const resolveSignerToken = async (req, res, next) => {
       where: { tokenHash },
       include: [
         { model: Document, as: 'Document' },
-        { model: Signer, as: 'Signer' }
+        { model: Signer, as: 'Signer' },
+        { model: User, as: 'hostedBy', attributes: ['id', 'name', 'email'] } // Sessão presencial
       ]
     });
 
     if (!shareToken || !shareToken.Document || !shareToken.Signer) {
       return res.status(404).json({ message: 'Link de assinatura inválido ou não encontrado.' });
     }
+
+    // Rastreamento de uso: todo acesso conta, inclusive a links revogados/expirados
+    await ShareToken.update(
+      { timesUsed: sequelize.literal('"timesUsed" + 1'), lastUsedAt: new Date() },
+      { where: { id: shareToken.id } }
+    );
     
+    if (shareToken.revokedAt) {
+        return res.status(403).json({ message: 'Link de assinatura revogado.' });
+    }
+
+    if (shareToken.lockedAt) {
+        return res.status(423).json({ message: 'Link bloqueado por excesso de tentativas de verificação. Solicite um novo link ao remetente.' });
+    }
+
     if (new Date() > new Date(shareToken.expiresAt)) {
         return res.status(403).json({ message: 'Link de assinatura expirado.' });
     }
@@ -35,10 +51,25 @@ const resolveSignerToken = async (req, res, next) => {
     if (signer.status === 'SIGNED' || signer.status === 'DECLINED') {
         return res.status(403).json({ message: `Acesso negado. A assinatura já foi concluída com o status: ${signer.status}.` });
     }
-    if (doc.status === 'CANCELLED' || doc.status === 'EXPIRED' || doc.status === 'SIGNED') {
+    if (['CANCELLED', 'EXPIRED', 'SIGNED', 'DECLINED'].includes(doc.status)) {
         return res.status(403).json({ message: `Acesso negado. O documento não está mais disponível para assinatura (status: ${doc.status}).` });
     }
 
+    // Fluxo sequencial: só o grupo da vez (menor `order` pendente) pode assinar
+    if (doc.routingMode === 'SEQUENTIAL') {
+        const pendingBefore = await Signer.count({
+            where: {
+                documentId: doc.id,
+                order: { [Op.lt]: signer.order },
+                role: { [Op.ne]: 'OBSERVER' },
+                status: { [Op.in]: ['PENDING', 'VIEWED'] }
+            }
+        });
+        if (pendingBefore > 0) {
+            return res.status(409).json({ message: 'Ainda não é a sua vez de assinar. Aguarde a assinatura dos signatários anteriores.' });
+        }
+    }
+
     // Anexa os dados à requisição para uso posterior
     req.document = doc;
     req.signer = signer;
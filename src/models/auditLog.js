@@ -32,7 +32,10 @@ module.exports = (sequelize, DataTypes) => {
       'CREATED', 'INVITED', 'VIEWED', 'OTP_SENT', 'OTP_VERIFIED',
       'SIGNED', 'EMAILED', 'DOWNLOADED', 'EXPIRED', 'CANCELLED',
       'STATUS_CHANGED', 'STORAGE_UPLOADED', 'PADES_SIGNED', 'CERTIFICATE_ISSUED', 'OTP_FAILED',
-      'LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'USER_CREATED', 'SETTINGS_CHANGED', 'ACCOUNT_LOCKED', 'USER_DELETED'
+      'LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'USER_CREATED', 'SETTINGS_CHANGED', 'ACCOUNT_LOCKED', 'USER_DELETED',
+      'DECLINED', 'REMINDER_SENT', 'LINK_ROTATED', 'LINK_REVOKED',
+      'SIGNER_UPDATED', 'DELEGATED', 'OTP_THROTTLED', 'IDENTIFIED', 'IDENTITY_MISMATCH',
+      'EVIDENCE_UPLOADED', 'IN_PERSON_SESSION_OPENED'
     ),
     ip: DataTypes.STRING,
     userAgent: DataTypes.TEXT,
@@ -0,0 +1,69 @@
+// src/models/bulkSend.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class BulkSend extends Model {
+    static associate(models) {
+      BulkSend.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
+      BulkSend.belongsTo(models.Template, { foreignKey: 'templateId', as: 'template' });
+      BulkSend.belongsTo(models.User, { foreignKey: 'ownerId', as: 'owner' });
+      BulkSend.hasMany(models.BulkSendItem, { foreignKey: 'bulkSendId', as: 'items' });
+    }
+  }
+  BulkSend.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Templates', key: 'id' }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' }
+    },
+    // Parâmetros comuns a todos os documentos do lote: { title, deadlineAt, folderId, message, autoReminders }
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('PROCESSING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED'),
+      defaultValue: 'PROCESSING',
+      allowNull: false
+    },
+    totalRows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    successCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failureCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    finishedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'BulkSend',
+    timestamps: true
+  });
+  return BulkSend;
+};
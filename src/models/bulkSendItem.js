@@ -0,0 +1,50 @@
+// src/models/bulkSendItem.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class BulkSendItem extends Model {
+    static associate(models) {
+      BulkSendItem.belongsTo(models.BulkSend, { foreignKey: 'bulkSendId' });
+      BulkSendItem.belongsTo(models.Document, { foreignKey: 'documentId', as: 'document' });
+    }
+  }
+  BulkSendItem.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    bulkSendId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'BulkSends', key: 'id' }
+    },
+    rowNumber: { // Linha de origem (1 = primeira linha de dados)
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    data: { // Valores originais da linha
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('PENDING', 'SENT', 'FAILED'),
+      defaultValue: 'PENDING',
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Documents', key: 'id' }
+    },
+    error: DataTypes.TEXT
+  }, {
+    sequelize,
+    modelName: 'BulkSendItem',
+    timestamps: true
+  });
+  return BulkSendItem;
+};
@@ -14,8 +14,11 @@ module.exports = (sequelize, DataTypes) => {
           Document.belongsTo(models.Folder, { foreignKey: 'folderId', as: 'folder' });
       }
 
+      Document.belongsTo(models.Template, { foreignKey: 'templateId', as: 'template' });
       Document.hasMany(models.Signer, { foreignKey: 'documentId', as: 'Signers' });
       Document.hasOne(models.Certificate, { foreignKey: 'documentId' });
+      Document.hasMany(models.Reminder, { foreignKey: 'documentId', as: 'reminders' });
+      Document.hasMany(models.SignatureField, { foreignKey: 'documentId', as: 'fields' });
     }
   }
   Document.init({
@@ -42,11 +45,71 @@ module.exports = (sequelize, DataTypes) => {
       references: { model: 'Folders', key: 'id' }
     },
     // ------------------
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Preenchido quando o documento é criado a partir de um modelo
+      references: { model: 'Templates', key: 'id' }
+    },
     autoReminders: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       allowNull: false,
     },
+    // Cadência dos lembretes. Null = usa o padrão do tenant (TenantSettings).
+    reminderIntervalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 }
+    },
+    reminderFinalHours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 1 },
+      comment: 'Antecedência (em horas) do lembrete final antes do deadlineAt'
+    },
+    // --- FLUXO DE ASSINATURA ---
+    // PARALLEL: todos os signatários são convidados de uma vez.
+    // SEQUENTIAL: convida por grupos de `Signer.order` (menor primeiro); ordens iguais assinam em paralelo.
+    routingMode: {
+      type: DataTypes.ENUM('PARALLEL', 'SEQUENTIAL'),
+      defaultValue: 'PARALLEL',
+      allowNull: false
+    },
+    // O que acontece quando um signatário recusa:
+    // CANCEL cancela o documento; AWAIT_OWNER pausa o fluxo (status DECLINED) até o dono agir:
+    // substituir ou reabrir o signatário (PATCH /documents/:id/signers/:signerId) ou cancelar o documento.
+    declineAction: {
+      type: DataTypes.ENUM('CANCEL', 'AWAIT_OWNER'),
+      defaultValue: 'CANCEL',
+      allowNull: false
+    },
+    // Etapas exigidas antes do commit (ver signingSession.service):
+    // LINK: só o link | OTP: código nos canais do signatário | CPF_OTP: confirmação do CPF + código
+    authLevel: {
+      type: DataTypes.ENUM('LINK', 'OTP', 'CPF_OTP'),
+      defaultValue: 'OTP',
+      allowNull: false
+    },
+    // Rubrica do signatário na margem de todas as páginas
+    requireInitials: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    // Assinatura digital (PAdES): FINAL_SEAL = só o selo da plataforma na finalização |
+    // PER_SIGNER = cada signatário assina uma revisão incremental do arquivo no commit (o selo continua no final).
+    // No PER_SIGNER o arquivo não recebe a página de registro nem o certificado anexado (invalidariam as assinaturas)
+    padesMode: {
+      type: DataTypes.ENUM('FINAL_SEAL', 'PER_SIGNER'),
+      defaultValue: 'FINAL_SEAL',
+      allowNull: false
+    },
+    inviteMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Mensagem do convite, reutilizada ao convidar os próximos grupos da fila'
+    },
+    // ---------------------------
     title: {
       type: DataTypes.STRING,
       allowNull: false
@@ -63,7 +126,8 @@ module.exports = (sequelize, DataTypes) => {
         'PARTIALLY_SIGNED',
         'SIGNED',
         'EXPIRED',
-        'CANCELLED'
+        'CANCELLED',
+        'DECLINED' // Recusado por um signatário, aguardando ação do dono
       ),
       defaultValue: 'DRAFT',
       allowNull: false
@@ -31,10 +31,14 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: false
     },
-    attempts: {
+    attempts: { // Tentativas reservadas antes da comparação; ao atingir o limite o código é invalidado
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    consumedAt: { // Preenchido quando o código é usado com sucesso (mantido para o limite diário de envios)
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     context: {
       type: DataTypes.ENUM('LOGIN', 'SIGNING', 'PASSWORD_RESET'), // Adicione PASSWORD_RESET
       allowNull: false
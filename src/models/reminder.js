@@ -0,0 +1,52 @@
+// src/models/reminder.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Reminder extends Model {
+    static associate(models) {
+      Reminder.belongsTo(models.Document, { foreignKey: 'documentId' });
+      Reminder.belongsTo(models.Signer, { foreignKey: 'signerId' });
+      Reminder.belongsTo(models.User, { foreignKey: 'triggeredById', as: 'triggeredBy' });
+    }
+  }
+  Reminder.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Signers', key: 'id' }
+    },
+    // SCHEDULED: cadência "a cada N dias" | FINAL: antes do prazo | MANUAL: disparado pelo dono
+    kind: {
+      type: DataTypes.ENUM('SCHEDULED', 'FINAL', 'MANUAL'),
+      allowNull: false
+    },
+    channels: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    triggeredById: { // Usuário que disparou (apenas MANUAL)
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Users', key: 'id' }
+    }
+  }, {
+    sequelize,
+    modelName: 'Reminder',
+    timestamps: true, // createdAt = data de envio
+    updatedAt: false
+  });
+  return Reminder;
+};
@@ -6,6 +6,7 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       ShareToken.belongsTo(models.Document, { foreignKey: 'documentId' });
       ShareToken.belongsTo(models.Signer, { foreignKey: 'signerId' });
+      ShareToken.belongsTo(models.User, { foreignKey: 'hostedByUserId', as: 'hostedBy' });
     }
   }
   ShareToken.init({
@@ -34,9 +35,43 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: false
     },
-    timesUsed: {
+    timesUsed: { // Incrementado a cada acesso pelo resolveSignerToken
       type: DataTypes.INTEGER,
       defaultValue: 0
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    failedOtpAttempts: { // Códigos OTP errados informados por este link
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Preenchido quando o link é bloqueado por excesso de tentativas de OTP (o remetente deve regenerar o link)'
+    },
+    hostedByUserId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'Users', key: 'id' },
+      comment: 'Sessão presencial: usuário que abriu o link no tablet e conduz a coleta (null = link enviado ao signatário)'
+    },
+    hostedOtpChannel: {
+      type: DataTypes.ENUM('SMS', 'WHATSAPP'),
+      allowNull: true,
+      comment: 'Sessão presencial: canal do OTP enviado ao celular do signatário (null = apenas o CPF)'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Preenchido quando o link é invalidado (ex: documento cancelado, link regenerado ou revogado)'
     }
   }, {
     sequelize,
@@ -0,0 +1,69 @@
+// src/models/signatureField.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SignatureField extends Model {
+    static associate(models) {
+      SignatureField.belongsTo(models.Document, { foreignKey: 'documentId' });
+      SignatureField.belongsTo(models.Signer, { foreignKey: 'signerId' });
+    }
+  }
+  SignatureField.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Signers', key: 'id' }
+    },
+    type: {
+      type: DataTypes.ENUM('SIGNATURE', 'INITIALS', 'DATE_SIGNED', 'NAME', 'CPF', 'TEXT', 'CHECKBOX'),
+      allowNull: false
+    },
+    label: DataTypes.STRING,
+    // --- RETÂNGULO (pontos PDF, origem no canto inferior esquerdo, como signaturePosition*) ---
+    page: { // 1-based
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    x: { type: DataTypes.FLOAT, allowNull: false },
+    y: { type: DataTypes.FLOAT, allowNull: false },
+    width: { type: DataTypes.FLOAT, allowNull: false },
+    height: { type: DataTypes.FLOAT, allowNull: false },
+    // -------------------------------------------------------------------------------------
+    required: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Preenchido pelo signatário (TEXT/CHECKBOX) ou automaticamente no commit'
+    },
+    filledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    renderedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Data em que o campo foi desenhado no PDF (evita desenhar duas vezes no PAdES)'
+    }
+  }, {
+    sequelize,
+    modelName: 'SignatureField',
+    timestamps: false
+  });
+  return SignatureField;
+};
@@ -10,6 +10,15 @@ module.exports = (sequelize, DataTypes) => {
       
       // Um Signatário pode ter múltiplos tokens de compartilhamento
       Signer.hasMany(models.ShareToken, { foreignKey: 'signerId' });
+
+      // Campos posicionados pelo remetente (assinatura, rubrica, data, texto...)
+      Signer.hasMany(models.SignatureField, { foreignKey: 'signerId', as: 'fields' });
+
+      // Histórico de lembretes enviados
+      Signer.hasMany(models.Reminder, { foreignKey: 'signerId' });
+
+      // Selfie e foto do documento de identidade (quando exigidas pelo remetente)
+      Signer.hasMany(models.SignerEvidence, { foreignKey: 'signerId', as: 'evidences' });
     }
   }
   Signer.init({
@@ -31,28 +40,54 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
-    email: {
+    email: { // Dispensado apenas na coleta presencial (collectInPerson)
       type: DataTypes.STRING,
-      allowNull: false,
+      allowNull: true,
       validate: { isEmail: true }
     },
-    cpf: {
+    cpf: { // Somente dígitos; se informado pelo remetente, o signatário precisa confirmar o mesmo valor
       type: DataTypes.STRING,
       allowNull: true, 
     },
+    cpfVerifiedAt: { // Quando o signatário confirmou o CPF em POST /sign/:token/identify
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    birthDate: { // Opcional: segundo fator exigido na identificação, se o remetente informar
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
     phoneWhatsE164: {
       type: DataTypes.STRING,
       allowNull: true, 
     },
-    qualification: {
+    qualification: { // Rótulo livre exibido ao signatário (ex: "Contratante", papel do modelo)
       type: DataTypes.STRING,
       allowNull: true, 
     },
+    // Papel no fluxo (ver utils/signerRoles): define se assina, aprova, testemunha, dá ciência ou só acompanha
+    role: {
+      type: DataTypes.ENUM('SIGNER', 'APPROVER', 'WITNESS', 'ACKNOWLEDGER', 'OBSERVER'),
+      allowNull: false,
+      defaultValue: 'SIGNER'
+    },
     authChannels: {
       type: DataTypes.ARRAY(DataTypes.ENUM('EMAIL', 'SMS', 'WHATSAPP')),
       allowNull: false,
       defaultValue: ['EMAIL', 'WHATSAPP'], 
     },
+    // Exige selfie + foto do documento (RG/CNH) antes do commit (POST /sign/:token/evidence)
+    requireIdentityEvidence: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Exige assinatura com o certificado ICP-Brasil A1 do próprio signatário (.p12 enviado no commit)
+    requireQualifiedSignature: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     order: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -69,10 +104,49 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'PENDING',
       allowNull: false
     },
+    invitedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Data do convite (no modo sequencial, só quando chega a vez do grupo)'
+    },
     signedAt: {
       type: DataTypes.DATE,
       allowNull: true,
     },
+    // --- RECUSA ---
+    declinedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    declineReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // --- COLETA PRESENCIAL ---
+    collectInPerson: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Não recebe convite: a assinatura é coletada em uma sessão presencial aberta pelo remetente (tablet)'
+    },
+    inPersonHost: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Preenchido no commit de uma sessão presencial: { userId, name, email, shareTokenId } de quem conduziu a coleta'
+    },
+    // --- DELEGAÇÃO ---
+    allowDelegation: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Definido pelo remetente: o signatário pode repassar a assinatura para outra pessoa'
+    },
+    delegationChain: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Quem já ocupou este lugar: [{ name, email, cpf, phone, delegatedAt, reason }]'
+    },
     // --- NOVOS CAMPOS PARA O CARIMBO VISUAL ---
     ip: {
       type: DataTypes.STRING,
@@ -94,6 +168,39 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true,
     },
+    // Como a arte foi criada: DRAWN (canvas), TYPED (nome em fonte manuscrita) ou UPLOADED (imagem enviada)
+    signatureMode: {
+      type: DataTypes.ENUM('DRAWN', 'TYPED', 'UPLOADED'),
+      allowNull: true,
+    },
+    signatureFont: { // Apenas TYPED (chave em signatureArt.service)
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Rubrica: carimbada na margem de todas as páginas quando o documento exige (`requireInitials`)
+    initialsArtefactPath: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    initialsRenderedAt: { // Já carimbada no PDF (evita repetir na selagem PAdES)
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // PAdES por signatário (documento com padesMode PER_SIGNER): revisão do arquivo assinada no commit
+    padesSignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    padesFieldName: { // Nome do campo de assinatura no PDF (entrada no painel de assinaturas do leitor)
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Certificado ICP-Brasil usado na assinatura qualificada (só os dados; o .p12 e a senha nunca são guardados)
+    // { subject, commonName, cpf, issuer, issuerCommonName, serialNumber, notBefore, notAfter, sha256 }
+    qualifiedCertificate: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
     signaturePositionX: {
       type: DataTypes.FLOAT,
       allowNull: true,
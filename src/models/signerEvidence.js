@@ -0,0 +1,62 @@
+// src/models/signerEvidence.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SignerEvidence extends Model {
+    static associate(models) {
+      SignerEvidence.belongsTo(models.Signer, { foreignKey: 'signerId' });
+      SignerEvidence.belongsTo(models.Document, { foreignKey: 'documentId' });
+      SignerEvidence.belongsTo(models.SigningSession, { foreignKey: 'signingSessionId' });
+    }
+  }
+  SignerEvidence.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Signers', key: 'id' }
+    },
+    // Sessão (link) em que a imagem foi enviada: o commit só aceita as evidências da própria sessão
+    signingSessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'SigningSessions', key: 'id' }
+    },
+    // SELFIE: foto do rosto | ID_DOCUMENT: foto do documento de identidade (RG/CNH)
+    kind: {
+      type: DataTypes.ENUM('SELFIE', 'ID_DOCUMENT'),
+      allowNull: false
+    },
+    idDocumentType: { // Apenas ID_DOCUMENT
+      type: DataTypes.ENUM('RG', 'CNH'),
+      allowNull: true
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    mimeType: DataTypes.STRING,
+    size: DataTypes.INTEGER, // in bytes
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'SignerEvidence',
+    timestamps: true, // createdAt = data do envio
+    updatedAt: false
+  });
+  return SignerEvidence;
+};
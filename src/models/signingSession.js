@@ -0,0 +1,61 @@
+// src/models/signingSession.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SigningSession extends Model {
+    static associate(models) {
+      SigningSession.belongsTo(models.ShareToken, { foreignKey: 'shareTokenId' });
+      SigningSession.belongsTo(models.Signer, { foreignKey: 'signerId' });
+      SigningSession.belongsTo(models.Document, { foreignKey: 'documentId' });
+    }
+  }
+  SigningSession.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // Uma sessão por link: regenerar o link obriga a refazer a identificação e o OTP
+    shareTokenId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: { model: 'ShareTokens', key: 'id' }
+    },
+    signerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Signers', key: 'id' }
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Documents', key: 'id' }
+    },
+    // Etapas concluídas (null = pendente)
+    viewedAt: { type: DataTypes.DATE, allowNull: true },
+    identifiedAt: { type: DataTypes.DATE, allowNull: true },
+    otpVerifiedAt: { type: DataTypes.DATE, allowNull: true },
+    artworkProvidedAt: { type: DataTypes.DATE, allowNull: true },
+    fieldsFilledAt: { type: DataTypes.DATE, allowNull: true },
+    evidenceProvidedAt: { type: DataTypes.DATE, allowNull: true }, // Selfie + documento (SignerEvidence)
+    initialsProvidedAt: { type: DataTypes.DATE, allowNull: true }, // Rubrica (POST /sign/:token/initials)
+    committedAt: { type: DataTypes.DATE, allowNull: true },
+    // Arte confirmada em POST /sign/:token/draw (PNG em Base64, usada no commit)
+    artworkData: { type: DataTypes.TEXT, allowNull: true },
+    artworkSha256: { type: DataTypes.STRING(64), allowNull: true },
+    artworkMode: { type: DataTypes.ENUM('DRAWN', 'TYPED', 'UPLOADED'), allowNull: true },
+    artworkFont: { type: DataTypes.STRING, allowNull: true }, // Apenas TYPED
+    // Rubrica confirmada em POST /sign/:token/initials
+    initialsData: { type: DataTypes.TEXT, allowNull: true },
+    initialsSha256: { type: DataTypes.STRING(64), allowNull: true },
+    initialsMode: { type: DataTypes.ENUM('DRAWN', 'TYPED', 'UPLOADED'), allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'SigningSession',
+    timestamps: true
+  });
+  return SigningSession;
+};
@@ -0,0 +1,92 @@
+// src/models/template.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Template extends Model {
+    static associate(models) {
+      Template.belongsTo(models.Tenant, { foreignKey: 'tenantId' });
+      Template.belongsTo(models.User, { foreignKey: 'ownerId', as: 'creator' });
+      Template.hasMany(models.Document, { foreignKey: 'templateId', as: 'documents' });
+    }
+  }
+  Template.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Tenants', key: 'id' }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: DataTypes.TEXT,
+    // PDF base (uploads/{tenantId}/templates/{id}.pdf)
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    sha256: DataTypes.STRING(64),
+    // Papéis nomeados, ex: [{ name: 'Contratante', order: 0, authChannels: ['EMAIL'], signerRole: 'SIGNER', allowDelegation: false, requireIdentityEvidence: false, requireQualifiedSignature: false, fields: [...] }]
+    // `fields` segue o mesmo formato dos campos enviados no convite (SignatureField);
+    // campos TEXT aceitam `mergeField` (coluna do envio em massa; padrão: o próprio `label`).
+    roles: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    defaultMessage: DataTypes.TEXT,
+    defaultAuthChannels: {
+      type: DataTypes.ARRAY(DataTypes.ENUM('EMAIL', 'SMS', 'WHATSAPP')),
+      allowNull: false,
+      defaultValue: ['EMAIL']
+    },
+    routingMode: {
+      type: DataTypes.ENUM('PARALLEL', 'SEQUENTIAL'),
+      defaultValue: 'PARALLEL',
+      allowNull: false
+    },
+    // Opções copiadas para cada documento criado a partir do modelo (mesmos valores e padrões do Document)
+    authLevel: {
+      type: DataTypes.ENUM('LINK', 'OTP', 'CPF_OTP'),
+      defaultValue: 'OTP',
+      allowNull: false
+    },
+    requireInitials: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    padesMode: {
+      type: DataTypes.ENUM('FINAL_SEAL', 'PER_SIGNER'),
+      defaultValue: 'FINAL_SEAL',
+      allowNull: false
+    },
+    declineAction: {
+      type: DataTypes.ENUM('CANCEL', 'AWAIT_OWNER'),
+      defaultValue: 'CANCEL',
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'ACTIVE', // ACTIVE ou ARCHIVED
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Template',
+    timestamps: true
+  });
+  return Template;
+};
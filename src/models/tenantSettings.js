@@ -30,10 +30,47 @@ module.exports = (sequelize, DataTypes) => {
     zapiClientToken: DataTypes.STRING, // Client Token
     zapiActive: { type: DataTypes.BOOLEAN, defaultValue: false },
 
+    // Integração SMS (provedor: console, twilio ou zenvia)
+    smsProvider: DataTypes.STRING,
+    smsAccountSid: DataTypes.STRING, // Twilio: Account SID
+    smsAuthToken: DataTypes.STRING, // Twilio: Auth Token | Zenvia: X-API-TOKEN
+    smsFrom: DataTypes.STRING, // Número/remetente (Twilio: número ou Messaging Service SID)
+    smsActive: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // Ordem de fallback entre canais de celular (ex: WhatsApp falhou -> SMS)
+    phoneFallbackOrder: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: ['WHATSAPP', 'SMS']
+    },
+
     // Integração Email (Resend/SMTP)
     resendApiKey: DataTypes.STRING,
     resendActive: { type: DataTypes.BOOLEAN, defaultValue: true },
 
+    // Lembretes automáticos (padrão do tenant, sobrescrito por documento)
+    reminderIntervalDays: { type: DataTypes.INTEGER, defaultValue: 3 },
+    reminderFinalHours: { type: DataTypes.INTEGER, defaultValue: 24 },
+
+    // Expiração automática: também avisa os signatários pendentes (o dono é sempre avisado)
+    notifySignersOnExpiry: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // Anexa as páginas do Certificado de Conclusão ao final do PDF assinado
+    // (não vale para arquivos com PAdES por signatário: páginas novas invalidariam as assinaturas)
+    appendCertificateToPdf: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // Certificado A1 (e-CNPJ) de selagem PAdES do tenant. Arquivo e senha cifrados (utils/secretBox);
+    // sem certificado, a selagem usa o da plataforma (PADES_CERTIFICATE_PATH)
+    sealCertificateP12: DataTypes.TEXT,
+    sealCertificatePassword: DataTypes.TEXT,
+    // { subject, commonName, issuer, issuerCommonName, serialNumber, notBefore, notAfter, sha256, cnpj, uploadedAt, uploadedBy }
+    sealCertificateInfo: DataTypes.JSONB,
+    // Menor antecedência (dias) do aviso de vencimento já enviado aos administradores
+    sealCertificateAlertedDays: DataTypes.INTEGER,
+    // Dados do dicionário de assinatura do selo (vazios = padrão da plataforma)
+    sealReason: DataTypes.STRING,
+    sealLocation: DataTypes.STRING,
+    sealContactInfo: DataTypes.STRING,
+
     // --- NOVO CAMPO ---
     finalEmailTemplate: {
       type: DataTypes.TEXT,
@@ -45,7 +82,15 @@ module.exports = (sequelize, DataTypes) => {
   }, {
     sequelize,
     modelName: 'TenantSettings',
-    timestamps: true
+    timestamps: true,
+    defaultScope: {
+      attributes: { exclude: ['sealCertificateP12', 'sealCertificatePassword'] } // Segredos só quando pedidos
+    },
+    scopes: {
+      withSealCertificate: {
+        attributes: { include: ['sealCertificateP12', 'sealCertificatePassword'] }
+      }
+    }
   });
   return TenantSettings;
 };
\ No newline at end of file
@@ -57,6 +57,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       defaultValue: 'ACTIVE',
       allowNull: false
+    },
+    // Proteção da recuperação de senha contra força bruta
+    passwordResetFailedAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    passwordResetLockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
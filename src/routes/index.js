@@ -16,6 +16,8 @@ const settingsRoutes = require('../features/settings/settings.route');
 const auditRoutes = require('../features/audit/audit.route');
 const subscriptionRoutes = require('../features/subscription/subscription.route');
 const webhookRoutes = require('../features/webhook/webhook.route');
+const templateRoutes = require('../features/template/template.route');
+const downloadRoutes = require('../features/download/download.route');
 
 // 2. Inicialização do roteador principal
 const router = Router();
@@ -32,6 +34,8 @@ router.use('/settings', settingsRoutes);
 router.use('/audit', auditRoutes);
 router.use('/subscription', subscriptionRoutes);
 router.use('/webhooks', webhookRoutes);
+router.use('/templates', templateRoutes);
+router.use('/downloads', downloadRoutes); // URLs assinadas (sem authGuard)
 
 // Rota de Health Check para monitoramento
 router.get('/health', (req, res) => {
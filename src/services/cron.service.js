@@ -1,40 +1,85 @@
+// src/services/cron.service.js
+'use strict';
+
 const cron = require('node-cron');
-    const { Document, Signer, sequelize } = require('../models');
-    const { Op } = require('sequelize');
-
-    /**
-     * Inicia o job que roda todo dia para verificar lembretes.
-     */
-    const startReminderJob = () => {
-      // Agenda para rodar todo dia à 1 da manhã.
-      cron.schedule('0 1 * * *', async () => {
-        console.log('[CRON] Rodando verificação de lembretes...');
-        
-        const threeDaysFromNow = new Date();
-        threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-
-        // Busca documentos que precisam de lembrete
-        const documentsToRemind = await Document.findAll({
-          where: {
-            autoReminders: true,
-            status: { [Op.in]: ['READY', 'PARTIALLY_SIGNED'] },
-            deadlineAt: {
-              [Op.between]: [new Date(), threeDaysFromNow]
-            }
-          },
-          include: [{ model: Signer, as: 'Signers' }]
-        });
-
-        for (const doc of documentsToRemind) {
-          for (const signer of doc.Signers) {
-            if (signer.status === 'PENDING' || signer.status === 'VIEWED') {
-              // TODO: Chamar o notificationService para enviar o e-mail de lembrete
-              console.log(`[CRON] Enviando lembrete para ${signer.email} sobre o documento ${doc.title}`);
-            }
-          }
-        }
-      });
-      console.log('[CRON] Agendador de lembretes iniciado.');
-    };
-
-    module.exports = { startReminderJob };
\ No newline at end of file
+const reminderService = require('../features/document/reminder.service');
+const expirationService = require('../features/document/expiration.service');
+const sealCertificateService = require('../features/settings/sealCertificate.service');
+const bulkSendService = require('../features/template/bulkSend.service');
+
+/**
+ * Inicia o job que verifica lembretes de assinatura.
+ * Roda de hora em hora para respeitar a janela do lembrete final (ex: 24h antes do prazo);
+ * a cadência "a cada N dias" é controlada pelo histórico de lembretes de cada signatário.
+ */
+const startReminderJob = () => {
+  cron.schedule('0 * * * *', async () => {
+    console.log('[CRON] Rodando verificação de lembretes...');
+
+    try {
+      const sent = await reminderService.processDueReminders();
+      console.log(`[CRON] ${sent} lembrete(s) enviado(s).`);
+    } catch (error) {
+      console.error('[CRON] Erro ao processar lembretes:', error);
+    }
+  });
+  console.log('[CRON] Agendador de lembretes iniciado.');
+};
+
+/**
+ * Inicia o job que expira documentos com prazo (deadlineAt) vencido.
+ * Roda de hora em hora, deslocado do job de lembretes.
+ */
+const startExpirationJob = () => {
+  cron.schedule('30 * * * *', async () => {
+    console.log('[CRON] Rodando verificação de documentos expirados...');
+
+    try {
+      const expired = await expirationService.expireOverdueDocuments();
+      console.log(`[CRON] ${expired} documento(s) expirado(s).`);
+    } catch (error) {
+      console.error('[CRON] Erro ao expirar documentos:', error);
+    }
+  });
+  console.log('[CRON] Agendador de expiração iniciado.');
+};
+
+/**
+ * Inicia o job que avisa os administradores sobre certificados de selagem (A1) dos tenants perto do vencimento.
+ * Roda uma vez por dia; cada antecedência (30, 15, 7, 1 dia e vencido) é avisada uma vez.
+ */
+const startSealCertificateExpiryJob = () => {
+  cron.schedule('0 8 * * *', async () => {
+    console.log('[CRON] Rodando verificação de vencimento dos certificados de selagem...');
+
+    try {
+      const alerted = await sealCertificateService.notifyExpiringSealCertificates();
+      console.log(`[CRON] ${alerted} tenant(s) avisado(s) sobre o vencimento do certificado.`);
+    } catch (error) {
+      console.error('[CRON] Erro ao verificar certificados de selagem:', error);
+    }
+  });
+  console.log('[CRON] Agendador de vencimento de certificados iniciado.');
+};
+
+/**
+ * Inicia o job que retoma envios em massa interrompidos (o processamento do lote acontece em memória
+ * e para se o servidor reiniciar). Roda na inicialização e a cada 10 minutos: um lote só é considerado
+ * interrompido depois de um tempo sem atividade (ver bulkSend.service).
+ */
+const startBulkSendRecoveryJob = () => {
+  const run = async () => {
+    try {
+      const recovered = await bulkSendService.resumeInterruptedBulkSends();
+      if (recovered > 0) console.log(`[CRON] ${recovered} envio(s) em massa interrompido(s) retomado(s).`);
+    } catch (error) {
+      console.error('[CRON] Erro ao retomar envios em massa:', error);
+    }
+  };
+
+  run();
+  cron.schedule('*/10 * * * *', run);
+  console.log('[CRON] Agendador de retomada de envios em massa iniciado.');
+};
+
+module.exports = { startReminderJob, startExpirationJob, startSealCertificateExpiryJob, startBulkSendRecoveryJob };
@@ -0,0 +1,66 @@
+// src/services/geoip.service.js
+'use strict';
+
+const net = require('net');
+const path = require('path');
+const maxmind = require('maxmind');
+
+/**
+ * Consulta de país/cidade por IP em um banco local no formato MaxMind DB (.mmdb),
+ * ex: GeoLite2-City ou DB-IP City Lite. Nada é enviado a serviços externos.
+ * Sem o arquivo configurado, `lookup` devolve null e a evidência fica sem localização por IP.
+ */
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', '..', 'data', 'GeoLite2-City.mmdb');
+
+let reader = null; // null = não carregado ou indisponível
+
+/**
+ * Abre o arquivo .mmdb. Chamado uma vez na inicialização do servidor, antes de aceitar requisições;
+ * a falha só desativa a localização por IP.
+ */
+const loadDatabase = async () => {
+  const dbPath = process.env.GEOIP_DB_PATH || DEFAULT_DB_PATH;
+  try {
+    reader = await maxmind.open(dbPath);
+    console.log(`[GeoIP] Banco ${reader.metadata.databaseType} carregado (${dbPath}).`);
+  } catch (error) {
+    console.warn(`[GeoIP] Banco indisponível em ${dbPath}: ${error.message}. Localização por IP desativada.`);
+    reader = null;
+  }
+  return reader;
+};
+
+/**
+ * Localização aproximada de um IP público.
+ * @param {string} ip
+ * @returns {{ country: string|null, countryName: string|null, region: string|null, city: string|null,
+ *   latitude: number|null, longitude: number|null, accuracyRadiusKm: number|null }|null}
+ */
+const lookup = (ip) => {
+  if (!ip || !reader) return null;
+  const cleanIp = String(ip).split(',')[0].trim().replace(/^::ffff:(?=\d+\.)/, '');
+  if (!net.isIP(cleanIp)) return null;
+  if (net.isIPv6(cleanIp) && reader.metadata.ipVersion === 4) return null;
+
+  try {
+    const record = reader.get(cleanIp);
+    if (!record) return null;
+
+    const name = (entry) => entry?.names?.['pt-BR'] || entry?.names?.en || null;
+    return {
+      country: record.country?.iso_code || null,
+      countryName: name(record.country),
+      region: name(record.subdivisions?.[0]),
+      city: name(record.city),
+      latitude: record.location?.latitude ?? null,
+      longitude: record.location?.longitude ?? null,
+      accuracyRadiusKm: record.location?.accuracy_radius ?? null
+    };
+  } catch (error) {
+    console.error(`[GeoIP] Falha ao consultar ${cleanIp}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = { loadDatabase, lookup };
@@ -4,6 +4,11 @@
 const axios = require('axios');
 const { Resend } = require('resend');
 const { TenantSettings } = require('../models'); // Importa o modelo para configurações whitelabel
+const smsService = require('./sms.service');
+
+// Canais de celular e a ordem padrão de fallback (WhatsApp falhou -> tenta SMS)
+const PHONE_CHANNELS = ['WHATSAPP', 'SMS'];
+const DEFAULT_PHONE_FALLBACK_ORDER = ['WHATSAPP', 'SMS'];
 
 // --- FUNÇÕES AUXILIARES ---
 
@@ -25,6 +30,18 @@ const formatPhoneNumber = (phone) => {
   return digitsOnly;
 };
 
+/**
+ * Escapa texto informado por terceiros (ex: signatário) antes de entrar no HTML de um e-mail.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Obtém as credenciais de envio (Whitelabel).
  * Prioriza as configurações do banco de dados do Tenant.
@@ -66,6 +83,27 @@ const getCredentials = async (tenantId) => {
     zapiClientToken: (settings?.zapiActive && settings?.zapiClientToken) 
       ? settings.zapiClientToken 
       : process.env.ZAPI_CLIENT_TOKEN,
+
+    // SMS (provedor configurável: console, twilio, zenvia)
+    sms: (settings?.smsActive && settings?.smsProvider)
+      ? {
+          provider: settings.smsProvider,
+          accountSid: settings.smsAccountSid,
+          authToken: settings.smsAuthToken,
+          from: settings.smsFrom
+        }
+      : {
+          // Sem configuração, usa o provedor de console fora de produção
+          provider: process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console'),
+          accountSid: process.env.SMS_ACCOUNT_SID,
+          authToken: process.env.SMS_AUTH_TOKEN,
+          from: process.env.SMS_FROM
+        },
+
+    // Ordem de tentativa entre os canais de celular quando um deles falha
+    phoneFallbackOrder: settings?.phoneFallbackOrder?.length
+      ? settings.phoneFallbackOrder
+      : DEFAULT_PHONE_FALLBACK_ORDER,
   };
 };
 
@@ -108,12 +146,13 @@ const sendEmail = async (tenantId, { to, subject, html }) => {
 /**
  * Envia uma mensagem de texto via WhatsApp (Z-API).
  * Esta função é usada para OTPs, convites e notificações.
+ * @returns {Promise<boolean>} true se a Z-API aceitou a mensagem (usado no fallback para SMS).
  */
 const sendWhatsAppText = async (tenantId, { phone, message }) => {
   const formattedPhone = formatPhoneNumber(phone);
   if (!formattedPhone) {
     console.warn('[Z-API] Número de telefone inválido ou vazio. Ignorando envio.');
-    return;
+    return false;
   }
 
   try {
@@ -121,7 +160,7 @@ const sendWhatsAppText = async (tenantId, { phone, message }) => {
 
     if (!creds.zapiInstance || !creds.zapiToken) {
       console.warn(`[Z-API] AVISO: Credenciais incompletas (Tenant: ${tenantId || 'Global'}). WhatsApp ignorado.`);
-      return;
+      return false;
     }
 
     // Constrói a URL dinâmica baseada na instância
@@ -144,9 +183,10 @@ const sendWhatsAppText = async (tenantId, { phone, message }) => {
     // Log de sucesso ou erro lógico da API
     if (response.data && response.data.error) {
         console.error(`[Z-API] ERRO RETORNADO PELA API para ${formattedPhone}:`, response.data);
-    } else {
-        console.log(`[Z-API] WhatsApp enviado para ${formattedPhone} (Tenant: ${tenantId || 'Global'}). MsgId: ${response.data.messageId}`);
+        return false;
     }
+    console.log(`[Z-API] WhatsApp enviado para ${formattedPhone} (Tenant: ${tenantId || 'Global'}). MsgId: ${response.data.messageId}`);
+    return true;
 
   } catch (error) {
     if (error.response) {
@@ -154,9 +194,110 @@ const sendWhatsAppText = async (tenantId, { phone, message }) => {
     } else {
         console.error(`[Z-API] FALHA DE REDE para ${formattedPhone}:`, error.message);
     }
+    return false;
   }
 };
 
+/**
+ * Envia um SMS pelo provedor configurado no tenant (ou no .env).
+ * @returns {Promise<boolean>} true se o provedor aceitou a mensagem.
+ */
+const sendSms = async (tenantId, { phone, message }) => {
+  const formattedPhone = formatPhoneNumber(phone);
+  if (!formattedPhone) {
+    console.warn('[SMS] Número de telefone inválido ou vazio. Ignorando envio.');
+    return false;
+  }
+
+  try {
+    const creds = await getCredentials(tenantId);
+
+    if (!creds.sms.provider) {
+      console.warn(`[SMS] AVISO: Nenhum provedor configurado (Tenant: ${tenantId || 'Global'}). SMS ignorado.`);
+      return false;
+    }
+
+    const provider = smsService.getProvider(creds.sms.provider);
+    // SMS não tem formatação: remove o negrito do WhatsApp (*texto*)
+    const { messageId } = await provider.send({
+      to: formattedPhone,
+      message: message.replace(/\*/g, ''),
+      credentials: creds.sms
+    });
+
+    console.log(`[SMS:${provider.name}] SMS enviado para ${formattedPhone} (Tenant: ${tenantId || 'Global'}). MsgId: ${messageId}`);
+    return true;
+  } catch (error) {
+    if (error.response) {
+        console.error(`[SMS] ERRO HTTP ${error.response.status} para ${formattedPhone}:`, error.response.data);
+    } else {
+        console.error(`[SMS] FALHA ao enviar para ${formattedPhone}:`, error.message);
+    }
+    return false;
+  }
+};
+
+/**
+ * Envia uma mensagem para o celular pelo canal pedido e, se ele falhar,
+ * tenta os canais seguintes da ordem de fallback do tenant (ex: WHATSAPP -> SMS).
+ * @returns {Promise<string|null>} O canal que entregou a mensagem, ou null.
+ */
+const sendPhoneMessage = async (tenantId, { phone, message, channel, skip = [] }) => {
+  const { phoneFallbackOrder } = await getCredentials(tenantId);
+  const start = phoneFallbackOrder.indexOf(channel);
+  const attempts = [channel, ...(start >= 0 ? phoneFallbackOrder.slice(start + 1) : [])]
+    .filter((c, i, list) => PHONE_CHANNELS.includes(c) && list.indexOf(c) === i && (c === channel || !skip.includes(c)));
+
+  for (const attempt of attempts) {
+    const sender = attempt === 'SMS' ? sendSms : sendWhatsAppText;
+    if (await sender(tenantId, { phone, message })) {
+      if (attempt !== channel) {
+        console.log(`[Notification] Fallback: ${channel} falhou, mensagem entregue via ${attempt}.`);
+      }
+      return attempt;
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Dispara uma mensagem para todos os canais configurados no signatário (`authChannels`).
+ * @param {Array<string>} [channelsOverride] - Canais a usar no lugar dos configurados (ex: reenvio por outro canal).
+ * @returns {Promise<Array<string>>} Os canais efetivamente acionados.
+ */
+const sendToSignerChannels = async (signer, tenantId, { subject, html, text }, channelsOverride = null) => {
+  const channels = channelsOverride
+    || (Array.isArray(signer.authChannels) ? signer.authChannels : ['EMAIL']); // Default para Email se vazio
+
+  const promises = [];
+  const used = [];
+
+  if (channels.includes('EMAIL') && signer.email) {
+    used.push('EMAIL');
+    promises.push(sendEmail(tenantId, { to: signer.email, subject, html }));
+  }
+
+  // Celular: cada canal pedido tem fallback; canais já pedidos explicitamente não são repetidos
+  const phoneChannels = channels.filter(c => PHONE_CHANNELS.includes(c));
+  if (phoneChannels.length > 0 && signer.phoneWhatsE164) {
+    promises.push((async () => {
+      for (const channel of phoneChannels) {
+        const delivered = await sendPhoneMessage(tenantId, {
+          phone: signer.phoneWhatsE164,
+          message: text,
+          channel,
+          skip: [...phoneChannels, ...used]
+        });
+        if (delivered && !used.includes(delivered)) used.push(delivered);
+      }
+    })());
+  }
+
+  await Promise.all(promises);
+  return used;
+};
+
 
 // --- FUNÇÕES DE NEGÓCIO (PÚBLICAS) ---
 
@@ -168,8 +309,11 @@ const sendWhatsAppText = async (tenantId, { phone, message }) => {
  * @param {string} token - O token único para o link.
  * @param {string} [customMessage] - Mensagem personalizada opcional.
  * @param {string} tenantId - ID do Tenant.
+ * @param {object} [options]
+ * @param {Array<string>} [options.channels] - Força os canais do envio (padrão: `signer.authChannels`).
+ * @returns {Promise<Array<string>>} Os canais efetivamente acionados.
  */
-const sendSignInvite = async (signer, token, customMessage, tenantId) => {
+const sendSignInvite = async (signer, token, customMessage, tenantId, { channels = null } = {}) => {
   // URL do Frontend
   const inviteLink = `${process.env.FRONT_URL}/sign/${token}`;
   
@@ -182,7 +326,7 @@ const sendSignInvite = async (signer, token, customMessage, tenantId) => {
   // Mensagem HTML (Email)
   const defaultMessageHtml = `
     <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
-      <h2>Olá, ${signer.name}</h2>
+      <h2>Olá, ${escapeHtml(signer.name)}</h2>
       <p>Você foi convidado para assinar um documento digitalmente.</p>
       <p style="margin: 30px 0;">
         <a href="${inviteLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
@@ -196,7 +340,7 @@ const sendSignInvite = async (signer, token, customMessage, tenantId) => {
   const messageHtml = customMessage 
     ? `<div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
          <h2>Convite para Assinatura</h2>
-         <p>${customMessage.replace(/\n/g, '<br>')}</p>
+         <p>${escapeHtml(customMessage).replace(/\n/g, '<br>')}</p>
          <p style="margin: 30px 0;">
            <a href="${inviteLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
              Acessar Documento
@@ -206,37 +350,64 @@ const sendSignInvite = async (signer, token, customMessage, tenantId) => {
        </div>`
     : defaultMessageHtml;
 
-  const channels = Array.isArray(signer.authChannels) ? signer.authChannels : ['EMAIL']; // Default para Email se vazio
-
-  console.log(`[Notification] Disparando convite para ${signer.name} (Canais: ${channels.join(', ')})`);
-
-  const promises = [];
+  console.log(`[Notification] Disparando convite para ${signer.name} (Canais: ${(channels || signer.authChannels || ['EMAIL']).join(', ')})`);
 
-  if (channels.includes('EMAIL') && signer.email) {
-    promises.push(sendEmail(tenantId, {
-      to: signer.email,
-      subject: 'Convite para assinatura de documento',
-      html: messageHtml
-    }));
-  }
+  return sendToSignerChannels(signer, tenantId, {
+    subject: 'Convite para assinatura de documento',
+    html: messageHtml,
+    text: messageText
+  }, channels);
+};
 
-  if (channels.includes('WHATSAPP') && signer.phoneWhatsE164) {
-    promises.push(sendWhatsAppText(tenantId, {
-      phone: signer.phoneWhatsE164,
-      message: messageText
-    }));
-  }
+/**
+ * Envia um lembrete de assinatura pendente para os canais do signatário.
+ * 
+ * @param {object} signer - Objeto do signatário.
+ * @param {string} token - Token de um link válido do signatário.
+ * @param {object} document - Documento pendente (title, deadlineAt, tenantId).
+ * @param {boolean} [isFinal] - Lembrete final (próximo ao prazo).
+ * @returns {Promise<Array<string>>} Os canais acionados.
+ */
+const sendSignReminder = async (signer, token, document, isFinal = false) => {
+  const signLink = `${process.env.FRONT_URL}/sign/${token}`;
+  const deadlineText = document.deadlineAt
+    ? new Date(document.deadlineAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+    : null;
+
+  const intro = (title) => (isFinal
+    ? `Último lembrete: o prazo para assinar o documento "${title}" termina em ${deadlineText}.`
+    : `Lembrete: o documento "${title}" ainda aguarda a sua assinatura.`);
+
+  const text = `Olá ${signer.name}. ${intro(document.title)}\n\nAcesse para assinar: ${signLink}`;
+  const html = `
+    <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+      <h2>Olá, ${escapeHtml(signer.name)}</h2>
+      <p>${intro(escapeHtml(document.title))}</p>
+      ${deadlineText && !isFinal ? `<p>Prazo para assinatura: <strong>${deadlineText}</strong></p>` : ''}
+      <p style="margin: 30px 0;">
+        <a href="${signLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+          Assinar Documento
+        </a>
+      </p>
+      <p><small style="color: #666;">Ou copie e cole no navegador: ${signLink}</small></p>
+    </div>
+  `;
 
-  await Promise.all(promises);
+  return sendToSignerChannels(signer, document.tenantId, {
+    subject: isFinal ? `Último lembrete: ${document.title}` : `Lembrete de assinatura: ${document.title}`,
+    html,
+    text
+  });
 };
 
 /**
  * Envia o código OTP para validação de identidade.
  * 
  * @param {string} recipient - Email ou Telefone destino.
- * @param {string} channel - 'EMAIL' ou 'WHATSAPP'.
+ * @param {string} channel - 'EMAIL', 'WHATSAPP' ou 'SMS'.
  * @param {string} otp - O código de 6 dígitos.
  * @param {string} tenantId - ID do Tenant.
+ * @returns {Promise<string|null>} Canal que entregou o código (pode ser o de fallback).
  */
 const sendOtp = async (recipient, channel, otp, tenantId) => {
   if (channel === 'EMAIL') {
@@ -252,12 +423,145 @@ const sendOtp = async (recipient, channel, otp, tenantId) => {
         </div>
       `
     });
-  } else if (channel === 'WHATSAPP') {
-    await sendWhatsAppText(tenantId, {
+    return 'EMAIL';
+  }
+
+  if (PHONE_CHANNELS.includes(channel)) {
+    return sendPhoneMessage(tenantId, {
       phone: recipient,
-      message: `Seu código de verificação Doculink é: *${otp}*.\n\nVálido por 10 minutos. Não compartilhe este código.`
+      message: `Seu código de verificação Doculink é: *${otp}*.\n\nVálido por 10 minutos. Não compartilhe este código.`,
+      channel
     });
   }
+  return null;
+};
+
+/**
+ * Avisa um observador (cópia) de que o documento foi enviado para assinatura.
+ * Não contém link de assinatura; a cópia final chega no e-mail de conclusão.
+ *
+ * @param {object} signer - Signatário com papel OBSERVER.
+ * @param {object} document - Documento enviado.
+ * @param {string} [customMessage] - Mensagem do remetente.
+ */
+const sendObserverNotice = async (signer, document, customMessage) => {
+  const text = `Olá ${signer.name}, você foi incluído como observador no documento "${document.title}". `
+    + 'Você receberá uma cópia quando todas as partes concluírem a assinatura.';
+
+  return sendToSignerChannels(signer, document.tenantId, {
+    subject: `Cópia para acompanhamento: ${document.title}`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2>Olá, ${escapeHtml(signer.name)}</h2>
+        <p>Você foi incluído como <strong>observador</strong> no documento <strong>${escapeHtml(document.title)}</strong>.</p>
+        ${customMessage ? `<p>${escapeHtml(customMessage).replace(/\n/g, '<br>')}</p>` : ''}
+        <p>Nenhuma ação é necessária. Você receberá uma cópia do documento assinado quando todas as partes concluírem.</p>
+      </div>
+    `,
+    text
+  });
+};
+
+/**
+ * Avisa o dono do documento que um signatário recusou a assinatura.
+ * 
+ * @param {object} owner - Usuário dono do documento.
+ * @param {object} document - Documento recusado.
+ * @param {object} signer - Signatário que recusou (com `declineReason`).
+ */
+const sendSignerDeclinedNotification = async (owner, document, signer) => {
+  const documentLink = `${process.env.FRONT_URL}/documents/${document.id}`;
+  const statusText = document.status === 'CANCELLED'
+    ? 'O documento foi cancelado automaticamente e os demais links foram invalidados.'
+    : 'O fluxo de assinatura está pausado aguardando sua decisão.';
+
+  await sendEmail(document.tenantId, {
+    to: owner.email,
+    subject: `Assinatura recusada: ${document.title}`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #DC2626;">Assinatura Recusada</h2>
+        <p>Olá, <strong>${escapeHtml(owner.name)}</strong>.</p>
+        <p><strong>${escapeHtml(signer.name)}</strong> (${escapeHtml(signer.email)}) recusou a assinatura do documento <strong>${escapeHtml(document.title)}</strong>.</p>
+        <p><strong>Motivo informado:</strong></p>
+        <blockquote style="border-left: 4px solid #e5e7eb; margin: 0; padding: 8px 16px; color: #555;">${escapeHtml(signer.declineReason).replace(/\n/g, '<br>')}</blockquote>
+        <p>${statusText}</p>
+        <p style="margin: 30px 0;">
+          <a href="${documentLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+            Ver Documento
+          </a>
+        </p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Avisa que o prazo de assinatura de um documento venceu.
+ * Para o dono, lista os signatários que não assinaram a tempo.
+ * 
+ * @param {object} recipient - Dono (User) ou signatário ({ name, email }).
+ * @param {object} document - Documento expirado.
+ * @param {Array<object>} [pendingSigners] - Signatários que não assinaram (apenas no aviso ao dono).
+ */
+const sendDocumentExpiredNotification = async (recipient, document, pendingSigners = null) => {
+  if (!recipient.email) return;
+
+  const pendingList = pendingSigners && pendingSigners.length > 0
+    ? `<p>Signatários que não assinaram a tempo:</p>
+       <ul>${pendingSigners.map(s => `<li>${escapeHtml(s.name)} (${escapeHtml(s.email)})</li>`).join('')}</ul>`
+    : '';
+
+  await sendEmail(document.tenantId, {
+    to: recipient.email,
+    subject: `Prazo encerrado: ${document.title}`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #D97706;">Prazo de Assinatura Encerrado</h2>
+        <p>Olá, <strong>${escapeHtml(recipient.name)}</strong>.</p>
+        <p>O prazo para assinatura do documento <strong>${escapeHtml(document.title)}</strong> terminou e o documento foi marcado como expirado.</p>
+        ${pendingList}
+        <p>Os links de assinatura enviados anteriormente não são mais válidos.</p>
+        <p><small style="color: #666;">ID do Documento: ${document.id}</small></p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Avisa um administrador que o certificado de selagem (A1) do tenant vence em breve ou já venceu.
+ * Vencido, a selagem passa a usar o certificado da plataforma até um novo envio.
+ *
+ * @param {object} recipient - { name, email }
+ * @param {string} tenantId
+ * @param {object} certificate - TenantSettings.sealCertificateInfo.
+ * @param {number} daysLeft - Dias até o vencimento (negativo se já venceu).
+ */
+const sendSealCertificateExpiryNotification = async (recipient, tenantId, certificate, daysLeft) => {
+  const expiresAt = new Date(certificate.notAfter).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  const settingsLink = `${process.env.FRONT_URL}/settings`;
+  const statusText = daysLeft <= 0
+    ? `venceu em <strong>${expiresAt}</strong>. Os documentos estão sendo selados com o certificado da plataforma.`
+    : `vence em <strong>${expiresAt}</strong> (${daysLeft === 1 ? 'amanhã' : `em ${daysLeft} dias`}).`;
+
+  await sendEmail(tenantId, {
+    to: recipient.email,
+    subject: daysLeft <= 0 ? 'Certificado de selagem vencido' : `Certificado de selagem vence em ${daysLeft} dia(s)`,
+    html: `
+      <div style="font-family: sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #D97706;">Certificado Digital de Selagem</h2>
+        <p>Olá, <strong>${recipient.name}</strong>.</p>
+        <p>O certificado <strong>${certificate.commonName || certificate.subject}</strong> (emitido por ${certificate.issuerCommonName || certificate.issuer}) ${statusText}</p>
+        <p>Envie o certificado renovado (.p12/.pfx) nas configurações da conta para continuar selando os documentos com ele.</p>
+        <p style="margin: 30px 0;">
+          <a href="${settingsLink}" style="background-color: #2563EB; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">
+            Abrir Configurações
+          </a>
+        </p>
+        <p><small style="color: #666;">Nº de série: ${certificate.serialNumber}</small></p>
+      </div>
+    `
+  });
 };
 
 const sendForgotPasswordEmail = async (email, otp, tenantId) => {
@@ -318,10 +622,11 @@ const sendForgotPasswordNotification = async (user, otp, channel) => {
         </div>
       `
     });
-  } else if (channel === 'WHATSAPP') {
-    await sendWhatsAppText(tenantId, {
+  } else if (PHONE_CHANNELS.includes(channel)) {
+    await sendPhoneMessage(tenantId, {
       phone: user.phoneWhatsE164,
-      message: `Doculink: Olá ${user.name}. Seu código de recuperação é *${otp}*.\n\nAcesse: ${resetLink}\n\nSe não solicitou, ignore.`
+      message: `Doculink: Olá ${user.name}. Seu código de recuperação é *${otp}*.\n\nAcesse: ${resetLink}\n\nSe não solicitou, ignore.`,
+      channel
     });
   }
 };
@@ -329,12 +634,19 @@ const sendForgotPasswordNotification = async (user, otp, channel) => {
 module.exports = {
   // Funções de Negócio
   sendSignInvite,
+  sendSignReminder,
   sendOtp,
+  sendObserverNotice,
+  sendSignerDeclinedNotification,
+  sendDocumentExpiredNotification,
+  sendSealCertificateExpiryNotification,
   sendForgotPasswordEmail,
   // Funções Core (Exportadas para uso genérico, ex: notificação de conclusão)
   sendEmail,
   sendWhatsAppText,
+  sendSms,
   sendForgotPasswordNotification,
   // Utilitários
-  formatPhoneNumber
+  formatPhoneNumber,
+  escapeHtml
 };
\ No newline at end of file
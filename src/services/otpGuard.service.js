@@ -0,0 +1,131 @@
+// src/services/otpGuard.service.js
+'use strict';
+
+const { Op } = require('sequelize');
+const { OtpCode } = require('../models');
+
+// Limites de proteção dos códigos OTP (assinatura e recuperação de senha)
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5; // Tentativas por código
+const OTP_LOCKOUT_THRESHOLD = parseInt(process.env.OTP_LOCKOUT_THRESHOLD, 10) || 10; // Falhas até bloquear link/conta
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_DAILY_SEND_LIMIT = parseInt(process.env.OTP_DAILY_SEND_LIMIT, 10) || 10; // Envios por destinatário em 24h
+const PASSWORD_RESET_LOCK_MINUTES = parseInt(process.env.PASSWORD_RESET_LOCK_MINUTES, 10) || 30;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Verifica se um novo código pode ser enviado para os destinatários.
+ * Um envio para vários canais compartilha o mesmo hash, então conta como um só.
+ * @param {Array<string>} recipients - E-mails/celulares que recebem o código.
+ * @param {string} context - SIGNING | PASSWORD_RESET
+ * @returns {Promise<object|null>} null se liberado, ou { reason: 'COOLDOWN'|'DAILY_LIMIT', retryAfter } (segundos).
+ */
+const getSendThrottle = async (recipients, context) => {
+  if (recipients.length === 0) return null;
+  const where = { recipient: { [Op.in]: recipients }, context };
+
+  const last = await OtpCode.findOne({ where, order: [['createdAt', 'DESC']] });
+  if (last) {
+    const elapsed = (Date.now() - new Date(last.createdAt).getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      return { reason: 'COOLDOWN', retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed) };
+    }
+  }
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const sentToday = await OtpCode.count({
+    where: { ...where, createdAt: { [Op.gte]: since } },
+    distinct: true,
+    col: 'codeHash'
+  });
+  if (sentToday >= OTP_DAILY_SEND_LIMIT) {
+    const oldest = await OtpCode.findOne({
+      where: { ...where, createdAt: { [Op.gte]: since } },
+      order: [['createdAt', 'ASC']]
+    });
+    const retryAfter = Math.ceil((new Date(oldest.createdAt).getTime() + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+    return { reason: 'DAILY_LIMIT', retryAfter: Math.max(retryAfter, 1) };
+  }
+
+  return null;
+};
+
+/**
+ * Erro 429 correspondente ao bloqueio de envio (o `retryAfter` vira o header Retry-After).
+ */
+const buildThrottleError = (throttle) => {
+  const error = throttle.reason === 'COOLDOWN'
+    ? httpError(`Aguarde ${throttle.retryAfter} segundo(s) para solicitar um novo código.`, 429)
+    : httpError('Limite diário de envio de códigos atingido. Tente novamente mais tarde.', 429);
+  error.retryAfter = throttle.retryAfter;
+  return error;
+};
+
+/**
+ * Último código emitido para os destinatários (pode estar expirado, usado ou esgotado).
+ */
+const findLatestCode = (recipients, context, transaction = null) => OtpCode.findOne({
+  where: { recipient: { [Op.in]: recipients }, context },
+  order: [['createdAt', 'DESC']],
+  transaction
+});
+
+/**
+ * Indica por que o código não pode mais ser usado, ou null se ainda é válido.
+ * @returns {'NOT_FOUND'|'EXPIRED'|'CONSUMED'|'TOO_MANY_ATTEMPTS'|null}
+ */
+const getCodeRejection = (otpRecord) => {
+  if (!otpRecord) return 'NOT_FOUND';
+  if (otpRecord.consumedAt) return 'CONSUMED';
+  if (new Date() > new Date(otpRecord.expiresAt)) return 'EXPIRED';
+  if (otpRecord.attempts >= OTP_MAX_ATTEMPTS) return 'TOO_MANY_ATTEMPTS';
+  return null;
+};
+
+/**
+ * Reserva uma tentativa antes da comparação: incrementa o contador só se ele ainda estiver abaixo do limite,
+ * num único UPDATE ... RETURNING, para que requisições simultâneas não passem do limite.
+ * Fica fora de transações para não ser desfeita.
+ * @param {typeof import('sequelize').Model} model - OtpCode, ShareToken ou User.
+ * @param {string} column - Contador de tentativas.
+ * @param {number} limit - Valor máximo do contador.
+ * @param {object} where - Linha a reservar (e condições extras, ex: link não bloqueado).
+ * @returns {Promise<number|null>} Valor do contador com esta tentativa, ou null se não há tentativa disponível.
+ */
+const reserveAttempt = async (model, column, limit, where) => {
+  const queryInterface = model.sequelize.getQueryInterface();
+  const [count, rows] = await model.update(
+    { [column]: model.sequelize.literal(`${queryInterface.quoteIdentifier(column)} + 1`) },
+    { where: { ...where, [column]: { [Op.lt]: limit } }, returning: true }
+  );
+  return count > 0 ? rows[0][column] : null;
+};
+
+/**
+ * Reserva uma tentativa no código (contada mesmo que o código confira: um código certo é queimado em seguida).
+ * @returns {Promise<{ attempts: number, remaining: number }|null>} null se as tentativas do código acabaram.
+ */
+const reserveCodeAttempt = async (otpRecord) => {
+  const attempts = await reserveAttempt(OtpCode, 'attempts', OTP_MAX_ATTEMPTS, { id: otpRecord.id, consumedAt: null });
+  if (attempts === null) return null;
+  otpRecord.attempts = attempts;
+  return { attempts, remaining: OTP_MAX_ATTEMPTS - attempts };
+};
+
+module.exports = {
+  OTP_MAX_ATTEMPTS,
+  OTP_LOCKOUT_THRESHOLD,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_DAILY_SEND_LIMIT,
+  PASSWORD_RESET_LOCK_MINUTES,
+  getSendThrottle,
+  buildThrottleError,
+  findLatestCode,
+  getCodeRejection,
+  reserveAttempt,
+  reserveCodeAttempt
+};
@@ -2,55 +2,174 @@
 
 const fs = require('fs/promises');
 const path = require('path');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
-const { P12Signer } = require('@signpdf/signer-p12');
-const { sign } = require('@signpdf/signpdf');
-const { pdf_lib_add_placeholder } = require('@signpdf/placeholder-pdf-lib');
+const crypto = require('crypto');
+const {
+  PDFDocument, PDFName, PDFHexString, PDFDict, PDFArray, PDFRawStream, PDFInvalidObject, decodePDFRawStream,
+  rgb, degrees, StandardFonts, drawImage, drawText, drawRectangle
+} = require('pdf-lib');
+const signpdf = require('@signpdf/signpdf').default;
+const { Signer, DEFAULT_BYTE_RANGE_PLACEHOLDER, SUBFILTER_ETSI_CADES_DETACHED } = require('@signpdf/utils');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { drawSignerFields, drawInitialsOnPages, initialsBox, toPdfText } = require('./pdf.service');
+const tsaService = require('./tsa.service');
+const revocationService = require('./revocation.service');
+const { ROLE_LABELS, roleOf } = require('../utils/signerRoles');
+const { formatCpf } = require('../utils/identity');
+const { loadP12, signCades, collectSignedDataCertificates } = require('../utils/pki');
+const { hasSignatures, listSignatures, loadForUpdate, saveIncremental } = require('../utils/pdfIncrementalUpdate');
+
+// Carimbo de cada signatário (na página, na selagem final, ou na aparência do campo de assinatura incremental)
+const STAMP_WIDTH = 180;
+const STAMP_HEIGHT = 70;
+
+// Níveis do PAdES baseline (ETSI EN 319 142-1): B-B só a assinatura; B-T + carimbo do tempo da assinatura;
+// B-LT + DSS com cadeias e dados de revogação; B-LTA + carimbo do tempo do documento sobre tudo isso
+const PADES_LEVELS = ['B-B', 'B-T', 'B-LT', 'B-LTA'];
+
+// Espaço reservado no /Contents, em bytes. Com carimbo do tempo entram também o token e a cadeia da TSA.
+const SIGNATURE_PLACEHOLDER_BYTES = 8192;
+const TIMESTAMPED_SIGNATURE_PLACEHOLDER_BYTES = 24576;
+const DOCUMENT_TIMESTAMP_PLACEHOLDER_BYTES = 16384;
+
+const SEAL_FIELD_NAME = 'Selo Doculink';
+const SEAL_INFO = {
+  reason: 'Documento finalizado e selado pela Plataforma Doculink',
+  contactInfo: 'contato@doculink.com',
+  name: 'Doculink Assinador Digital',
+  location: 'Brasil',
+};
+
+/**
+ * Nível configurado em PADES_LEVEL (padrão B-LTA). Sem TSA configurada só é possível o B-B.
+ */
+const resolvePadesLevel = () => {
+  const configured = PADES_LEVELS.includes(process.env.PADES_LEVEL) ? process.env.PADES_LEVEL : 'B-LTA';
+  if (configured !== 'B-B' && !tsaService.isConfigured()) {
+    console.warn(`[PAdES Service] PADES_LEVEL ${configured} exige PADES_TSA_URL; assinando em B-B.`);
+    return 'B-B';
+  }
+  return configured;
+};
+
+const reachesLevel = (level, target) => PADES_LEVELS.indexOf(level) >= PADES_LEVELS.indexOf(target);
+
+/**
+ * Certificado A1 da plataforma (caminho e senha no .env).
+ */
+const loadPlatformCredentials = async () => {
+  const p12Buffer = await fs.readFile(process.env.PADES_CERTIFICATE_PATH);
+  return loadP12(p12Buffer, process.env.PADES_CERTIFICATE_PASSWORD);
+};
+
+/**
+ * Certificado e dados do selo: os do tenant (ver settings/sealCertificate.service) ou, no que faltar, os da plataforma.
+ * @param {object} [seal] - { credentials, name, reason, location, contactInfo }
+ */
+const resolveSeal = async (seal = {}) => ({
+  credentials: seal.credentials || await loadPlatformCredentials(),
+  info: {
+    name: seal.name || SEAL_INFO.name,
+    reason: seal.reason || SEAL_INFO.reason,
+    location: seal.location || SEAL_INFO.location,
+    contactInfo: seal.contactInfo || SEAL_INFO.contactInfo,
+  },
+});
+
+/**
+ * Assinatura CAdES (ETSI.CAdES.detached) com as credenciais informadas.
+ * Com `timestamp`, o valor da assinatura recebe o carimbo do tempo da TSA (PAdES-B-T).
+ */
+class CadesSigner extends Signer {
+  constructor(credentials, { timestamp = false } = {}) {
+    super();
+    this.credentials = credentials;
+    this.timestamp = timestamp;
+  }
+
+  async sign(pdfBuffer) {
+    return signCades(pdfBuffer, this.credentials, {
+      timestamp: this.timestamp ? async (signatureValue) => (await tsaService.requestTimestamp(signatureValue)).token : null,
+    });
+  }
+}
+
+/**
+ * Carimbo do tempo do documento (/DocTimeStamp): o conteúdo da "assinatura" é o próprio token da TSA sobre o ByteRange.
+ */
+class DocumentTimestampSigner extends Signer {
+  async sign(pdfBuffer) {
+    return (await tsaService.requestTimestamp(pdfBuffer)).token;
+  }
+}
+
+/**
+ * Posição do carimbo na página, sem ultrapassar as bordas.
+ * @returns {{ page: PDFPage, pageIndex: number, x: number, y: number }|null} null se o signatário não tem carimbo.
+ */
+const resolveStampPosition = (pdfDoc, sig) => {
+  if (sig.positionX === null || sig.positionY === null || sig.positionPage === null || !sig.artefactPath) return null;
+
+  const pageIndex = sig.positionPage - 1; // A API é 1-based, o array é 0-based
+  const page = pdfDoc.getPages()[pageIndex];
+  if (!page) return null;
+
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  return {
+    page,
+    pageIndex,
+    x: Math.min(Math.max(sig.positionX, 0), pageWidth - STAMP_WIDTH),
+    y: Math.min(Math.max(sig.positionY, 0), pageHeight - STAMP_HEIGHT),
+  };
+};
+
+const readSignatureImage = (sig) => fs.readFile(path.join(__dirname, '..', '..', sig.artefactPath));
+
+const stampLabel = (sig) => {
+  const signedAt = new Date(sig.signedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+  return [`${ROLE_LABELS[roleOf(sig)]}: ${sig.name}`, `Em: ${signedAt}`].map(toPdfText);
+};
 
 /**
  * Desenha os carimbos visuais de assinatura no PDF, incluindo a imagem da assinatura de cada signatário.
  * @param {PDFDocument} pdfDoc - O documento PDF carregado com pdf-lib.
- * @param {Array<object>} signatures - Array com os dados dos signatários, suas posições e o caminho da imagem da assinatura.
+ * @param {Array<object>} signatures - Array com os dados dos signatários, suas posições, campos (`fields`) e o caminho da imagem da assinatura.
+ *   Com `stampInitials`, a rubrica (`initialsArtefactPath`) é carimbada na margem de todas as páginas.
  */
 const drawVisualStamps = async (pdfDoc, signatures) => {
   const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const stampWidth = 180;
-  const stampHeight = 70;
+  const imageCache = new Map();
+
+  // Rubricas que ainda não estão no arquivo (as da conclusão já foram carimbadas pelo embedSignatures)
+  const withInitials = signatures.filter(sig => sig.stampInitials);
+  await drawInitialsOnPages(pdfDoc, withInitials, imageCache, { slotOffset: withInitials[0]?.initialsSlot || 0 });
 
   for (const sig of signatures) {
-    // Pula signatários que não têm uma posição de carimbo definida
-    if (sig.positionX === null || sig.positionY === null || sig.positionPage === null || !sig.artefactPath) {
-      continue;
+    // Campos definidos pelo remetente: desenhados na posição escolhida
+    if (sig.fields && sig.fields.length > 0) {
+      await drawSignerFields(pdfDoc, sig, sig.fields, imageCache);
     }
 
-    const pageIndex = sig.positionPage - 1; // A API é 1-based, o array é 0-based
-    const page = pdfDoc.getPages()[pageIndex];
-    if (!page) continue;
-
-    const { width: pageWidth, height: pageHeight } = page.getSize();
-    // Garante que o carimbo não seja desenhado fora dos limites da página
-    const x = Math.min(Math.max(sig.positionX, 0), pageWidth - stampWidth);
-    const y = Math.min(Math.max(sig.positionY, 0), pageHeight - stampHeight);
+    // Pula signatários que não têm uma posição de carimbo definida
+    const position = resolveStampPosition(pdfDoc, sig);
+    if (!position) continue;
+    const { page, x, y } = position;
 
     // Carrega a imagem da assinatura salva no disco
-    const signatureImagePath = path.join(__dirname, '..', '..', sig.artefactPath);
-    const signatureImageBytes = await fs.readFile(signatureImagePath);
-    const signatureImage = await pdfDoc.embedPng(signatureImageBytes);
+    const signatureImage = await pdfDoc.embedPng(await readSignatureImage(sig));
 
     // Escala a imagem da assinatura para caber proporcionalmente no carimbo
-    const imageDims = signatureImage.scaleToFit(stampWidth * 0.8, stampHeight * 0.6);
+    const imageDims = signatureImage.scaleToFit(STAMP_WIDTH * 0.8, STAMP_HEIGHT * 0.6);
 
     // Desenha a imagem da assinatura no PDF, centralizada dentro da área do carimbo
     page.drawImage(signatureImage, {
-      x: x + (stampWidth - imageDims.width) / 2,
+      x: x + (STAMP_WIDTH - imageDims.width) / 2,
       y: y + 20,
       width: imageDims.width,
       height: imageDims.height,
     });
-    
+
     // Desenha o texto informativo (nome e data) abaixo da imagem da assinatura
-    const signedAt = new Date(sig.signedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
-    page.drawText(`Assinado por: ${sig.name}\nEm: ${signedAt}`, {
+    page.drawText(stampLabel(sig).join('\n'), {
         x: x + 5,
         y: y + 5,
         font: helveticaFont,
@@ -63,47 +182,380 @@ const drawVisualStamps = async (pdfDoc, signatures) => {
     page.drawRectangle({
       x,
       y,
-      width: stampWidth,
-      height: stampHeight,
+      width: STAMP_WIDTH,
+      height: STAMP_HEIGHT,
       borderColor: rgb(0.7, 0.7, 0.7),
       borderWidth: 0.5,
     });
   }
 };
 
+/**
+ * Aparência (form XObject) do campo de assinatura: o mesmo carimbo de drawVisualStamps,
+ * mas desenhado no widget. Assim o carimbo faz parte da assinatura e não altera o conteúdo da página.
+ */
+const buildStampAppearance = async (pdfDoc, sig) => {
+  const image = await pdfDoc.embedPng(await readSignatureImage(sig));
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const dims = image.scaleToFit(STAMP_WIDTH * 0.8, STAMP_HEIGHT * 0.6);
+  const noRotation = { rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0) };
+
+  const [firstLine, secondLine] = stampLabel(sig);
+  const operators = [
+    ...drawImage('Signature', { x: (STAMP_WIDTH - dims.width) / 2, y: 20, width: dims.width, height: dims.height, ...noRotation }),
+    ...drawText(font.encodeText(firstLine), { x: 5, y: 14, size: 7, font: 'Helvetica', color: rgb(0.2, 0.2, 0.2), ...noRotation }),
+    ...drawText(font.encodeText(secondLine), { x: 5, y: 5, size: 7, font: 'Helvetica', color: rgb(0.2, 0.2, 0.2), ...noRotation }),
+    ...drawRectangle({ x: 0, y: 0, width: STAMP_WIDTH, height: STAMP_HEIGHT, borderWidth: 0.5, borderColor: rgb(0.7, 0.7, 0.7), ...noRotation }),
+  ].filter(Boolean);
+
+  return pdfDoc.context.register(pdfDoc.context.formXObject(operators, {
+    BBox: [0, 0, STAMP_WIDTH, STAMP_HEIGHT],
+    Resources: { XObject: { Signature: image.ref }, Font: { Helvetica: font.ref } },
+  }));
+};
+
+/**
+ * Aparência (form XObject) de um campo do signatário ou da rubrica na margem: o campo é desenhado por
+ * drawSignerFields em uma página do tamanho dele, que é embutida no documento.
+ */
+const buildFieldAppearance = async (pdfDoc, sig, field) => {
+  const scratch = await PDFDocument.create();
+  scratch.addPage([field.width, field.height]);
+  await drawSignerFields(scratch, sig, [{ ...field, page: 1, x: 0, y: 0 }]);
+  const [embedded] = await pdfDoc.embedPdf(await scratch.save());
+  return embedded.ref;
+};
+
+/**
+ * Widgets (aparências) do que um signatário mostra no documento: o carimbo, os campos definidos pelo remetente e,
+ * com `initialsSlot`, a rubrica na margem de todas as páginas.
+ * Em um arquivo já assinado, desenhar no conteúdo das páginas invalidaria as assinaturas anteriores;
+ * como widgets de um campo de assinatura, tudo entra como anotação (alteração permitida depois de assinar).
+ * @returns {Promise<Array<{ pageIndex: number, rect: Array<number>, appearance: PDFRef }>>}
+ */
+const buildSignerWidgets = async (pdfDoc, sig, { initialsSlot = null } = {}) => {
+  const pages = pdfDoc.getPages();
+  const widgets = [];
+
+  const position = resolveStampPosition(pdfDoc, sig);
+  if (position) {
+    widgets.push({
+      pageIndex: position.pageIndex,
+      rect: [position.x, position.y, position.x + STAMP_WIDTH, position.y + STAMP_HEIGHT],
+      appearance: await buildStampAppearance(pdfDoc, sig),
+    });
+  }
+
+  for (const field of sig.fields || []) {
+    if (!pages[field.page - 1]) continue; // A API é 1-based, o array é 0-based
+    widgets.push({
+      pageIndex: field.page - 1,
+      rect: [field.x, field.y, field.x + field.width, field.y + field.height],
+      appearance: await buildFieldAppearance(pdfDoc, sig, field),
+    });
+  }
+
+  if (initialsSlot !== null && sig.initialsArtefactPath) {
+    let appearance = null;
+    for (const [pageIndex, page] of pages.entries()) {
+      const { x, y, width, height } = initialsBox(page, initialsSlot);
+      appearance = appearance || await buildFieldAppearance(pdfDoc, sig, { type: 'INITIALS', width, height });
+      widgets.push({ pageIndex, rect: [x, y, x + width, y + height], appearance });
+    }
+  }
+
+  return widgets;
+};
+
+/**
+ * O placeholder cria o campo de assinatura e o widget no mesmo dicionário, o que só vale para um widget.
+ * Com mais de um, o campo passa a ter os widgets como filhos (/Kids), cada um na sua página.
+ */
+const attachSignatureWidgets = (pdfDoc, fieldRef, widgets) => {
+  const { context } = pdfDoc;
+  const fieldDict = context.lookup(fieldRef, PDFDict);
+  const pages = pdfDoc.getPages();
+
+  const addToPage = (page, widgetRef) => {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    if (annots) annots.push(widgetRef);
+    else page.node.set(PDFName.of('Annots'), context.obj([widgetRef]));
+  };
+
+  // O widget do placeholder sai do campo e toma o lugar dele na página
+  const first = context.obj({ Parent: fieldRef });
+  for (const key of ['Type', 'Subtype', 'Rect', 'F', 'P', 'AP']) {
+    const value = fieldDict.get(PDFName.of(key));
+    if (value !== undefined) first.set(PDFName.of(key), value);
+    fieldDict.delete(PDFName.of(key));
+  }
+  const firstRef = context.register(first);
+  const firstPageAnnots = context.lookup(first.get(PDFName.of('P')), PDFDict).lookup(PDFName.of('Annots'), PDFArray);
+  firstPageAnnots.set(firstPageAnnots.indexOf(fieldRef), firstRef);
+
+  const kids = [firstRef];
+  for (const { pageIndex, rect, appearance } of widgets) {
+    const page = pages[pageIndex];
+    const widgetRef = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      Rect: rect,
+      F: first.get(PDFName.of('F')),
+      P: page.ref,
+      Parent: fieldRef,
+      AP: { N: appearance },
+    }));
+    addToPage(page, widgetRef);
+    kids.push(widgetRef);
+  }
+  fieldDict.set(PDFName.of('Kids'), context.obj(kids));
+};
+
+/**
+ * Renomeia o último campo de assinatura criado pelo placeholder, que sempre se chama "Signature1"
+ * (campos com o mesmo nome seriam fundidos pelo leitor).
+ * @returns {{ widgetDict: PDFDict, fieldRef: PDFRef }} O widget/campo.
+ */
+const renameLastSignatureField = (pdfDoc, fieldName) => {
+  const fields = pdfDoc.catalog.lookup(PDFName.of('AcroForm'), PDFDict).lookup(PDFName.of('Fields'), PDFArray);
+  const fieldRef = fields.get(fields.size() - 1);
+  const widgetDict = pdfDoc.context.lookup(fieldRef, PDFDict);
+  widgetDict.set(PDFName.of('T'), PDFHexString.fromText(fieldName));
+  return { widgetDict, fieldRef };
+};
+
+/**
+ * Anexa uma assinatura digital em uma atualização incremental: os bytes já existentes
+ * (e as assinaturas que os cobrem) ficam intactos, e a nova assinatura cobre o arquivo inteiro.
+ * @param {Buffer} pdfBuffer
+ * @param {object} options
+ * @param {string} options.fieldName - Nome do campo de assinatura (único no documento).
+ * @param {string} options.name - Quem assina (exibido no painel de assinaturas do leitor).
+ * @param {string} options.reason
+ * @param {string} options.location
+ * @param {string} options.contactInfo
+ * @param {Date} [options.signingTime]
+ * @param {string} options.level - Nível PAdES (B-T em diante leva o carimbo do tempo da assinatura).
+ * @param {Function} [options.decorate] - async (pdfDoc) => [{ pageIndex, rect, appearance }].
+ *   Devolve os widgets visíveis da assinatura (ver buildSignerWidgets); sem widgets, a assinatura é invisível.
+ * @param {object} credentials - { privateKey, certificate, chain } (ver loadP12).
+ * @returns {Promise<Buffer>}
+ */
+const appendIncrementalSignature = async (pdfBuffer, { fieldName, name, reason, location, contactInfo, signingTime, level, decorate }, credentials) => {
+  const timestamp = reachesLevel(level, 'B-T');
+  const update = await loadForUpdate(pdfBuffer);
+  const { pdfDoc } = update;
+  const [widget, ...otherWidgets] = decorate ? await decorate(pdfDoc) : [];
+
+  pdflibAddPlaceholder({
+    pdfDoc,
+    pdfPage: pdfDoc.getPages()[widget?.pageIndex || 0],
+    reason,
+    contactInfo,
+    name,
+    location,
+    signingTime,
+    subFilter: SUBFILTER_ETSI_CADES_DETACHED,
+    signatureLength: 2 * (timestamp ? TIMESTAMPED_SIGNATURE_PLACEHOLDER_BYTES : SIGNATURE_PLACEHOLDER_BYTES),
+    widgetRect: widget?.rect || [0, 0, 0, 0],
+  });
+
+  const { widgetDict, fieldRef } = renameLastSignatureField(pdfDoc, fieldName);
+  if (widget?.appearance) widgetDict.set(PDFName.of('AP'), pdfDoc.context.obj({ N: widget.appearance }));
+  if (otherWidgets.length > 0) attachSignatureWidgets(pdfDoc, fieldRef, otherWidgets);
+
+  const withPlaceholder = await saveIncremental(pdfBuffer, update);
+  return Buffer.from(await signpdf.sign(withPlaceholder, new CadesSigner(credentials, { timestamp })));
+};
+
+/**
+ * PAdES-B-LT: revisão com o DSS (Document Security Store) do catálogo, com os certificados e as respostas OCSP/LCR
+ * de todas as assinaturas e carimbos do tempo do arquivo. Um DSS já existente é completado, sem repetir dados.
+ * (Sem o VRI por assinatura, que o ETSI EN 319 142-1 deixa opcional.)
+ */
+const appendDss = async (pdfBuffer) => {
+  const certificates = listSignatures(pdfBuffer).flatMap(({ contents }) => collectSignedDataCertificates(contents));
+  const validation = await revocationService.collectValidationData(certificates);
+  for (const revoked of validation.revoked) {
+    console.error(`[PAdES Service] Certificado revogado na cadeia: ${revoked.subject} (série ${revoked.serialNumber}).`);
+  }
+
+  const update = await loadForUpdate(pdfBuffer);
+  const { context, catalog } = update.pdfDoc;
+  const dss = catalog.lookupMaybe(PDFName.of('DSS'), PDFDict) || context.obj({});
+  const fingerprint = (bytes) => crypto.createHash('sha1').update(bytes).digest('hex');
+
+  const addStreams = (key, items) => {
+    if (items.length === 0) return;
+    let array = dss.lookupMaybe(PDFName.of(key), PDFArray);
+    if (!array) {
+      array = context.obj([]);
+      dss.set(PDFName.of(key), array);
+    }
+    const present = new Set(array.asArray().map(ref => fingerprint(decodePDFRawStream(context.lookup(ref, PDFRawStream)).decode())));
+    for (const der of items) {
+      if (present.has(fingerprint(der))) continue;
+      present.add(fingerprint(der));
+      array.push(context.register(context.flateStream(der)));
+    }
+  };
+  addStreams('Certs', validation.certificates);
+  addStreams('OCSPs', validation.ocsps);
+  addStreams('CRLs', validation.crls);
+
+  if (!catalog.has(PDFName.of('DSS'))) catalog.set(PDFName.of('DSS'), context.register(dss));
+  // Extensão do ISO 32000-1 que define o DSS (ESIC, nível 5)
+  if (!catalog.has(PDFName.of('Extensions'))) {
+    catalog.set(PDFName.of('Extensions'), context.obj({ ESIC: { BaseVersion: '1.7', ExtensionLevel: 5 } }));
+  }
+
+  return saveIncremental(pdfBuffer, update);
+};
+
+/**
+ * PAdES-B-LTA: carimbo do tempo do documento (/DocTimeStamp, ETSI.RFC3161) em um campo invisível,
+ * cobrindo o arquivo inteiro (assinaturas e DSS). Renovado antes de a TSA expirar, mantém o arquivo verificável.
+ */
+const appendDocumentTimestamp = async (pdfBuffer) => {
+  const fieldName = `Carimbo do tempo ${listSignatures(pdfBuffer).length + 1}`;
+  const update = await loadForUpdate(pdfBuffer);
+  const { pdfDoc } = update;
+  const placeholderLength = 2 * DOCUMENT_TIMESTAMP_PLACEHOLDER_BYTES;
+
+  pdflibAddPlaceholder({ pdfDoc, reason: '', contactInfo: '', name: '', location: '', signatureLength: placeholderLength });
+  const { widgetDict } = renameLastSignatureField(pdfDoc, fieldName);
+
+  // O placeholder cria um /Sig; o carimbo do documento não tem dados de quem assina (a hora vem do token)
+  const timestampDict = pdfDoc.context.obj({
+    Type: 'DocTimeStamp',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.RFC3161',
+    ByteRange: [0, ...Array(3).fill(PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER))],
+    Contents: PDFHexString.of(String.fromCharCode(0).repeat(placeholderLength)),
+  });
+  const bytes = new Uint8Array(timestampDict.sizeInBytes());
+  timestampDict.copyBytesInto(bytes, 0);
+  pdfDoc.context.assign(widgetDict.get(PDFName.of('V')), PDFInvalidObject.of(bytes));
+
+  const withPlaceholder = await saveIncremental(pdfBuffer, update);
+  return Buffer.from(await signpdf.sign(withPlaceholder, new DocumentTimestampSigner()));
+};
+
+/**
+ * Completa o arquivo recém-assinado até o nível pedido (DSS no B-LT, carimbo do documento no B-LTA).
+ */
+const addLongTermValidation = async (pdfBuffer, level) => {
+  let buffer = pdfBuffer;
+  if (reachesLevel(level, 'B-LT')) buffer = await appendDss(buffer);
+  if (reachesLevel(level, 'B-LTA')) buffer = await appendDocumentTimestamp(buffer);
+  return buffer;
+};
+
+/**
+ * Assinatura PAdES de um signatário, aplicada no commit (documentos com `padesMode` PER_SIGNER
+ * ou signatário com certificado ICP-Brasil próprio).
+ * Cada signatário vira uma revisão do arquivo com o próprio dicionário de assinatura: o carimbo, os campos e a rubrica
+ * dele são widgets desse campo (ver buildSignerWidgets), sem alterar as páginas. Enquanto o arquivo não tem assinaturas,
+ * ele é regravado uma vez pelo pdf-lib (xref clássica, sem object streams) para as revisões seguintes.
+ *
+ * @param {Buffer} pdfBuffer - Versão atual do documento.
+ * @param {object} sig - { id, name, cpf, role, signedAt, signatureUuid, artefactPath, initialsArtefactPath, initialsSlot,
+ *   positionX, positionY, positionPage, fields }. `initialsSlot` é a posição da rubrica na margem (ver drawInitialsOnPages).
+ * @param {object} [options]
+ * @param {object} [options.credentials] - Certificado do próprio signatário (ver loadP12). Sem ele, assina o certificado de selagem.
+ * @param {object} [options.seal] - Certificado e dados de selagem do tenant (ver resolveSeal).
+ * @returns {Promise<{ buffer: Buffer, fieldName: string, level: string }>} `level`: nível PAdES alcançado (ver PADES_LEVEL).
+ */
+const appendSignerSignature = async (pdfBuffer, sig, { credentials: signerCredentials = null, seal = {} } = {}) => {
+  try {
+    const { credentials, info } = await resolveSeal(signerCredentials ? { ...seal, credentials: signerCredentials } : seal);
+    const level = resolvePadesLevel();
+
+    let baseBuffer = pdfBuffer;
+    if (!hasSignatures(pdfBuffer)) {
+      const pdfDoc = await PDFDocument.load(pdfBuffer);
+      baseBuffer = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    }
+
+    const fieldName = `Assinatura ${sig.name} (${String(sig.signatureUuid || sig.id).slice(0, 8)})`.replace(/\./g, '');
+    const signedBuffer = await appendIncrementalSignature(baseBuffer, {
+      fieldName,
+      level,
+      name: sig.name,
+      reason: `${signerCredentials ? 'Assinatura digital ICP-Brasil' : 'Assinatura eletrônica'} de ${sig.name}${sig.cpf ? ` (CPF ${formatCpf(sig.cpf)})` : ''} - ${ROLE_LABELS[roleOf(sig)]}`,
+      location: info.location,
+      contactInfo: info.contactInfo,
+      signingTime: sig.signedAt ? new Date(sig.signedAt) : undefined,
+      decorate: (pdfDoc) => buildSignerWidgets(pdfDoc, sig, { initialsSlot: sig.initialsSlot ?? null }),
+    }, credentials);
+
+    return { buffer: await addLongTermValidation(signedBuffer, level), fieldName, level };
+  } catch (error) {
+    console.error('[PAdES Service] Erro ao aplicar a assinatura incremental do signatário:', error);
+    throw new Error('Falha ao aplicar a assinatura PAdES do signatário.');
+  }
+};
+
 /**
  * Aplica os carimbos visuais e uma assinatura digital PAdES criptográfica a um buffer de PDF.
+ * Se o arquivo já tem assinaturas (modo PER_SIGNER), o selo entra como uma nova revisão incremental, preservando
+ * as assinaturas anteriores: carimbos, campos e rubricas que faltam são widgets do campo do selo (ver buildSignerWidgets),
+ * e o selo da plataforma fica sendo a última assinatura, cobrindo o arquivo inteiro.
+ * (Não é uma certificação DocMDP: o padrão só permite a certificação na primeira assinatura do documento.)
+ * Conforme PADES_LEVEL, o selo recebe carimbo do tempo, DSS e carimbo do tempo do documento (até PAdES-B-LTA).
  * @param {Buffer} pdfBuffer - O conteúdo do PDF original a ser assinado.
  * @param {Array<object>} signaturesToApply - Dados dos signatários com posições e caminhos de artefatos.
- * @returns {Promise<Buffer>} - O buffer do novo PDF finalizado e assinado digitalmente.
+ *   Com `stampInitials`, a rubrica vai na margem, na posição `initialsSlot` (ver drawInitialsOnPages).
+ * @param {object} [seal] - Certificado e dados de selagem do tenant (ver resolveSeal); sem eles, os da plataforma.
+ * @returns {Promise<{ buffer: Buffer, level: string }>} - O novo PDF finalizado e assinado digitalmente, e o nível PAdES alcançado.
  */
-const applyPadesSignatureWithStamps = async (pdfBuffer, signaturesToApply) => {
+const applyPadesSignatureWithStamps = async (pdfBuffer, signaturesToApply, seal = {}) => {
   try {
-    // Carrega o certificado A1 da plataforma e a senha do .env
-    const p12Buffer = await fs.readFile(process.env.PADES_CERTIFICATE_PATH);
-    const signer = new P12Signer(p12Buffer, { password: process.env.PADES_CERTIFICATE_PASSWORD });
+    // Certificado A1 do tenant ou, sem ele, o da plataforma (caminho e senha no .env)
+    const { credentials, info } = await resolveSeal(seal);
+    const level = resolvePadesLevel();
+
+    if (hasSignatures(pdfBuffer)) {
+      const sealed = await appendIncrementalSignature(pdfBuffer, {
+        fieldName: SEAL_FIELD_NAME,
+        ...info,
+        level,
+        decorate: async (pdfDoc) => {
+          const widgets = [];
+          for (const sig of signaturesToApply) {
+            widgets.push(...await buildSignerWidgets(pdfDoc, sig, { initialsSlot: sig.stampInitials ? sig.initialsSlot : null }));
+          }
+          return widgets;
+        },
+      }, credentials);
+      return { buffer: await addLongTermValidation(sealed, level), level };
+    }
 
     // PASSO 1: Adicionar os carimbos visuais
     const pdfDoc = await PDFDocument.load(pdfBuffer);
     await drawVisualStamps(pdfDoc, signaturesToApply);
-    
+
     // Salva o PDF com os carimbos em um buffer intermediário
     const pdfWithStampsBuffer = await pdfDoc.save({ useObjectStreams: false });
 
     // PASSO 2: Aplicar a assinatura digital criptográfica
     // Carregamos o PDF (já com os carimbos) novamente para adicionar o placeholder da assinatura digital
     const placeholderPdf = await PDFDocument.load(pdfWithStampsBuffer);
-    const finalPdf = await pdf_lib_add_placeholder({
+    const timestamp = reachesLevel(level, 'B-T');
+    pdflibAddPlaceholder({
       pdfDoc: placeholderPdf,
-      reason: 'Documento finalizado e selado pela Plataforma Doculink',
-      contactInfo: 'contato@doculink.com',
-      name: 'Doculink Assinador Digital',
-      location: 'Brasil',
+      ...info,
+      subFilter: SUBFILTER_ETSI_CADES_DETACHED,
+      signatureLength: 2 * (timestamp ? TIMESTAMPED_SIGNATURE_PLACEHOLDER_BYTES : SIGNATURE_PLACEHOLDER_BYTES),
     });
+    renameLastSignatureField(placeholderPdf, SEAL_FIELD_NAME);
+    const finalPdf = Buffer.from(await placeholderPdf.save({ useObjectStreams: false }));
 
     // Assina digitalmente o documento (incluindo os carimbos), selando sua integridade
-    const signedPdfBuffer = await sign(finalPdf, signer);
-    return Buffer.from(signedPdfBuffer);
+    const signedPdfBuffer = Buffer.from(await signpdf.sign(finalPdf, new CadesSigner(credentials, { timestamp })));
+
+    // PASSO 3: Dados de validação de longo prazo (B-LT) e carimbo do tempo do documento (B-LTA)
+    return { buffer: await addLongTermValidation(signedPdfBuffer, level), level };
 
   } catch (error) {
     console.error('[PAdES Service] Erro ao aplicar assinatura digital com carimbos:', error);
@@ -112,5 +564,8 @@ const applyPadesSignatureWithStamps = async (pdfBuffer, signaturesToApply) => {
 };
 
 module.exports = {
+  PADES_LEVELS,
+  resolvePadesLevel,
   applyPadesSignatureWithStamps,
-};
\ No newline at end of file
+  appendSignerSignature,
+};
@@ -4,9 +4,164 @@
 const fs = require('fs/promises');
 const path = require('path');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { ROLE_LABELS, ROLE_NAMES, roleOf } = require('../utils/signerRoles');
+const { formatCpf } = require('../utils/identity');
+const { describeMode } = require('./signatureArt.service');
+const { hasSignatures } = require('../utils/pdfIncrementalUpdate');
+
+// Texto exibido no lugar da imagem para papéis que concluem sem assinatura desenhada
+const NO_IMAGE_PLACEHOLDERS = {
+  APPROVER: '(Aprovação Eletrônica)',
+  ACKNOWLEDGER: '(Ciência Eletrônica)'
+};
+
+/**
+ * O pdf-lib regrava o arquivo inteiro, o que quebraria as assinaturas digitais já aplicadas.
+ */
+const assertUnsigned = (pdfBuffer) => {
+  if (hasSignatures(pdfBuffer)) throw new Error('O PDF já tem assinaturas digitais e não pode ser regravado.');
+};
+
+/**
+ * Reduz o tamanho da fonte até o texto caber na largura do campo.
+ */
+const fitFontSize = (text, font, maxWidth, maxHeight) => {
+  let size = Math.min(maxHeight * 0.7, 12);
+  while (size > 4 && font.widthOfTextAtSize(text, size) > maxWidth) size -= 0.5;
+  return size;
+};
+
+/**
+ * Embute (uma vez por documento) o PNG de uma assinatura ou rubrica salva em uploads/.
+ * Todos os modos (desenhada, digitada, enviada) são gravados em PNG no commit.
+ */
+const embedArtefactImage = async (pdfDoc, artefactPath, imageCache) => {
+  let image = imageCache.get(artefactPath);
+  if (!image) {
+    const imgPath = path.isAbsolute(artefactPath)
+      ? artefactPath
+      : path.join(process.cwd(), artefactPath);
+    image = await pdfDoc.embedPng(await fs.readFile(imgPath));
+    imageCache.set(artefactPath, image);
+  }
+  return image;
+};
+
+/**
+ * Desenha os campos definidos pelo remetente para um signatário, na posição escolhida.
+ * Usado tanto pelo PDF de assinaturas (embedSignatures) quanto pelo PAdES (drawVisualStamps).
+ *
+ * @param {PDFDocument} pdfDoc - Documento carregado com pdf-lib.
+ * @param {object} signer - { name, cpf, signedAt, artefactPath, initialsArtefactPath }.
+ * @param {Array<object>} fields - Campos (SignatureField) do signatário.
+ * @param {object} [imageCache] - Map opcional de imagens já embutidas, por caminho.
+ */
+const drawSignerFields = async (pdfDoc, signer, fields, imageCache = new Map()) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pdfDoc.getPages();
+
+  for (const field of fields) {
+    const page = pages[field.page - 1]; // A API é 1-based, o array é 0-based
+    if (!page) continue;
+
+    const { x, y, width, height } = field;
+
+    if (field.type === 'SIGNATURE' || field.type === 'INITIALS') {
+      // Campo de rubrica usa a rubrica, se o signatário criou uma; senão, a assinatura
+      const artefactPath = field.type === 'INITIALS'
+        ? signer.initialsArtefactPath || signer.artefactPath
+        : signer.artefactPath;
+      if (!artefactPath) continue;
+
+      const image = await embedArtefactImage(pdfDoc, artefactPath, imageCache);
+
+      const dims = image.scaleToFit(width, height);
+      page.drawImage(image, {
+        x: x + (width - dims.width) / 2,
+        y: y + (height - dims.height) / 2,
+        width: dims.width,
+        height: dims.height
+      });
+      continue;
+    }
+
+    if (field.type === 'CHECKBOX') {
+      const side = Math.min(width, height);
+      page.drawRectangle({ x, y, width: side, height: side, borderColor: rgb(0.2, 0.2, 0.2), borderWidth: 0.8 });
+      if (field.value === 'true') {
+        page.drawLine({ start: { x: x + side * 0.2, y: y + side * 0.5 }, end: { x: x + side * 0.4, y: y + side * 0.2 }, thickness: 1.2, color: rgb(0, 0, 0) });
+        page.drawLine({ start: { x: x + side * 0.4, y: y + side * 0.2 }, end: { x: x + side * 0.85, y: y + side * 0.85 }, thickness: 1.2, color: rgb(0, 0, 0) });
+      }
+      continue;
+    }
+
+    let text;
+    if (field.type === 'NAME') text = signer.name;
+    else if (field.type === 'CPF') text = formatCpf(signer.cpf || field.value);
+    else if (field.type === 'DATE_SIGNED') text = new Date(signer.signedAt).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    else text = field.value;
+
+    text = toPdfText(text).trim();
+    if (!text) continue;
+
+    const size = fitFontSize(text, font, width, height);
+    page.drawText(text, {
+      x,
+      y: y + (height - size) / 2,
+      size,
+      font,
+      color: rgb(0, 0, 0),
+    });
+  }
+};
+
+/**
+ * Carimba a rubrica de cada signatário na margem direita de todas as páginas (de baixo para cima).
+ * Usado quando o documento exige rubrica (`requireInitials`).
+ *
+ * @param {PDFDocument} pdfDoc - Documento carregado com pdf-lib.
+ * @param {Array<object>} signers - { initialsArtefactPath }, na ordem de assinatura.
+ * @param {object} [imageCache] - Map opcional de imagens já embutidas, por caminho.
+ * @param {object} [options] - { slotOffset }: posições da margem já ocupadas por rubricas carimbadas antes.
+ */
+const drawInitialsOnPages = async (pdfDoc, signers, imageCache = new Map(), { slotOffset = 0 } = {}) => {
+  const withInitials = signers.filter(s => s.initialsArtefactPath);
+
+  for (const [index, signer] of withInitials.entries()) {
+    const image = await embedArtefactImage(pdfDoc, signer.initialsArtefactPath, imageCache);
+
+    for (const page of pdfDoc.getPages()) {
+      const { x, y, width, height } = initialsBox(page, slotOffset + index);
+      const dims = image.scaleToFit(width, height);
+      page.drawImage(image, {
+        x: x + (width - dims.width) / 2,
+        y: y + (height - dims.height) / 2,
+        width: dims.width,
+        height: dims.height
+      });
+    }
+  }
+};
+
+/**
+ * Área da rubrica na margem direita da página, na posição `slot` (0 = a mais baixa).
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+const initialsBox = (page, slot) => {
+  const width = 50;
+  const height = 24;
+  const gap = 4;
+  return { x: page.getSize().width - width - 12, y: 12 + slot * (height + gap), width, height };
+};
 
 /**
  * Embute as assinaturas visuais detalhadas (Estilo Clicksign).
+ * Campos definidos pelo remetente (`signer.fields`) são desenhados na posição escolhida
+ * e, se o documento exige rubrica, ela é carimbada na margem de cada página;
+ * ao final é adicionada a página de registro de assinaturas.
+ * Campos e rubricas já carimbados (`renderedAt`/`initialsRenderedAt`) não são repetidos.
+ * Só para arquivos ainda sem assinaturas digitais: desenhar nas páginas invalidaria as assinaturas PAdES
+ * (no PAdES por signatário, o que falta entra como widgets do selo; ver applyPadesSignatureWithStamps).
  */
 const embedSignatures = async (originalPdfPath, signers, documentData) => {
   try {
@@ -15,10 +170,31 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
       : path.join(process.cwd(), originalPdfPath);
 
     const pdfBuffer = await fs.readFile(resolvedPdfPath);
+    assertUnsigned(pdfBuffer);
     const pdfDoc = await PDFDocument.load(pdfBuffer);
     const helveticaFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
     const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
 
+    // Campos posicionados pelo remetente (antes de criar a página de registro)
+    const imageCache = new Map();
+    for (const signer of signers.filter(s => s.status === 'SIGNED' && s.fields && s.fields.length > 0)) {
+      await drawSignerFields(pdfDoc, {
+        name: signer.name,
+        cpf: signer.cpf,
+        signedAt: signer.signedAt,
+        artefactPath: signer.signatureArtefactPath,
+        initialsArtefactPath: signer.initialsArtefactPath
+      }, signer.fields.filter(f => !f.renderedAt), imageCache);
+    }
+
+    // Rubricas nas páginas do documento (antes da página de registro)
+    if (documentData.requireInitials) {
+      const signed = signers.filter(s => s.status === 'SIGNED' && s.initialsArtefactPath);
+      await drawInitialsOnPages(pdfDoc, signed.filter(s => !s.initialsRenderedAt), imageCache, {
+        slotOffset: signed.filter(s => s.initialsRenderedAt).length
+      });
+    }
+
     // Dimensões do carimbo
     const stampWidth = 500; // Mais largo para caber o texto ao lado
     const stampHeight = 100;
@@ -66,15 +242,17 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
       const docIdClean = documentData.id;
       const sigIdClean = signer.signatureUuid || signer.id; // Usa o UUID gerado
 
+      const role = roleOf(signer);
       const textLines = [
-        `Assinado por: ${signer.name}`,
-        `CPF: ${signer.cpf || 'Não informado'}`,
-        `E-mail: ${signer.email}`,
+        `${ROLE_LABELS[role]}: ${signer.name}`,
+        `CPF: ${signer.cpf ? formatCpf(signer.cpf) : 'Não informado'}`,
+        `E-mail: ${signer.email || 'Não informado'}`,
+        ...(signer.inPersonHost ? [`Coleta presencial por: ${signer.inPersonHost.name || signer.inPersonHost.userId}`] : []),
         `Data/Hora: ${signedAt}`,
         `IP: ${signer.ip || 'Não registrado'}`,
         `ID Assinatura: ${sigIdClean}`,
         `Hash Doc: ${documentData.sha256 ? documentData.sha256.substring(0, 20) + '...' : 'N/A'}`
-      ];
+      ].map(toPdfText);
 
       // 3. Desenha a Imagem (Esquerda)
       if (signatureImage) {
@@ -85,9 +263,19 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
           width: imgDims.width,
           height: imgDims.height
         });
+        // Como a arte foi criada (desenhada, digitada ou enviada)
+        if (signer.signatureMode) {
+          page.drawText(toPdfText(`Assinatura: ${describeMode(signer.signatureMode, signer.signatureFont)}`), {
+            x: 50,
+            y: currentY - 87,
+            size: 6.5,
+            font: helveticaFont,
+            color: rgb(0.5, 0.5, 0.5)
+          });
+        }
       } else {
         // Placeholder se não tiver imagem desenhada
-        page.drawText('(Assinatura Eletrônica)', {
+        page.drawText(NO_IMAGE_PLACEHOLDERS[role] || '(Assinatura Eletrônica)', {
           x: 60,
           y: currentY - 50,
           size: 10,
@@ -106,7 +294,7 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
           font: helveticaFont,
           color: rgb(0.2, 0.2, 0.2),
         });
-        textY -= 12; // Espaçamento entre linhas
+        textY -= textLines.length > 7 ? 10.5 : 12; // Espaçamento entre linhas (mais justo se houver a linha da coleta presencial)
       }
 
       // 5. Linha divisória
@@ -135,4 +323,195 @@ const embedSignatures = async (originalPdfPath, signers, documentData) => {
   }
 };
 
-module.exports = { embedSignatures };
\ No newline at end of file
+// Fontes padrão (WinAnsi) não codificam caracteres fora do Latin-1
+const toPdfText = (value) => String(value == null ? '' : value)
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Quebra um texto em linhas que caibam na largura informada.
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const words = toPdfText(text).split(' ');
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+    if (current) lines.push(current);
+    // Palavras maiores que a linha (ex: hashes) são quebradas por caractere
+    current = word;
+    while (font.widthOfTextAtSize(current, size) > maxWidth && current.length > 1) {
+      let cut = current.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(current.slice(0, cut), size) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+const formatDateTime = (date) => (date
+  ? new Date(date).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+  : '-');
+
+/**
+ * Gera o PDF do Certificado de Conclusão (evidências da assinatura).
+ *
+ * @param {object} data
+ * @param {string} data.certificateId - ID do registro Certificate.
+ * @param {object} data.document - { id, title, createdAt }.
+ * @param {string} data.originalSha256 - Hash do arquivo original (antes das assinaturas).
+ * @param {string} data.signedSha256 - Hash do arquivo assinado (sem as páginas deste certificado).
+ * @param {Array<object>} data.signers - { name, email, cpf, cpfVerifiedAt, role, qualification, ip, authChannels, status, invitedAt, signedAt, signatureUuid, signatureHash, signatureMode, signatureFont, initialsArtefactPath, inPersonHost, padesFieldName, padesSignedAt, qualifiedCertificate, delegationChain, evidences }.
+ * @param {Array<object>} data.auditTrail - [{ createdAt, description, actorKind, ip, device, eventHash }].
+ * @param {Date} data.issuedAt
+ * @returns {Promise<Buffer>}
+ */
+const generateCertificatePdf = async ({ certificateId, document, originalSha256, signedSha256, signers, auditTrail, issuedAt }) => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(toPdfText(`Certificado de Conclusão - ${document.title}`));
+  pdfDoc.setProducer('Doculink');
+
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const margin = 50;
+  const pageSize = [595.28, 841.89]; // A4
+  const contentWidth = pageSize[0] - margin * 2;
+
+  let page;
+  let y;
+  const newPage = () => {
+    page = pdfDoc.addPage(pageSize);
+    y = pageSize[1] - margin;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < margin) newPage();
+  };
+  const write = (text, { size = 9, useFont = font, color = rgb(0.2, 0.2, 0.2), indent = 0, gap = 3 } = {}) => {
+    for (const line of wrapText(text, useFont, size, contentWidth - indent)) {
+      ensureSpace(size + gap);
+      y -= size;
+      page.drawText(line, { x: margin + indent, y, size, font: useFont, color });
+      y -= gap;
+    }
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    y -= 14;
+    write(text, { size: 12, useFont: bold, color: rgb(0.15, 0.39, 0.92) });
+    page.drawLine({ start: { x: margin, y }, end: { x: margin + contentWidth, y }, thickness: 0.5, color: rgb(0.8, 0.8, 0.8) });
+    y -= 8;
+  };
+
+  newPage();
+
+  // 1. Cabeçalho e identificação do documento
+  write('Certificado de Conclusão de Assinaturas', { size: 16, useFont: bold, color: rgb(0, 0, 0) });
+  y -= 6;
+  write(`Documento: ${document.title}`, { size: 10, useFont: bold });
+  write(`ID do documento: ${document.id}`);
+  write(`ID do certificado: ${certificateId}`);
+  write(`Criado em: ${formatDateTime(document.createdAt)}`);
+  write(`Certificado emitido em: ${formatDateTime(issuedAt)}`);
+
+  heading('Integridade do arquivo (SHA-256)');
+  write('Hash do arquivo original (antes das assinaturas):', { useFont: bold });
+  write(originalSha256 || 'Não registrado', { size: 8, indent: 10 });
+  write('Hash do arquivo assinado:', { useFont: bold });
+  write(signedSha256 || 'Não registrado', { size: 8, indent: 10 });
+
+  // 2. Signatários
+  heading(`Signatários (${signers.length})`);
+  for (const signer of signers) {
+    ensureSpace(90);
+    write(signer.email ? `${signer.name} <${signer.email}>` : signer.name, { size: 10, useFont: bold, color: rgb(0, 0, 0) });
+    const details = [
+      `Papel: ${ROLE_NAMES[roleOf(signer)]}${signer.qualification ? ` (${signer.qualification})` : ''}`,
+      `Status: ${signer.status}`,
+      `CPF: ${signer.cpf ? formatCpf(signer.cpf) : 'Não informado'}${signer.cpfVerifiedAt ? ` (confirmado pelo signatário em ${formatDateTime(signer.cpfVerifiedAt)})` : ''}`,
+      `IP: ${signer.ip || 'Não registrado'}`,
+      `Canais de autenticação: ${(signer.authChannels || []).join(', ') || '-'}`,
+      `Convidado em: ${formatDateTime(signer.invitedAt)}`,
+      `Assinado em: ${formatDateTime(signer.signedAt)}`,
+      ...(signer.signatureMode ? [`Modo da assinatura: ${describeMode(signer.signatureMode, signer.signatureFont)}${signer.initialsArtefactPath ? ' (com rubrica)' : ''}`] : []),
+      `ID da assinatura: ${signer.signatureUuid || '-'}`,
+      `Hash da assinatura: ${signer.signatureHash || '-'}`,
+      ...(signer.padesFieldName ? [`Assinatura digital (PAdES): campo "${signer.padesFieldName}" em ${formatDateTime(signer.padesSignedAt)}`] : [])
+    ];
+    for (const line of details) write(line, { indent: 10, gap: 2 });
+    // Assinatura qualificada: certificado ICP-Brasil do próprio signatário
+    if (signer.qualifiedCertificate) {
+      const qualified = signer.qualifiedCertificate;
+      write(`Certificado ICP-Brasil: ${qualified.subject}`, { indent: 10, gap: 2, useFont: bold });
+      write(`CPF do titular: ${formatCpf(qualified.cpf)} | Emissor: ${qualified.issuerCommonName || qualified.issuer} | Nº de série: ${qualified.serialNumber}`, { indent: 10, gap: 2 });
+      write(`Validade: ${formatDateTime(qualified.notBefore)} a ${formatDateTime(qualified.notAfter)} | SHA-256: ${qualified.sha256}`, { indent: 10, gap: 2, size: 7 });
+    }
+    // Coleta presencial: assinatura feita no dispositivo de um usuário do remetente
+    if (signer.inPersonHost) {
+      const host = signer.inPersonHost;
+      write(`Assinatura coletada presencialmente por ${host.name || host.userId}${host.email ? ` <${host.email}>` : ''} (sessão aberta pelo remetente)`, { indent: 10, gap: 2, useFont: bold, color: rgb(0.45, 0.3, 0) });
+    }
+    // Cadeia de delegação: quem ocupava este lugar antes do signatário atual
+    for (const link of signer.delegationChain || []) {
+      write(`Delegado por: ${link.name} <${link.email}> em ${formatDateTime(link.delegatedAt)}${link.reason ? ` - motivo: ${link.reason}` : ''}`, { indent: 10, gap: 2, color: rgb(0.45, 0.3, 0) });
+    }
+    // Evidências de identidade (selfie e documento), identificadas pelo hash da imagem guardada
+    for (const evidence of signer.evidences || []) {
+      const label = evidence.kind === 'SELFIE' ? 'Selfie' : `Documento de identidade (${evidence.idDocumentType})`;
+      write(`${label}: enviada em ${formatDateTime(evidence.createdAt)} - SHA-256 ${evidence.sha256}`, { indent: 10, gap: 2 });
+    }
+    y -= 6;
+  }
+
+  // 3. Trilha de auditoria completa
+  heading(`Trilha de auditoria (${auditTrail.length} eventos)`);
+  for (const entry of auditTrail) {
+    ensureSpace(40);
+    write(`${formatDateTime(entry.createdAt)} - ${entry.description}`, { size: 8.5, color: rgb(0, 0, 0), gap: 2 });
+    if (entry.device) {
+      write(`Dispositivo: ${entry.device}`, { size: 7, indent: 10, color: rgb(0.45, 0.45, 0.45), gap: 1 });
+    }
+    write(`Ator: ${entry.actorKind || '-'} | IP: ${entry.ip || '-'} | Hash do evento: ${entry.eventHash}`, { size: 7, indent: 10, color: rgb(0.45, 0.45, 0.45), gap: 4 });
+  }
+
+  // Rodapé com paginação
+  const pages = pdfDoc.getPages();
+  pages.forEach((p, index) => {
+    p.drawText(toPdfText(`Certificado ${certificateId} - página ${index + 1} de ${pages.length}`), {
+      x: margin,
+      y: 25,
+      size: 7,
+      font,
+      color: rgb(0.5, 0.5, 0.5)
+    });
+  });
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+/**
+ * Anexa as páginas do certificado ao final do PDF assinado (ainda sem assinaturas digitais: páginas novas
+ * depois de uma assinatura PAdES a invalidariam).
+ * @param {Buffer} pdfBuffer - PDF assinado.
+ * @param {Buffer} certificateBuffer - PDF do certificado.
+ * @returns {Promise<Buffer>}
+ */
+const appendCertificatePages = async (pdfBuffer, certificateBuffer) => {
+  assertUnsigned(pdfBuffer);
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const certificateDoc = await PDFDocument.load(certificateBuffer);
+
+  const copied = await pdfDoc.copyPages(certificateDoc, certificateDoc.getPageIndices());
+  copied.forEach(p => pdfDoc.addPage(p));
+
+  return Buffer.from(await pdfDoc.save());
+};
+
+module.exports = { embedSignatures, drawSignerFields, drawInitialsOnPages, initialsBox, generateCertificatePdf, appendCertificatePages, toPdfText };
\ No newline at end of file
@@ -0,0 +1,292 @@
+// src/services/pdfSignatureValidation.service.js
+'use strict';
+
+const crypto = require('crypto');
+const { PDFDocument, PDFDict, PDFArray, PDFName, PDFString, PDFHexString, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const trustStoreService = require('./trustStore.service');
+const { listSignatures, listChangesSince } = require('../utils/pdfIncrementalUpdate');
+const {
+  readSignedData, verifySignerInfo, readSignerInfoTimes, readTimestampToken, describeCertificate, readOtherNames
+} = require('../utils/pki');
+const { readIcpBrasilIdentity, maskCpf } = require('../utils/identity');
+
+/**
+ * Validação criptográfica das assinaturas de um PDF qualquer (assinado aqui ou em outro sistema):
+ * cobertura do ByteRange, assinatura CMS (ou carimbo do tempo do documento), cadeia do certificado até
+ * uma AC confiável (trustStore.service) e alterações feitas no arquivo depois de cada assinatura.
+ *
+ * Situação de cada assinatura (inspirada na ETSI EN 319 102-1):
+ * - VALID: íntegra, certificado confiável e válido na data de validação, sem alterações de conteúdo depois;
+ * - INDETERMINATE: íntegra, mas sem cadeia confiável, com certificado fora da validade ou com o conteúdo alterado depois;
+ * - INVALID: ByteRange malformado, hash diferente do assinado ou assinatura que não confere.
+ */
+
+const SUBFILTERS = {
+  'adbe.pkcs7.detached': 'CMS',
+  'ETSI.CAdES.detached': 'CMS',
+  'adbe.pkcs7.sha1': 'CMS_SHA1',
+  'ETSI.RFC3161': 'DOCUMENT_TIMESTAMP'
+};
+
+const decodeText = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null);
+
+// Data PDF (D:AAAAMMDDHHmmSS+HH'mm') -> Date
+const parsePdfDate = (value) => {
+  const match = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+  const offset = !sign || /z/i.test(sign) ? 'Z' : `${sign}${offsetHours}:${offsetMinutes}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Dicionários de assinatura do arquivo (por ByteRange), com o nome completo do campo quando houver um.
+ * @returns {Map<string, { fieldName: string|null, type: string|null, subFilter: string|null, name, reason, location, contactInfo, signingTime: Date|null }>}
+ */
+const readSignatureDictionaries = (pdfDoc) => {
+  const { context } = pdfDoc;
+  const byteRangeKey = (dict) => {
+    const byteRange = context.lookup(dict.get(PDFName.of('ByteRange')));
+    return byteRange instanceof PDFArray ? byteRange.asArray().map(item => item.toString()).join(' ') : null;
+  };
+  const describe = (dict, fieldName) => ({
+    fieldName,
+    type: dict.get(PDFName.of('Type'))?.decodeText?.() || null,
+    subFilter: dict.get(PDFName.of('SubFilter'))?.decodeText?.() || null,
+    name: decodeText(dict.get(PDFName.of('Name'))),
+    reason: decodeText(dict.get(PDFName.of('Reason'))),
+    location: decodeText(dict.get(PDFName.of('Location'))),
+    contactInfo: decodeText(dict.get(PDFName.of('ContactInfo'))),
+    signingTime: parsePdfDate(decodeText(dict.get(PDFName.of('M'))))
+  });
+
+  const dictionaries = new Map();
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFDict && object.has(PDFName.of('ByteRange'))) dictionaries.set(byteRangeKey(object), describe(object, null));
+  }
+
+  // Nomes dos campos: percorre a árvore do formulário (campos com /Kids têm o nome composto "pai.filho")
+  const visit = (value, prefix, depth) => {
+    const field = context.lookup(value);
+    if (!(field instanceof PDFDict) || depth > 20) return;
+    const partial = decodeText(field.get(PDFName.of('T')));
+    const fullName = [prefix, partial].filter(Boolean).join('.') || null;
+    const signature = context.lookup(field.get(PDFName.of('V')));
+    if (signature instanceof PDFDict && signature.has(PDFName.of('ByteRange'))) {
+      dictionaries.set(byteRangeKey(signature), describe(signature, fullName));
+    }
+    const kids = context.lookup(field.get(PDFName.of('Kids')));
+    if (kids instanceof PDFArray) kids.asArray().forEach(kid => visit(kid, fullName, depth + 1));
+  };
+  const acroForm = context.lookup(pdfDoc.catalog.get(PDFName.of('AcroForm')));
+  const fields = acroForm instanceof PDFDict ? context.lookup(acroForm.get(PDFName.of('Fields'))) : null;
+  if (fields instanceof PDFArray) fields.asArray().forEach(field => visit(field, null, 0));
+
+  return dictionaries;
+};
+
+/**
+ * Certificados guardados no DSS do arquivo (PAdES-B-LT), usados para completar as cadeias.
+ */
+const readDssCertificates = (pdfDoc) => {
+  const { context } = pdfDoc;
+  const dss = context.lookup(pdfDoc.catalog.get(PDFName.of('DSS')));
+  const certs = dss instanceof PDFDict ? context.lookup(dss.get(PDFName.of('Certs'))) : null;
+  if (!(certs instanceof PDFArray)) return [];
+  return certs.asArray()
+    .map(ref => context.lookup(ref))
+    .filter(stream => stream instanceof PDFRawStream)
+    .map(stream => Buffer.from(decodePDFRawStream(stream).decode()));
+};
+
+const describeSigner = (certificateDer) => {
+  const certificate = describeCertificate(certificateDer);
+  const { cpf, cnpj } = readIcpBrasilIdentity(readOtherNames(certificateDer));
+  return { ...certificate, cpf: cpf ? maskCpf(cpf) : null, cnpj };
+};
+
+/**
+ * Confere um token de carimbo do tempo: assinatura da TSA, dado carimbado e cadeia da TSA.
+ * @param {Buffer} tokenDer
+ * @param {Buffer} stampedData - Dado que deveria estar carimbado (valor da assinatura, ou bytes do ByteRange).
+ */
+const verifyTimestamp = (tokenDer, stampedData, pool) => {
+  try {
+    const token = readTimestampToken(tokenDer);
+    const [signerInfo] = token.signedData.signerInfos;
+    const verification = verifySignerInfo(signerInfo, token.signedData.certificates, token.signedData.eContent);
+    const imprintMatches = Boolean(token.hashAlgorithm)
+      && token.messageImprint.equals(crypto.createHash(token.hashAlgorithm).update(stampedData).digest());
+    const chain = verification.certificate
+      ? trustStoreService.verifyChain(verification.certificate, [...token.signedData.certificates, ...pool], token.genTime)
+      : null;
+    return {
+      genTime: token.genTime,
+      serialNumber: token.serialNumber,
+      tsa: verification.certificate ? describeCertificate(verification.certificate).subject : null,
+      valid: imprintMatches && verification.digestMatches && verification.signatureValid,
+      trusted: Boolean(chain && chain.trusted && chain.validAtTime)
+    };
+  } catch (error) {
+    return { genTime: null, serialNumber: null, tsa: null, valid: false, trusted: false, error: error.message };
+  }
+};
+
+/**
+ * Valida uma assinatura (ou carimbo do tempo do documento) do arquivo.
+ */
+const validateSignature = async (pdfBuffer, { byteRange, contents }, dictionary, pool) => {
+  const [start1, length1, start2, length2] = byteRange;
+  const revisionEnd = start2 + length2;
+  const subFilter = dictionary?.subFilter || null;
+  const kind = SUBFILTERS[subFilter] || null;
+
+  const report = {
+    fieldName: dictionary?.fieldName || null,
+    type: kind === 'DOCUMENT_TIMESTAMP' || dictionary?.type === 'DocTimeStamp' ? 'DOCUMENT_TIMESTAMP' : 'SIGNATURE',
+    subFilter,
+    name: dictionary?.name || null,
+    reason: dictionary?.reason || null,
+    location: dictionary?.location || null,
+    contactInfo: dictionary?.contactInfo || null,
+    claimedSigningTime: dictionary?.signingTime || null,
+    byteRange,
+    coverage: {
+      // O intervalo fora do ByteRange precisa ser exatamente o <hex> do /Contents
+      wellFormed: start1 === 0 && length1 > 0 && start2 > length1 && revisionEnd <= pdfBuffer.length
+        && pdfBuffer[length1] === 0x3c && pdfBuffer[start2 - 1] === 0x3e,
+      revisionEnd,
+      coversWholeFile: revisionEnd === pdfBuffer.length
+    },
+    integrity: { digestAlgorithm: null, digestMatches: false, signatureValid: false },
+    signer: null,
+    certificateChain: null,
+    timestamp: null,
+    changesAfterSigning: { changes: [], allowed: true },
+    status: 'INVALID',
+    errors: []
+  };
+
+  if (!report.coverage.wellFormed) {
+    report.errors.push('ByteRange malformado: a assinatura não cobre o arquivo como deveria.');
+    return report;
+  }
+  if (!kind) {
+    report.errors.push(`Formato de assinatura não suportado (${subFilter || 'sem /SubFilter'}).`);
+    return report;
+  }
+
+  const signedContent = Buffer.concat([pdfBuffer.subarray(start1, length1), pdfBuffer.subarray(start2, revisionEnd)]);
+  let validationTime = new Date();
+
+  try {
+    if (kind === 'DOCUMENT_TIMESTAMP') {
+      const timestamp = verifyTimestamp(contents, signedContent, pool);
+      report.timestamp = timestamp;
+      report.integrity = { digestAlgorithm: null, digestMatches: timestamp.valid, signatureValid: timestamp.valid };
+      if (timestamp.error) report.errors.push(timestamp.error);
+      const token = readTimestampToken(contents);
+      const [signerInfo] = token.signedData.signerInfos;
+      const { certificate } = verifySignerInfo(signerInfo, token.signedData.certificates, token.signedData.eContent);
+      if (certificate) {
+        report.signer = describeSigner(certificate);
+        report.certificateChain = trustStoreService.verifyChain(certificate, [...token.signedData.certificates, ...pool], token.genTime);
+      }
+    } else {
+      const signedData = readSignedData(contents);
+      const [signerInfo] = signedData.signerInfos;
+      if (!signerInfo) throw new Error('A assinatura CMS não tem SignerInfo.');
+
+      // adbe.pkcs7.sha1: o CMS assina o SHA-1 do ByteRange, guardado no próprio CMS
+      const content = kind === 'CMS_SHA1' ? signedData.eContent : signedContent;
+      const verification = verifySignerInfo(signerInfo, signedData.certificates, content || Buffer.alloc(0));
+      const sha1Matches = kind !== 'CMS_SHA1'
+        || Boolean(signedData.eContent && signedData.eContent.equals(crypto.createHash('sha1').update(signedContent).digest()));
+      report.integrity = {
+        digestAlgorithm: verification.digestAlgorithm,
+        digestMatches: verification.digestMatches && sha1Matches,
+        signatureValid: verification.signatureValid
+      };
+
+      const { signingTime, timestampToken } = readSignerInfoTimes(signerInfo);
+      if (!report.claimedSigningTime) report.claimedSigningTime = signingTime;
+      if (timestampToken) {
+        report.timestamp = verifyTimestamp(timestampToken, signerInfo.signature, pool);
+        // Com carimbo do tempo confiável, o certificado precisa ser válido na data do carimbo, não hoje
+        if (report.timestamp.valid && report.timestamp.trusted) validationTime = report.timestamp.genTime;
+      }
+
+      if (verification.certificate) {
+        report.signer = describeSigner(verification.certificate);
+        report.certificateChain = trustStoreService.verifyChain(verification.certificate, [...signedData.certificates, ...pool], validationTime);
+      } else {
+        report.errors.push('Certificado do signatário não encontrado na assinatura.');
+      }
+    }
+  } catch (error) {
+    report.errors.push(`Assinatura ilegível: ${error.message}`);
+    return report;
+  }
+
+  if (!report.integrity.digestMatches) report.errors.push('O conteúdo coberto pela assinatura foi alterado (hash diferente do assinado).');
+  if (report.integrity.digestMatches && !report.integrity.signatureValid) report.errors.push('A assinatura não confere com o certificado do signatário.');
+  if (report.certificateChain?.error) report.errors.push(report.certificateChain.error);
+  if (report.certificateChain && !report.certificateChain.validAtTime) {
+    report.errors.push(`Certificado fora da validade em ${validationTime.toISOString()}.`);
+  }
+
+  report.changesAfterSigning = await listChangesSince(pdfBuffer, revisionEnd);
+  if (!report.changesAfterSigning.allowed) report.errors.push('O conteúdo do documento foi alterado depois desta assinatura.');
+
+  const intact = report.integrity.digestMatches && report.integrity.signatureValid && Boolean(report.signer);
+  const trusted = Boolean(report.certificateChain?.trusted && report.certificateChain.validAtTime);
+  report.status = !intact ? 'INVALID' : trusted && report.changesAfterSigning.allowed ? 'VALID' : 'INDETERMINATE';
+  return report;
+};
+
+/**
+ * Valida todas as assinaturas de um PDF, na ordem das revisões.
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{ status: 'VALID'|'INDETERMINATE'|'INVALID'|'UNSIGNED', signatures: Array<object>, revisions: Array<{ revisionEnd: number, sha256: string }>, error?: string }>}
+ *   `status` geral: INVALID se alguma assinatura é inválida; VALID se todas são válidas e a última cobre o arquivo inteiro.
+ *   `revisions`: hash de cada revisão assinada (para achar o documento no banco mesmo com revisões posteriores).
+ */
+const validatePdfSignatures = async (pdfBuffer) => {
+  const found = listSignatures(pdfBuffer).sort((a, b) => (a.byteRange[2] + a.byteRange[3]) - (b.byteRange[2] + b.byteRange[3]));
+  if (found.length === 0) return { status: 'UNSIGNED', signatures: [], revisions: [] };
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false, ignoreEncryption: true });
+  } catch (error) {
+    return { status: 'INVALID', signatures: [], revisions: [], error: `Não foi possível ler o PDF: ${error.message}` };
+  }
+
+  const dictionaries = readSignatureDictionaries(pdfDoc);
+  const pool = readDssCertificates(pdfDoc);
+
+  const signatures = [];
+  for (const signature of found) {
+    const dictionary = dictionaries.get(signature.byteRange.join(' ')) || null;
+    signatures.push(await validateSignature(pdfBuffer, signature, dictionary, pool));
+  }
+
+  const revisions = signatures
+    .filter(report => report.coverage.wellFormed)
+    .map(report => ({
+      revisionEnd: report.coverage.revisionEnd,
+      sha256: crypto.createHash('sha256').update(pdfBuffer.subarray(0, report.coverage.revisionEnd)).digest('hex')
+    }));
+
+  const last = signatures[signatures.length - 1];
+  let status = 'INDETERMINATE';
+  if (signatures.some(report => report.status === 'INVALID')) status = 'INVALID';
+  else if (signatures.every(report => report.status === 'VALID') && last.coverage.coversWholeFile) status = 'VALID';
+
+  return { status, signatures, revisions };
+};
+
+module.exports = {
+  validatePdfSignatures
+};
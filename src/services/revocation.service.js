@@ -0,0 +1,162 @@
+// src/services/revocation.service.js
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  pemToDerList, readCertificateUrls, readInteger, certificateParts, createOcspRequest, readOcspResponse, readCrl
+} = require('../utils/pki');
+
+/**
+ * Dados de validação de longo prazo (cadeia, OCSP e LCR) dos certificados de uma assinatura, para o DSS do PAdES-B-LT.
+ * Tudo é best-effort: um responder ou uma LCR fora do ar não impede a assinatura, só deixa de entrar no arquivo.
+ * Para cada certificado tenta primeiro o OCSP (menor) e, sem resposta, a LCR.
+ */
+
+const REVOCATION_TIMEOUT_MS = parseInt(process.env.PADES_REVOCATION_TIMEOUT_MS, 10) || 10000;
+// LCRs de ACs grandes passam de dezenas de MB; acima disso a LCR é ignorada
+const REVOCATION_MAX_CRL_BYTES = parseInt(process.env.PADES_REVOCATION_MAX_CRL_BYTES, 10) || 20 * 1024 * 1024;
+
+const OCSP_NO_CHECK_OID = '1.3.6.1.5.5.7.48.1.5';
+
+// LCRs baixadas, reaproveitadas até o nextUpdate (a mesma LCR vale para todos os certificados da AC)
+const crlCache = new Map();
+
+const isHttpUrl = (url) => /^https?:\/\//i.test(url);
+
+const fingerprintOf = (der) => crypto.createHash('sha1').update(der).digest('hex');
+
+const isSelfSigned = (x509) => x509.checkIssued(x509) && x509.verify(x509.publicKey);
+
+// Responders OCSP com id-pkix-ocsp-nocheck não têm revogação a consultar (RFC 6960, 4.2.2.2.1)
+const hasOcspNoCheck = (der) => certificateParts(der).extensions.some(ext => ext.id === OCSP_NO_CHECK_OID);
+
+/**
+ * Emissor do certificado entre os conhecidos ou, se faltar, baixado da URL "CA Issuers" do próprio certificado.
+ */
+const findIssuer = async (x509, known) => {
+  const issuer = known.find(der => x509.checkIssued(new crypto.X509Certificate(der)) && x509.verify(new crypto.X509Certificate(der).publicKey));
+  if (issuer) return issuer;
+
+  for (const url of readCertificateUrls(x509.raw).caIssuers.filter(isHttpUrl)) {
+    try {
+      const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: REVOCATION_TIMEOUT_MS });
+      const candidate = pemToDerList(Buffer.from(data)).find(der => {
+        try {
+          const parsed = new crypto.X509Certificate(der);
+          return x509.checkIssued(parsed) && x509.verify(parsed.publicKey);
+        } catch {
+          return false;
+        }
+      });
+      if (candidate) return candidate;
+    } catch (error) {
+      console.warn(`[REVOCATION] Emissor indisponível em ${url}: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+const fetchOcsp = async (x509, issuerDer) => {
+  for (const url of readCertificateUrls(x509.raw).ocsp.filter(isHttpUrl)) {
+    try {
+      const { data } = await axios.post(url, createOcspRequest(x509.raw, issuerDer), {
+        headers: { 'Content-Type': 'application/ocsp-request', Accept: 'application/ocsp-response' },
+        responseType: 'arraybuffer',
+        timeout: REVOCATION_TIMEOUT_MS
+      });
+      const der = Buffer.from(data);
+      const response = readOcspResponse(der);
+      if (response.responseStatus === 'successful' && response.certStatus) return { der, ...response };
+      console.warn(`[REVOCATION] OCSP ${url} respondeu ${response.responseStatus}.`);
+    } catch (error) {
+      console.warn(`[REVOCATION] OCSP indisponível em ${url}: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+const fetchCrl = async (x509) => {
+  for (const url of readCertificateUrls(x509.raw).crl.filter(isHttpUrl)) {
+    const cached = crlCache.get(url);
+    if (cached && cached.nextUpdate && cached.nextUpdate > new Date()) return cached;
+    try {
+      const { data } = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: REVOCATION_TIMEOUT_MS,
+        maxContentLength: REVOCATION_MAX_CRL_BYTES
+      });
+      const [der] = pemToDerList(Buffer.from(data), 'X509 CRL');
+      const crl = { der, ...readCrl(der) };
+      crlCache.set(url, crl);
+      return crl;
+    } catch (error) {
+      console.warn(`[REVOCATION] LCR indisponível em ${url}: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+/**
+ * Reúne a cadeia completa e os dados de revogação disponíveis.
+ * @param {Buffer[]} certificates - Certificados (DER) das assinaturas e carimbos do tempo.
+ * @returns {Promise<{ certificates: Buffer[], ocsps: Buffer[], crls: Buffer[], revoked: Array<{ subject: string, serialNumber: string, revokedAt: Date|null }> }>}
+ *   `certificates` inclui os emissores baixados e os certificados dos responders OCSP.
+ */
+const collectValidationData = async (certificates) => {
+  const result = { certificates: [], ocsps: [], crls: [], revoked: [] };
+  const seen = new Set();
+  const addCertificate = (der) => {
+    const fingerprint = fingerprintOf(der);
+    if (seen.has(fingerprint)) return false;
+    seen.add(fingerprint);
+    result.certificates.push(der);
+    return true;
+  };
+  const addOnce = (list, der) => {
+    if (!list.some(item => item.equals(der))) list.push(der);
+  };
+
+  const queue = [];
+  for (const der of certificates) {
+    if (addCertificate(der)) queue.push(der);
+  }
+
+  // A fila cresce com os emissores baixados e os certificados dos responders, que também precisam de validação
+  while (queue.length > 0) {
+    const der = queue.shift();
+    const x509 = new crypto.X509Certificate(der);
+    if (isSelfSigned(x509)) continue; // Raiz: a confiança vem da lista de ACs, não de revogação
+
+    const issuerDer = await findIssuer(x509, result.certificates);
+    if (!issuerDer) {
+      console.warn(`[REVOCATION] Emissor não encontrado para "${x509.subject}".`);
+      continue;
+    }
+    if (addCertificate(issuerDer)) queue.push(issuerDer);
+    if (hasOcspNoCheck(der)) continue;
+
+    const serialNumber = readInteger(certificateParts(der).serialNumber);
+    const ocsp = await fetchOcsp(x509, issuerDer);
+    if (ocsp) {
+      addOnce(result.ocsps, ocsp.der);
+      for (const responderCertificate of ocsp.certificates) {
+        if (addCertificate(responderCertificate)) queue.push(responderCertificate);
+      }
+      if (ocsp.certStatus === 'REVOKED') result.revoked.push({ subject: x509.subject, serialNumber, revokedAt: ocsp.revokedAt });
+      continue;
+    }
+
+    const crl = await fetchCrl(x509);
+    if (crl) {
+      addOnce(result.crls, crl.der);
+      if (crl.revokedSerials.has(serialNumber)) result.revoked.push({ subject: x509.subject, serialNumber, revokedAt: null });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  collectValidationData
+};
@@ -0,0 +1,238 @@
+// src/services/signatureArt.service.js
+'use strict';
+
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Gera a arte da assinatura (e da rubrica) em PNG, qualquer que seja o modo escolhido pelo signatário:
+ * - DRAWN: desenhada no canvas do navegador (PNG em Base64).
+ * - TYPED: nome digitado, renderizado aqui em uma fonte manuscrita.
+ * - UPLOADED: imagem enviada (JPEG, PNG ou SVG), convertida para PNG.
+ * Os carimbos do PDF (pdf.service e pades.service) só lidam com PNG.
+ */
+
+const SIGNATURE_MODES = ['DRAWN', 'TYPED', 'UPLOADED'];
+
+const SIGNATURE_MODE_LABELS = {
+  DRAWN: 'Desenhada',
+  TYPED: 'Digitada',
+  UPLOADED: 'Imagem enviada'
+};
+
+// Fontes manuscritas (SIL Open Font License) em assets/fonts/signature
+const FONTS_DIR = path.join(__dirname, '..', '..', 'assets', 'fonts', 'signature');
+const SIGNATURE_FONTS = {
+  GREAT_VIBES: { family: 'Great Vibes', file: 'GreatVibes-Regular.ttf' },
+  SACRAMENTO: { family: 'Sacramento', file: 'Sacramento-Regular.ttf' },
+  ALLURA: { family: 'Allura', file: 'Allura-Regular.ttf' }
+};
+const DEFAULT_FONT = 'GREAT_VIBES';
+
+const INK_COLOR = '#0b2a6f';
+const MAX_TYPED_LENGTH = 60;
+const MAX_IMAGE_WIDTH = 1200;
+const MAX_IMAGE_HEIGHT = 600;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+const JPEG_MAGIC = Buffer.from([0xff, 0xd8, 0xff]);
+
+// SVG só com desenho próprio: apenas estes elementos e atributos, e referências só para o próprio arquivo (#id).
+// Nada de scripts, estilos (<style>), entidades ou arquivos/URLs externos, que o librsvg carregaria.
+const SVG_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline',
+  'polygon', 'text', 'tspan', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask'
+]);
+const SVG_ATTRIBUTES = new Set([
+  'xmlns', 'xmlns:xlink', 'xmlns:svg', 'version', 'baseprofile', 'xml:space', 'id', 'class', 'style', 'viewbox',
+  'preserveaspectratio', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'width', 'height',
+  'd', 'points', 'pathlength', 'transform', 'href', 'xlink:href', 'fill', 'fill-opacity', 'fill-rule', 'stroke',
+  'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'color', 'display', 'visibility', 'clip-path', 'clip-rule', 'mask', 'offset',
+  'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform', 'spreadmethod', 'clippathunits', 'maskunits',
+  'maskcontentunits', 'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dx', 'dy',
+  'vector-effect', 'shape-rendering'
+]);
+const SVG_TAG = /<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const SVG_ATTRIBUTE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const httpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Entidades numéricas e as predefinidas do XML, para que "url&#40;..." não escape da verificação
+const decodeXmlEntities = (value) => value
+  .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+
+/**
+ * Confere o SVG enviado contra a lista de elementos e atributos permitidos.
+ * @returns {string|null} O motivo da recusa, ou null se o SVG é seguro.
+ */
+const findUnsafeSvgContent = (svg) => {
+  const markup = svg.replace(/<!--[\s\S]*?-->/g, '').replace(/^\s*<\?xml[^>]*\?>/i, '');
+  if (/<[!?]/.test(markup)) return 'declarações (DOCTYPE, ENTITY, CDATA) ou instruções de processamento';
+
+  let sawTag = false;
+  for (const [, , name, attributes] of markup.matchAll(SVG_TAG)) {
+    sawTag = true;
+    const element = name.toLowerCase().replace(/^svg:/, '');
+    if (!SVG_ELEMENTS.has(element)) return `o elemento <${name}>`;
+
+    for (const [, attrName, ...values] of attributes.matchAll(SVG_ATTRIBUTE)) {
+      const attribute = attrName.toLowerCase();
+      if (!SVG_ATTRIBUTES.has(attribute)) return `o atributo "${attrName}" em <${name}>`;
+
+      const value = decodeXmlEntities(values.find(v => v !== undefined) || '').replace(/\\/g, '').trim();
+      if ((attribute === 'href' || attribute === 'xlink:href') && !value.startsWith('#')) {
+        return `a referência externa "${value.slice(0, 60)}"`;
+      }
+      // url(...) em atributos de apresentação ou em style só pode apontar para o próprio arquivo
+      const urls = value.match(/url\s*\(\s*["']?[^"')]*/gi) || [];
+      if (urls.some(url => !/^url\s*\(\s*["']?#/i.test(url)) || (attribute === 'style' && /@import|expression\s*\(/i.test(value))) {
+        return `a referência externa em "${attrName}"`;
+      }
+    }
+  }
+  return sawTag ? null : 'conteúdo SVG inválido';
+};
+
+/**
+ * Fontes disponíveis para a assinatura digitada (exibidas no front-end).
+ */
+const listFonts = () => Object.entries(SIGNATURE_FONTS).map(([key, font]) => ({ key, family: font.family }));
+
+/**
+ * Iniciais do nome para a rubrica digitada (ex: "Maria da Silva Souza" -> "MSS").
+ */
+const toInitials = (name) => String(name || '')
+  .split(/\s+/)
+  .filter(word => word && !/^(d[aeo]s?|e)$/i.test(word))
+  .map(word => word[0].toUpperCase())
+  .join('')
+  .slice(0, 4);
+
+/**
+ * PNG desenhado no canvas (Base64, com ou sem o prefixo data:image/png).
+ * Os bytes são mantidos como vieram: o hash confere com o que o navegador enviou.
+ */
+const decodeDrawnImage = async (base64Image) => {
+  if (typeof base64Image !== 'string' || !/^(data:image\/png;base64,)?[A-Za-z0-9+/=\s]+$/.test(base64Image)) {
+    throw httpError('Arte da assinatura inválida. Envie a imagem PNG em Base64.');
+  }
+  const png = Buffer.from(base64Image.replace(/^data:image\/png;base64,/, ''), 'base64');
+  if (!png.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) {
+    throw httpError('Arte da assinatura inválida. Envie a imagem PNG em Base64.');
+  }
+  try {
+    await sharp(png, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw httpError('Não foi possível ler a imagem da assinatura.');
+  }
+  return png;
+};
+
+/**
+ * Renderiza o texto digitado em uma das fontes manuscritas.
+ * @returns {Promise<Buffer>} PNG com fundo transparente.
+ */
+const renderTypedText = async (text, fontKey = DEFAULT_FONT) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) throw httpError('Digite o nome para gerar a assinatura.');
+  if (clean.length > MAX_TYPED_LENGTH) throw httpError(`A assinatura digitada pode ter no máximo ${MAX_TYPED_LENGTH} caracteres.`);
+
+  const font = SIGNATURE_FONTS[fontKey];
+  if (!font) throw httpError(`Fonte inválida. Use ${Object.keys(SIGNATURE_FONTS).join(', ')}.`);
+
+  // Markup do Pango: o texto do signatário precisa ser escapado
+  const escaped = clean.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return sharp({
+    text: {
+      text: `<span foreground="${INK_COLOR}">${escaped}</span>`,
+      font: `${font.family} 64`,
+      fontfile: path.join(FONTS_DIR, font.file),
+      rgba: true,
+      dpi: 150
+    }
+  }).png().toBuffer();
+};
+
+/**
+ * Converte a imagem enviada (JPEG, PNG ou SVG) para PNG, com orientação corrigida e tamanho limitado.
+ * @param {Buffer} buffer - Conteúdo do arquivo (multer memoryStorage ou Base64 decodificado).
+ */
+const normalizeUploadedImage = async (buffer) => {
+  if (!buffer || buffer.length === 0) throw httpError('Nenhuma imagem enviada.');
+
+  const isPng = buffer.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC);
+  const isJpeg = buffer.subarray(0, JPEG_MAGIC.length).equals(JPEG_MAGIC);
+  const head = buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  const isSvg = !isPng && !isJpeg && /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(head);
+
+  if (!isPng && !isJpeg && !isSvg) throw httpError('Formato de imagem não suportado. Envie JPEG, PNG ou SVG.');
+  const unsafe = isSvg ? findUnsafeSvgContent(buffer.toString('utf8')) : null;
+  if (unsafe) {
+    throw httpError(`O SVG enviado não pode ser usado: contém ${unsafe}. Envie um SVG só com o desenho (sem scripts, estilos ou referências externas).`);
+  }
+
+  try {
+    return await sharp(buffer, { density: isSvg ? 300 : undefined, limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // Orientação EXIF de fotos JPEG
+      .resize({ width: MAX_IMAGE_WIDTH, height: MAX_IMAGE_HEIGHT, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    throw httpError('Não foi possível ler a imagem enviada.');
+  }
+};
+
+/**
+ * Gera o PNG da assinatura (ou rubrica) conforme o modo escolhido.
+ * @param {string} mode - DRAWN | TYPED | UPLOADED
+ * @param {object} input
+ * @param {string} [input.image] - DRAWN: PNG em Base64 | UPLOADED: arquivo em Base64 (alternativa ao multipart).
+ * @param {Buffer} [input.file] - UPLOADED: arquivo enviado via multipart.
+ * @param {string} [input.text] - TYPED: texto a renderizar.
+ * @param {string} [input.font] - TYPED: chave da fonte (SIGNATURE_FONTS).
+ * @returns {Promise<{ mode: string, png: Buffer, font: string|null }>}
+ */
+const buildArtwork = async (mode, { image, file, text, font } = {}) => {
+  switch (mode) {
+    case 'DRAWN':
+      return { mode, png: await decodeDrawnImage(image), font: null };
+    case 'TYPED': {
+      const fontKey = font || DEFAULT_FONT;
+      return { mode, png: await renderTypedText(text, fontKey), font: fontKey };
+    }
+    case 'UPLOADED': {
+      const buffer = file || (typeof image === 'string'
+        ? Buffer.from(image.replace(/^data:[\w/+.-]+;base64,/, ''), 'base64')
+        : null);
+      return { mode, png: await normalizeUploadedImage(buffer), font: null };
+    }
+    default:
+      throw httpError(`Modo de assinatura inválido. Use ${SIGNATURE_MODES.join(', ')}.`);
+  }
+};
+
+/**
+ * Descrição do modo para carimbos e certificado (ex: "Digitada (Great Vibes)").
+ */
+const describeMode = (mode, fontKey) => {
+  if (!mode) return null;
+  const label = SIGNATURE_MODE_LABELS[mode] || mode;
+  return mode === 'TYPED' && SIGNATURE_FONTS[fontKey] ? `${label} (${SIGNATURE_FONTS[fontKey].family})` : label;
+};
+
+module.exports = {
+  SIGNATURE_MODES,
+  SIGNATURE_FONTS,
+  listFonts,
+  toInitials,
+  buildArtwork,
+  describeMode
+};
@@ -0,0 +1,95 @@
+// src/services/sms.service.js
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Provedores de SMS. Todos seguem a mesma interface:
+ *   send({ to, message, credentials }) => Promise<{ messageId }>
+ * e LANÇAM erro em caso de falha (o fallback entre canais depende disso).
+ *
+ * `to` já chega em E.164 sem o "+" (ex: 5571988887777).
+ */
+
+// Desenvolvimento local: não envia nada, apenas registra no console e em logs/sms-outbox.log
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, message }) => {
+    const line = `[${new Date().toISOString()}] para +${to}: ${message.replace(/\n/g, ' ')}\n`;
+    console.log(`[SMS:console] ${line.trim()}`);
+
+    const logDir = path.join(__dirname, '..', '..', 'logs');
+    await fs.mkdir(logDir, { recursive: true });
+    await fs.appendFile(path.join(logDir, 'sms-outbox.log'), line);
+
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+// Twilio: accountSid + authToken (Basic Auth), `from` = número Twilio ou Messaging Service SID
+const twilioProvider = {
+  name: 'twilio',
+  send: async ({ to, message, credentials }) => {
+    const { accountSid, authToken, from } = credentials;
+    const body = new URLSearchParams({ To: `+${to}`, Body: message });
+    if (from && from.startsWith('MG')) body.append('MessagingServiceSid', from);
+    else body.append('From', from);
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      body.toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+    return { messageId: response.data.sid };
+  }
+};
+
+// Zenvia (API v2): authToken = X-API-TOKEN, `from` = remetente cadastrado na Zenvia
+const zenviaProvider = {
+  name: 'zenvia',
+  send: async ({ to, message, credentials }) => {
+    const response = await axios.post(
+      'https://api.zenvia.com/v2/channels/sms/messages',
+      {
+        from: credentials.from,
+        to,
+        contents: [{ type: 'text', text: message }]
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-TOKEN': credentials.authToken
+        }
+      }
+    );
+    return { messageId: response.data.id };
+  }
+};
+
+const PROVIDERS = {
+  console: consoleProvider,
+  twilio: twilioProvider,
+  zenvia: zenviaProvider
+};
+
+/**
+ * Retorna o provedor pelo nome.
+ * @param {string} name - 'console', 'twilio' ou 'zenvia'.
+ */
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Provedor de SMS desconhecido: "${name}". Use ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return provider;
+};
+
+module.exports = {
+  SMS_PROVIDERS: Object.keys(PROVIDERS),
+  getProvider
+};
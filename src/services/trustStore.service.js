@@ -0,0 +1,124 @@
+// src/services/trustStore.service.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pemToDerList } = require('../utils/pki');
+
+/**
+ * Lista de ACs confiáveis (âncoras) usada para validar as cadeias das assinaturas de PDFs enviados.
+ * PADES_TRUST_STORE_PATH aponta para um diretório (lido com subdiretórios) ou um arquivo com certificados
+ * PEM/DER — ex: as ACs Raiz da ICP-Brasil publicadas pelo ITI. A lista é lida uma vez por processo.
+ */
+
+const CERTIFICATE_EXTENSIONS = ['.pem', '.crt', '.cer', '.der'];
+const MAX_CHAIN_LENGTH = 10;
+
+let anchorsCache = null;
+
+const resolveTrustStorePath = () => path.resolve(process.env.PADES_TRUST_STORE_PATH || './secure/trust-store');
+
+const listCertificateFiles = (target) => {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(target, entry.name);
+    if (entry.isDirectory()) return listCertificateFiles(fullPath);
+    return CERTIFICATE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  });
+};
+
+/**
+ * Âncoras de confiança carregadas do PADES_TRUST_STORE_PATH.
+ * @returns {Array<{ der: Buffer, x509: crypto.X509Certificate }>}
+ */
+const getTrustAnchors = () => {
+  if (anchorsCache) return anchorsCache;
+
+  const anchors = [];
+  const seen = new Set();
+  for (const file of listCertificateFiles(resolveTrustStorePath())) {
+    for (const der of pemToDerList(fs.readFileSync(file))) {
+      try {
+        const x509 = new crypto.X509Certificate(der);
+        if (seen.has(x509.fingerprint256)) continue;
+        seen.add(x509.fingerprint256);
+        anchors.push({ der: Buffer.from(x509.raw), x509 });
+      } catch {
+        console.warn(`[TRUST STORE] Certificado ilegível ignorado: ${file}`);
+      }
+    }
+  }
+  if (anchors.length === 0) {
+    console.warn(`[TRUST STORE] Nenhuma AC confiável em ${resolveTrustStorePath()}: nenhuma cadeia será considerada confiável.`);
+  }
+
+  anchorsCache = anchors;
+  return anchors;
+};
+
+const isIssuedBy = (x509, issuer) => {
+  try {
+    return x509.checkIssued(issuer) && x509.verify(issuer.publicKey);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Monta a cadeia do certificado até uma AC confiável e confere a validade de cada elo na data informada.
+ * @param {Buffer} certificateDer - Certificado do signatário (ou da TSA).
+ * @param {Buffer[]} pool - Certificados intermediários disponíveis (do CMS, do DSS do arquivo...).
+ * @param {Date} [validationTime] - Data em que os certificados precisam estar válidos (carimbo do tempo, ou agora).
+ * @returns {{ trusted: boolean, validAtTime: boolean, chain: Array<{ subject: string, notBefore: Date, notAfter: Date }>, anchor: string|null, error: string|null }}
+ */
+const verifyChain = (certificateDer, pool = [], validationTime = new Date()) => {
+  const candidates = pool.map(der => {
+    try {
+      return new crypto.X509Certificate(der);
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  const anchors = getTrustAnchors();
+
+  const chain = [new crypto.X509Certificate(certificateDer)];
+  let anchor = null;
+  let error = null;
+  while (!anchor && !error) {
+    const current = chain[chain.length - 1];
+    anchor = anchors.find(item => item.x509.fingerprint256 === current.fingerprint256 || isIssuedBy(current, item.x509)) || null;
+    if (anchor) {
+      if (anchor.x509.fingerprint256 !== current.fingerprint256) chain.push(anchor.x509);
+      break;
+    }
+    if (isIssuedBy(current, current)) {
+      error = 'A cadeia termina em uma AC raiz que não está na lista de ACs confiáveis.';
+      break;
+    }
+    const issuer = candidates.find(item => isIssuedBy(current, item) && !chain.some(link => link.fingerprint256 === item.fingerprint256));
+    if (!issuer) {
+      error = `Emissor de "${current.subject.split('\n').join(', ')}" não encontrado no arquivo nem na lista de ACs confiáveis.`;
+    } else if (chain.length >= MAX_CHAIN_LENGTH) {
+      error = 'Cadeia de certificados longa demais.';
+    } else {
+      chain.push(issuer);
+    }
+  }
+
+  const time = validationTime.getTime();
+  const validAtTime = chain.every(link => new Date(link.validFrom).getTime() <= time && time <= new Date(link.validTo).getTime());
+  return {
+    trusted: Boolean(anchor),
+    validAtTime,
+    chain: chain.map(link => ({ subject: link.subject.split('\n').join(', '), notBefore: new Date(link.validFrom), notAfter: new Date(link.validTo) })),
+    anchor: anchor ? anchor.x509.subject.split('\n').join(', ') : null,
+    error
+  };
+};
+
+module.exports = {
+  getTrustAnchors,
+  verifyChain
+};
@@ -0,0 +1,46 @@
+// src/services/tsa.service.js
+'use strict';
+
+const axios = require('axios');
+const { createTimestampRequest, parseTimestampResponse } = require('../utils/pki');
+
+/**
+ * Cliente de carimbo do tempo (RFC 3161, transporte HTTP).
+ * A TSA é configurada no .env; em desenvolvimento serve uma TSA local (ex: `openssl ts` atrás de um servidor HTTP).
+ */
+
+const TSA_TIMEOUT_MS = parseInt(process.env.PADES_TSA_TIMEOUT_MS, 10) || 15000;
+
+const isConfigured = () => Boolean(process.env.PADES_TSA_URL);
+
+/**
+ * Pede à TSA um carimbo do tempo sobre `data` (o hash SHA-256 é calculado aqui).
+ * @param {Buffer} data - Valor da assinatura (carimbo da assinatura) ou bytes do ByteRange (carimbo do documento).
+ * @returns {Promise<{ token: Buffer, genTime: Date, serialNumber: string, tsaCertificate: Buffer }>}
+ * @throws {Error} TSA não configurada, indisponível ou resposta inválida.
+ */
+const requestTimestamp = async (data) => {
+  if (!isConfigured()) throw new Error('PADES_TSA_URL não configurada.');
+
+  const request = createTimestampRequest(data, { policy: process.env.PADES_TSA_POLICY_OID || null });
+  let response;
+  try {
+    response = await axios.post(process.env.PADES_TSA_URL, request.der, {
+      headers: { 'Content-Type': 'application/timestamp-query', Accept: 'application/timestamp-reply' },
+      responseType: 'arraybuffer',
+      timeout: TSA_TIMEOUT_MS,
+      ...(process.env.PADES_TSA_USERNAME
+        ? { auth: { username: process.env.PADES_TSA_USERNAME, password: process.env.PADES_TSA_PASSWORD || '' } }
+        : {})
+    });
+  } catch (error) {
+    throw new Error(`Falha ao contatar a TSA (${error.response ? `HTTP ${error.response.status}` : error.message}).`);
+  }
+
+  return parseTimestampResponse(Buffer.from(response.data), { data, nonce: request.nonce });
+};
+
+module.exports = {
+  isConfigured,
+  requestTimestamp
+};
@@ -23,7 +23,20 @@ const formatAuditLogDescription = (log) => {
     case 'OTP_VERIFIED':
       return 'Identidade verificada com sucesso via código OTP.';
     case 'OTP_FAILED':
-      return 'Falha na verificação de identidade (Código OTP inválido).';
+      return payload.reason === 'Too Many Attempts'
+        ? 'Falha na verificação de identidade (limite de tentativas do código OTP atingido).'
+        : 'Falha na verificação de identidade (Código OTP inválido).';
+    case 'IDENTIFIED':
+      return `Signatário confirmou o CPF ${payload.cpf || ''}${payload.providedBySender ? ' (conferido com o informado pelo remetente)' : ''}${payload.birthDateChecked ? ' e a data de nascimento' : ''}.`;
+    case 'IDENTITY_MISMATCH': {
+      const fieldMap = { cpf: 'CPF', birthDate: 'data de nascimento' };
+      const fields = (payload.fields || []).map(f => fieldMap[f] || f).join(' e ');
+      return `Tentativa de identificação recusada: ${fields || 'dados'} não confere(m) com o cadastrado pelo remetente.`;
+    }
+    case 'OTP_THROTTLED':
+      return payload.reason === 'DAILY_LIMIT'
+        ? 'Envio de código OTP bloqueado: limite diário de envios atingido.'
+        : 'Envio de código OTP bloqueado: novo pedido antes do intervalo mínimo entre envios.';
 
     // --- GESTÃO DE USUÁRIOS ---
     case 'USER_CREATED':
@@ -45,28 +58,94 @@ const formatAuditLogDescription = (log) => {
         'CANCELLED': 'cancelado',
         'EXPIRED': 'expirado',
         'SIGNED': 'finalizado',
-        'READY': 'pronto para envio'
+        'READY': 'pronto para envio',
+        'PARTIALLY_SIGNED': 'parcialmente assinado',
+        'DECLINED': 'recusado (aguardando o remetente)'
       };
       const newStatus = statusMap[payload.newStatus] || payload.newStatus;
       return `O status do documento mudou para "${newStatus}".`;
     
     // --- ASSINATURAS ---
     case 'INVITED':
-      return `Convite para assinar enviado para ${payload.recipient || 'um signatário'}.`;
-    case 'SIGNED':
-      return 'Assinatura realizada e registrada com sucesso.';
+      if (payload.inPerson) return 'Signatário liberado para assinatura presencial (sem envio de convite).';
+      return payload.resent
+        ? `Convite reenviado para ${payload.recipient || 'um signatário'}${payload.channels ? ` (${payload.channels.join(', ')})` : ''}.`
+        : `Convite para assinar enviado para ${payload.recipient || 'um signatário'}.`;
+    case 'IN_PERSON_SESSION_OPENED':
+      return `Sessão de assinatura presencial aberta por ${payload.hostedBy?.name || 'um usuário'}${payload.otpChannel ? ` (CPF + código via ${payload.otpChannel})` : ' (confirmação por CPF)'}.`;
+    case 'LINK_ROTATED':
+      return `Link de assinatura regenerado: ${payload.revokedCount || 0} link(s) anterior(es) invalidado(s) e um novo convite enviado.`;
+    case 'SIGNER_UPDATED': {
+      const before = payload.old || {};
+      const after = payload.new || {};
+      const changes = ['name', 'email', 'phone', 'cpf']
+        .filter(key => before[key] !== after[key])
+        .map(key => `${key}: "${before[key] || '-'}" → "${after[key] || '-'}"`);
+      if (payload.reopened) {
+        return `Assinatura reaberta pelo remetente após a recusa${changes.length ? `, com novo signatário (${changes.join('; ')})` : ''}.`;
+      }
+      return `Signatário corrigido pelo remetente${changes.length ? ` (${changes.join('; ')})` : ''}.`;
+    }
+    case 'DELEGATED':
+      return `${payload.from?.name || 'O signatário'} (${payload.from?.email || '-'}) delegou a assinatura para ${payload.to?.name || '-'} (${payload.to?.email || '-'})${payload.reason ? `. Motivo: "${payload.reason}"` : ''}.`;
+    case 'EVIDENCE_UPLOADED':
+      return payload.kind === 'SELFIE'
+        ? `Selfie do signatário enviada (SHA-256 ${payload.sha256 ? payload.sha256.substring(0, 12) + '...' : 'N/A'}).`
+        : `Foto do documento de identidade (${payload.idDocumentType || 'RG/CNH'}) enviada (SHA-256 ${payload.sha256 ? payload.sha256.substring(0, 12) + '...' : 'N/A'}).`;
+    case 'LINK_REVOKED':
+      return `Link de assinatura revogado pelo remetente (${payload.revokedCount || 0} link(s)).`;
+    case 'SIGNED': {
+      const roleMap = {
+        APPROVER: 'Aprovação registrada com sucesso.',
+        WITNESS: 'Assinatura como testemunha realizada e registrada com sucesso.',
+        ACKNOWLEDGER: 'Ciência (confirmação de recebimento) registrada com sucesso.'
+      };
+      const modeMap = { DRAWN: 'desenhada', TYPED: 'digitada', UPLOADED: 'imagem enviada' };
+      const base = roleMap[payload.role] || 'Assinatura realizada e registrada com sucesso.';
+      const inPerson = payload.inPerson ? ` Coletada presencialmente, sessão conduzida por ${payload.inPerson.hostedByName || 'um usuário'}.` : '';
+      const qualified = payload.qualifiedCertificate;
+      const pades = payload.pades
+        ? qualified
+          ? ` Assinatura digital PAdES${payload.pades.level ? ` ${payload.pades.level}` : ''} com certificado ICP-Brasil de ${qualified.commonName || qualified.subject} (CPF ${qualified.cpf}), emitido por ${qualified.issuerCommonName || qualified.issuer}, nº de série ${qualified.serialNumber}.`
+          : ` Assinatura digital PAdES${payload.pades.level ? ` ${payload.pades.level}` : ''} aplicada ao arquivo.`
+        : '';
+      if (!payload.signatureMode) return `${base}${inPerson}${pades}`;
+      return `${base} Modo: ${modeMap[payload.signatureMode] || payload.signatureMode}${payload.initials ? ', com rubrica' : ''}.${inPerson}${pades}`;
+    }
+    case 'EMAILED':
+      return payload.kind === 'OBSERVER_NOTICE'
+        ? `Aviso de cópia enviado ao observador ${payload.recipient || ''}.`
+        : `E-mail enviado para ${payload.recipient || 'o destinatário'}.`;
+    case 'REMINDER_SENT': {
+      const kindMap = { SCHEDULED: 'automático', FINAL: 'final', MANUAL: 'manual' };
+      return `Lembrete ${kindMap[payload.kind] || ''} de assinatura enviado ao signatário.`;
+    }
+    case 'EXPIRED':
+      return log.entityType === 'SIGNER'
+        ? 'O prazo venceu sem a assinatura deste signatário.'
+        : 'O prazo de assinatura venceu e o documento foi expirado.';
+    case 'DECLINED':
+      return `O signatário recusou a assinatura. Motivo: "${payload.reason || 'não informado'}".`;
     case 'PADES_SIGNED':
-      return 'O documento recebeu a assinatura digital (PAdES) da plataforma, garantindo sua integridade.';
+      return payload.sealCertificate
+        ? `O documento recebeu a assinatura digital (PAdES${payload.level ? ` ${payload.level}` : ''}) com o certificado de selagem da conta (${payload.sealCertificate}), garantindo sua integridade.`
+        : `O documento recebeu a assinatura digital (PAdES${payload.level ? ` ${payload.level}` : ''}) da plataforma, garantindo sua integridade.`;
     case 'CERTIFICATE_ISSUED':
-      return 'Certificado de conclusão de assinaturas gerado.';
+      return payload.reissued
+        ? `Certificado de conclusão reemitido para a nova versão do documento (hash ${payload.sha256 ? payload.sha256.substring(0, 12) + '...' : 'N/A'}).`
+        : `Certificado de conclusão de assinaturas gerado${payload.appendedToDocument ? ' e anexado ao PDF assinado' : ''}.`;
 
     // --- OUTROS ---
     case 'DOWNLOADED':
-      return 'O arquivo do documento foi baixado.';
+      return payload.kind === 'CERTIFICATE'
+        ? 'O certificado de conclusão foi baixado.'
+        : 'O arquivo do documento foi baixado.';
     case 'API_KEY_GENERATED':
       return 'Uma nova chave de API foi gerada para integrações.';
     case 'ACCOUNT_LOCKED':
-      return 'A conta foi bloqueada temporariamente por excesso de tentativas falhas.';
+      return payload.scope === 'SIGNING_LINK'
+        ? `O link de assinatura foi bloqueado após ${payload.failedAttempts || 'várias'} tentativas de verificação (OTP/identidade) incorretas.`
+        : 'A conta foi bloqueada temporariamente por excesso de tentativas falhas.';
 
     default:
       // Fallback genérico, mas amigável
@@ -78,10 +157,42 @@ const formatAuditLogDescription = (log) => {
  * Identifica a categoria do evento para ícones ou filtros no frontend.
  */
 const getLogCategory = (action) => {
-  if (['LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'OTP_SENT', 'OTP_VERIFIED'].includes(action)) return 'security';
-  if (['CREATED', 'STATUS_CHANGED', 'STORAGE_UPLOADED', 'CERTIFICATE_ISSUED'].includes(action)) return 'document';
-  if (['INVITED', 'SIGNED', 'VIEWED'].includes(action)) return 'signer';
+  if (['LOGIN_SUCCESS', 'LOGIN_FAILED', 'LOGOUT', 'OTP_SENT', 'OTP_VERIFIED', 'OTP_FAILED', 'OTP_THROTTLED', 'ACCOUNT_LOCKED', 'IDENTIFIED', 'IDENTITY_MISMATCH'].includes(action)) return 'security';
+  if (['CREATED', 'STATUS_CHANGED', 'STORAGE_UPLOADED', 'CERTIFICATE_ISSUED', 'DOWNLOADED'].includes(action)) return 'document';
+  if (['INVITED', 'SIGNED', 'VIEWED', 'DECLINED', 'REMINDER_SENT', 'LINK_ROTATED', 'LINK_REVOKED', 'SIGNER_UPDATED', 'DELEGATED', 'EVIDENCE_UPLOADED', 'IN_PERSON_SESSION_OPENED'].includes(action)) return 'signer';
   return 'system';
 };
 
-module.exports = { formatAuditLogDescription, getLogCategory };
\ No newline at end of file
+/**
+ * Resumo legível da evidência do dispositivo (AuditLog.deviceInfoJson).
+ * Ex: "Chrome 120 em Android 14 (mobile) | 412x915 | America/Sao_Paulo | IP em São Paulo, SP, BR | GPS -23.55061, -46.63331 (±20 m)"
+ * @returns {string|null} null quando o evento não tem evidência do dispositivo.
+ */
+const formatDeviceSummary = (deviceInfo) => {
+  if (!deviceInfo) return null;
+  const parts = [];
+
+  const browser = [deviceInfo.browser, deviceInfo.browserVersion?.split('.')[0]].filter(Boolean).join(' ');
+  const os = [deviceInfo.os, deviceInfo.osVersion].filter(Boolean).join(' ');
+  if (browser || os) {
+    parts.push(`${browser || 'Navegador desconhecido'}${os ? ` em ${os}` : ''} (${deviceInfo.deviceType || 'desconhecido'})`);
+  }
+  if (deviceInfo.screen?.width && deviceInfo.screen?.height) parts.push(`${deviceInfo.screen.width}x${deviceInfo.screen.height}`);
+  if (deviceInfo.timezone) parts.push(deviceInfo.timezone);
+
+  const ipLocation = deviceInfo.ipLocation;
+  if (ipLocation) {
+    const place = [ipLocation.city, ipLocation.region, ipLocation.country].filter(Boolean).join(', ');
+    if (place) parts.push(`IP em ${place}`);
+  }
+
+  const geo = deviceInfo.geolocation;
+  if (geo) {
+    const accuracy = geo.accuracyMeters !== null && geo.accuracyMeters !== undefined ? ` (±${Math.round(geo.accuracyMeters)} m)` : '';
+    parts.push(`GPS ${geo.latitude.toFixed(5)}, ${geo.longitude.toFixed(5)}${accuracy}`);
+  }
+
+  return parts.length > 0 ? parts.join(' | ') : null;
+};
+
+module.exports = { formatAuditLogDescription, getLogCategory, formatDeviceSummary };
\ No newline at end of file
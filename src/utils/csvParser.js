@@ -0,0 +1,68 @@
+// src/utils/csvParser.js
+'use strict';
+
+/**
+ * Parser de CSV simples (RFC 4180): aspas duplas, aspas escapadas ("") e quebras de linha dentro de aspas.
+ * Detecta automaticamente o separador (vírgula ou ponto e vírgula, comum no Excel em pt-BR).
+ * @param {string} text - Conteúdo do arquivo.
+ * @returns {Array<object>} Uma linha por objeto, indexada pelos cabeçalhos (primeira linha).
+ */
+const parseCsv = (text) => {
+  const content = String(text).replace(/^﻿/, ''); // Remove BOM do Excel
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const row = {};
+    headers.forEach((header, index) => {
+      if (header) row[header] = (cells[index] || '').trim();
+    });
+    return row;
+  });
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,87 @@
+// src/utils/identity.js
+'use strict';
+
+// Dados de identificação do signatário: CPF e data de nascimento
+
+/**
+ * Remove pontuação e espaços do CPF (ex: "123.456.789-09" -> "12345678909").
+ */
+const normalizeCpf = (value) => (value == null ? '' : String(value).replace(/\D/g, ''));
+
+/**
+ * Valida o CPF pelos dígitos verificadores (aceita com ou sem pontuação).
+ * Sequências repetidas (ex: 111.111.111-11) passam no cálculo, mas são inválidas.
+ */
+const isValidCpf = (value) => {
+  const cpf = normalizeCpf(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const digits = cpf.split('').map(Number);
+  const checkDigit = (length) => {
+    const sum = digits.slice(0, length).reduce((acc, digit, i) => acc + digit * (length + 1 - i), 0);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === digits[9] && checkDigit(10) === digits[10];
+};
+
+/**
+ * Formata para exibição (000.000.000-00). Valores que não têm 11 dígitos são devolvidos como vieram.
+ */
+const formatCpf = (value) => {
+  const cpf = normalizeCpf(value);
+  if (cpf.length !== 11) return value || '';
+  return cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4');
+};
+
+/**
+ * Mascara para logs e auditoria (***.456.789-**).
+ */
+const maskCpf = (value) => {
+  const cpf = normalizeCpf(value);
+  if (cpf.length !== 11) return '***';
+  return `***.${cpf.substring(3, 6)}.${cpf.substring(6, 9)}-**`;
+};
+
+/**
+ * Normaliza a data de nascimento para YYYY-MM-DD (aceita também DD/MM/AAAA).
+ * @returns {string|null} null se a data for inválida ou futura.
+ */
+const normalizeBirthDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/) || text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (!match) return null;
+
+  const [year, month, day] = text.includes('/') ? [match[3], match[2], match[1]] : [match[1], match[2], match[3]];
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1 || date > new Date()) return null;
+
+  return `${year}-${month}-${day}`;
+};
+
+// Campos "otherName" do Subject Alternative Name dos certificados ICP-Brasil (DOC-ICP-04)
+const ICP_BRASIL_OIDS = {
+  personData: '2.16.76.1.3.1', // e-CPF: nascimento (DDMMAAAA) + CPF + NIS + RG + órgão emissor/UF
+  responsibleData: '2.16.76.1.3.4', // e-CNPJ: os mesmos dados, do responsável pela pessoa jurídica
+  cnpj: '2.16.76.1.3.3'
+};
+
+/**
+ * CPF do titular (e CNPJ, no e-CNPJ) de um certificado ICP-Brasil.
+ * @param {Array<{ type: string, value: Buffer }>} otherNames - Ver pki.readOtherNames.
+ * @returns {{ cpf: string|null, cnpj: string|null }} null quando o campo não existe ou veio zerado/inválido.
+ */
+const readIcpBrasilIdentity = (otherNames) => {
+  const text = (type) => otherNames.find(name => name.type === type)?.value.toString('latin1') || '';
+  const personData = text(ICP_BRASIL_OIDS.personData) || text(ICP_BRASIL_OIDS.responsibleData);
+  const cpf = normalizeCpf(personData.slice(8, 19));
+  const cnpj = text(ICP_BRASIL_OIDS.cnpj).replace(/\D/g, '');
+  return {
+    cpf: isValidCpf(cpf) ? cpf : null,
+    cnpj: cnpj.length === 14 && !/^0+$/.test(cnpj) ? cnpj : null
+  };
+};
+
+module.exports = { normalizeCpf, isValidCpf, formatCpf, maskCpf, normalizeBirthDate, readIcpBrasilIdentity };
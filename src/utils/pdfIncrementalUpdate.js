@@ -0,0 +1,302 @@
+// src/utils/pdfIncrementalUpdate.js
+'use strict';
+
+const crypto = require('crypto');
+const { PDFDocument, PDFDict, PDFArray, PDFName, PDFRef } = require('pdf-lib');
+
+/**
+ * Atualização incremental de PDF (ISO 32000-1, 7.5.6) usando o pdf-lib.
+ * O save() do pdf-lib regrava o arquivo inteiro, o que invalida as assinaturas já aplicadas.
+ * Aqui os bytes existentes são mantidos intactos e só os objetos novos ou alterados são anexados ao final,
+ * com uma nova seção xref e um trailer que aponta para a anterior (/Prev).
+ *
+ * Uso: const update = await loadForUpdate(buffer); ...altera update.pdfDoc...; await saveIncremental(buffer, update)
+ */
+
+const serializeObject = (object) => {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return Buffer.from(bytes);
+};
+
+const digestObject = (object) => crypto.createHash('sha1').update(serializeObject(object)).digest('hex');
+
+/**
+ * Indica se o PDF já tem assinaturas digitais (qualquer dicionário com /ByteRange).
+ * Um arquivo assinado só pode receber atualizações incrementais.
+ */
+const hasSignatures = (pdfBuffer) => /\/ByteRange\s*\[\s*\d+\s+\d+\s+\d+\s+\d+\s*\]/.test(pdfBuffer.toString('latin1'));
+
+/**
+ * Assinaturas e carimbos do tempo do arquivo, na ordem em que aparecem: o ByteRange e os bytes de /Contents
+ * (CMS ou token RFC 3161, seguidos do preenchimento com zeros).
+ * @returns {Array<{ byteRange: number[], contents: Buffer }>}
+ */
+const listSignatures = (pdfBuffer) => {
+  const text = pdfBuffer.toString('latin1');
+  return [...text.matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)].map(match => {
+    const byteRange = match.slice(1, 5).map(Number);
+    const hex = text.slice(byteRange[1] + 1, byteRange[2] - 1).replace(/\s/g, '');
+    return { byteRange, contents: Buffer.from(hex, 'hex') };
+  });
+};
+
+/**
+ * Carrega o PDF e guarda uma impressão de cada objeto, para descobrir depois o que foi alterado.
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{ pdfDoc: PDFDocument, snapshot: Map<string, string> }>}
+ */
+const loadForUpdate = async (pdfBuffer) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const snapshot = new Map();
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    snapshot.set(ref.tag, digestObject(object));
+  }
+  return { pdfDoc, snapshot };
+};
+
+/**
+ * Offset da última seção xref (valor após o último `startxref`).
+ */
+const findLastStartXref = (pdfBuffer) => {
+  const position = pdfBuffer.lastIndexOf('startxref');
+  const match = position === -1 ? null : /startxref\s+(\d+)/.exec(pdfBuffer.subarray(position, position + 64).toString('latin1'));
+  if (!match) throw new Error('PDF sem startxref: não é possível anexar uma atualização incremental.');
+  return Number(match[1]);
+};
+
+/**
+ * Linhas da seção xref, agrupando os objetos em subseções de números consecutivos.
+ */
+const buildXrefSection = (entries) => {
+  const lines = ['xref'];
+  let index = 0;
+  while (index < entries.length) {
+    let end = index;
+    while (end + 1 < entries.length && entries[end + 1].ref.objectNumber === entries[end].ref.objectNumber + 1) end++;
+    lines.push(`${entries[index].ref.objectNumber} ${end - index + 1}`);
+    for (let i = index; i <= end; i++) {
+      // Cada entrada tem exatamente 20 bytes (o fim de linha " \n" faz parte dela)
+      lines.push(`${String(entries[i].offset).padStart(10, '0')} ${String(entries[i].ref.generationNumber).padStart(5, '0')} n `);
+    }
+    index = end + 1;
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Anexa ao PDF original os objetos novos ou alterados desde loadForUpdate.
+ * @param {Buffer} pdfBuffer - Bytes exatamente como foram carregados.
+ * @param {{ pdfDoc: PDFDocument, snapshot: Map<string, string> }} update
+ * @returns {Promise<Buffer>} O PDF com a nova revisão (ou o original, se nada mudou).
+ */
+const saveIncremental = async (pdfBuffer, { pdfDoc, snapshot }) => {
+  await pdfDoc.flush(); // Fontes e imagens do pdf-lib só viram objetos aqui
+
+  const changed = pdfDoc.context.enumerateIndirectObjects()
+    .filter(([ref, object]) => snapshot.get(ref.tag) !== digestObject(object))
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber);
+  if (changed.length === 0) return pdfBuffer;
+
+  const chunks = [pdfBuffer];
+  let offset = pdfBuffer.length;
+  const push = (chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    offset += buffer.length;
+  };
+
+  if (pdfBuffer[pdfBuffer.length - 1] !== 0x0a) push('\n');
+
+  const entries = [];
+  for (const [ref, object] of changed) {
+    entries.push({ ref, offset });
+    push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+    push(serializeObject(object));
+    push('\nendobj\n');
+  }
+
+  const xrefOffset = offset;
+  const { Root, Info, ID } = pdfDoc.context.trailerInfo;
+  const trailer = pdfDoc.context.obj({
+    Size: pdfDoc.context.largestObjectNumber + 1,
+    Root,
+    ...(Info ? { Info } : {}),
+    ...(ID ? { ID } : {}),
+    Prev: findLastStartXref(pdfBuffer)
+  });
+
+  push(buildXrefSection(entries));
+  push('trailer\n');
+  push(serializeObject(trailer));
+  push(`\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+};
+
+// --- Alterações entre revisões ---
+
+// Alterações que não mexem no conteúdo do documento: novas assinaturas, carimbos do tempo, DSS e metadados
+const ALLOWED_CHANGES = ['SIGNATURE_ADDED', 'TIMESTAMP_ADDED', 'VALIDATION_DATA', 'METADATA'];
+
+const refsOf = (value) => {
+  if (value instanceof PDFRef) return [value];
+  if (value instanceof PDFArray) return value.asArray().filter(item => item instanceof PDFRef);
+  return [];
+};
+
+// Entradas de um dicionário (exceto `skipKeys`) em forma comparável entre revisões
+const describeEntries = (dict, skipKeys = []) => dict.entries()
+  .filter(([key]) => !skipKeys.includes(key.decodeText()))
+  .map(([key, value]) => `${key.decodeText()}=${value.toString()}`)
+  .sort()
+  .join('|');
+
+const isSignatureWidget = (context, annotation) => {
+  const dict = context.lookup(annotation);
+  if (!(dict instanceof PDFDict)) return false;
+  const fieldType = dict.get(PDFName.of('FT')) || context.lookup(dict.get(PDFName.of('Parent')))?.get?.(PDFName.of('FT'));
+  return fieldType === PDFName.of('Sig');
+};
+
+/**
+ * Papel de cada objeto indireto do arquivo: página, conteúdo de página, anotações, formulário, DSS ou metadados.
+ * @returns {Map<string, { role: string, page?: number }>}
+ */
+const mapObjectRoles = (pdfDoc) => {
+  const { context, catalog } = pdfDoc;
+  const roles = new Map();
+  const assign = (value, role, page) => refsOf(value).forEach(ref => {
+    if (!roles.has(ref.tag)) roles.set(ref.tag, { role, page });
+  });
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const number = index + 1;
+    roles.set(page.ref.tag, { role: 'PAGE', page: number });
+    const contents = page.node.get(PDFName.of('Contents'));
+    assign(contents, 'CONTENT', number);
+    if (contents instanceof PDFRef && context.lookup(contents) instanceof PDFArray) assign(context.lookup(contents), 'CONTENT', number);
+    const resources = page.node.get(PDFName.of('Resources'));
+    assign(resources, 'CONTENT', number);
+    const resourcesDict = context.lookup(resources);
+    if (resourcesDict instanceof PDFDict) resourcesDict.values().forEach(value => assign(value, 'CONTENT', number));
+    assign(page.node.get(PDFName.of('Annots')), 'ANNOTATIONS', number);
+  });
+
+  const { Root, Info } = context.trailerInfo;
+  assign(Root, 'CATALOG');
+  assign(Info, 'METADATA');
+  assign(catalog.get(PDFName.of('Metadata')), 'METADATA');
+  const acroForm = catalog.get(PDFName.of('AcroForm'));
+  assign(acroForm, 'ACROFORM');
+  const acroFormDict = context.lookup(acroForm);
+  if (acroFormDict instanceof PDFDict) assign(acroFormDict.get(PDFName.of('Fields')), 'ACROFORM');
+  const dss = catalog.get(PDFName.of('DSS'));
+  assign(dss, 'DSS');
+  const dssDict = context.lookup(dss);
+  if (dssDict instanceof PDFDict) dssDict.values().forEach(value => assign(value, 'DSS'));
+  return roles;
+};
+
+/**
+ * O que as revisões incrementais posteriores a `revisionEnd` mudaram no arquivo (ex: depois de uma assinatura).
+ * Os objetos da revisão são comparados com os do arquivo completo e classificados pelo papel no documento.
+ * @param {Buffer} pdfBuffer - Arquivo completo.
+ * @param {number} revisionEnd - Fim (em bytes) da revisão de referência, ex: o fim do ByteRange de uma assinatura.
+ * @returns {Promise<{ changes: Array<{ kind: string, pages?: number[], count: number }>, allowed: boolean }>}
+ *   `kind`: SIGNATURE_ADDED, TIMESTAMP_ADDED, VALIDATION_DATA (DSS), METADATA, PAGES_ADDED, PAGES_REMOVED,
+ *   PAGE_CONTENT, ANNOTATIONS, FORM_FIELDS ou OTHER. `allowed` é falso se algo além de assinaturas,
+ *   carimbos do tempo, DSS e metadados mudou.
+ */
+const listChangesSince = async (pdfBuffer, revisionEnd) => {
+  if (revisionEnd >= pdfBuffer.length) return { changes: [], allowed: true };
+
+  const [before, after] = await Promise.all([
+    loadForUpdate(pdfBuffer.subarray(0, revisionEnd)),
+    loadForUpdate(pdfBuffer)
+  ]);
+  const beforeContext = before.pdfDoc.context;
+  const afterContext = after.pdfDoc.context;
+
+  const changes = new Map();
+  const note = (kind, page) => {
+    const change = changes.get(kind) || { kind, pages: new Set(), count: 0 };
+    change.count++;
+    if (page) change.pages.add(page);
+    changes.set(kind, change);
+  };
+
+  // Páginas incluídas ou removidas
+  const beforePages = before.pdfDoc.getPages().map(page => page.ref.tag);
+  const afterPages = after.pdfDoc.getPages().map(page => page.ref.tag);
+  afterPages.forEach((tag, index) => { if (!beforePages.includes(tag)) note('PAGES_ADDED', index + 1); });
+  beforePages.forEach((tag, index) => { if (!afterPages.includes(tag)) note('PAGES_REMOVED', index + 1); });
+
+  // Anotações incluídas ou removidas de uma página (widgets de novas assinaturas não contam)
+  const compareAnnotations = (beforeValue, afterValue, page) => {
+    const beforeRefs = refsOf(beforeContext.lookup(beforeValue) || beforeValue).map(ref => ref.tag);
+    const afterRefs = refsOf(afterContext.lookup(afterValue) || afterValue);
+    const added = afterRefs.filter(ref => !beforeRefs.includes(ref.tag));
+    const removed = beforeRefs.filter(tag => !afterRefs.some(ref => ref.tag === tag));
+    if (removed.length > 0 || added.some(ref => !isSignatureWidget(afterContext, ref))) note('ANNOTATIONS', page);
+  };
+
+  const roles = mapObjectRoles(after.pdfDoc);
+  for (const [ref, object] of afterContext.enumerateIndirectObjects()) {
+    const previousDigest = before.snapshot.get(ref.tag);
+
+    // Objetos novos: só as assinaturas importam; o resto aparece quando um objeto existente passa a usá-lo
+    if (previousDigest === undefined) {
+      if (object instanceof PDFDict && object.has(PDFName.of('ByteRange'))) {
+        note(object.get(PDFName.of('Type')) === PDFName.of('DocTimeStamp') ? 'TIMESTAMP_ADDED' : 'SIGNATURE_ADDED');
+      }
+      continue;
+    }
+    if (previousDigest === after.snapshot.get(ref.tag)) continue;
+
+    const previous = beforeContext.lookup(ref);
+    const { role, page } = roles.get(ref.tag) || {};
+    if (role === 'PAGE') {
+      if (describeEntries(previous, ['Annots']) !== describeEntries(object, ['Annots'])) note('PAGE_CONTENT', page);
+      compareAnnotations(previous.get(PDFName.of('Annots')), object.get(PDFName.of('Annots')), page);
+    } else if (role === 'ANNOTATIONS') {
+      compareAnnotations(previous, object, page);
+    } else if (role === 'CONTENT') {
+      note('PAGE_CONTENT', page);
+    } else if (role === 'CATALOG') {
+      // O formulário é avaliado campo a campo; o DSS (e a extensão ESIC que o acompanha) são dados de validação
+      const ignored = ['DSS', 'AcroForm', 'Extensions'];
+      if (describeEntries(previous, ignored) !== describeEntries(object, ignored)) note('OTHER');
+      if (String(previous.get(PDFName.of('DSS'))) !== String(object.get(PDFName.of('DSS')))) note('VALIDATION_DATA');
+    } else if (role === 'DSS') {
+      note('VALIDATION_DATA');
+    } else if (role === 'METADATA') {
+      note('METADATA');
+    } else if (role === 'ACROFORM') {
+      // Lista de campos e recursos do formulário: os campos em si são avaliados um a um
+    } else if (object instanceof PDFDict && (object.has(PDFName.of('FT')) || object.get(PDFName.of('Subtype')) === PDFName.of('Widget'))) {
+      // Campo de assinatura vazio preenchido agora já conta pelo novo dicionário de assinatura
+      if (!isSignatureWidget(afterContext, ref)) note('FORM_FIELDS');
+    } else {
+      note('OTHER');
+    }
+  }
+  for (const tag of before.snapshot.keys()) {
+    if (!after.snapshot.has(tag)) note('OTHER');
+  }
+
+  const list = [...changes.values()].map(({ kind, pages, count }) => ({
+    kind,
+    count,
+    ...(pages.size > 0 ? { pages: [...pages].sort((a, b) => a - b) } : {})
+  }));
+  return { changes: list, allowed: list.every(change => ALLOWED_CHANGES.includes(change.kind)) };
+};
+
+module.exports = {
+  hasSignatures,
+  listSignatures,
+  loadForUpdate,
+  saveIncremental,
+  listChangesSince
+};
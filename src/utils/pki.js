@@ -0,0 +1,575 @@
+// src/utils/pki.js
+'use strict';
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/**
+ * Estruturas ASN.1 de PKI usadas pelas assinaturas PAdES, montadas e lidas com o node-forge:
+ * certificados A1 (.p12), CMS/CAdES (RFC 5652), carimbo do tempo (RFC 3161), OCSP (RFC 6960) e LCR (RFC 5280).
+ * As chaves são convertidas para KeyObject e assinadas/verificadas pelo crypto do Node.
+ */
+
+const { asn1 } = forge;
+const { Class, Type } = asn1;
+
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  signatureTimeStampToken: '1.2.840.113549.1.9.16.2.14',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  ocspBasic: '1.3.6.1.5.5.7.48.1.1',
+  ocsp: '1.3.6.1.5.5.7.48.1',
+  caIssuers: '1.3.6.1.5.5.7.48.2',
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+  subjectAltName: '2.5.29.17',
+  crlDistributionPoints: '2.5.29.31'
+};
+
+// Algoritmos de hash aceitos nas estruturas lidas (OID → nome do crypto do Node)
+const HASH_ALGORITHMS = {
+  [OIDS.sha1]: 'sha1',
+  [OIDS.sha256]: 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+  // Alguns emissores informam o algoritmo de assinatura no lugar do hash
+  '1.2.840.113549.1.1.5': 'sha1',
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512'
+};
+
+const OCSP_RESPONSE_STATUS = ['successful', 'malformedRequest', 'internalError', 'tryLater', null, 'sigRequired', 'unauthorized'];
+
+// --- Montagem e leitura de nós ASN.1 ---
+
+const seq = (value) => asn1.create(Class.UNIVERSAL, Type.SEQUENCE, true, value);
+const set = (value) => asn1.create(Class.UNIVERSAL, Type.SET, true, value);
+const oid = (value) => asn1.create(Class.UNIVERSAL, Type.OID, false, asn1.oidToDer(value).getBytes());
+const nullValue = () => asn1.create(Class.UNIVERSAL, Type.NULL, false, '');
+const octets = (buffer) => asn1.create(Class.UNIVERSAL, Type.OCTETSTRING, false, buffer.toString('binary'));
+const integer = (value) => asn1.create(Class.UNIVERSAL, Type.INTEGER, false, asn1.integerToDer(value).getBytes());
+const context = (tag, value) => asn1.create(Class.CONTEXT_SPECIFIC, tag, true, value);
+const algorithm = (id, withNullParameters = false) => seq(withNullParameters ? [oid(id), nullValue()] : [oid(id)]);
+
+const toDer = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+
+/**
+ * Lê DER sem decodificar BIT STRINGs (a recodificação devolve os mesmos bytes) e aceitando bytes sobrando
+ * depois da estrutura (o /Contents das assinaturas PDF é completado com zeros).
+ */
+const fromDer = (buffer) => asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')), {
+  strict: false,
+  parseAllBytes: false,
+  decodeBitStrings: false
+});
+
+const readOid = (node) => asn1.derToOid(node.value);
+const isContext = (node, tag) => node && node.tagClass === Class.CONTEXT_SPECIFIC && node.type === tag;
+
+// OCTET STRING pode vir fragmentado (BER construído)
+const readOctets = (node) => (node.constructed
+  ? Buffer.concat(node.value.map(readOctets))
+  : Buffer.from(node.value, 'binary'));
+
+const readTime = (node) => (node.type === Type.UTCTIME
+  ? asn1.utcTimeToDate(node.value)
+  : asn1.generalizedTimeToDate(node.value));
+
+const readInteger = (node) => Buffer.from(node.value, 'binary').toString('hex').replace(/^(00)+(?=.)/, '');
+
+const hash = (algorithmName, data) => crypto.createHash(algorithmName).update(data).digest();
+
+// Atributos (Attribute ::= SEQUENCE { type, SET OF values })
+const attribute = (type, value) => seq([oid(type), set([value])]);
+const readAttributes = (node) => (node ? node.value : []).map(attr => ({ type: readOid(attr.value[0]), values: attr.value[1].value }));
+const findAttribute = (attributes, type) => attributes.find(attr => attr.type === type)?.values[0] || null;
+
+// SET OF em DER: elementos ordenados pela codificação
+const derSortedSet = (nodes) => nodes
+  .map(node => ({ node, der: toDer(node) }))
+  .sort((a, b) => Buffer.compare(a.der, b.der))
+  .map(({ node }) => node);
+
+// --- Certificados ---
+
+/**
+ * Partes do TBSCertificate de um certificado (DER), como nós ASN.1.
+ * @returns {{ serialNumber, issuer, subject, subjectPublicKeyInfo, extensions: Array<{ id: string, value: Buffer }> }}
+ */
+const certificateParts = (certificateDer) => {
+  const tbs = fromDer(certificateDer).value[0];
+  const fields = isContext(tbs.value[0], 0) ? tbs.value.slice(1) : tbs.value; // A versão [0] é opcional
+  const [serialNumber, , issuer, , subject, subjectPublicKeyInfo] = fields;
+  const extensionsNode = fields.find(node => isContext(node, 3));
+  const extensions = extensionsNode
+    ? extensionsNode.value[0].value.map(ext => ({ id: readOid(ext.value[0]), value: readOctets(ext.value[ext.value.length - 1]) }))
+    : [];
+  return { serialNumber, issuer, subject, subjectPublicKeyInfo, extensions };
+};
+
+/**
+ * URLs publicadas no certificado: OCSP e emissor (Authority Information Access) e LCR (CRL Distribution Points).
+ * @returns {{ ocsp: string[], caIssuers: string[], crl: string[] }}
+ */
+const readCertificateUrls = (certificateDer) => {
+  const urls = { ocsp: [], caIssuers: [], crl: [] };
+  const isUri = (node) => isContext(node, 6) && !node.constructed;
+
+  for (const ext of certificateParts(certificateDer).extensions) {
+    if (ext.id === OIDS.authorityInfoAccess) {
+      for (const description of fromDer(ext.value).value) {
+        const [method, location] = description.value;
+        if (!isUri(location)) continue;
+        if (readOid(method) === OIDS.ocsp) urls.ocsp.push(location.value);
+        if (readOid(method) === OIDS.caIssuers) urls.caIssuers.push(location.value);
+      }
+    }
+    if (ext.id === OIDS.crlDistributionPoints) {
+      const collect = (node) => {
+        if (isUri(node)) urls.crl.push(node.value);
+        else if (node.constructed) node.value.forEach(collect);
+      };
+      collect(fromDer(ext.value));
+    }
+  }
+  return urls;
+};
+
+/**
+ * Nomes "otherName" do Subject Alternative Name (onde a ICP-Brasil grava CPF, CNPJ e dados do titular).
+ * @returns {Array<{ type: string, value: Buffer }>} `value` é o conteúdo do valor (OCTET STRING ou texto).
+ */
+const readOtherNames = (certificateDer) => {
+  const extension = certificateParts(certificateDer).extensions.find(ext => ext.id === OIDS.subjectAltName);
+  if (!extension) return [];
+  return fromDer(extension.value).value
+    .filter(name => isContext(name, 0) && name.constructed)
+    .map(name => {
+      const [typeId, wrapper] = name.value;
+      const inner = wrapper.value[0];
+      return { type: readOid(typeId), value: inner.constructed ? readOctets(inner) : Buffer.from(inner.value, 'binary') };
+    });
+};
+
+/**
+ * Resumo de um certificado para a trilha de auditoria e para a tela.
+ * @returns {{ subject: string, commonName: string|null, issuer: string, issuerCommonName: string|null,
+ *   serialNumber: string, notBefore: Date, notAfter: Date, sha256: string }}
+ */
+const describeCertificate = (certificateDer) => {
+  const x509 = new crypto.X509Certificate(certificateDer);
+  const commonNameOf = (dn) => (dn.split('\n').find(line => line.startsWith('CN=')) || '').slice(3) || null;
+  return {
+    subject: x509.subject.split('\n').join(', '),
+    commonName: commonNameOf(x509.subject),
+    issuer: x509.issuer.split('\n').join(', '),
+    issuerCommonName: commonNameOf(x509.issuer),
+    serialNumber: readInteger(certificateParts(certificateDer).serialNumber),
+    notBefore: new Date(x509.validFrom),
+    notAfter: new Date(x509.validTo),
+    sha256: hash('sha256', certificateDer).toString('hex')
+  };
+};
+
+/**
+ * Converte PEM (um ou mais blocos) ou DER em uma lista de DERs.
+ */
+const pemToDerList = (input, label = 'CERTIFICATE') => {
+  const text = Buffer.isBuffer(input) ? input.toString('latin1') : String(input);
+  if (!text.includes('-----BEGIN')) return [Buffer.from(input)];
+  const pattern = new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`, 'g');
+  return [...text.matchAll(pattern)].map(match => Buffer.from(match[1].replace(/\s+/g, ''), 'base64'));
+};
+
+/**
+ * Abre um certificado A1 (.p12/.pfx).
+ * @param {Buffer} p12Buffer
+ * @param {string} passphrase
+ * @returns {{ privateKey: KeyObject, certificate: Buffer, chain: Buffer[] }} `chain` começa pelo certificado da chave.
+ * @throws {Error} Senha incorreta, arquivo inválido ou sem chave privada correspondente a um certificado.
+ */
+const loadP12 = (p12Buffer, passphrase = '') => {
+  let p12;
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(p12Buffer.toString('binary')), false, passphrase || '');
+  } catch {
+    throw new Error('Não foi possível abrir o certificado: senha incorreta ou arquivo .p12/.pfx inválido.');
+  }
+
+  const keyBag = [forge.pki.oids.pkcs8ShroudedKeyBag, forge.pki.oids.keyBag]
+    .flatMap(bagType => p12.getBags({ bagType })[bagType] || [])
+    .find(bag => bag.key);
+  if (!keyBag) throw new Error('O arquivo do certificado não contém uma chave privada RSA.');
+
+  const certificates = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .filter(bag => bag.cert)
+    .map(bag => ({ cert: bag.cert, der: toDer(forge.pki.certificateToAsn1(bag.cert)) }));
+
+  const { n, e } = keyBag.key;
+  const leaf = certificates.find(({ cert }) => cert.publicKey.n && cert.publicKey.n.compareTo(n) === 0 && cert.publicKey.e.compareTo(e) === 0);
+  if (!leaf) throw new Error('Nenhum certificado do arquivo corresponde à chave privada.');
+
+  // Cadeia na ordem: certificado da chave, emissor, emissor do emissor...
+  const chain = [leaf.der];
+  let current = new crypto.X509Certificate(leaf.der);
+  const remaining = certificates.filter(item => item !== leaf).map(item => item.der);
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(der => current.checkIssued(new crypto.X509Certificate(der)));
+    if (index === -1 || current.checkIssued(current)) break;
+    const [issuer] = remaining.splice(index, 1);
+    chain.push(issuer);
+    current = new crypto.X509Certificate(issuer);
+  }
+  chain.push(...remaining);
+
+  return {
+    privateKey: crypto.createPrivateKey(forge.pki.privateKeyToPem(keyBag.key)),
+    certificate: leaf.der,
+    chain
+  };
+};
+
+// --- CMS (RFC 5652) ---
+
+/**
+ * Assinatura CAdES destacada (ETSI.CAdES.detached) com os atributos assinados do PAdES baseline:
+ * content-type, message-digest e signing-certificate-v2. Não leva signing-time: no PAdES a hora declarada
+ * vai no /M do dicionário de assinatura, e a hora confiável vem do carimbo do tempo.
+ * @param {Buffer} content - Bytes cobertos pelo ByteRange.
+ * @param {{ privateKey: KeyObject, certificate: Buffer, chain: Buffer[] }} credentials - Ver loadP12.
+ * @param {object} [options]
+ * @param {Function} [options.timestamp] - async (signatureValue: Buffer) => Buffer (TimeStampToken).
+ *   O token vira o atributo não assinado signature-time-stamp (PAdES-B-T).
+ * @returns {Promise<Buffer>} ContentInfo (SignedData) em DER.
+ */
+const signCades = async (content, { privateKey, certificate, chain }, { timestamp } = {}) => {
+  const { issuer, serialNumber } = certificateParts(certificate);
+
+  const signedAttributes = derSortedSet([
+    attribute(OIDS.contentType, oid(OIDS.data)),
+    attribute(OIDS.messageDigest, octets(hash('sha256', content))),
+    // SigningCertificateV2 { certs: [ESSCertIDv2 { certHash, issuerSerial { GeneralNames [directoryName], serial } }] }
+    attribute(OIDS.signingCertificateV2, seq([seq([seq([
+      octets(hash('sha256', certificate)),
+      seq([seq([context(4, [issuer])]), serialNumber])
+    ])])]))
+  ]);
+
+  // A assinatura cobre os atributos codificados como SET (e não com a tag [0] com que vão no SignerInfo)
+  const signature = crypto.sign('sha256', toDer(set(signedAttributes)), privateKey);
+  const unsignedAttributes = timestamp
+    ? [attribute(OIDS.signatureTimeStampToken, fromDer(await timestamp(signature)))]
+    : [];
+
+  const signerInfo = seq([
+    integer(1),
+    seq([issuer, serialNumber]),
+    algorithm(OIDS.sha256),
+    context(0, signedAttributes),
+    algorithm(OIDS.rsaEncryption, true),
+    octets(signature),
+    ...(unsignedAttributes.length > 0 ? [context(1, unsignedAttributes)] : [])
+  ]);
+
+  return toDer(seq([
+    oid(OIDS.signedData),
+    context(0, [seq([
+      integer(1),
+      set([algorithm(OIDS.sha256)]),
+      seq([oid(OIDS.data)]),
+      context(0, (chain || [certificate]).map(fromDer)),
+      set([signerInfo])
+    ])])
+  ]));
+};
+
+/**
+ * Lê um ContentInfo SignedData (assinatura CMS ou token de carimbo do tempo).
+ * @param {Buffer} der
+ * @returns {{ eContentType: string, eContent: Buffer|null, certificates: Buffer[], signerInfos: Array<object> }}
+ *   Cada signerInfo: { sid, digestAlgorithm, signatureAlgorithm, signature, signedAttributesDer, signedAttributes, unsignedAttributes }.
+ */
+const readSignedData = (der) => {
+  const contentInfo = fromDer(der);
+  if (readOid(contentInfo.value[0]) !== OIDS.signedData) throw new Error('O conteúdo não é uma assinatura CMS (SignedData).');
+
+  const [, , encapContentInfo, ...rest] = contentInfo.value[1].value[0].value;
+  const certificatesNode = rest.find(node => isContext(node, 0));
+  const signerInfosNode = rest[rest.length - 1];
+
+  const signerInfos = signerInfosNode.value.map(node => {
+    const [, sid, digestAlgorithm, ...others] = node.value;
+    const signedNode = isContext(others[0], 0) ? others.shift() : null;
+    const [signatureAlgorithm, signature, unsignedNode] = others;
+    return {
+      sid,
+      digestAlgorithm: readOid(digestAlgorithm.value[0]),
+      signatureAlgorithm: readOid(signatureAlgorithm.value[0]),
+      signature: readOctets(signature),
+      signedAttributesDer: signedNode ? toDer(set(signedNode.value)) : null,
+      signedAttributes: readAttributes(signedNode),
+      unsignedAttributes: readAttributes(unsignedNode)
+    };
+  });
+
+  return {
+    eContentType: readOid(encapContentInfo.value[0]),
+    eContent: encapContentInfo.value[1] ? readOctets(encapContentInfo.value[1].value[0]) : null,
+    certificates: certificatesNode
+      ? certificatesNode.value.filter(node => node.tagClass === Class.UNIVERSAL && node.type === Type.SEQUENCE).map(toDer)
+      : [],
+    signerInfos
+  };
+};
+
+/**
+ * Certificado do signatário de um SignerInfo (por emissor + número de série ou por identificador da chave).
+ */
+const findSignerCertificate = (signerInfo, certificates) => {
+  const { sid } = signerInfo;
+  if (isContext(sid, 0)) {
+    const keyId = readOctets(sid).toString('hex');
+    return certificates.find(der => {
+      const skiExtension = certificateParts(der).extensions.find(ext => ext.id === '2.5.29.14');
+      return Boolean(skiExtension) && readOctets(fromDer(skiExtension.value)).toString('hex') === keyId;
+    }) || null;
+  }
+  const [issuer, serialNumber] = sid.value;
+  const issuerDer = toDer(issuer);
+  const serial = readInteger(serialNumber);
+  return certificates.find(der => {
+    const parts = certificateParts(der);
+    return readInteger(parts.serialNumber) === serial && toDer(parts.issuer).equals(issuerDer);
+  }) || null;
+};
+
+/**
+ * Confere um SignerInfo contra o conteúdo assinado.
+ * @param {object} signerInfo - Item de readSignedData().signerInfos.
+ * @param {Buffer[]} certificates - Certificados disponíveis (os do próprio CMS, normalmente).
+ * @param {Buffer} content - Conteúdo assinado (os bytes do ByteRange, ou o eContent).
+ * @returns {{ certificate: Buffer|null, digestAlgorithm: string|null, digestMatches: boolean, signatureValid: boolean }}
+ */
+const verifySignerInfo = (signerInfo, certificates, content) => {
+  const digestAlgorithm = HASH_ALGORITHMS[signerInfo.digestAlgorithm] || null;
+  const certificate = findSignerCertificate(signerInfo, certificates);
+  const result = { certificate, digestAlgorithm, digestMatches: false, signatureValid: false };
+  if (!digestAlgorithm || !certificate) return result;
+
+  let signedBytes = content;
+  if (signerInfo.signedAttributesDer) {
+    const messageDigest = findAttribute(signerInfo.signedAttributes, OIDS.messageDigest);
+    result.digestMatches = Boolean(messageDigest) && readOctets(messageDigest).equals(hash(digestAlgorithm, content));
+    signedBytes = signerInfo.signedAttributesDer;
+  } else {
+    result.digestMatches = true; // Sem atributos assinados, a assinatura cobre o conteúdo diretamente
+  }
+
+  const key = new crypto.X509Certificate(certificate).publicKey;
+  const keyOptions = signerInfo.signatureAlgorithm === OIDS.rsassaPss
+    ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO }
+    : key;
+  try {
+    result.signatureValid = crypto.verify(digestAlgorithm, signedBytes, keyOptions, signerInfo.signature);
+  } catch {
+    result.signatureValid = false;
+  }
+  return result;
+};
+
+/**
+ * Horário declarado pelo signatário (atributo assinado signing-time) e carimbo do tempo da assinatura
+ * (atributo não assinado signature-time-stamp), quando presentes.
+ * @returns {{ signingTime: Date|null, timestampToken: Buffer|null }}
+ */
+const readSignerInfoTimes = (signerInfo) => {
+  const signingTime = findAttribute(signerInfo.signedAttributes, OIDS.signingTime);
+  const token = findAttribute(signerInfo.unsignedAttributes, OIDS.signatureTimeStampToken);
+  return {
+    signingTime: signingTime ? readTime(signingTime) : null,
+    timestampToken: token ? toDer(token) : null
+  };
+};
+
+/**
+ * Todos os certificados de uma assinatura CMS, inclusive os dos carimbos do tempo embutidos nela.
+ * @returns {Buffer[]}
+ */
+const collectSignedDataCertificates = (der) => {
+  const signedData = readSignedData(der);
+  const tokens = signedData.signerInfos
+    .map(info => findAttribute(info.unsignedAttributes, OIDS.signatureTimeStampToken))
+    .filter(Boolean);
+  return [...signedData.certificates, ...tokens.flatMap(token => readSignedData(toDer(token)).certificates)];
+};
+
+// --- Carimbo do tempo (RFC 3161) ---
+
+/**
+ * TimeStampReq sobre o SHA-256 de `data`, pedindo o certificado da TSA no token.
+ * @param {Buffer} data
+ * @param {object} [options] - { policy }: OID da política da TSA, se exigido.
+ * @returns {{ der: Buffer, nonce: string }}
+ */
+const createTimestampRequest = (data, { policy = null } = {}) => {
+  const nonce = crypto.randomBytes(8);
+  nonce[0] = (nonce[0] & 0x7f) | 0x01; // Inteiro positivo sem zeros à esquerda
+
+  const der = toDer(seq([
+    integer(1),
+    seq([algorithm(OIDS.sha256), octets(hash('sha256', data))]),
+    ...(policy ? [oid(policy)] : []),
+    asn1.create(Class.UNIVERSAL, Type.INTEGER, false, nonce.toString('binary')),
+    asn1.create(Class.UNIVERSAL, Type.BOOLEAN, false, String.fromCharCode(0xff))
+  ]));
+  return { der, nonce: nonce.toString('hex') };
+};
+
+/**
+ * Lê o TSTInfo de um token de carimbo do tempo.
+ * @returns {{ policy: string, hashAlgorithm: string|null, messageImprint: Buffer, serialNumber: string, genTime: Date, nonce: string|null }}
+ */
+const readTimestampToken = (tokenDer) => {
+  const signedData = readSignedData(tokenDer);
+  if (signedData.eContentType !== OIDS.tstInfo || !signedData.eContent) throw new Error('O token não é um carimbo do tempo RFC 3161.');
+
+  const [, policy, messageImprint, serialNumber, genTime, ...optional] = fromDer(signedData.eContent).value;
+  const nonce = optional.find(node => node.tagClass === Class.UNIVERSAL && node.type === Type.INTEGER);
+  return {
+    policy: readOid(policy),
+    hashAlgorithm: HASH_ALGORITHMS[readOid(messageImprint.value[0].value[0])] || null,
+    messageImprint: readOctets(messageImprint.value[1]),
+    serialNumber: readInteger(serialNumber),
+    genTime: readTime(genTime),
+    nonce: nonce ? readInteger(nonce) : null,
+    signedData
+  };
+};
+
+/**
+ * Valida a TimeStampResp da TSA: status, hash carimbado, nonce e assinatura do token.
+ * @param {Buffer} responseDer
+ * @param {object} expected - { data, nonce } usados em createTimestampRequest.
+ * @returns {{ token: Buffer, genTime: Date, serialNumber: string, tsaCertificate: Buffer }}
+ */
+const parseTimestampResponse = (responseDer, { data, nonce }) => {
+  const [statusInfo, tokenNode] = fromDer(responseDer).value;
+  const status = asn1.derToInteger(statusInfo.value[0].value);
+  if (status > 1 || !tokenNode) {
+    const detail = statusInfo.value[1] ? statusInfo.value[1].value.map(node => node.value).join(' ') : `status ${status}`;
+    throw new Error(`A TSA recusou o pedido de carimbo do tempo (${detail}).`);
+  }
+
+  const token = toDer(tokenNode);
+  const info = readTimestampToken(token);
+  if (!info.hashAlgorithm || !info.messageImprint.equals(hash(info.hashAlgorithm, data))) {
+    throw new Error('O carimbo do tempo devolvido pela TSA não corresponde aos dados enviados.');
+  }
+  if (info.nonce !== nonce.replace(/^(00)+(?=.)/, '')) throw new Error('O carimbo do tempo devolvido pela TSA tem outro nonce.');
+
+  const [signerInfo] = info.signedData.signerInfos;
+  const verification = verifySignerInfo(signerInfo, info.signedData.certificates, info.signedData.eContent);
+  if (!verification.certificate || !verification.digestMatches || !verification.signatureValid) {
+    throw new Error('A assinatura do carimbo do tempo devolvido pela TSA é inválida.');
+  }
+
+  return { token, genTime: info.genTime, serialNumber: info.serialNumber, tsaCertificate: verification.certificate };
+};
+
+// --- OCSP (RFC 6960) e LCR (RFC 5280) ---
+
+/**
+ * OCSPRequest para um certificado (CertID com SHA-1, como exigem os responders em geral).
+ */
+const createOcspRequest = (certificateDer, issuerDer) => {
+  const issuer = certificateParts(issuerDer);
+  const subjectPublicKey = Buffer.from(issuer.subjectPublicKeyInfo.value[1].value, 'binary').subarray(1); // Sem o byte de bits não usados
+  const certId = seq([
+    algorithm(OIDS.sha1, true),
+    octets(hash('sha1', toDer(issuer.subject))),
+    octets(hash('sha1', subjectPublicKey)),
+    certificateParts(certificateDer).serialNumber
+  ]);
+  return toDer(seq([seq([seq([seq([certId])])])]));
+};
+
+/**
+ * Lê uma OCSPResponse (a primeira SingleResponse).
+ * @returns {{ responseStatus: string, certStatus: 'GOOD'|'REVOKED'|'UNKNOWN'|null, producedAt: Date|null,
+ *   thisUpdate: Date|null, nextUpdate: Date|null, revokedAt: Date|null, certificates: Buffer[] }}
+ */
+const readOcspResponse = (der) => {
+  const [statusNode, responseBytes] = fromDer(der).value;
+  const responseStatus = OCSP_RESPONSE_STATUS[asn1.derToInteger(statusNode.value)] || 'unknown';
+  const empty = { responseStatus, certStatus: null, producedAt: null, thisUpdate: null, nextUpdate: null, revokedAt: null, certificates: [] };
+  if (responseStatus !== 'successful' || !responseBytes) return empty;
+
+  const [responseType, response] = responseBytes.value[0].value;
+  if (readOid(responseType) !== OIDS.ocspBasic) return empty;
+
+  const [tbsResponseData, , , certsNode] = fromDer(readOctets(response)).value;
+  const fields = isContext(tbsResponseData.value[0], 0) ? tbsResponseData.value.slice(1) : tbsResponseData.value;
+  const [, producedAt, responses] = fields;
+  const [, certStatus, thisUpdate, ...singleRest] = responses.value[0].value;
+  const nextUpdate = singleRest.find(node => isContext(node, 0));
+
+  return {
+    responseStatus,
+    certStatus: ['GOOD', 'REVOKED', 'UNKNOWN'][certStatus.type] || null,
+    producedAt: readTime(producedAt),
+    thisUpdate: readTime(thisUpdate),
+    nextUpdate: nextUpdate ? readTime(nextUpdate.value[0]) : null,
+    revokedAt: certStatus.type === 1 ? readTime(certStatus.value[0]) : null,
+    certificates: isContext(certsNode, 0) ? certsNode.value[0].value.map(toDer) : []
+  };
+};
+
+/**
+ * Lê uma LCR (CertificateList).
+ * @returns {{ issuer: Buffer, thisUpdate: Date, nextUpdate: Date|null, revokedSerials: Set<string> }}
+ */
+const readCrl = (der) => {
+  const tbsCertList = fromDer(der).value[0];
+  const fields = tbsCertList.value[0].type === Type.INTEGER ? tbsCertList.value.slice(1) : tbsCertList.value;
+  const [, issuer, thisUpdate, ...rest] = fields;
+  const nextUpdate = rest[0] && [Type.UTCTIME, Type.GENERALIZEDTIME].includes(rest[0].type) ? rest.shift() : null;
+  const revoked = rest[0] && rest[0].tagClass === Class.UNIVERSAL && rest[0].type === Type.SEQUENCE ? rest[0].value : [];
+
+  return {
+    issuer: toDer(issuer),
+    thisUpdate: readTime(thisUpdate),
+    nextUpdate: nextUpdate ? readTime(nextUpdate) : null,
+    revokedSerials: new Set(revoked.map(entry => readInteger(entry.value[0])))
+  };
+};
+
+module.exports = {
+  OIDS,
+  loadP12,
+  pemToDerList,
+  certificateParts,
+  readCertificateUrls,
+  readOtherNames,
+  describeCertificate,
+  readInteger,
+  signCades,
+  readSignedData,
+  verifySignerInfo,
+  readSignerInfoTimes,
+  collectSignedDataCertificates,
+  createTimestampRequest,
+  readTimestampToken,
+  parseTimestampResponse,
+  createOcspRequest,
+  readOcspResponse,
+  readCrl
+};
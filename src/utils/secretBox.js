@@ -0,0 +1,50 @@
+// src/utils/secretBox.js
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Cifra de segredos guardados no banco (ex: certificado A1 de selagem do tenant e a senha dele).
+ * AES-256-GCM com IV aleatório; o texto gravado é "v1:<iv>:<tag>:<dados>" em base64.
+ * A chave vem de SETTINGS_ENCRYPTION_KEY (se vazia, usa a JWT_SECRET). Trocar a chave torna ilegíveis
+ * os segredos já gravados: eles precisam ser enviados de novo.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+  const secret = process.env.SETTINGS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) throw new Error('SETTINGS_ENCRYPTION_KEY não configurado.');
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * @param {Buffer|string} plaintext
+ * @returns {string}
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(Buffer.isBuffer(plaintext) ? plaintext : Buffer.from(String(plaintext), 'utf8')), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+};
+
+/**
+ * @param {string} sealed - Texto gerado por `encrypt`.
+ * @returns {Buffer}
+ * @throws {Error} Formato desconhecido, chave trocada ou conteúdo adulterado.
+ */
+const decrypt = (sealed) => {
+  const [version, iv, tag, data] = String(sealed).split(':');
+  if (version !== VERSION || !data) throw new Error('Segredo cifrado em formato desconhecido.');
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  } catch {
+    throw new Error('Não foi possível decifrar o segredo (chave SETTINGS_ENCRYPTION_KEY diferente ou dado adulterado).');
+  }
+};
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,47 @@
+// src/utils/signerRoles.js
+'use strict';
+
+/**
+ * Papéis do signatário e o comportamento de cada um no fluxo de assinatura.
+ * - SIGNER: assina com a imagem da assinatura (padrão).
+ * - APPROVER: aprova, sem assinatura desenhada.
+ * - WITNESS: assina como "Testemunha".
+ * - ACKNOWLEDGER: apenas confirma o recebimento/ciência.
+ * - OBSERVER: recebe cópias; não recebe link e não bloqueia a conclusão.
+ */
+const SIGNER_ROLES = ['SIGNER', 'APPROVER', 'WITNESS', 'ACKNOWLEDGER', 'OBSERVER'];
+
+// Rótulo usado nos carimbos do PDF e no certificado
+const ROLE_LABELS = {
+  SIGNER: 'Assinado por',
+  APPROVER: 'Aprovado por',
+  WITNESS: 'Testemunha',
+  ACKNOWLEDGER: 'Ciente',
+  OBSERVER: 'Observador (cópia)'
+};
+
+// Nome do papel no certificado e nas mensagens
+const ROLE_NAMES = {
+  SIGNER: 'Signatário',
+  APPROVER: 'Aprovador',
+  WITNESS: 'Testemunha',
+  ACKNOWLEDGER: 'Ciente',
+  OBSERVER: 'Observador'
+};
+
+const roleOf = (signer) => signer.role || 'SIGNER';
+
+/** O papel exige a imagem da assinatura no commit? */
+const requiresDrawnSignature = (signer) => ['SIGNER', 'WITNESS'].includes(roleOf(signer));
+
+/** O papel precisa concluir para o documento ser finalizado? */
+const blocksCompletion = (signer) => roleOf(signer) !== 'OBSERVER';
+
+module.exports = {
+  SIGNER_ROLES,
+  ROLE_LABELS,
+  ROLE_NAMES,
+  roleOf,
+  requiresDrawnSignature,
+  blocksCompletion
+};
@@ -0,0 +1,38 @@
+// src/utils/userAgent.js
+'use strict';
+
+const UAParser = require('ua-parser-js');
+
+// Clientes automatizados, que o ua-parser-js não classifica como dispositivo
+const BOT_PATTERN = /bot|crawler|spider|curl|wget|python-requests|axios|node-fetch|postman/i;
+
+/**
+ * Tipo do dispositivo: mobile, tablet, desktop ou bot.
+ * O ua-parser-js só informa o tipo de aparelhos móveis; sem tipo, é desktop.
+ */
+const parseDeviceType = (ua, device) => {
+  if (BOT_PATTERN.test(ua)) return 'bot';
+  if (device.type === 'tablet') return 'tablet';
+  if (device.type === 'mobile' || device.type === 'wearable') return 'mobile';
+  return 'desktop';
+};
+
+/**
+ * Extrai navegador, sistema operacional e tipo de dispositivo do header User-Agent.
+ * @param {string} userAgent
+ * @returns {{ browser: string|null, browserVersion: string|null, os: string|null, osVersion: string|null, deviceType: string }}
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = String(userAgent || '');
+  const { browser, os, device } = new UAParser(ua).getResult();
+
+  return {
+    browser: browser.name || null,
+    browserVersion: browser.version || null,
+    os: os.name || null,
+    osVersion: os.version || null,
+    deviceType: parseDeviceType(ua, device)
+  };
+};
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,96 @@
+// test/bulkSend.service.test.js
+'use strict';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BulkSend, BulkSendItem, User } = require('../src/models');
+const templateService = require('../src/features/template/template.service');
+const bulkSendService = require('../src/features/template/bulkSend.service');
+
+afterEach(() => mock.restoreAll());
+
+// Lote PROCESSING parado há uma hora, com as linhas em memória (o banco não é usado no teste)
+const mockBulkSend = (rows) => {
+  const items = rows.map((status, index) => ({
+    id: `item-${index + 1}`,
+    rowNumber: index + 1,
+    status,
+    data: { nome: `Pessoa ${index + 1}`, email: `pessoa${index + 1}@example.com` },
+    save: async () => {}
+  }));
+  const bulk = {
+    id: 'lote-1',
+    tenantId: 'tenant-1',
+    templateId: 'modelo-1',
+    ownerId: 'dono-1',
+    options: {},
+    status: 'PROCESSING',
+    updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+    successCount: items.filter(i => i.status === 'SENT').length,
+    failureCount: 0,
+    finishedAt: null,
+    increment: async (field, { by = 1 } = {}) => { bulk[field] += by; },
+    reload: async () => {},
+    save: async () => {}
+  };
+  const pending = () => items.filter(i => i.status === 'PENDING');
+
+  mock.method(BulkSend, 'findAll', async () => [bulk]);
+  mock.method(BulkSend, 'findByPk', async () => bulk);
+  mock.method(BulkSend, 'update', async () => [1]);
+  mock.method(BulkSendItem, 'findOne', async () => pending()[0] || null);
+  mock.method(BulkSendItem, 'findAll', async () => pending());
+  mock.method(BulkSendItem, 'update', async (values, { where }) => {
+    const matched = pending().filter(i => !where.id || i.id === where.id);
+    matched.forEach(i => Object.assign(i, values));
+    return [matched.length];
+  });
+  return { bulk, items };
+};
+
+const waitUntil = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setImmediate(resolve));
+  assert.ok(condition(), 'o processamento em segundo plano não terminou');
+};
+
+test('resumeInterruptedBulkSends: a linha interrompida falha e as demais pendentes são enviadas', async () => {
+  const { bulk, items } = mockBulkSend(['SENT', 'PENDING', 'PENDING']);
+  mock.method(User, 'findOne', async () => ({ toJSON: () => ({ id: 'dono-1', tenantId: 'outro-tenant' }) }));
+  mock.method(templateService, 'findTemplateById', async () => ({ id: 'modelo-1', roles: [{ name: 'Cliente' }] }));
+  const created = mock.method(templateService, 'createDocumentFromTemplate', async () => ({ id: 'documento-3' }));
+
+  assert.equal(await bulkSendService.resumeInterruptedBulkSends(), 1);
+  await waitUntil(() => bulk.finishedAt);
+
+  assert.equal(items[1].status, 'FAILED');
+  assert.match(items[1].error, /interrompido/);
+  assert.equal(items[2].status, 'SENT');
+  assert.equal(items[2].documentId, 'documento-3');
+  assert.equal(created.mock.callCount(), 1);
+  assert.equal(created.mock.calls[0].arguments[2].tenantId, 'tenant-1'); // Tenant do lote, não o do cadastro
+  assert.equal(bulk.status, 'COMPLETED_WITH_ERRORS');
+});
+
+test('resumeInterruptedBulkSends: sem o dono ativo, as linhas pendentes falham e o lote é encerrado', async () => {
+  const { bulk, items } = mockBulkSend(['PENDING', 'PENDING']);
+  mock.method(User, 'findOne', async () => null);
+  const created = mock.method(templateService, 'createDocumentFromTemplate', async () => ({ id: 'x' }));
+
+  assert.equal(await bulkSendService.resumeInterruptedBulkSends(), 1);
+
+  assert.deepEqual(items.map(i => i.status), ['FAILED', 'FAILED']);
+  assert.equal(bulk.failureCount, 2);
+  assert.equal(bulk.status, 'FAILED');
+  assert.ok(bulk.finishedAt);
+  assert.equal(created.mock.callCount(), 0);
+});
+
+test('resumeInterruptedBulkSends: lote reivindicado por outra instância não é tocado', async () => {
+  const { bulk, items } = mockBulkSend(['PENDING']);
+  mock.method(BulkSend, 'update', async () => [0]);
+
+  assert.equal(await bulkSendService.resumeInterruptedBulkSends(), 0);
+  assert.equal(items[0].status, 'PENDING');
+  assert.equal(bulk.status, 'PROCESSING');
+});
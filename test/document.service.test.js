@@ -0,0 +1,65 @@
+// test/document.service.test.js
+'use strict';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doculink-integrity-'));
+process.env.PADES_LEVEL = 'B-B'; // Sem TSA nem OCSP: só a assinatura
+process.env.PADES_TRUST_STORE_PATH = path.join(workDir, 'root.pem');
+
+const { PDFDocument } = require('pdf-lib');
+const { Document } = require('../src/models');
+const documentService = require('../src/features/document/document.service');
+const padesService = require('../src/services/pades.service');
+const { loadForUpdate, saveIncremental } = require('../src/utils/pdfIncrementalUpdate');
+const { createCredentials } = require('./helpers/pki');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+let signedBuffer;
+
+before(async () => {
+  const seal = { credentials: createCredentials(process.env.PADES_TRUST_STORE_PATH) };
+  const original = await PDFDocument.create();
+  original.addPage([595, 842]).drawText('Contrato de teste', { x: 50, y: 780 });
+  ({ buffer: signedBuffer } = await padesService.applyPadesSignatureWithStamps(Buffer.from(await original.save()), [], seal));
+
+  // Documento registrado com o hash do arquivo selado (o banco não é usado no teste)
+  mock.method(Document, 'findAll', async () => [{
+    sha256: sha256(signedBuffer),
+    status: 'SIGNED',
+    title: 'Contrato de teste',
+    updatedAt: new Date(),
+    owner: { name: 'Dono' },
+    Signers: []
+  }]);
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('validatePdfIntegrity: o arquivo selado, sem alterações, é válido', async () => {
+  const result = await documentService.validatePdfIntegrity(signedBuffer);
+  assert.equal(result.match, 'EXACT');
+  assert.equal(result.signatureValidation.status, 'VALID');
+  assert.equal(result.valid, true);
+});
+
+test('validatePdfIntegrity: revisão acrescentada depois da selagem torna o arquivo inválido', async () => {
+  const update = await loadForUpdate(signedBuffer);
+  update.pdfDoc.addPage([595, 842]).drawText('Cláusula incluída depois', { x: 50, y: 780 });
+  const modified = await saveIncremental(signedBuffer, update);
+
+  const result = await documentService.validatePdfIntegrity(modified);
+  assert.equal(result.match, 'REVISION');
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'MODIFIED_AFTER_SIGNING');
+  assert.equal(result.document.modifiedAfterRevision, signedBuffer.length);
+});
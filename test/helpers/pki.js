@@ -0,0 +1,50 @@
+// test/helpers/pki.js
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { loadP12 } = require('../../src/utils/pki');
+
+/**
+ * AC raiz e certificado de assinatura de teste, no formato devolvido por loadP12.
+ * O certificado da AC é gravado em `trustStorePath` (use o mesmo caminho em PADES_TRUST_STORE_PATH).
+ */
+const createCredentials = (trustStorePath) => {
+  const newKeys = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return {
+      privateKey: forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })),
+      publicKey: forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }))
+    };
+  };
+  const issue = (keys, subject, issuer, signingKey, extensions, serialNumber) => {
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = serialNumber;
+    cert.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+    cert.setSubject([{ name: 'commonName', value: subject }]);
+    cert.setIssuer([{ name: 'commonName', value: issuer }]);
+    cert.setExtensions(extensions);
+    cert.sign(signingKey, forge.md.sha256.create());
+    return cert;
+  };
+
+  const rootKeys = newKeys();
+  const root = issue(rootKeys, 'AC Teste', 'AC Teste', rootKeys.privateKey, [
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true }
+  ], '01');
+  const leafKeys = newKeys();
+  const leaf = issue(leafKeys, 'Selo Teste', 'AC Teste', rootKeys.privateKey, [
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, nonRepudiation: true, critical: true }
+  ], '02');
+
+  fs.writeFileSync(trustStorePath, forge.pki.certificateToPem(root));
+  const p12 = forge.pkcs12.toPkcs12Asn1(leafKeys.privateKey, [leaf, root], 'teste', { algorithm: '3des' });
+  return loadP12(Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'), 'teste');
+};
+
+module.exports = { createCredentials };
@@ -0,0 +1,36 @@
+// test/otpGuard.service.test.js
+'use strict';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OtpCode, sequelize } = require('../src/models');
+const otpGuard = require('../src/services/otpGuard.service');
+
+afterEach(() => mock.restoreAll());
+
+test('reserveCodeAttempt: a tentativa é reservada num único UPDATE condicional ao limite', async () => {
+  const queries = [];
+  mock.method(sequelize, 'query', async (sql) => {
+    queries.push(sql.query || sql);
+    return [OtpCode.build({ attempts: 3 })]; // Linha devolvida pelo RETURNING
+  });
+
+  const otpRecord = { id: 'codigo-1', attempts: 2 };
+  const attempt = await otpGuard.reserveCodeAttempt(otpRecord);
+
+  assert.deepEqual(attempt, { attempts: 3, remaining: otpGuard.OTP_MAX_ATTEMPTS - 3 });
+  assert.equal(otpRecord.attempts, 3);
+  assert.equal(queries.length, 1);
+  assert.match(queries[0], /^UPDATE "OtpCodes" SET "attempts"="attempts" \+ 1 WHERE/);
+  assert.match(queries[0], /"consumedAt" IS NULL/);
+  assert.match(queries[0], new RegExp(`"attempts" < ${otpGuard.OTP_MAX_ATTEMPTS} RETURNING`));
+});
+
+test('reserveCodeAttempt: sem linha atualizada (limite atingido por outra requisição) não há tentativa', async () => {
+  mock.method(sequelize, 'query', async () => []);
+
+  const otpRecord = { id: 'codigo-1', attempts: otpGuard.OTP_MAX_ATTEMPTS - 1 };
+  assert.equal(await otpGuard.reserveCodeAttempt(otpRecord), null);
+  assert.equal(otpRecord.attempts, otpGuard.OTP_MAX_ATTEMPTS - 1);
+});
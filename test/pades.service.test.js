@@ -0,0 +1,84 @@
+// test/pades.service.test.js
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doculink-pades-'));
+process.env.PADES_LEVEL = 'B-B'; // Sem TSA nem OCSP: só a assinatura
+process.env.PADES_TRUST_STORE_PATH = path.join(workDir, 'root.pem');
+
+const padesService = require('../src/services/pades.service');
+const { validatePdfSignatures } = require('../src/services/pdfSignatureValidation.service');
+const { createCredentials } = require('./helpers/pki');
+
+let seal;
+let signatureImage;
+
+before(async () => {
+  seal = { credentials: createCredentials(process.env.PADES_TRUST_STORE_PATH) };
+
+  // readSignatureImage resolve o caminho a partir da raiz do projeto
+  const imagePath = path.join(workDir, 'assinatura.png');
+  const png = await sharp({ create: { width: 300, height: 100, channels: 4, background: { r: 0, g: 0, b: 120, alpha: 1 } } }).png().toBuffer();
+  fs.writeFileSync(imagePath, png);
+  signatureImage = path.relative(path.join(__dirname, '..'), imagePath);
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('PAdES por signatário: todas as assinaturas continuam válidas depois da selagem', async () => {
+  const original = await PDFDocument.create();
+  original.addPage([595, 842]).drawText('Contrato de teste', { x: 50, y: 780 });
+  original.addPage([595, 842]);
+  let buffer = Buffer.from(await original.save());
+
+  const signer = (id, name, extra) => ({
+    id,
+    name,
+    role: 'SIGNER',
+    signedAt: new Date(),
+    artefactPath: signatureImage,
+    initialsArtefactPath: signatureImage,
+    ...extra
+  });
+
+  // Cada signatário com carimbo, campos e rubrica em todas as páginas
+  ({ buffer } = await padesService.appendSignerSignature(buffer, signer('11111111-a', 'Maria Souza', {
+    positionX: 50, positionY: 100, positionPage: 1, initialsSlot: 0,
+    fields: [{ type: 'NAME', page: 2, x: 50, y: 500, width: 200, height: 20 }]
+  }), { seal }));
+  ({ buffer } = await padesService.appendSignerSignature(buffer, signer('22222222-b', 'João Silva', {
+    positionX: 300, positionY: 100, positionPage: 1, initialsSlot: 1,
+    fields: [
+      { type: 'TEXT', value: 'Łukasz ✓', page: 1, x: 50, y: 600, width: 200, height: 20 },
+      { type: 'CHECKBOX', value: 'true', page: 2, x: 50, y: 400, width: 12, height: 12 },
+      { type: 'SIGNATURE', page: 2, x: 300, y: 400, width: 120, height: 40 }
+    ]
+  }), { seal }));
+
+  // Selo com o que ainda falta desenhar (signatário sem revisão própria)
+  ({ buffer } = await padesService.applyPadesSignatureWithStamps(buffer, [
+    signer('33333333-c', 'Carla Lima', {
+      positionX: 100, positionY: 700, positionPage: 2, stampInitials: true, initialsSlot: 2,
+      fields: [{ type: 'DATE_SIGNED', page: 1, x: 300, y: 600, width: 100, height: 14 }]
+    })
+  ], seal));
+
+  const result = await validatePdfSignatures(buffer);
+  assert.equal(result.signatures.length, 3);
+  for (const signature of result.signatures) {
+    assert.equal(signature.status, 'VALID', `${signature.fieldName}: ${signature.errors.join(' | ')}`);
+    assert.equal(signature.changesAfterSigning.allowed, true);
+  }
+  assert.equal(result.status, 'VALID');
+
+  // Nada foi desenhado nas páginas nem acrescentado ao documento depois da primeira assinatura
+  const signed = await PDFDocument.load(buffer);
+  assert.equal(signed.getPageCount(), 2);
+});
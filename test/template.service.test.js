@@ -0,0 +1,60 @@
+// test/template.service.test.js
+'use strict';
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Template } = require('../src/models');
+const templateService = require('../src/features/template/template.service');
+
+afterEach(() => mock.restoreAll());
+
+const user = { id: 'dono-1', tenantId: 'tenant-1' };
+
+// Modelo em memória (o banco não é usado no teste)
+const mockTemplate = () => {
+  const template = { id: 'modelo-1', update: mock.fn(async () => {}) };
+  mock.method(Template, 'findOne', async () => template);
+  return template;
+};
+
+test('updateTemplate: os padrões passam pela mesma validação do createTemplate', async () => {
+  const template = mockTemplate();
+
+  await assert.rejects(templateService.updateTemplate('modelo-1', { routingMode: 'RANDOM' }, user), { statusCode: 400 });
+  await assert.rejects(templateService.updateTemplate('modelo-1', { defaultAuthChannels: ['FAX'] }, user), { statusCode: 400 });
+  await assert.rejects(templateService.updateTemplate('modelo-1', { defaultAuthChannels: [] }, user), { statusCode: 400 });
+  await assert.rejects(templateService.updateTemplate('modelo-1', { authLevel: 'NONE' }, user), { statusCode: 400 });
+  assert.equal(template.update.mock.callCount(), 0);
+
+  await templateService.updateTemplate('modelo-1', {
+    name: 'Contrato',
+    routingMode: 'SEQUENTIAL',
+    authLevel: 'CPF_OTP',
+    requireInitials: 'true',
+    padesMode: 'PER_SIGNER',
+    declineAction: 'AWAIT_OWNER',
+    status: 'ARCHIVED' // Fora dos campos permitidos
+  }, user);
+  assert.deepEqual(template.update.mock.calls[0].arguments[0], {
+    name: 'Contrato',
+    routingMode: 'SEQUENTIAL',
+    authLevel: 'CPF_OTP',
+    requireInitials: true,
+    padesMode: 'PER_SIGNER',
+    declineAction: 'AWAIT_OWNER'
+  });
+});
+
+test('createTemplate: opção inválida é recusada antes de gravar o modelo', async () => {
+  const created = mock.method(Template, 'create', async (values) => values);
+  const file = { mimetype: 'application/pdf', path: '/nao/existe.pdf', originalname: 'contrato.pdf' };
+
+  await assert.rejects(templateService.createTemplate({
+    file,
+    roles: [{ name: 'Cliente' }],
+    padesMode: 'ALWAYS',
+    user
+  }), { statusCode: 400, message: /Modo PAdES inválido/ });
+  assert.equal(created.mock.callCount(), 0);
+});